@@ -0,0 +1,195 @@
+/**
+ * CLI Compare Command (CommonJS)
+ * `dragon-ui-claude-cli compare [mode]` prints two periods side by side
+ * (this billing period vs last, this week vs last, or two custom ranges) with
+ * the change in cost, tokens by type, sessions, projects and model mix.
+ *
+ * Same conventions as `report`: stdout only carries the comparison, costs are
+ * in USD. Exit codes: 0 success, 1 database/runtime error, 2 invalid arguments.
+ */
+
+const { colors, setColorMode, initChalk } = require('./components/colors.cjs');
+const { createTable } = require('./components/table.cjs');
+const {
+  COMPARISON_MODES,
+  COMPARISON_METRICS,
+  ComparisonError,
+  resolveComparisonPeriods,
+  buildPeriodComparison
+} = require('../services/period-comparison.cjs');
+
+const COMPARE_FORMATS = ['json', 'table'];
+
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_USAGE = 2;
+
+const METRIC_LABELS = {
+  totalCost: 'Cost (USD)',
+  totalTokens: 'Total tokens',
+  inputTokens: 'Input tokens',
+  outputTokens: 'Output tokens',
+  cacheCreationTokens: 'Cache write tokens',
+  cacheReadTokens: 'Cache read tokens',
+  sessions: 'Sessions',
+  projects: 'Projects',
+  entries: 'Entries',
+  activeDays: 'Active days'
+};
+
+class UsageError extends Error {}
+
+/**
+ * --a-from/--b-from imply custom mode; custom mode needs both starts
+ */
+function getComparisonOptions(mode, options) {
+  const hasRanges = !!(options.aFrom || options.aTo || options.bFrom || options.bTo);
+  const resolvedMode = mode || (hasRanges ? 'custom' : 'billing');
+  if (!COMPARISON_MODES.includes(resolvedMode)) {
+    throw new UsageError(`Unknown comparison mode "${resolvedMode}" (expected ${COMPARISON_MODES.join(', ')})`);
+  }
+  if (resolvedMode !== 'custom') {
+    return { mode: resolvedMode };
+  }
+  if (!options.aFrom || !options.bFrom) {
+    throw new UsageError('Custom comparisons need --a-from and --b-from (YYYY-MM-DD)');
+  }
+  const comparisonOptions = {
+    mode: resolvedMode,
+    a: { from: options.aFrom, to: options.aTo || options.aFrom },
+    b: { from: options.bFrom, to: options.bTo || options.bFrom }
+  };
+  // Custom ranges need no billing context: reject bad dates before opening the database
+  resolveComparisonPeriods(comparisonOptions);
+  return comparisonOptions;
+}
+
+function formatValue(key, value) {
+  if (key === 'totalCost' || key === 'cost') return `$${value.toFixed(2)}`;
+  return value.toLocaleString('en-US');
+}
+
+// Increases in yellow, decreases in green - more usage usually means more spend
+function formatDelta(delta, text) {
+  const signed = `${delta > 0 ? '+' : delta < 0 ? '-' : ''}${text}`;
+  if (delta > 0) return colors.warning(signed);
+  if (delta < 0) return colors.success(signed);
+  return colors.subtitle(signed);
+}
+
+function formatPercent(percent) {
+  if (percent === null) return colors.subtitle('n/a');
+  return formatDelta(percent, `${Math.abs(percent).toFixed(1)}%`);
+}
+
+function formatBreakdown(title, header, rows, settings) {
+  if (rows.length === 0) {
+    return `${colors.title(title)}\n${colors.subtitle('No usage in either period')}`;
+  }
+
+  const table = createTable(
+    [header, 'A', 'B', 'Change', 'Share change'],
+    rows.map(row => [
+      row.key,
+      `${formatValue('cost', row.a.cost)} (${row.a.share.toFixed(0)}%)`,
+      `${formatValue('cost', row.b.cost)} (${row.b.share.toFixed(0)}%)`,
+      formatDelta(row.cost.delta, formatValue('cost', Math.abs(row.cost.delta))),
+      formatDelta(row.shareDelta, `${Math.abs(row.shareDelta).toFixed(1)} pp`)
+    ]),
+    { style: settings.tableStyle, compact: settings.compactMode }
+  );
+  return `${colors.title(title)}\n${table}`;
+}
+
+function formatTable(comparison, settings) {
+  const heading = `${colors.highlight(`A: ${comparison.periodA.label}`)}  vs  ${colors.subtitle(`B: ${comparison.periodB.label}`)}`;
+
+  const metrics = createTable(
+    ['Metric', 'A', 'B', 'Change', '%'],
+    COMPARISON_METRICS.map(key => {
+      const metric = comparison.metrics[key];
+      return [
+        METRIC_LABELS[key],
+        formatValue(key, metric.a),
+        formatValue(key, metric.b),
+        formatDelta(metric.delta, formatValue(key, Math.abs(metric.delta))),
+        formatPercent(metric.deltaPercent)
+      ];
+    }),
+    { style: settings.tableStyle, compact: settings.compactMode }
+  );
+
+  return [
+    heading,
+    metrics,
+    formatBreakdown('Model mix', 'Model', comparison.models, settings),
+    formatBreakdown('Projects', 'Project', comparison.projects, settings)
+  ].join('\n\n');
+}
+
+/**
+ * Run the compare command
+ * @param {string} [mode] - billing | week | custom (custom is implied by the range options)
+ * @param {Object} options - { aFrom, aTo, bFrom, bTo, format, refresh, color, verbose }
+ * @param {Object} settings - CLI settings (cli/settings.cjs)
+ * @returns {Promise<number>} Process exit code
+ */
+async function runCompare(mode, options, settings) {
+  const originalLog = console.log;
+
+  try {
+    const format = (options.format || 'table').toLowerCase();
+    if (!COMPARE_FORMATS.includes(format)) {
+      throw new UsageError(`Unknown format "${options.format}" (expected ${COMPARE_FORMATS.join(', ')})`);
+    }
+    const comparisonOptions = getComparisonOptions(mode, options);
+
+    await initChalk();
+    setColorMode(options.color !== false && settings.useColors && process.stdout.isTTY === true);
+
+    // Keep service logs (path scan, price updates) out of the output
+    console.log = options.verbose ? (...args) => console.error(...args) : () => {};
+
+    const CLIDataAdapter = require('./data-adapter.cjs');
+    const dataAdapter = new CLIDataAdapter(settings);
+    if (!(await dataAdapter.init())) {
+      throw new Error('Failed to initialize database. Run the Electron app once to create it.');
+    }
+    if (options.refresh !== false) {
+      await dataAdapter.forceRefreshData();
+    }
+
+    const db = dataAdapter.db;
+    const periods = resolveComparisonPeriods(comparisonOptions, {
+      billingCycleDay: settings.billingCycleDay || 1,
+      getBillingPeriodForDate: (date, day) => db.getBillingPeriodForDate(date, day)
+    });
+    const comparison = {
+      ...buildPeriodComparison(
+        periods,
+        await db.getPeriodSummary(periods.a.start, periods.a.end),
+        await db.getPeriodSummary(periods.b.start, periods.b.end)
+      ),
+      currency: 'USD',
+      generatedAt: new Date().toISOString()
+    };
+
+    console.log = originalLog;
+    if (format === 'json') {
+      console.log(JSON.stringify(comparison, null, 2));
+    } else {
+      console.log(formatTable(comparison, settings));
+    }
+
+    return EXIT_OK;
+  } catch (error) {
+    console.log = originalLog;
+    console.error(`Error: ${error.message}`);
+    return error instanceof UsageError || error instanceof ComparisonError ? EXIT_USAGE : EXIT_ERROR;
+  }
+}
+
+module.exports = {
+  COMPARE_FORMATS,
+  runCompare
+};
@@ -101,6 +101,37 @@ function createMinimalTable(headers, rows, compact) {
   return [headerRow, separatorLine, ...dataRows].join('\n');
 }
 
+/**
+ * Create one page of a server-side paginated table (see services/usage-query.cjs)
+ * with a footer showing the page, active filters and sort order
+ */
+function createPaginatedTable(headers, rows, page, options = {}) {
+  const lines = [createTable(headers, rows, options), '', createPaginationFooter(page)];
+  return lines.join('\n');
+}
+
+/**
+ * Footer line of a paginated table
+ */
+function createPaginationFooter(page) {
+  const firstRow = page.total > 0 ? (page.page - 1) * page.pageSize + 1 : 0;
+  const lastRow = Math.min(page.page * page.pageSize, page.total);
+  const parts = [
+    `Page ${page.page}/${page.pageCount}`,
+    `${firstRow}-${lastRow} of ${page.total}`,
+    `sorted by ${page.sortBy} ${page.sortDir === 'asc' ? '↑' : '↓'}`
+  ];
+
+  if (page.search) {
+    parts.push(`search "${page.search}"`);
+  }
+  if (page.from || page.to) {
+    parts.push(`${page.from || '…'} → ${page.to || '…'}`);
+  }
+
+  return colors.subtitle(parts.join(' • '));
+}
+
 /**
  * Create a simple key-value table
  */
@@ -199,6 +230,8 @@ module.exports = {
   createTable,
   createKeyValueTable,
   createStatsTable,
+  createPaginatedTable,
+  createPaginationFooter,
   createAsciiTable,
   createMinimalTable
 };
\ No newline at end of file
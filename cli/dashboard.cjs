@@ -7,6 +7,9 @@ const { createInterface } = require('readline');
 const figlet = require('figlet');
 const CLIDataAdapter = require('./data-adapter.cjs');
 const { loadSettings, saveSettings, toggleSetting } = require('./settings.cjs');
+const { getPlanProfile } = require('../services/plan-profiles.cjs');
+const FileWatcherService = require('../services/file-watcher.cjs');
+const { SESSION_SORT_COLUMNS, PROJECT_SORT_COLUMNS } = require('../services/usage-query.cjs');
 const { colors, setColorMode, initChalk } = require('./components/colors.cjs');
 const { createStatsTable } = require('./components/table.cjs');
 const { 
@@ -26,19 +29,36 @@ const { createBox, createTimestampHeader } = require('./utils/screen.cjs');
 // Import page modules
 const showOverviewPage = require('./pages/overview.cjs');
 const showProjectsPage = require('./pages/projects.cjs');
-const showSessionsPage = require('./pages/sessions.cjs');
+const { showSessionsPage, showSessionDetailPage } = require('./pages/sessions.cjs');
 const showMonthlyPage = require('./pages/monthly.cjs');
 const showDailyPage = require('./pages/daily.cjs');
 const showActivePage = require('./pages/active.cjs');
 
+const TABLE_PAGE_SIZE = 10;
+
+// Longest wait for a JSONL scan before pages show what is stored so far (the scan goes on)
+const REFRESH_TIMEOUT_MS = 5000;
+
+// Pages with a server-side paginated table (search, sort, date range)
+const TABLE_PAGES = {
+  2: { name: 'projects', query: 'queryProjects', sortColumns: PROJECT_SORT_COLUMNS },
+  3: { name: 'sessions', query: 'querySessions', sortColumns: SESSION_SORT_COLUMNS }
+};
+
 class CLIDashboard {
   constructor(settings) {
     this.settings = settings;
     this.dataAdapter = new CLIDataAdapter(settings);
     this.currentPage = 0; // 0 = main menu
+    this.selectedSession = null; // Session key shown as subpage of Sessions
+    this.tableQueries = {
+      projects: { pageSize: TABLE_PAGE_SIZE },
+      sessions: { pageSize: TABLE_PAGE_SIZE }
+    };
     this.isRunning = false;
     this.refreshInterval = null;
     this.autoRefreshInterval = null; // Auto-refresh timer like Electron UI
+    this.fileWatcher = new FileWatcherService({ log: () => {} }); // Live updates on JSONL changes
     this.rl = null;
     this.lastUpdateTime = 0;
     
@@ -77,10 +97,12 @@ class CLIDashboard {
     console.log('');
     
     const startupRefresh = showLoading('Synchronizing with latest Claude activity...');
-    await this.dataAdapter.forceRefreshData();
+    const refreshed = await this.dataAdapter.forceRefreshData({ timeout: REFRESH_TIMEOUT_MS });
     startupRefresh();
     
-    console.log(colors.success('✓ Data refreshed successfully'));
+    console.log(refreshed
+      ? colors.success('✓ Data refreshed successfully')
+      : colors.info('• Still scanning JSONL files - pages fill in as entries are stored'));
     console.log('');
 
     // Clear screen before showing welcome
@@ -160,10 +182,14 @@ class CLIDashboard {
         await showOverviewPage(this.dataAdapter, this.settings);
         break;
       case 2:
-        await showProjectsPage(this.dataAdapter, this.settings);
+        await showProjectsPage(this.dataAdapter, this.settings, this.tableQueries.projects);
         break;
       case 3:
-        await showSessionsPage(this.dataAdapter, this.settings);
+        if (this.selectedSession) {
+          await showSessionDetailPage(this.dataAdapter, this.settings, this.selectedSession);
+        } else {
+          await showSessionsPage(this.dataAdapter, this.settings, this.tableQueries.sessions);
+        }
         break;
       case 4:
         await showMonthlyPage(this.dataAdapter, this.settings);
@@ -251,6 +277,12 @@ class CLIDashboard {
           case 'page':
             await this.handlePageCommand(command.value);
             break;
+          case 'session':
+            await this.handleSessionCommand(command.value);
+            break;
+          case 'table':
+            await this.handleTableCommand(command);
+            break;
           case 'quit':
             await this.handleQuit();
             break;
@@ -277,12 +309,98 @@ class CLIDashboard {
     });
   }
 
+  /**
+   * Open the session detail subpage by history row number or session key
+   */
+  async handleSessionCommand(value) {
+    let sessionKey = value;
+
+    if (/^\d+$/.test(value)) {
+      // Row numbers run across pages of the current sessions table
+      const row = parseInt(value, 10);
+      const query = this.tableQueries.sessions;
+      const page = Math.ceil(row / query.pageSize);
+      const result = row > 0 ? await this.dataAdapter.querySessions({ ...query, page }) : null;
+      const session = result && result.page === page ? result.rows[(row - 1) % query.pageSize] : null;
+      if (!session) {
+        showError(`No session in row ${value}. Open Sessions [3] to see the list.`);
+        await waitForInput();
+        return;
+      }
+      sessionKey = session.sessionId;
+    }
+
+    this.selectedSession = sessionKey;
+    this.currentPage = 3;
+  }
+
+  /**
+   * Search, date range, sort and paging of the Projects / Sessions tables
+   */
+  async handleTableCommand(command) {
+    const table = TABLE_PAGES[this.currentPage];
+    if (!table || this.selectedSession) {
+      showError('Search, sort and paging work on the Projects [2] and Sessions [3] pages.');
+      await waitForInput();
+      return;
+    }
+
+    const query = this.tableQueries[table.name];
+    let patch;
+
+    switch (command.action) {
+      case 'search':
+        patch = { search: command.value };
+        break;
+      case 'range': {
+        const dates = command.value.split(/\s+/).filter(Boolean);
+        if (dates.length > 2 || dates.some(date => !/^\d{4}-\d{2}-\d{2}$/.test(date))) {
+          showError('Use dates as YYYY-MM-DD, e.g. t 2025-01-01 2025-01-31');
+          await waitForInput();
+          return;
+        }
+        patch = { from: dates[0] || null, to: dates[1] || null };
+        break;
+      }
+      case 'sort': {
+        if (!command.value) {
+          patch = { sortBy: undefined, sortDir: undefined };
+          break;
+        }
+        const [column, direction] = command.value.split(/\s+/);
+        const sortBy = Object.keys(table.sortColumns).find(key => key.toLowerCase().startsWith(column));
+        if (!sortBy) {
+          showError(`Unknown column "${column}". Sort by: ${Object.keys(table.sortColumns).join(', ')}`);
+          await waitForInput();
+          return;
+        }
+        // Sorting by the same column again flips the direction
+        const sortDir = ['asc', 'desc'].includes(direction) ? direction
+          : sortBy === query.sortBy && query.sortDir !== 'asc' ? 'asc' : 'desc';
+        patch = { sortBy, sortDir };
+        break;
+      }
+      case 'next':
+      case 'prev': {
+        const { page, pageCount } = await this.dataAdapter[table.query](query);
+        const target = command.action === 'next' ? page + 1 : page - 1;
+        if (target < 1 || target > pageCount) return;
+        this.tableQueries[table.name] = { ...query, page: target };
+        return;
+      }
+    }
+
+    // New filters or sort order start again at the first page
+    this.tableQueries[table.name] = { ...query, ...patch, page: 1 };
+  }
+
   /**
    * Handle page navigation
    */
   async handlePageCommand(pageNumber) {
     if (pageNumber >= 0 && pageNumber <= 6) {
       this.currentPage = pageNumber;
+      this.selectedSession = null;
       
       // If going to a specific page, refresh data
       if (pageNumber > 0) {
@@ -348,6 +466,7 @@ class CLIDashboard {
     console.log(`  Table Style: ${colors.highlight(this.settings.tableStyle)}`);
     console.log(`  Refresh Interval: ${colors.number(this.settings.refreshInterval/1000)}s`);
     console.log(`  Compact Mode: ${this.settings.compactMode ? colors.success('Enabled') : colors.inactive('Disabled')}`);
+    console.log(`  Plan: ${colors.highlight(getPlanProfile(this.settings.plan).name)}`);
     console.log('');
     
     console.log('Commands:');
@@ -355,6 +474,7 @@ class CLIDashboard {
     console.log('  2 - Toggle table style');
     console.log('  3 - Toggle compact mode');
     console.log('  4 - Set refresh interval');
+    console.log('  5 - Switch subscription plan');
     console.log('  0 - Back to main menu');
     console.log('');
     
@@ -381,6 +501,12 @@ class CLIDashboard {
             this.settings = await toggleSetting('compact');
             showSuccess(this.settings.compactMode ? 'Compact mode enabled' : 'Compact mode disabled');
             break;
+          case '5':
+            this.settings = await toggleSetting('plan');
+            this.dataAdapter.settings = this.settings;
+            this.dataAdapter.clearCache();
+            showSuccess(`Plan: ${getPlanProfile(this.settings.plan).name}`);
+            break;
           case '4':
             settingsRl.question('Enter refresh interval (1-60 seconds): ', async (seconds) => {
               const interval = parseInt(seconds);
@@ -432,7 +558,7 @@ class CLIDashboard {
       if (this.isRunning) {
         try {
           // Force refresh database to get latest data
-          await this.dataAdapter.forceRefreshData();
+          await this.dataAdapter.forceRefreshData({ timeout: REFRESH_TIMEOUT_MS });
           
           // Refresh current page display (including main menu)
           await this.refreshCurrentPageSilent();
@@ -442,6 +568,16 @@ class CLIDashboard {
         }
       }
     }, this.settings.refreshInterval); // Use user's configured interval
+    
+    // Ingest changed JSONL files right away instead of waiting for the interval
+    this.fileWatcher.start(this.dataAdapter.getActivePaths(), async (files) => {
+      if (!this.isRunning) return true;
+      const newEntries = await this.dataAdapter.ingestChangedFiles(files);
+      if (newEntries > 0) {
+        await this.refreshCurrentPageSilent();
+      }
+      return true;
+    });
   }
 
   /**
@@ -452,6 +588,7 @@ class CLIDashboard {
       clearInterval(this.autoRefreshInterval);
       this.autoRefreshInterval = null;
     }
+    this.fileWatcher.stop();
   }
 
   /**
@@ -14,11 +14,24 @@ const PathManagerService = require('../services/path-manager.cjs');
 // Import model price service for dynamic pricing
 const { modelPriceService } = require('../services/model-price-service.cjs');
 
+// Import block calculator for 5-hour billing windows
+const { blockCalculator } = require('../services/block-calculator.cjs');
+
+// Import session drill-down (shared with Electron UI)
+const { parseSessionKey, buildSessionDetail } = require('../services/session-detail.cjs');
+
+// Import plan profiles for subscription ROI
+const { calculatePlanRoi, getPlanBlockLimits } = require('../services/plan-profiles.cjs');
+
+// Import streaming JSONL ingestion (shared ledger with Electron UI)
+const { readNewUsageEntries } = require('../services/jsonl-ingest.cjs');
+
 class CLIDataAdapter {
   constructor(settings) {
     this.settings = settings;
     this.lastUpdate = 0;
     this.cache = new Map();
+    this.refreshPromise = null; // Running JSONL scan (see forceRefreshData)
     
     // Use Windows-compatible database service
     this.db = new CLIDatabaseService();
@@ -37,6 +50,9 @@ class CLIDataAdapter {
         await this.db.init();
       }
       
+      // Share the price history recorded by the Electron UI
+      modelPriceService.attachPriceHistory(this.db);
+      
       return true;
     } catch (error) {
       return false;
@@ -45,20 +61,30 @@ class CLIDataAdapter {
 
   /**
    * Force refresh data like Electron UI (silent)
+   * @param {Object} options - { timeout: ms after which to return while the scan goes on in the
+   *   background (interactive dashboard); without it the whole scan is awaited (one-shot commands) }
+   * @returns {Promise<boolean>} false if the timeout hit before the scan finished
    */
-  async forceRefreshData() {
-    try {
-      // Add timeout to prevent hanging
-      const refreshPromise = this.doForceRefreshData();
-      const timeoutPromise = new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Timeout')), 5000) // 5 second timeout
-      );
-      
-      await Promise.race([refreshPromise, timeoutPromise]);
-      
-    } catch (error) {
-      // Silent error - no logs, don't hang the CLI
+  async forceRefreshData(options = {}) {
+    // Share a running scan - two scans of the same files would race on the ingest ledger
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.doForceRefreshData()
+        .catch(() => {}) // Silent error - don't break the CLI
+        .finally(() => { this.refreshPromise = null; });
     }
+    
+    if (!options.timeout) {
+      await this.refreshPromise;
+      return true;
+    }
+    
+    let timer;
+    const timeoutPromise = new Promise(resolve => {
+      timer = setTimeout(() => resolve(false), options.timeout);
+    });
+    const finished = await Promise.race([this.refreshPromise.then(() => true), timeoutPromise]);
+    clearTimeout(timer);
+    return finished;
   }
 
   /**
@@ -68,11 +94,9 @@ class CLIDataAdapter {
     // Silent scan and refresh like Electron UI
     const allPaths = this.pathManager.getAllPaths();
     const activePaths = allPaths.active || [];
+    let newEntriesCount = 0;
     
     if (activePaths.length > 0) {
-      // Get last processed timestamp from database
-      const lastTimestamp = this.db.getLastTimestamp ? this.db.getLastTimestamp() : null;
-      
       // Process JSONL files and add new entries to database
       for (const basePath of activePaths) {
         try {
@@ -86,9 +110,9 @@ class CLIDataAdapter {
             jsonlFiles = glob.sync(pattern);
           }
           
-          // Process each JSONL file for new entries (limit to prevent hanging)
-          for (const file of jsonlFiles.slice(0, 10)) { // Limit to 10 files per refresh
-            await this.processJsonlFileIncremental(file, lastTimestamp);
+          // Process each JSONL file for new entries (only bytes appended since the last refresh)
+          for (const file of jsonlFiles) {
+            newEntriesCount += await this.processJsonlFileIncremental(file);
           }
           
         } catch (error) {
@@ -97,11 +121,44 @@ class CLIDataAdapter {
       }
     }
     
+    // sql.js keeps the database in memory and saveToFile rewrites the whole file the
+    // Electron UI also writes to - only do that when there is something new to store
+    if (newEntriesCount > 0) {
+      this.db.saveToFile();
+    }
+    
     // Silent database refresh
     await this.db.refreshIfNeeded();
     this.clearCache();
   }
 
+  /**
+   * Active Claude project paths (watched by the dashboard for live updates)
+   */
+  getActivePaths() {
+    return this.pathManager.getAllPaths().active || [];
+  }
+
+  /**
+   * Ingest only the given files (changes reported by FileWatcherService)
+   * @returns {Promise<number>} Number of new entries stored
+   */
+  async ingestChangedFiles(files) {
+    const fs = require('fs');
+    let newEntriesCount = 0;
+    
+    for (const file of files) {
+      if (!fs.existsSync(file)) continue;
+      newEntriesCount += await this.processJsonlFileIncremental(file);
+    }
+    
+    if (newEntriesCount > 0) {
+      this.db.saveToFile();
+      this.clearCache();
+    }
+    return newEntriesCount;
+  }
+
   /**
    * WSL-compatible file finder (copied from data-loader)
    */
@@ -137,65 +194,41 @@ class CLIDataAdapter {
   /**
    * Process a single JSONL file incrementally (only new entries)
    */
-  async processJsonlFileIncremental(file, lastTimestamp) {
-    const fs = require('fs');
+  async processJsonlFileIncremental(file) {
     let newEntriesCount = 0;
     const newEntries = [];
     const processedHashes = new Set();
     
     try {
-      const content = fs.readFileSync(file, 'utf8');
-      const lines = content.trim().split('\n');
+      const result = await readNewUsageEntries(file, this.db.getIngestState(file));
+      if (!result.changed) {
+        return 0;
+      }
       
-      for (const line of lines) {
-        if (!line.trim()) continue;
-        
-        try {
-          const entry = JSON.parse(line);
-          
-          // Only process assistant messages with usage data
-          if (!entry.timestamp || entry.type !== 'assistant') continue;
-          if (!entry.message?.usage) continue;
-          if (typeof entry.message.usage.input_tokens !== 'number') continue;
-          if (typeof entry.message.usage.output_tokens !== 'number') continue;
-          
-          // Skip if entry is older than last processed timestamp
-          if (lastTimestamp && entry.timestamp <= lastTimestamp) continue;
-          
-          // Duplicate detection using messageId + requestId
-          const uniqueHash = this.createUniqueHash(entry);
-          if (uniqueHash && processedHashes.has(uniqueHash)) {
-            continue; // Skip duplicate
-          }
-          if (uniqueHash) {
-            processedHashes.add(uniqueHash);
-          }
-          
-          // Extract and process the entry
-          const usageEntry = this.createUsageEntry(entry, file);
-          
-          // Store for batch insert
-          newEntries.push(usageEntry);
-          newEntriesCount++;
-          
-        } catch (parseError) {
-          continue; // Skip invalid JSON
+      for (const entry of result.entries) {
+        // Duplicate detection using messageId + requestId
+        const uniqueHash = this.createUniqueHash(entry);
+        if (uniqueHash && processedHashes.has(uniqueHash)) {
+          continue; // Skip duplicate
+        }
+        if (uniqueHash) {
+          processedHashes.add(uniqueHash);
         }
+        
+        // Extract, process and store for batch insert
+        newEntries.push(this.createUsageEntry(entry, file));
       }
       
-      // Batch insert all new entries into database
+      // Batch insert all new entries into database (saved to file by the caller)
       if (newEntries.length > 0) {
-        try {
-          if (this.db.insertBatch) {
-            this.db.insertBatch(newEntries);
-          }
-        } catch (dbError) {
-          // Silent error - database might be locked
-        }
+        newEntriesCount = this.db.insertBatch(newEntries, { persist: false });
       }
       
+      // Advance the read position only after the entries are stored
+      this.db.saveIngestState(result.state);
+      
     } catch (fileError) {
-      // Silent error
+      // Silent error - database might be locked
     }
     
     return newEntriesCount;
@@ -241,9 +274,11 @@ class CLIDataAdapter {
       }
     }
     
+    // Same shape as DataLoaderService.createUsageEntry (the Electron UI shares this database)
     const usageEntry = {
       timestamp: validatedTimestamp,
-      session_id: entry.sessionId, // Use full session ID for database
+      sessionId: sessionId,
+      fullSessionId: entry.sessionId,
       model: entry.message.model || 'unknown',
       project: projectName,
       
@@ -254,9 +289,22 @@ class CLIDataAdapter {
       cache_read_input_tokens: entry.message.usage.cache_read_input_tokens || 0,
       
       // Calculate cost (simplified)
-      cost: this.calculateCost(entry.message.usage, entry.message.model)
+      cost: this.calculateCost(entry.message.usage, entry.message.model, validatedTimestamp),
+      
+      // API call identity - deduplicated in the database across files and hosts
+      message_id: entry.message?.id || entry.messageId || null,
+      request_id: entry.requestId || null,
+      
+      // Source machine and metadata (file_path is part of the duplicate key)
+      source: 'local',
+      file: file,
+      uuid: entry.uuid,
+      cwd: entry.cwd
     };
     
+    usageEntry.total_tokens = usageEntry.input_tokens + usageEntry.output_tokens + 
+                            usageEntry.cache_creation_input_tokens + usageEntry.cache_read_input_tokens;
+    
     return usageEntry;
   }
 
@@ -304,27 +352,11 @@ class CLIDataAdapter {
   }
 
   /**
-   * Dynamic cost calculation using model price service (like Electron UI)
+   * Dynamic cost calculation using model price service (like Electron UI),
+   * priced with the rate effective at the entry's timestamp
    */
-  calculateCost(usage, model = 'unknown') {
-    const inputTokens = usage.input_tokens || 0;
-    const outputTokens = usage.output_tokens || 0;
-    const cacheCreateTokens = usage.cache_creation_input_tokens || 0;
-    const cacheReadTokens = usage.cache_read_input_tokens || 0;
-    
-    // Get current pricing from model price service (with automatic updates)
-    const pricing = modelPriceService.getModelPrices(model);
-    const inputRate = pricing.input;
-    const outputRate = pricing.output;
-    const cacheCreateRate = pricing.cacheWrite;
-    const cacheReadRate = pricing.cacheRead;
-    
-    const inputCost = (inputTokens / 1000000) * inputRate;
-    const outputCost = (outputTokens / 1000000) * outputRate;
-    const cacheCost = (cacheCreateTokens / 1000000) * cacheCreateRate;
-    const cacheReadCost = (cacheReadTokens / 1000000) * cacheReadRate;
-    
-    return inputCost + outputCost + cacheCost + cacheReadCost;
+  calculateCost(usage, model = 'unknown', timestamp = null) {
+    return modelPriceService.calculateCost(usage, model, timestamp);
   }
 
   /**
@@ -485,6 +517,64 @@ class CLIDataAdapter {
     }
   }
 
+  /**
+   * One page of the sessions table, searched and sorted in SQLite
+   * (see services/usage-query.cjs for the options)
+   */
+  async querySessions(options = {}) {
+    const result = await this.db.querySessions(options);
+    return {
+      ...result,
+      currency: this.settings.currency,
+      rows: result.rows.map(session => ({
+        sessionId: session.session_key,
+        project: session.project || 'Unknown',
+        totalCost: session.total_cost || 0,
+        totalTokens: session.total_tokens || 0,
+        duration: (session.duration_minutes || 0) * 60 * 1000,
+        startTime: session.start_time,
+        endTime: session.end_time,
+        entryCount: session.entry_count || 0,
+        models: session.models ? session.models.split(',') : [],
+        currency: this.settings.currency
+      }))
+    };
+  }
+
+  /**
+   * One page of the projects table, searched and sorted in SQLite
+   * (see services/usage-query.cjs for the options)
+   */
+  async queryProjects(options = {}) {
+    const result = await this.db.queryProjects(options);
+    return {
+      ...result,
+      currency: this.settings.currency,
+      rows: result.rows.map(project => ({
+        name: project.project || 'Unknown',
+        totalCost: project.total_cost || 0,
+        sessionCount: project.session_count || 0,
+        totalTokens: project.total_tokens || 0,
+        entryCount: project.entry_count || 0,
+        lastActivity: project.last_activity,
+        avgCostPerSession: project.session_count > 0 ? 
+          (project.total_cost / project.session_count) : 0,
+        currency: this.settings.currency
+      }))
+    };
+  }
+
+  /**
+   * Drill-down of one session row (see services/session-detail.cjs)
+   * @param {string} sessionKey - sessionId from getSessionsData (`<session_id>_<segment>`)
+   * @returns {Promise<Object|null>} null when the session does not exist
+   */
+  async getSessionDetail(sessionKey) {
+    const { sessionId, segment } = parseSessionKey(sessionKey);
+    const detail = buildSessionDetail(await this.db.getSessionEntries(sessionId), { segment });
+    return detail ? { ...detail, sessionKey, currency: this.settings.currency } : null;
+  }
+
   /**
    * Get monthly data (Windows-compatible)
    */
@@ -496,6 +586,12 @@ class CLIDataAdapter {
 
       const monthlyStats = await this.db.getMonthlyStats();
       
+      // Subscription ROI per billing period
+      const billingCycleDay = this.settings.billingCycleDay || 1;
+      const billingPeriods = await this.db.getBillingPeriodStats(billingCycleDay);
+      const currentPeriodKey = this.db.getBillingPeriodForDate(new Date(), billingCycleDay).key;
+      const planRoi = calculatePlanRoi(billingPeriods, this.settings.plan, { currentPeriodKey });
+      
       const data = {
         months: monthlyStats.map(month => ({
           month: month.month,
@@ -514,6 +610,7 @@ class CLIDataAdapter {
           totalTokens: monthlyStats.reduce((sum, m) => sum + (m.total_tokens || 0), 0),
           currency: this.settings.currency
         },
+        planRoi,
         lastUpdated: new Date().toISOString()
       };
 
@@ -577,33 +674,37 @@ class CLIDataAdapter {
       const cached = this.getCachedData(cacheKey, 5000); // Cache for 5 seconds only
       if (cached) return cached;
 
-      // Use the same 30-minute logic as overview page for consistency
-      const currentSessionInfo = await this.db.getCurrentSessionInfo();
-      const sessionActive = !!currentSessionInfo;
+      // Active session = currently running 5-hour billing block (same as Electron UI)
+      const blocks = blockCalculator.identifyBlocks(await this.db.getBlockEntries());
+      const activeBlock = blockCalculator.findActiveBlock(blocks);
+      
+      // Project name still comes from the most recent session
+      const currentSessionInfo = activeBlock ? await this.db.getCurrentSessionInfo() : null;
       
       const todayStats = await this.db.getDailyStats(1);
       const todayData = todayStats.length > 0 ? todayStats[0] : null;
       
-      // Get models for the current session if it exists
-      let sessionModels = [];
-      if (currentSessionInfo) {
-        sessionModels = await this.db.getSessionModels(currentSessionInfo.session_id);
-      }
-      
       const data = {
-        activeSession: currentSessionInfo ? {
-          sessionId: currentSessionInfo.session_id,
-          project: currentSessionInfo.project || 'Unknown',
-          totalCost: currentSessionInfo.total_cost || 0,
-          totalTokens: currentSessionInfo.total_tokens || 0,
-          duration: currentSessionInfo.duration || 0,
-          startTime: currentSessionInfo.session_start,
-          lastActivity: currentSessionInfo.last_activity,
-          entryCount: currentSessionInfo.entry_count || 0,
-          models: sessionModels,
+        activeSession: activeBlock ? {
+          sessionId: activeBlock.lastSessionId,
+          project: currentSessionInfo?.project || 'Unknown',
+          totalCost: activeBlock.totalCost,
+          totalTokens: activeBlock.totalTokens,
+          duration: activeBlock.elapsedMinutes,
+          timeLeft: activeBlock.remainingMinutes,
+          startTime: activeBlock.startTime,
+          endTime: activeBlock.endTime,
+          lastActivity: activeBlock.actualEndTime,
+          entryCount: activeBlock.entryCount,
+          models: activeBlock.models,
           currency: this.settings.currency
         } : null,
         
+        block: activeBlock,
+        recentBlocks: blocks.filter(block => !block.isGap).slice(-5).reverse(),
+        blockProjection: blockCalculator.projectBlockUsage(activeBlock, blocks,
+          getPlanBlockLimits(this.settings.blockLimits, this.settings.plan)),
+        
         todayStats: todayData ? {
           totalCost: todayData.total_cost || 0,
           sessionCount: todayData.session_count || 0,
@@ -613,7 +714,7 @@ class CLIDataAdapter {
           currency: this.settings.currency
         } : null,
         
-        isActive: sessionActive, // Use same 30-minute logic as overview
+        isActive: !!activeBlock,
         
         lastUpdated: new Date().toISOString()
       };
@@ -621,7 +722,7 @@ class CLIDataAdapter {
       this.setCachedData(cacheKey, data, 5000);
       return data;
     } catch (error) {
-      return { activeSession: null, todayStats: null, isActive: false, lastUpdated: new Date().toISOString() };
+      return { activeSession: null, block: null, recentBlocks: [], blockProjection: null, todayStats: null, isActive: false, lastUpdated: new Date().toISOString() };
     }
   }
 
@@ -7,11 +7,45 @@ const initSqlJs = require('sql.js');
 const path = require('path');
 const os = require('os');
 const fs = require('fs');
+const { runMigrations } = require('../services/migrations.cjs');
+const { buildEntryExportQuery, toExclusiveEnd } = require('../services/entry-export.cjs');
+const { buildSessionsQuery, buildProjectsQuery, getPagination, createTablePage } = require('../services/usage-query.cjs');
+const { buildPeriodSummaryQueries } = require('../services/period-comparison.cjs');
+const { buildHeatmapQuery } = require('../services/usage-heatmap.cjs');
+
+/**
+ * usage.db locations inside the global npm prefix, resolved without spawning
+ * `npm config get prefix` (~200ms, too slow for the statusline command)
+ */
+function getNpmGlobalDbPaths() {
+  const prefixes = new Set();
+  if (process.env.npm_config_prefix) {
+    prefixes.add(process.env.npm_config_prefix);
+  }
+  try {
+    const npmrc = fs.readFileSync(path.join(os.homedir(), '.npmrc'), 'utf8');
+    const match = npmrc.match(/^\s*prefix\s*=\s*(.+?)\s*$/m);
+    if (match) {
+      prefixes.add(match[1].replace(/^~(?=$|[\\/])/, os.homedir()));
+    }
+  } catch (error) {
+    // No user .npmrc
+  }
+  // npm's default prefix: the Node.js directory on Windows, its parent elsewhere
+  prefixes.add(process.platform === 'win32' ? path.dirname(process.execPath) : path.resolve(process.execPath, '..', '..'));
+
+  return Array.from(prefixes).flatMap(prefix => [
+    path.join(prefix, 'node_modules', 'dragon-ui-claude', 'usage.db'),
+    path.join(prefix, 'lib', 'node_modules', 'dragon-ui-claude', 'usage.db'),
+    path.join(prefix, 'usage.db')
+  ]);
+}
 
 class CLIDatabaseService {
   constructor() {
     this.db = null;
     this.SQL = null;
+    this.pendingMigrationBackup = null; // Schema version of the file before in-memory migrations
     this.dbPath = this.getDbPath();
   }
 
@@ -41,19 +75,8 @@ class CLIDatabaseService {
       path.join('C:', 'temp', 'usage.db'),                    // Temp directory
       path.join('C:', 'Users', process.env.USERNAME || '', 'Desktop', 'usage.db'), // Desktop
       
-      // Try to find npm global prefix location dynamically
-      ...((() => {
-        try {
-          const { execSync } = require('child_process');
-          const npmGlobalPrefix = execSync('npm config get prefix', { encoding: 'utf8' }).trim();
-          return [
-            path.join(npmGlobalPrefix, 'node_modules', 'dragon-ui-claude', 'usage.db'),
-            path.join(npmGlobalPrefix, 'usage.db')
-          ];
-        } catch (e) {
-          return [];
-        }
-      })())
+      // npm global prefix locations
+      ...getNpmGlobalDbPaths()
     ];
     
     let dbPath = null;
@@ -140,11 +163,59 @@ class CLIDatabaseService {
       // Create database instance
       this.db = new this.SQL.Database(filebuffer);
       
+      // Bring an older database file up to the current schema. Only the in-memory
+      // copy changes here, so the backup is taken before it is first written back.
+      this.pendingMigrationBackup = null;
+      const migration = runMigrations(this.getMigrationAdapter(), {
+        backup: (fromVersion) => { this.pendingMigrationBackup = fromVersion; },
+        log: () => {}
+      });
+
+      // Write the migrated schema back right away, or every CLI start would run the
+      // same migrations (and the message id backfill) again
+      if (migration.applied.length > 0) {
+        this.saveToFile();
+        this.lastDbModTime = fs.statSync(this.dbPath).mtime.getTime();
+      }
+
     } catch (error) {
       throw error;
     }
   }
 
+  /**
+   * sql.js adapter for the shared migration runner (services/migrations.cjs)
+   */
+  getMigrationAdapter() {
+    const firstValue = (sql) => {
+      const result = this.db.exec(sql);
+      return result.length > 0 ? result[0].values[0][0] : null;
+    };
+
+    return {
+      exec: (sql) => this.db.exec(sql),
+      all: (sql, params = []) => this.allRows(sql, params),
+      run: (sql, params = []) => this.db.run(sql, params),
+      getColumns: (table) => {
+        const result = this.db.exec(`PRAGMA table_info(${table})`);
+        return result.length > 0 ? result[0].values.map(row => row[1]) : [];
+      },
+      hasTable: (table) => firstValue(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = '${table}'`) !== null,
+      getUserVersion: () => firstValue('PRAGMA user_version') || 0,
+      setUserVersion: (version) => this.db.run(`PRAGMA user_version = ${version}`),
+      transaction: (fn) => {
+        this.db.run('BEGIN');
+        try {
+          fn();
+          this.db.run('COMMIT');
+        } catch (error) {
+          this.db.run('ROLLBACK');
+          throw error;
+        }
+      }
+    };
+  }
+
   async getSessionStats() {
     // Check for database updates before querying
     await this.refreshIfNeeded();
@@ -222,6 +293,65 @@ class CLIDatabaseService {
     return result;
   }
 
+  /**
+   * One page of the Sessions table (see services/usage-query.cjs for the options)
+   */
+  async querySessions(options = {}) {
+    await this.refreshIfNeeded();
+    return this.runTableQuery(buildSessionsQuery(options));
+  }
+
+  /**
+   * One page of the Projects table (see services/usage-query.cjs for the options)
+   */
+  async queryProjects(options = {}) {
+    await this.refreshIfNeeded();
+    return this.runTableQuery(buildProjectsQuery(options));
+  }
+
+  /**
+   * Totals plus model / project breakdown of [start, end) (see services/period-comparison.cjs)
+   */
+  async getPeriodSummary(start, end) {
+    await this.refreshIfNeeded();
+    const { params, summarySql, modelsSql, projectsSql } = buildPeriodSummaryQueries(start, end);
+    return {
+      summary: this.allRows(summarySql, params)[0],
+      models: this.allRows(modelsSql, params),
+      projects: this.allRows(projectsSql, params)
+    };
+  }
+
+  /**
+   * Half-hour UTC buckets for the weekday x hour heatmap (see services/usage-heatmap.cjs)
+   */
+  async getHeatmapBuckets(filter = null) {
+    await this.refreshIfNeeded();
+    const { sql, params } = buildHeatmapQuery(filter);
+    return this.allRows(sql, params);
+  }
+
+  runTableQuery({ query, params, countSql, rowsSql }) {
+    const [summary] = this.allRows(countSql, params);
+    const pagination = getPagination(query, summary?.total || 0);
+    const rows = this.allRows(rowsSql, [...params, query.pageSize, pagination.offset]);
+    return createTablePage(query, summary, pagination, rows);
+  }
+
+  allRows(sql, params) {
+    const stmt = this.db.prepare(sql);
+    const rows = [];
+    try {
+      stmt.bind(params);
+      while (stmt.step()) {
+        rows.push(stmt.getAsObject());
+      }
+    } finally {
+      stmt.free();
+    }
+    return rows;
+  }
+
   async getMonthlyStats() {
     // Check for database updates before querying
     await this.refreshIfNeeded();
@@ -286,6 +416,72 @@ class CLIDatabaseService {
     return result;
   }
 
+  /**
+   * Aggregated usage for the headless report commands (cli/report.cjs)
+   * @param {string} type - 'daily' | 'monthly' | 'projects' | 'sessions'
+   * @param {Object} range - { since, until } as YYYY-MM-DD or ISO timestamps, both inclusive
+   */
+  async getUsageReport(type, range = {}) {
+    await this.refreshIfNeeded();
+
+    const groups = {
+      daily: { key: 'DATE(timestamp)', order: 'key ASC' },
+      monthly: { key: "strftime('%Y-%m', timestamp)", order: 'key ASC' },
+      projects: { key: "COALESCE(project, 'Unknown')", order: 'total_cost DESC' },
+      sessions: { key: 'session_id', order: 'first_activity DESC' }
+    };
+    const group = groups[type];
+    if (!group) {
+      throw new Error(`Unknown report type: ${type}`);
+    }
+
+    const where = ["timestamp IS NOT NULL AND timestamp != ''"];
+    const params = [];
+    if (range.since) {
+      where.push('timestamp >= ?');
+      params.push(range.since);
+    }
+    if (range.until) {
+      where.push('timestamp < ?');
+      params.push(toExclusiveEnd(range.until));
+    }
+
+    const query = `
+      SELECT 
+        ${group.key} as key,
+        SUM(cost) as total_cost,
+        COUNT(*) as entry_count,
+        SUM(input_tokens) as input_tokens,
+        SUM(output_tokens) as output_tokens,
+        SUM(COALESCE(cache_creation_input_tokens, 0)) as cache_creation_tokens,
+        SUM(COALESCE(cache_read_input_tokens, 0)) as cache_read_tokens,
+        SUM(input_tokens + output_tokens + 
+            COALESCE(cache_creation_input_tokens, 0) + 
+            COALESCE(cache_read_input_tokens, 0)) as total_tokens,
+        COUNT(DISTINCT session_id) as session_count,
+        MAX(project) as project,
+        MIN(timestamp) as first_activity,
+        MAX(timestamp) as last_activity
+      FROM usage_entries 
+      WHERE ${where.join(' AND ')}
+      GROUP BY ${group.key}
+      ORDER BY ${group.order}
+    `;
+
+    const stmt = this.db.prepare(query);
+    const result = [];
+    try {
+      stmt.bind(params);
+      while (stmt.step()) {
+        result.push(stmt.getAsObject());
+      }
+    } finally {
+      stmt.free();
+    }
+    
+    return result;
+  }
+
   async getDbInfo() {
     // Check for database updates before querying
     await this.refreshIfNeeded();
@@ -419,6 +615,224 @@ class CLIDatabaseService {
     return result;
   }
 
+  /**
+   * Get minimal rows for 5-hour block detection (same columns as Electron DB),
+   * optionally only rows since sinceIso
+   */
+  async getBlockEntries(sinceIso = null) {
+    // Check for database updates before querying
+    await this.refreshIfNeeded();
+
+    const query = `
+      SELECT
+        timestamp,
+        session_id,
+        model,
+        cost,
+        input_tokens,
+        output_tokens,
+        COALESCE(cache_creation_input_tokens, 0) as cache_creation_input_tokens,
+        COALESCE(cache_read_input_tokens, 0) as cache_read_input_tokens
+      FROM usage_entries
+      WHERE timestamp IS NOT NULL AND timestamp != ''${sinceIso ? ' AND timestamp >= ?' : ''}
+      ORDER BY timestamp ASC
+    `;
+
+    const stmt = this.db.prepare(query);
+    const result = [];
+
+    if (sinceIso) {
+      stmt.bind([sinceIso]);
+    }
+    while (stmt.step()) {
+      result.push(stmt.getAsObject());
+    }
+    stmt.free();
+
+    return result;
+  }
+
+  /**
+   * Token counts per type and cost per model (same columns as Electron DB)
+   */
+  async getTokenUsageByModel() {
+    await this.refreshIfNeeded();
+
+    const stmt = this.db.prepare(`
+      SELECT
+        model,
+        COUNT(*) as entry_count,
+        SUM(input_tokens) as input_tokens,
+        SUM(output_tokens) as output_tokens,
+        SUM(COALESCE(cache_creation_input_tokens, 0)) as cache_creation_tokens,
+        SUM(COALESCE(cache_read_input_tokens, 0)) as cache_read_tokens,
+        SUM(cost) as total_cost
+      FROM usage_entries
+      GROUP BY model
+    `);
+    const result = [];
+    while (stmt.step()) {
+      result.push(stmt.getAsObject());
+    }
+    stmt.free();
+
+    return result;
+  }
+
+  /**
+   * All entries of one session in time order (session drill-down)
+   */
+  async getSessionEntries(sessionId) {
+    await this.refreshIfNeeded();
+
+    const stmt = this.db.prepare('SELECT * FROM usage_entries WHERE session_id = ? ORDER BY timestamp ASC');
+    const result = [];
+    stmt.bind([sessionId]);
+    while (stmt.step()) {
+      result.push(stmt.getAsObject());
+    }
+    stmt.free();
+
+    return result;
+  }
+
+  /**
+   * Cost and tokens of one Claude session (full or truncated session id)
+   */
+  async getSessionUsage(sessionId) {
+    await this.refreshIfNeeded();
+
+    const stmt = this.db.prepare(`
+      SELECT 
+        COALESCE(SUM(cost), 0) as total_cost,
+        COALESCE(SUM(input_tokens + output_tokens + 
+            COALESCE(cache_creation_input_tokens, 0) + 
+            COALESCE(cache_read_input_tokens, 0)), 0) as total_tokens,
+        COUNT(*) as entry_count
+      FROM usage_entries 
+      WHERE session_id = ? OR full_session_id = ?
+    `);
+    try {
+      stmt.bind([sessionId, sessionId]);
+      stmt.step();
+      return stmt.getAsObject();
+    } finally {
+      stmt.free();
+    }
+  }
+
+  /**
+   * Total cost since a point in time (e.g. local midnight for "today")
+   */
+  async getCostSince(sinceIso) {
+    await this.refreshIfNeeded();
+
+    const stmt = this.db.prepare('SELECT COALESCE(SUM(cost), 0) as total_cost FROM usage_entries WHERE timestamp >= ?');
+    try {
+      stmt.bind([sinceIso]);
+      stmt.step();
+      return stmt.getAsObject().total_cost;
+    } finally {
+      stmt.free();
+    }
+  }
+
+  /**
+   * Get stats grouped by billing periods (same grouping as DatabaseService)
+   */
+  async getBillingPeriodStats(billingCycleDay = 1, periodCount = 12) {
+    // Check for database updates before querying
+    await this.refreshIfNeeded();
+
+    const query = `
+      SELECT timestamp, cost, input_tokens, output_tokens,
+             COALESCE(cache_creation_input_tokens, 0) as cache_creation_input_tokens,
+             COALESCE(cache_read_input_tokens, 0) as cache_read_input_tokens,
+             session_id
+      FROM usage_entries
+      WHERE timestamp IS NOT NULL AND timestamp != ''
+        AND date(timestamp) >= '2020-01-01'
+    `;
+
+    const stmt = this.db.prepare(query);
+    const periodMap = new Map();
+
+    while (stmt.step()) {
+      const entry = stmt.getAsObject();
+      const entryDate = new Date(entry.timestamp);
+      if (isNaN(entryDate.getTime())) continue;
+
+      const billingPeriod = this.getBillingPeriodForDate(entryDate, billingCycleDay);
+      if (!periodMap.has(billingPeriod.key)) {
+        periodMap.set(billingPeriod.key, {
+          month: billingPeriod.key,
+          billing_period_start: billingPeriod.start.toISOString(),
+          billing_period_end: billingPeriod.end.toISOString(),
+          billing_period_label: billingPeriod.label,
+          entry_count: 0,
+          total_cost: 0,
+          total_tokens: 0,
+          session_ids: new Set(),
+          dates: new Set()
+        });
+      }
+
+      const period = periodMap.get(billingPeriod.key);
+      period.entry_count++;
+      period.total_cost += entry.cost || 0;
+      period.total_tokens += (entry.input_tokens || 0) + (entry.output_tokens || 0) +
+                             entry.cache_creation_input_tokens + entry.cache_read_input_tokens;
+      period.session_ids.add(entry.session_id);
+      period.dates.add(entry.timestamp.split('T')[0]);
+    }
+    stmt.free();
+
+    return Array.from(periodMap.values())
+      .map(({ session_ids, dates, ...period }) => ({
+        ...period,
+        session_count: session_ids.size,
+        active_days: dates.size
+      }))
+      .sort((a, b) => new Date(b.billing_period_start) - new Date(a.billing_period_start))
+      .slice(0, periodCount);
+  }
+
+  /**
+   * Get billing period for a specific date (same logic as DatabaseService)
+   */
+  getBillingPeriodForDate(date, billingCycleDay) {
+    const targetDate = new Date(date);
+    const year = targetDate.getFullYear();
+    const month = targetDate.getMonth();
+    const day = targetDate.getDate();
+
+    let periodStart = new Date(year, month, billingCycleDay);
+    if (day < billingCycleDay) {
+      periodStart = new Date(year, month - 1, billingCycleDay);
+    }
+
+    // Handle months with fewer days (e.g., Feb 30th -> Feb 28th)
+    if (periodStart.getDate() !== billingCycleDay && billingCycleDay > 28) {
+      const targetMonth = day < billingCycleDay ? month - 1 : month;
+      const targetYear = targetMonth < 0 ? year - 1 : year;
+      const adjustedMonth = targetMonth < 0 ? 11 : targetMonth;
+      periodStart = new Date(targetYear, adjustedMonth + 1, 0);
+    }
+
+    let periodEnd = new Date(periodStart.getFullYear(), periodStart.getMonth() + 1, billingCycleDay);
+    if (periodEnd.getDate() !== billingCycleDay && billingCycleDay > 28) {
+      periodEnd = new Date(periodEnd.getFullYear(), periodEnd.getMonth() + 1, 0);
+    }
+    periodEnd = new Date(periodEnd.getTime() - 1);
+
+    return {
+      start: periodStart,
+      end: periodEnd,
+      key: `${periodStart.getFullYear()}-${String(periodStart.getMonth() + 1).padStart(2, '0')}-${String(billingCycleDay).padStart(2, '0')}`,
+      label: `${periodStart.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} - ${periodEnd.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`
+    };
+  }
+
   /**
    * Get last processed timestamp from database
    */
@@ -436,35 +850,52 @@ class CLIDatabaseService {
 
   /**
    * Insert a single entry into database
+   * @param {Object} entry - Usage entry
+   * @param {Object} options - { persist: write the database file afterwards (default true) }
+   * @returns {boolean} true if the entry was new
    */
-  insertEntry(entry) {
+  insertEntry(entry, options = {}) {
+    const { persist = true } = options;
     try {
-      // Use INSERT OR IGNORE to handle duplicates gracefully
+      // Same columns as DatabaseService.insertEntry, so rows written by either app share
+      // the UNIQUE(timestamp, session_id, file_path) and message/request id dedup keys
       const stmt = this.db.prepare(`
         INSERT OR IGNORE INTO usage_entries (
-          timestamp, session_id, model, project,
+          timestamp, session_id, full_session_id, model, project,
           input_tokens, output_tokens, cache_creation_input_tokens, 
-          cache_read_input_tokens, cost
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+          cache_read_input_tokens, total_tokens, cost, file_path, uuid, cwd,
+          message_id, request_id, source
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `);
       
       stmt.run([
         entry.timestamp,
-        entry.session_id,
+        entry.sessionId,
+        entry.fullSessionId || null,
         entry.model,
         entry.project,
         entry.input_tokens || 0,
         entry.output_tokens || 0,
         entry.cache_creation_input_tokens || 0,
         entry.cache_read_input_tokens || 0,
-        entry.cost || 0
+        entry.total_tokens || 0,
+        entry.cost || 0,
+        entry.file || null,
+        entry.uuid || null,
+        entry.cwd || null,
+        entry.message_id || null,
+        entry.request_id || null,
+        entry.source || 'local'
       ]);
       
       stmt.free();
+      const inserted = this.db.getRowsModified() > 0;
       
       // Save to file after insert (for sql.js persistence)
-      this.saveToFile();
-      return true;
+      if (persist) {
+        this.saveToFile();
+      }
+      return inserted;
     } catch (error) {
       // Silent error - might be database lock or other issue
       return false;
@@ -473,19 +904,134 @@ class CLIDatabaseService {
 
   /**
    * Insert batch of entries
+   * @param {Array} entries - Usage entries
+   * @param {Object} options - { persist: write the database file afterwards (default true) }
+   * @returns {number} Number of entries that were not duplicates
    */
-  insertBatch(entries) {
+  insertBatch(entries, options = {}) {
+    const { persist = true } = options;
+    let inserted = 0;
     try {
       for (const entry of entries) {
-        this.insertEntry(entry);
+        if (this.insertEntry(entry, { persist: false })) {
+          inserted++;
+        }
       }
       
       // Save database to file after batch insert (important for sql.js!)
-      this.saveToFile();
-      return true;
+      if (persist) {
+        this.saveToFile();
+      }
     } catch (error) {
-      return false;
+      // Silent error
     }
+    return inserted;
+  }
+
+  /**
+   * Read position of a JSONL file from the ingestion ledger (see services/jsonl-ingest.cjs)
+   */
+  getIngestState(filePath) {
+    const stmt = this.db.prepare(`
+      SELECT file_path, inode, size, byte_offset, mtime FROM ingest_ledger WHERE file_path = ?
+    `);
+    try {
+      stmt.bind([filePath]);
+      if (!stmt.step()) return null;
+      const row = stmt.getAsObject();
+      return {
+        filePath: row.file_path,
+        inode: row.inode,
+        size: row.size,
+        offset: row.byte_offset,
+        mtime: row.mtime
+      };
+    } finally {
+      stmt.free();
+    }
+  }
+
+  /**
+   * All ledger rows (ingest lag metrics)
+   */
+  getIngestLedger() {
+    const stmt = this.db.prepare(`
+      SELECT file_path, size, byte_offset, mtime, updated_at FROM ingest_ledger
+    `);
+    const result = [];
+    while (stmt.step()) {
+      result.push(stmt.getAsObject());
+    }
+    stmt.free();
+
+    return result;
+  }
+
+  /**
+   * Dated price snapshots per model (see ModelPriceService)
+   */
+  getPriceHistory() {
+    const stmt = this.db.prepare(`
+      SELECT model, effective_from, input, output, cache_write, cache_read, source
+      FROM price_history
+      ORDER BY model, effective_from ASC
+    `);
+    const rows = [];
+    try {
+      while (stmt.step()) {
+        const row = stmt.getAsObject();
+        rows.push({
+          model: row.model,
+          effectiveFrom: row.effective_from,
+          input: row.input,
+          output: row.output,
+          cacheWrite: row.cache_write,
+          cacheRead: row.cache_read,
+          source: row.source
+        });
+      }
+    } finally {
+      stmt.free();
+    }
+    return rows;
+  }
+
+  /**
+   * One page of rows for the CSV/TSV entry export (see services/entry-export.cjs)
+   */
+  getEntryExportPage(filters, cursor, limit) {
+    const { sql, params } = buildEntryExportQuery(filters, cursor, limit);
+    const stmt = this.db.prepare(sql);
+    const rows = [];
+    try {
+      stmt.bind(params);
+      while (stmt.step()) {
+        rows.push(stmt.getAsObject());
+      }
+    } finally {
+      stmt.free();
+    }
+    return rows;
+  }
+
+  /**
+   * Store a price snapshot (persisted with the next saveToFile)
+   */
+  recordPriceSnapshot(model, prices, effectiveFrom, source) {
+    this.db.run(`
+      INSERT OR REPLACE INTO price_history (model, effective_from, input, output, cache_write, cache_read, source)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [model, effectiveFrom, prices.input, prices.output, prices.cacheWrite, prices.cacheRead, source]);
+  }
+
+  /**
+   * Store the read position of a JSONL file (persisted with the next saveToFile)
+   */
+  saveIngestState(state) {
+    this.db.run(`
+      INSERT OR REPLACE INTO ingest_ledger (file_path, inode, size, byte_offset, mtime, updated_at)
+      VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `, [state.filePath, state.inode, state.size, state.offset, state.mtime]);
   }
 
   /**
@@ -496,6 +1042,13 @@ class CLIDatabaseService {
       if (this.db && this.dbPath) {
         const data = this.db.export();
         const fs = require('fs');
+        
+        // Keep the pre-migration file before overwriting it with the migrated schema
+        if (this.pendingMigrationBackup !== null && fs.existsSync(this.dbPath)) {
+          fs.copyFileSync(this.dbPath, `${this.dbPath}.pre-migration-v${this.pendingMigrationBackup}-${Date.now()}`);
+          this.pendingMigrationBackup = null;
+        }
+        
         fs.writeFileSync(this.dbPath, data);
       }
     } catch (error) {
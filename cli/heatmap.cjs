@@ -0,0 +1,159 @@
+/**
+ * CLI Heatmap Command (CommonJS)
+ * `dragon-ui-claude-cli heatmap` prints when usage happens as a shaded
+ * weekday x hour grid in the configured time zone (settings.timezone or
+ * --timezone), the terminal version of the heatmap on the GUI Daily page.
+ *
+ * Same conventions as `report`: stdout only carries the heatmap, costs are
+ * in USD. Exit codes: 0 success, 1 database/runtime error, 2 invalid arguments.
+ */
+
+const { colors, setColorMode, initChalk } = require('./components/colors.cjs');
+const {
+  HEATMAP_METRICS,
+  HeatmapError,
+  resolveTimezone,
+  buildUsageHeatmap
+} = require('../services/usage-heatmap.cjs');
+
+const HEATMAP_FORMATS = ['json', 'table'];
+
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_USAGE = 2;
+
+// Empty hour, then four levels relative to the busiest hour
+const SHADES = ['·', '░', '▒', '▓', '█'];
+
+const METRIC_LABELS = {
+  cost: 'cost (USD)',
+  tokens: 'tokens',
+  entries: 'requests'
+};
+
+class UsageError extends Error {}
+
+function parseDayOption(name, value) {
+  if (!value) return null;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(`${value}T00:00:00Z`).getTime())) {
+    throw new UsageError(`Invalid --${name} date "${value}" (expected YYYY-MM-DD)`);
+  }
+  return value;
+}
+
+function formatValue(metric, value) {
+  if (metric === 'cost') return `$${value.toFixed(2)}`;
+  return value.toLocaleString('en-US');
+}
+
+function getShade(value, max) {
+  if (!value || max <= 0) return SHADES[0];
+  return SHADES[Math.min(SHADES.length - 1, 1 + Math.floor((value / max) * (SHADES.length - 1)))];
+}
+
+function formatHour(hour) {
+  return `${String(hour).padStart(2, '0')}:00`;
+}
+
+function formatGrid(heatmap, metric) {
+  const max = heatmap.max[metric];
+  const lines = [
+    `${colors.title(`Usage heatmap - ${METRIC_LABELS[metric]}`)} ${colors.subtitle(`• ${heatmap.timezone}`)}`,
+    ''
+  ];
+
+  // Two characters per hour, a label every three hours
+  const hourLabels = Array.from({ length: 8 }, (_, index) => String(index * 3).padStart(2, '0').padEnd(6)).join('').trimEnd();
+  lines.push(`     ${colors.subtitle(hourLabels)}`);
+
+  heatmap.cells.forEach((hours, weekday) => {
+    const cells = hours.map(cell => {
+      const shade = getShade(cell[metric], max);
+      return cell[metric] > 0 ? colors.primary(shade.repeat(2)) : colors.inactive(shade.repeat(2));
+    }).join('');
+    const total = hours.reduce((sum, cell) => sum + cell[metric], 0);
+    lines.push(`${colors.highlight(heatmap.weekdays[weekday].padEnd(5))}${cells}  ${colors.number(formatValue(metric, total))}`);
+  });
+
+  lines.push('');
+  lines.push(colors.subtitle(`${SHADES[0]} none  ${SHADES.slice(1).join(' ')} low → high (busiest hour: ${formatValue(metric, max)})`));
+  if (heatmap.peak) {
+    const { weekday, hour } = heatmap.peak;
+    const peak = heatmap.cells[weekday][hour];
+    lines.push(`Peak: ${colors.highlight(`${heatmap.weekdays[weekday]} ${formatHour(hour)}-${formatHour((hour + 1) % 24)}`)} • ` +
+      `${colors.currency(formatValue('cost', peak.cost))} • ${formatValue('tokens', peak.tokens)} tokens`);
+  }
+  lines.push(`Total: ${colors.currency(formatValue('cost', heatmap.totals.cost))} • ` +
+    `${formatValue('tokens', heatmap.totals.tokens)} tokens • ${formatValue('entries', heatmap.totals.entries)} requests`);
+
+  return lines.join('\n');
+}
+
+/**
+ * Run the heatmap command
+ * @param {Object} options - { metric, timezone, since, until, project, format, refresh, color, verbose }
+ * @param {Object} settings - CLI settings (cli/settings.cjs)
+ * @returns {Promise<number>} Process exit code
+ */
+async function runHeatmap(options, settings) {
+  const originalLog = console.log;
+
+  try {
+    const format = (options.format || 'table').toLowerCase();
+    if (!HEATMAP_FORMATS.includes(format)) {
+      throw new UsageError(`Unknown format "${options.format}" (expected ${HEATMAP_FORMATS.join(', ')})`);
+    }
+    const metric = options.metric || 'cost';
+    if (!HEATMAP_METRICS.includes(metric)) {
+      throw new UsageError(`Unknown metric "${metric}" (expected ${HEATMAP_METRICS.join(', ')})`);
+    }
+    const timezone = resolveTimezone(options.timezone || settings.timezone);
+    const filter = {
+      from: parseDayOption('since', options.since),
+      to: parseDayOption('until', options.until),
+      project: options.project || null
+    };
+
+    await initChalk();
+    setColorMode(options.color !== false && settings.useColors && process.stdout.isTTY === true);
+
+    // Keep service logs (path scan, price updates) out of the output
+    console.log = options.verbose ? (...args) => console.error(...args) : () => {};
+
+    const CLIDataAdapter = require('./data-adapter.cjs');
+    const dataAdapter = new CLIDataAdapter(settings);
+    if (!(await dataAdapter.init())) {
+      throw new Error('Failed to initialize database. Run the Electron app once to create it.');
+    }
+    if (options.refresh !== false) {
+      await dataAdapter.forceRefreshData();
+    }
+
+    const heatmap = buildUsageHeatmap(await dataAdapter.db.getHeatmapBuckets(filter), { timezone });
+
+    console.log = originalLog;
+    if (format === 'json') {
+      console.log(JSON.stringify({
+        ...heatmap,
+        filter,
+        currency: 'USD',
+        generatedAt: new Date().toISOString()
+      }, null, 2));
+    } else if (heatmap.totals.entries === 0) {
+      console.log(colors.subtitle('No usage in the selected range'));
+    } else {
+      console.log(formatGrid(heatmap, metric));
+    }
+
+    return EXIT_OK;
+  } catch (error) {
+    console.log = originalLog;
+    console.error(`Error: ${error.message}`);
+    return error instanceof UsageError || error instanceof HeatmapError ? EXIT_USAGE : EXIT_ERROR;
+  }
+}
+
+module.exports = {
+  HEATMAP_FORMATS,
+  runHeatmap
+};
@@ -0,0 +1,175 @@
+/**
+ * CLI Metrics Server (CommonJS)
+ * `dragon-ui-claude-cli serve-metrics` exposes Prometheus / OpenMetrics metrics
+ * at /metrics without the desktop app, e.g. on a headless machine scraped by a
+ * team Prometheus. Optionally scans the JSONL files for new entries on an
+ * interval, like the interactive dashboard does.
+ *
+ * Prometheus scrape config:
+ *   - job_name: dragon-ui
+ *     static_configs: [{ targets: ['127.0.0.1:9737'] }]
+ *     authorization: { credentials: '<token>' }   # only with --token
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const { MetricsExporter } = require('../services/metrics-exporter.cjs');
+
+const DEFAULT_METRICS_PORT = 9737;
+const METRICS_PATH = '/metrics';
+
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_USAGE = 2;
+
+class UsageError extends Error {}
+
+function parsePort(value) {
+  const port = parseInt(value, 10);
+  if (!Number.isInteger(port) || port < 1 || port > 65535 || String(port) !== String(value).trim()) {
+    throw new UsageError(`Invalid --port "${value}" (expected 1-65535)`);
+  }
+  return port;
+}
+
+function parseScanInterval(value) {
+  const seconds = Number(value);
+  if (!Number.isFinite(seconds) || seconds < 0) {
+    throw new UsageError(`Invalid --scan-interval "${value}" (expected seconds, 0 to disable)`);
+  }
+  return seconds;
+}
+
+function isAuthorized(req, token) {
+  if (!token) return true;
+
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (!match) return false;
+
+  const given = Buffer.from(match[1].trim());
+  const expected = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+async function handleMetricsRequest(req, res, exporter, token) {
+  let pathname;
+  try {
+    pathname = new URL(req.url, 'http://localhost').pathname;
+  } catch (error) {
+    res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+    return res.end('Bad request\n');
+  }
+
+  if (req.method !== 'GET') {
+    res.writeHead(405, { 'Content-Type': 'text/plain; charset=utf-8', Allow: 'GET' });
+    return res.end('Method not allowed\n');
+  }
+  if (pathname === '/') {
+    res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+    return res.end(`Dragon UI metrics exporter - scrape ${METRICS_PATH}\n`);
+  }
+  if (pathname !== METRICS_PATH) {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    return res.end('Not found\n');
+  }
+  if (!isAuthorized(req, token)) {
+    res.writeHead(401, { 'Content-Type': 'text/plain; charset=utf-8', 'WWW-Authenticate': 'Bearer' });
+    return res.end('Missing or invalid token\n');
+  }
+
+  try {
+    const { contentType, body } = await exporter.render(req.headers.accept);
+    res.writeHead(200, { 'Content-Type': contentType, 'Cache-Control': 'no-store' });
+    res.end(body);
+  } catch (error) {
+    console.error(`[METRICS] Scrape failed: ${error.message}`);
+    res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(`Error: ${error.message}\n`);
+  }
+}
+
+/**
+ * HTTP server answering GET /metrics
+ */
+function createMetricsServer(exporter, token) {
+  return http.createServer((req, res) => {
+    // A failing request must never take the exporter down
+    handleMetricsRequest(req, res, exporter, token).catch(error => {
+      console.error(`[METRICS] Request failed: ${error.message}`);
+      if (!res.headersSent) {
+        res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+      }
+      res.end(`Error: ${error.message}\n`);
+    });
+  });
+}
+
+/**
+ * Run the metrics server until SIGINT/SIGTERM
+ * @param {Object} options - { port, host, token, scanInterval, verbose }
+ * @param {Object} settings - CLI settings (paths for the JSONL scan)
+ * @returns {Promise<number>} Process exit code
+ */
+async function runServeMetrics(options, settings) {
+  const originalLog = console.log;
+  try {
+    const port = parsePort(options.port ?? DEFAULT_METRICS_PORT);
+    const scanSeconds = parseScanInterval(options.scanInterval ?? 60);
+    const host = options.host || '127.0.0.1';
+    const token = options.token || process.env.DRAGON_UI_METRICS_TOKEN || null;
+
+    // Service logs (path scan, price updates) only with --verbose, on stderr
+    console.log = options.verbose ? (...args) => console.error(...args) : () => {};
+
+    // Loaded on demand: the adapter pulls in the price service, which other commands don't need
+    const CLIDataAdapter = require('./data-adapter.cjs');
+    const dataAdapter = new CLIDataAdapter(settings);
+    if (!(await dataAdapter.init())) {
+      throw new Error('Failed to initialize database. Run the Electron app once to create it.');
+    }
+
+    const exporter = new MetricsExporter(dataAdapter.db);
+    const server = createMetricsServer(exporter, token);
+
+    await new Promise((resolve, reject) => {
+      server.once('error', error => reject(error.code === 'EADDRINUSE' ? new Error(`Port ${port} is already in use`) : error));
+      server.listen(port, host, resolve);
+    });
+
+    originalLog(`[METRICS] Serving http://${host.includes(':') ? `[${host}]` : host}:${port}${METRICS_PATH}${token ? ' (bearer token required)' : ''}`);
+    if (!token && !['127.0.0.1', 'localhost', '::1'].includes(host)) {
+      console.error('[METRICS] Warning: listening beyond localhost without --token');
+    }
+
+    // Pick up new JSONL entries without the desktop app running
+    let refreshTimer = null;
+    if (scanSeconds > 0) {
+      const refresh = async () => {
+        await dataAdapter.forceRefreshData();
+        refreshTimer = setTimeout(refresh, scanSeconds * 1000);
+      };
+      await refresh();
+    }
+
+    return await new Promise(resolve => {
+      const shutdown = () => {
+        clearTimeout(refreshTimer);
+        server.close(() => resolve(EXIT_OK));
+        // Idle keep-alive connections would hold close() open
+        server.closeAllConnections?.();
+      };
+      process.once('SIGINT', shutdown);
+      process.once('SIGTERM', shutdown);
+    });
+  } catch (error) {
+    console.log = originalLog;
+    console.error(`Error: ${error.message}`);
+    return error instanceof UsageError ? EXIT_USAGE : EXIT_ERROR;
+  }
+}
+
+module.exports = {
+  DEFAULT_METRICS_PORT,
+  createMetricsServer,
+  runServeMetrics
+};
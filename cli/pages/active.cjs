@@ -16,6 +16,15 @@ function createProgressBar(value, maxValue, width = 30) {
   return colors.success('█'.repeat(filled)) + colors.inactive('░'.repeat(empty));
 }
 
+function formatTimeUntilLimit(projection) {
+  if (!projection) return 'No limit data';
+  if (projection.warningLevel === 'exceeded') return 'LIMIT REACHED';
+  if (projection.minutesUntilLimit === null) return 'Not reached in this block';
+  
+  const minutes = projection.minutesUntilLimit;
+  return `Limit in ${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
 async function showActivePage(dataAdapter, settings) {
   console.log(showPageHeader('Active Session', 'Real-time session monitoring and current activity'));
   
@@ -37,23 +46,25 @@ async function showActivePage(dataAdapter, settings) {
     console.log('');
     
     // Session Progress (3 progress bars exactly like Electron UI)
-    const duration = data.activeSession.duration || 0; // Duration in minutes from database
+    const duration = data.activeSession.duration || 0; // Minutes elapsed in the current 5-hour block
     const totalSessionTime = 300; // 5 hours = 300 minutes (fixed limit)
-    const timeLeft = Math.max(0, totalSessionTime - duration);
+    const timeLeft = data.activeSession.timeLeft ?? Math.max(0, totalSessionTime - duration);
     
     // Use Electron UI formula: (duration / (duration + timeLeft)) * 100
     const sessionProgress = duration && timeLeft ? (duration / (duration + timeLeft)) * 100 : 0;
     
-    // Token burn rate calculation (exactly like Electron UI)
+    // Burn rate + limit projection from the block calculator (same as Electron UI)
+    const projection = data.blockProjection;
     const currentTokens = data.activeSession.totalTokens || 0;
-    const tokenBurnRate = duration > 0 ? Math.round(currentTokens / duration) : 0;
+    const tokenBurnRate = projection ? projection.tokensPerMinute : 0;
+    const limitWarning = projection ? projection.warningLevel !== 'ok' : false;
     
     // Use Electron UI threshold: 150,000 tokens/min for high activity
     const highActivityThreshold = 150000;
     const usageProgress = Math.min(100, (tokenBurnRate / highActivityThreshold) * 100);
     
     // Projection calculations (exactly like Electron UI)
-    const projectedTokens = tokenBurnRate > 0 ? Math.round(tokenBurnRate * totalSessionTime) : 0;
+    const projectedTokens = projection ? projection.projectedTokens : 0;
     const projectionProgress = projectedTokens > 0 ? Math.min(100, (currentTokens / projectedTokens) * 100) : 0;
     
     console.log(colors.primary('📊 Session Progress'));
@@ -74,12 +85,23 @@ async function showActivePage(dataAdapter, settings) {
     
     // 3. Projection Bar
     const costPerToken = currentTokens > 0 ? (data.activeSession.totalCost || 0) / currentTokens : 0;
-    const projectedCost = projectedTokens * costPerToken;
+    const projectedCost = projection ? projection.projectedCost : 0;
     const projectionBar = createProgressBar(projectionProgress, 100, 30);
+    const projectionStatus = limitWarning ? colors.warning('[HIGH BURN]') : '[ON TRACK]';
     console.log(`${colors.primary('Projection:')} ${projectionBar} ${formatNumber(projectedTokens)} tokens`);
-    console.log(`             Status: ${tokenBurnRate > 150 ? '[HIGH BURN]' : '[ON TRACK]'} | Projected: ${formatCurrency(projectedCost, data.activeSession.currency)}`);
+    console.log(`             Status: ${projectionStatus} | Projected: ${formatCurrency(projectedCost, data.activeSession.currency)}`);
     console.log('');
     
+    // 4. Block Limit Bar
+    const timeUntilLimit = formatTimeUntilLimit(projection);
+    if (projection && projection.tokenLimit > 0) {
+      const limitBar = createProgressBar(projection.tokenUsagePercent, 100, 30);
+      const limitSource = projection.tokenLimitSource === 'auto' ? 'auto' : 'custom';
+      console.log(`${colors.primary('Limit:')}      ${limitBar} ${projection.tokenUsagePercent.toFixed(1)}% of ${formatNumber(projection.tokenLimit)} (${limitSource})`);
+      console.log(`             ${limitWarning ? colors.warning(timeUntilLimit) : timeUntilLimit}`);
+      console.log('');
+    }
+    
     // Session Overview (2 cards like electron)
     console.log(colors.primary('📋 Session Overview'));
     console.log('─'.repeat(50));
@@ -91,6 +113,9 @@ async function showActivePage(dataAdapter, settings) {
       ['Session Progress', `${sessionProgress.toFixed(1)}%`],
       ['Status', colors.success('ACTIVE')],
       ['Session ID', data.activeSession.sessionId ? data.activeSession.sessionId.substring(0, 12) + '...' : 'Unknown'],
+      ['Block Window', `${formatDate(data.activeSession.startTime, { relative: false, showTime: true })} - ${formatDate(data.activeSession.endTime, { relative: false, showTime: true })}`],
+      ['Block Entries', formatNumber(data.activeSession.entryCount || 0)],
+      ['Models', data.activeSession.models.length > 0 ? data.activeSession.models.join(', ') : 'Unknown'],
       ['Last Activity', formatDate(data.activeSession.lastActivity)]
     ];
     
@@ -112,6 +137,7 @@ async function showActivePage(dataAdapter, settings) {
       ['Cost per Token', costPerToken > 0 ? `$${(costPerToken * 1000000).toFixed(2)}/M` : '$0.00'],
       ['Projected Tokens', formatNumber(projectedTokens)],
       ['Projected Cost', formatCurrency(projectedCost, data.activeSession.currency)],
+      ['Time Until Limit', limitWarning ? colors.warning(timeUntilLimit) : timeUntilLimit],
       ['Time Remaining', `${Math.floor(timeLeft / 60)}h ${timeLeft % 60}m`],
       ['Activity Level', tokenBurnRate > 150 ? 'HIGH' : 'NORMAL']
     ];
@@ -124,6 +150,28 @@ async function showActivePage(dataAdapter, settings) {
     console.log(perfTable);
     console.log('');
     
+    // Recent 5-hour billing blocks
+    if (data.recentBlocks && data.recentBlocks.length > 0) {
+      console.log(colors.primary('🧱 Recent 5-Hour Blocks'));
+      console.log('─'.repeat(50));
+      console.log('');
+      
+      const blockRows = data.recentBlocks.map(block => [
+        formatDate(block.startTime, { relative: false, showTime: true }),
+        block.isActive ? colors.success('ACTIVE') : colors.inactive('EXPIRED'),
+        formatNumber(block.totalTokens),
+        formatCurrency(block.totalCost, data.activeSession.currency)
+      ]);
+      
+      const blocksTable = createTable(['Started', 'State', 'Tokens', 'Cost'], blockRows, {
+        style: settings.tableStyle,
+        compact: settings.compactMode
+      });
+      
+      console.log(blocksTable);
+      console.log('');
+    }
+    
   } catch (error) {
     console.log(colors.error('✗ Error loading active session data: ' + error.message));
     console.log('');
@@ -95,7 +95,48 @@ async function showMonthlyPage(dataAdapter, settings) {
     
     console.log(monthsTable);
     console.log('');
-    
+
+    // Plan Value (subscription ROI per billing period)
+    const planRoi = data.planRoi;
+    if (planRoi && planRoi.periods.length > 0) {
+      console.log(colors.primary(`💎 Plan Value • ${planRoi.planName}`));
+      console.log('─'.repeat(50));
+      console.log('');
+
+      if (!planRoi.isSubscription) {
+        console.log('  ' + colors.subtitle('API plan: costs above are what you pay, no subscription to compare against'));
+        console.log('');
+      } else {
+        const formatRatio = (ratio) => ratio !== null ? `${ratio.toFixed(1)}x` : 'N/A';
+        const formatNet = (net) => net >= 0 ?
+          colors.success('+' + formatCurrency(net, data.summary.currency)) :
+          colors.warning(formatCurrency(net, data.summary.currency));
+
+        const roiRows = planRoi.periods.map(period => [
+          period.isCurrent ? `${period.label} (Current)` : period.label,
+          formatCurrency(period.apiValue, data.summary.currency),
+          formatCurrency(period.subscriptionPrice, data.summary.currency),
+          formatRatio(period.valueRatio),
+          formatNet(period.netValue)
+        ]);
+        roiRows.push([
+          'Total',
+          formatCurrency(planRoi.totalApiValue, data.summary.currency),
+          formatCurrency(planRoi.totalSubscriptionCost, data.summary.currency),
+          formatRatio(planRoi.valueRatio),
+          formatNet(planRoi.totalNetValue)
+        ]);
+
+        const roiTable = createTable(['Billing Period', 'API Value', 'Plan Price', 'Value Ratio', 'Net Value'], roiRows, {
+          style: settings.tableStyle,
+          compact: settings.compactMode
+        });
+
+        console.log(roiTable);
+        console.log('');
+      }
+    }
+
   } catch (error) {
     console.log(colors.error('✗ Error loading monthly data: ' + error.message));
     console.log('');
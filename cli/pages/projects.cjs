@@ -4,11 +4,15 @@
  */
 
 const { colors } = require('../components/colors.cjs');
-const { createTable } = require('../components/table.cjs');
+const { createTable, createPaginatedTable } = require('../components/table.cjs');
 const { formatCurrency, formatNumber, formatDate } = require('../components/formatting.cjs');
 const { showPageHeader, showLoading } = require('../utils/navigation.cjs');
 
-async function showProjectsPage(dataAdapter, settings) {
+/**
+ * @param {Object} tableQuery - search/sort/date range/page of the breakdown table
+ *   (see services/usage-query.cjs), kept by the dashboard between refreshes
+ */
+async function showProjectsPage(dataAdapter, settings, tableQuery = { pageSize: 10 }) {
   console.log(showPageHeader('Projects', 'Project breakdown and analytics'));
   
   try {
@@ -74,15 +78,16 @@ async function showProjectsPage(dataAdapter, settings) {
     console.log('─'.repeat(50));
     console.log('');
     
-    // Sort projects by cost (descending)
-    const sortedProjects = data.projects.sort((a, b) => (b.totalCost || 0) - (a.totalCost || 0));
+    const page = await dataAdapter.queryProjects(tableQuery);
+    const offset = (page.page - 1) * page.pageSize;
     
-    const projectRows = sortedProjects.map((project, index) => {
+    const projectRows = page.rows.map((project, index) => {
       const percentage = data.summary.totalCost > 0 ? 
         (((project.totalCost || 0) / data.summary.totalCost) * 100).toFixed(1) : '0.0';
       
       return [
-        project.name || `Project ${index + 1}`,
+        String(offset + index + 1),
+        project.name || `Project ${offset + index + 1}`,
         formatCurrency(project.totalCost || 0, project.currency),
         formatNumber(project.totalTokens || 0),
         formatNumber(project.sessionCount || 0),
@@ -92,9 +97,15 @@ async function showProjectsPage(dataAdapter, settings) {
       ];
     });
     
-    const projectsTable = createTable(
-      ['Project', 'Cost', 'Tokens', 'Sessions', 'Avg/Session', '% Total', 'Last Activity'], 
+    if (projectRows.length === 0) {
+      console.log('  ' + colors.subtitle('No projects match the current filters'));
+      console.log('');
+    }
+    
+    const projectsTable = createPaginatedTable(
+      ['#', 'Project', 'Cost', 'Tokens', 'Sessions', 'Avg/Session', '% Total', 'Last Activity'], 
       projectRows, 
+      page,
       {
         style: settings.tableStyle,
         compact: settings.compactMode
@@ -109,6 +120,7 @@ async function showProjectsPage(dataAdapter, settings) {
     console.log('');
   }
   
+  console.log(colors.subtitle('Table: [f <text>] Search [t <from> [to]] Date range [o <column>] Sort [n] Next [p] Previous'));
   console.log(colors.subtitle('Commands: [0] Menu [1] Overview [2] Projects [3] Sessions [4] Monthly [5] Daily [6] Active [r] Refresh [q] Quit'));
 }
 
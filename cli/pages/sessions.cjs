@@ -1,14 +1,19 @@
 /**
  * CLI Sessions Page (CommonJS)
- * Session history exactly like electron UI
+ * Session history exactly like electron UI, plus the session detail subpage
+ * (`d <#>` from the history table)
  */
 
 const { colors } = require('../components/colors.cjs');
-const { createTable } = require('../components/table.cjs');
-const { formatCurrency, formatNumber, formatDate, formatDuration } = require('../components/formatting.cjs');
+const { createTable, createPaginatedTable } = require('../components/table.cjs');
+const { formatCurrency, formatNumber, formatDate, formatDuration, formatModel } = require('../components/formatting.cjs');
 const { showPageHeader, showLoading } = require('../utils/navigation.cjs');
 
-async function showSessionsPage(dataAdapter, settings) {
+/**
+ * @param {Object} tableQuery - search/sort/date range/page of the history table
+ *   (see services/usage-query.cjs), kept by the dashboard between refreshes
+ */
+async function showSessionsPage(dataAdapter, settings, tableQuery = { pageSize: 10 }) {
   console.log(showPageHeader('Sessions', 'Session history and detailed statistics'));
   
   try {
@@ -25,14 +30,14 @@ async function showSessionsPage(dataAdapter, settings) {
 
     // Header info (like electron)
     const validSessions = data.sessions.filter(s => s.totalCost > 0).length;
-    console.log(colors.primary(`⚡ ${data.summary.totalSessions} / 50 Sessions • ${validSessions} / 50 Valid • ${data.summary.currency}`));
+    console.log(colors.primary(`⚡ ${data.summary.totalSessions} Sessions • ${validSessions} Valid • ${data.summary.currency}`));
     console.log('─'.repeat(50));
     console.log('');
     
     // Summary Stats (3 cards like electron)
     const summaryStats = [
-      ['Total Sessions', `${data.summary.totalSessions} / 50`],
-      ['Valid Sessions', `${validSessions} / 50`],
+      ['Total Sessions', String(data.summary.totalSessions)],
+      ['Valid Sessions', String(validSessions)],
       ['Total Cost', formatCurrency(data.summary.totalCost || 0, data.summary.currency)]
     ];
     
@@ -74,21 +79,32 @@ async function showSessionsPage(dataAdapter, settings) {
     console.log('─'.repeat(50));
     console.log('');
     
-    const sessionRows = data.sessions.slice(0, 10).map((session, index) => {
+    const page = await dataAdapter.querySessions(tableQuery);
+    const offset = (page.page - 1) * page.pageSize;
+    
+    const sessionRows = page.rows.map((session, index) => {
       return [
-        session.sessionId || `#${index + 1}`,
+        String(offset + index + 1),
+        session.sessionId || `#${offset + index + 1}`,
+        session.project,
         formatCurrency(session.totalCost || 0, session.currency),
         formatNumber(session.totalTokens || 0),
         formatDuration(session.duration || 0),
         formatNumber(session.entryCount || 0),
         formatDate(session.startTime),
-        session.endTime ? formatDate(session.endTime) : (index === 0 ? 'Active' : 'Unknown')
+        session.endTime ? formatDate(session.endTime) : 'Unknown'
       ];
     });
     
-    const sessionsTable = createTable(
-      ['Session ID', 'Cost', 'Tokens', 'Duration', 'Conversations', 'Started', 'Status'], 
+    if (sessionRows.length === 0) {
+      console.log('  ' + colors.subtitle('No sessions match the current filters'));
+      console.log('');
+    }
+    
+    const sessionsTable = createPaginatedTable(
+      ['#', 'Session ID', 'Project', 'Cost', 'Tokens', 'Duration', 'Conversations', 'Started', 'Last Activity'], 
       sessionRows, 
+      page,
       {
         style: settings.tableStyle,
         compact: settings.compactMode
@@ -96,12 +112,6 @@ async function showSessionsPage(dataAdapter, settings) {
     );
     
     console.log(sessionsTable);
-    
-    if (data.sessions.length > 10) {
-      console.log('');
-      console.log(colors.subtitle(`Showing 10 of ${data.sessions.length} total sessions`));
-    }
-    
     console.log('');
     
   } catch (error) {
@@ -109,7 +119,127 @@ async function showSessionsPage(dataAdapter, settings) {
     console.log('');
   }
   
+  console.log(colors.subtitle('Table: [d <#>] Session details [f <text>] Search [t <from> [to]] Date range [o <column>] Sort [n] Next [p] Previous'));
   console.log(colors.subtitle('Commands: [0] Menu [1] Overview [2] Projects [3] Sessions [4] Monthly [5] Daily [6] Active [r] Refresh [q] Quit'));
 }
 
-module.exports = showSessionsPage;
\ No newline at end of file
+function formatMinutes(minutes) {
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+function formatTimeOfDay(timestamp) {
+  return new Date(timestamp).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false });
+}
+
+/**
+ * Session detail subpage: per-message timeline, model switches, cache hit
+ * ratio, idle gaps and working directories of one session row
+ */
+async function showSessionDetailPage(dataAdapter, settings, sessionKey) {
+  console.log(showPageHeader('Session Detail', `Session ${sessionKey}`));
+
+  const tableOptions = { style: settings.tableStyle, compact: settings.compactMode };
+
+  try {
+    const loadingStop = showLoading('Loading session...');
+    const detail = await dataAdapter.getSessionDetail(sessionKey);
+    loadingStop();
+
+    if (!detail) {
+      console.log('  ' + colors.subtitle(`Session ${sessionKey} not found`));
+      console.log('');
+    } else {
+      const summary = [
+        ['Project', detail.project || 'Unknown'],
+        ['Machine', detail.source],
+        ['Started', formatDate(detail.startTime)],
+        ['Ended', formatDate(detail.endTime)],
+        ['Duration', `${formatMinutes(detail.durationMinutes)} (${formatMinutes(detail.activeMinutes)} active)`],
+        ['Messages', formatNumber(detail.entryCount)],
+        ['Cost', formatCurrency(detail.totalCost, detail.currency)],
+        ['Tokens', `${formatNumber(detail.totalTokens)} (in ${formatNumber(detail.tokens.inputTokens)}, out ${formatNumber(detail.tokens.outputTokens)}, cache write ${formatNumber(detail.tokens.cacheCreationTokens)}, cache read ${formatNumber(detail.tokens.cacheReadTokens)})`],
+        ['Cache Hit Ratio', `${(detail.cacheHitRatio * 100).toFixed(1)}% of prompt tokens`]
+      ];
+      console.log(createTable(['Property', 'Value'], summary, tableOptions));
+      console.log('');
+
+      // Models and switches
+      console.log(colors.primary('🤖 Models'));
+      console.log('─'.repeat(50));
+      console.log('');
+      console.log(createTable(
+        ['Model', 'Messages', 'Tokens', 'Cost'],
+        detail.models.map(model => [formatModel(model.model), formatNumber(model.entries), formatNumber(model.tokens), formatCurrency(model.cost, detail.currency)]),
+        tableOptions
+      ));
+      if (detail.modelSwitches.length > 0) {
+        detail.modelSwitches.forEach(change => {
+          console.log(colors.subtitle(`  ${formatTimeOfDay(change.timestamp)}  ${change.from} → ${change.to}`));
+        });
+      } else {
+        console.log(colors.subtitle('  No model switches'));
+      }
+      console.log('');
+
+      // Idle gaps
+      console.log(colors.primary(`⏸  Idle Gaps (≥ ${detail.idleGapMinutes}m)`));
+      console.log('─'.repeat(50));
+      if (detail.idleGaps.length > 0) {
+        detail.idleGaps.forEach(gap => {
+          console.log(`  ${formatTimeOfDay(gap.start)} – ${formatTimeOfDay(gap.end)}  ${colors.number(formatMinutes(gap.minutes))}`);
+        });
+      } else {
+        console.log(colors.subtitle('  No idle gaps'));
+      }
+      console.log('');
+
+      // Working directories
+      console.log(colors.primary('📁 Working Directories'));
+      console.log('─'.repeat(50));
+      if (detail.workingDirectories.length > 0) {
+        detail.workingDirectories.forEach(dir => {
+          console.log(`  ${dir.cwd} ${colors.subtitle(`(${dir.entries} messages)`)}`);
+        });
+      } else {
+        console.log(colors.subtitle('  No working directory recorded'));
+      }
+      console.log('');
+
+      // Per-message timeline (most recent messages)
+      console.log(colors.primary('📋 Message Timeline'));
+      console.log('─'.repeat(50));
+      console.log('');
+      const timeline = detail.timeline.slice(-30);
+      console.log(createTable(
+        ['Time', 'Model', 'Input', 'Output', 'Cache W', 'Cache R', 'Cost', 'Total', 'Gap'],
+        timeline.map(item => [
+          formatTimeOfDay(item.timestamp),
+          formatModel(item.model),
+          formatNumber(item.inputTokens),
+          formatNumber(item.outputTokens),
+          formatNumber(item.cacheCreationTokens),
+          formatNumber(item.cacheReadTokens),
+          formatCurrency(item.cost, detail.currency),
+          formatCurrency(item.cumulativeCost, detail.currency),
+          item.gapMinutes >= detail.idleGapMinutes ? colors.warning(`${Math.round(item.gapMinutes)}m`) : ''
+        ]),
+        tableOptions
+      ));
+      if (detail.timeline.length > timeline.length) {
+        console.log('');
+        console.log(colors.subtitle(`Showing the last ${timeline.length} of ${detail.timeline.length} messages`));
+      }
+      console.log('');
+    }
+  } catch (error) {
+    console.log(colors.error('✗ Error loading session: ' + error.message));
+    console.log('');
+  }
+
+  console.log(colors.subtitle('Commands: [3] Back to Sessions [d <#>] Other session [0] Menu [r] Refresh [q] Quit'));
+}
+
+module.exports = {
+  showSessionsPage,
+  showSessionDetailPage
+};
\ No newline at end of file
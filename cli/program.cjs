@@ -0,0 +1,142 @@
+/**
+ * CLI Commands (CommonJS)
+ * Defines the dragon-ui-claude-cli commands and options; cli/index.cjs parses process.argv with them.
+ */
+
+const { Command, Argument, Option } = require('commander');
+const path = require('path');
+const fs = require('fs');
+const { clearScreen } = require('./utils/screen.cjs');
+const { runReport, REPORT_TYPES, REPORT_FORMATS } = require('./report.cjs');
+const { runCompare, COMPARE_FORMATS } = require('./compare.cjs');
+const { COMPARISON_MODES } = require('../services/period-comparison.cjs');
+const { runHeatmap, HEATMAP_FORMATS } = require('./heatmap.cjs');
+const { HEATMAP_METRICS } = require('../services/usage-heatmap.cjs');
+
+// Get version from package.json
+const packageJsonPath = path.resolve(__dirname, '../package.json');
+const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+const version = packageJson.version;
+
+/**
+ * Build the command line program
+ * @param {Object} settings - CLI settings (see cli/settings.cjs)
+ * @returns {Command}
+ */
+function createProgram(settings) {
+  const program = new Command();
+
+  // Invalid arguments exit with 2 like other Unix tools (inherited by subcommands)
+  program.exitOverride((error) => {
+    process.exit(error.exitCode === 0 ? 0 : 2);
+  });
+
+  program
+    .name('dragon-ui-claude-cli')
+    .description('🐲 Dragon UI CLI - Claude Code Max Usage Dashboard')
+    .version(version)
+    .option('-c, --cli', 'Start CLI mode')
+    .option('--no-color', 'Disable colors')
+    .option('--minimal', 'Use minimal table style')
+    .option('--refresh <seconds>', 'Auto-refresh interval in seconds', '30')
+    .action(async (options) => {
+      // Clear screen immediately when the dashboard starts
+      clearScreen();
+
+      // Override settings with CLI options
+      if (options.noColor) settings.useColors = false;
+      if (options.minimal) settings.tableStyle = 'minimal';
+      if (options.refresh) settings.refreshInterval = parseInt(options.refresh) * 1000;
+
+      // Start CLI dashboard (loaded on demand to keep headless commands fast)
+      const { startCLI } = require('./dashboard.cjs');
+      await startCLI(settings);
+    });
+
+  // Headless reports: print once and exit (cron, shell prompts, CI)
+  program
+    .command('report')
+    .description('Print a usage report and exit')
+    .addArgument(new Argument('<type>', 'report type').choices(REPORT_TYPES))
+    .option('--since <date>', 'Only include usage on or after this date (YYYY-MM-DD)')
+    .option('--until <date>', 'Only include usage up to and including this date (YYYY-MM-DD)')
+    .addOption(new Option('-f, --format <format>', 'output format').choices(REPORT_FORMATS).default('table'))
+    .option('--no-refresh', 'Skip scanning JSONL files for new entries before reporting')
+    .option('--verbose', 'Print service logs to stderr')
+    .action(async (type, options, command) => {
+      const { color, minimal } = command.optsWithGlobals();
+      const exitCode = await runReport(type, { ...options, color }, {
+        ...settings,
+        tableStyle: minimal ? 'minimal' : settings.tableStyle
+      });
+      process.exit(exitCode);
+    });
+
+  // Period-over-period comparison: billing period or week vs the previous one, or two custom ranges
+  program
+    .command('compare')
+    .description('Compare usage of two periods and exit')
+    .addArgument(new Argument('[mode]', 'periods to compare (custom is implied by --a-from/--b-from)').choices(COMPARISON_MODES))
+    .option('--a-from <date>', 'First day of period A (YYYY-MM-DD, custom mode)')
+    .option('--a-to <date>', 'Last day of period A (defaults to --a-from)')
+    .option('--b-from <date>', 'First day of period B (YYYY-MM-DD, custom mode)')
+    .option('--b-to <date>', 'Last day of period B (defaults to --b-from)')
+    .addOption(new Option('-f, --format <format>', 'output format').choices(COMPARE_FORMATS).default('table'))
+    .option('--no-refresh', 'Skip scanning JSONL files for new entries before comparing')
+    .option('--verbose', 'Print service logs to stderr')
+    .action(async (mode, options, command) => {
+      const { color, minimal } = command.optsWithGlobals();
+      const exitCode = await runCompare(mode, { ...options, color }, {
+        ...settings,
+        tableStyle: minimal ? 'minimal' : settings.tableStyle
+      });
+      process.exit(exitCode);
+    });
+
+  // Weekday x hour heatmap: when usage happens, in the configured time zone
+  program
+    .command('heatmap')
+    .description('Print a weekday x hour usage heatmap and exit')
+    .addOption(new Option('-m, --metric <metric>', 'value to shade').choices(HEATMAP_METRICS).default('cost'))
+    .option('--timezone <zone>', 'IANA time zone like Europe/Berlin (defaults to the timezone setting, then this machine)')
+    .option('--since <date>', 'Only include usage on or after this date (YYYY-MM-DD)')
+    .option('--until <date>', 'Only include usage up to and including this date (YYYY-MM-DD)')
+    .option('--project <name>', 'Only include usage of this project')
+    .addOption(new Option('-f, --format <format>', 'output format').choices(HEATMAP_FORMATS).default('table'))
+    .option('--no-refresh', 'Skip scanning JSONL files for new entries first')
+    .option('--verbose', 'Print service logs to stderr')
+    .action(async (options, command) => {
+      const { color } = command.optsWithGlobals();
+      process.exit(await runHeatmap({ ...options, color }, settings));
+    });
+
+  // Claude Code statusline: reads the JSON payload from stdin, prints one line
+  program
+    .command('statusline')
+    .description('Print a one-line usage summary for the Claude Code statusline')
+    .action(async () => {
+      const { runStatusline } = require('./statusline.cjs');
+      process.exit(await runStatusline());
+    });
+
+  // Prometheus / OpenMetrics exporter for headless machines (runs until Ctrl+C).
+  // Not --refresh: commander hands that to the dashboard option of the root program.
+  program
+    .command('serve-metrics')
+    .description('Serve Prometheus metrics at /metrics')
+    .option('-p, --port <port>', 'Port to listen on', '9737')
+    .option('--host <host>', 'Address to bind (use 0.0.0.0 for remote scrapers)', '127.0.0.1')
+    .option('--token <token>', 'Require "Authorization: Bearer <token>" (or set DRAGON_UI_METRICS_TOKEN)')
+    .option('--scan-interval <seconds>', 'Scan JSONL files for new entries every N seconds (0 to only read the database)', '60')
+    .option('--verbose', 'Print service logs to stderr')
+    .action(async (options) => {
+      const { runServeMetrics } = require('./metrics.cjs');
+      process.exit(await runServeMetrics(options, settings));
+    });
+
+  return program;
+}
+
+module.exports = {
+  createProgram
+};
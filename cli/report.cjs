@@ -0,0 +1,199 @@
+/**
+ * CLI Report Commands (CommonJS)
+ * Headless `dragon-ui-claude-cli report <type>`: prints one report and exits,
+ * so it can run from cron, shell prompts and CI without the interactive menu.
+ *
+ * stdout only carries the report; service logs are muted (or sent to stderr
+ * with --verbose). Exit codes: 0 success, 1 database/runtime error, 2 invalid arguments.
+ */
+
+const { colors, setColorMode, initChalk } = require('./components/colors.cjs');
+const { createTable } = require('./components/table.cjs');
+const { formatDelimitedValue } = require('../services/entry-export.cjs');
+
+const REPORT_TYPES = ['daily', 'monthly', 'projects', 'sessions'];
+const REPORT_FORMATS = ['json', 'csv', 'table'];
+
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_USAGE = 2;
+
+/**
+ * Report columns per type: [key, header, row => value]
+ */
+const TOKEN_COLUMNS = [
+  ['input_tokens', 'Input', row => row.input_tokens || 0],
+  ['output_tokens', 'Output', row => row.output_tokens || 0],
+  ['cache_creation_tokens', 'Cache Write', row => row.cache_creation_tokens || 0],
+  ['cache_read_tokens', 'Cache Read', row => row.cache_read_tokens || 0],
+  ['total_tokens', 'Total Tokens', row => row.total_tokens || 0]
+];
+
+const REPORT_COLUMNS = {
+  daily: [
+    ['date', 'Date', row => row.key],
+    ['cost', 'Cost (USD)', row => row.total_cost || 0],
+    ...TOKEN_COLUMNS,
+    ['sessions', 'Sessions', row => row.session_count || 0],
+    ['entries', 'Entries', row => row.entry_count || 0]
+  ],
+  monthly: [
+    ['month', 'Month', row => row.key],
+    ['cost', 'Cost (USD)', row => row.total_cost || 0],
+    ...TOKEN_COLUMNS,
+    ['sessions', 'Sessions', row => row.session_count || 0],
+    ['entries', 'Entries', row => row.entry_count || 0]
+  ],
+  projects: [
+    ['project', 'Project', row => row.key],
+    ['cost', 'Cost (USD)', row => row.total_cost || 0],
+    ...TOKEN_COLUMNS,
+    ['sessions', 'Sessions', row => row.session_count || 0],
+    ['entries', 'Entries', row => row.entry_count || 0],
+    ['last_activity', 'Last Activity', row => row.last_activity]
+  ],
+  sessions: [
+    ['session_id', 'Session', row => row.key],
+    ['project', 'Project', row => row.project || 'Unknown'],
+    ['started', 'Started', row => row.first_activity],
+    ['ended', 'Ended', row => row.last_activity],
+    ['cost', 'Cost (USD)', row => row.total_cost || 0],
+    ...TOKEN_COLUMNS,
+    ['entries', 'Entries', row => row.entry_count || 0]
+  ]
+};
+
+class UsageError extends Error {}
+
+/**
+ * Accepts YYYY-MM-DD or a full ISO timestamp
+ */
+function parseDateOption(name, value) {
+  if (!value) return null;
+  if (!/^\d{4}-\d{2}-\d{2}(T.*)?$/.test(value) || isNaN(new Date(value).getTime())) {
+    throw new UsageError(`Invalid --${name} date "${value}" (expected YYYY-MM-DD)`);
+  }
+  return value.length === 10 ? value : new Date(value).toISOString();
+}
+
+function toRecords(type, rows) {
+  const columns = REPORT_COLUMNS[type];
+  return rows.map(row => Object.fromEntries(columns.map(([key, , value]) => [key, value(row)])));
+}
+
+function getTotals(records) {
+  return {
+    cost: records.reduce((sum, record) => sum + record.cost, 0),
+    total_tokens: records.reduce((sum, record) => sum + record.total_tokens, 0),
+    entries: records.reduce((sum, record) => sum + record.entries, 0)
+  };
+}
+
+function formatJson(report) {
+  return JSON.stringify(report, null, 2);
+}
+
+function formatCsv(report) {
+  const columns = REPORT_COLUMNS[report.type];
+  const lines = [columns.map(([key]) => key).join(',')];
+  report.rows.forEach(record => {
+    lines.push(columns.map(([key]) => formatDelimitedValue(record[key], ',')).join(','));
+  });
+  return lines.join('\n');
+}
+
+function formatTableCell(key, value) {
+  if (key === 'cost') return `$${value.toFixed(2)}`;
+  if (typeof value === 'number') return value.toLocaleString('en-US');
+  return value || '-';
+}
+
+function formatTable(report, settings) {
+  if (report.rows.length === 0) {
+    return colors.subtitle('No usage in the selected range');
+  }
+
+  const columns = REPORT_COLUMNS[report.type];
+  const table = createTable(
+    columns.map(([, header]) => header),
+    report.rows.map(record => columns.map(([key]) => formatTableCell(key, record[key]))),
+    { style: settings.tableStyle, compact: settings.compactMode }
+  );
+
+  const range = `${report.since || 'start'} → ${report.until || 'now'}`;
+  const totals = `Total: ${colors.currency(`$${report.totals.cost.toFixed(2)}`)} • ` +
+    `${report.totals.total_tokens.toLocaleString('en-US')} tokens • ${report.totals.entries.toLocaleString('en-US')} entries`;
+
+  return [colors.subtitle(range), table, totals].join('\n');
+}
+
+/**
+ * Run a report command
+ * @param {string} type - daily | monthly | projects | sessions
+ * @param {Object} options - { since, until, format, refresh, color, verbose }
+ * @param {Object} settings - CLI settings (cli/settings.cjs)
+ * @returns {Promise<number>} Process exit code
+ */
+async function runReport(type, options, settings) {
+  const originalLog = console.log;
+
+  try {
+    if (!REPORT_TYPES.includes(type)) {
+      throw new UsageError(`Unknown report type "${type}" (expected ${REPORT_TYPES.join(', ')})`);
+    }
+    const format = (options.format || 'table').toLowerCase();
+    if (!REPORT_FORMATS.includes(format)) {
+      throw new UsageError(`Unknown format "${options.format}" (expected ${REPORT_FORMATS.join(', ')})`);
+    }
+    const since = parseDateOption('since', options.since);
+    const until = parseDateOption('until', options.until);
+
+    await initChalk();
+    setColorMode(options.color !== false && settings.useColors && process.stdout.isTTY === true);
+
+    // Keep service logs (path scan, price updates) out of the report output
+    console.log = options.verbose ? (...args) => console.error(...args) : () => {};
+
+    // Loaded on demand: the adapter pulls in the price service, which other commands don't need
+    const CLIDataAdapter = require('./data-adapter.cjs');
+    const dataAdapter = new CLIDataAdapter(settings);
+    if (!(await dataAdapter.init())) {
+      throw new Error('Failed to initialize database. Run the Electron app once to create it.');
+    }
+    if (options.refresh !== false) {
+      await dataAdapter.forceRefreshData();
+    }
+
+    const rows = toRecords(type, await dataAdapter.db.getUsageReport(type, { since, until }));
+    const report = {
+      type,
+      since,
+      until,
+      currency: 'USD',
+      generatedAt: new Date().toISOString(),
+      totals: getTotals(rows),
+      rows
+    };
+
+    console.log = originalLog;
+    if (format === 'json') {
+      console.log(formatJson(report));
+    } else if (format === 'csv') {
+      console.log(formatCsv(report));
+    } else {
+      console.log(formatTable(report, settings));
+    }
+
+    return EXIT_OK;
+  } catch (error) {
+    console.log = originalLog;
+    console.error(`Error: ${error.message}`);
+    return error instanceof UsageError ? EXIT_USAGE : EXIT_ERROR;
+  }
+}
+
+module.exports = {
+  REPORT_TYPES,
+  REPORT_FORMATS,
+  runReport
+};
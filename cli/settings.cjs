@@ -7,6 +7,8 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 
+const { PLAN_PROFILES } = require('../services/plan-profiles.cjs');
+
 const SETTINGS_FILE = path.resolve(os.homedir(), '.dragon-ui-cli-settings.json');
 
 const DEFAULT_SETTINGS = {
@@ -16,9 +18,34 @@ const DEFAULT_SETTINGS = {
   showHeader: true,
   compactMode: false,
   currency: 'USD',
-  dateFormat: 'relative' // 'relative' or 'absolute'
+  dateFormat: 'relative', // 'relative' or 'absolute'
+  billingCycleDay: 1, // Day of month the billing period starts
+  timezone: 'auto', // IANA time zone for the heatmap ('auto' = this machine)
+  plan: 'max5', // 'pro', 'max5', 'max20' or 'api' (see services/plan-profiles.cjs)
+  // Ceilings per 5-hour block for each plan: { max5: { tokenLimit, costLimit } }
+  // (tokenLimit 0 = auto from largest previous block, costLimit 0 = off)
+  blockLimits: {}
 };
 
+/**
+ * Earlier versions stored one block limit for all plans: keep it for the plan it was set with
+ */
+function migrateBlockLimits(userSettings) {
+  const { blockTokenLimit, blockCostLimit, ...settings } = userSettings;
+  if (blockTokenLimit === undefined && blockCostLimit === undefined) {
+    return userSettings;
+  }
+
+  const plan = settings.plan || DEFAULT_SETTINGS.plan;
+  return {
+    ...settings,
+    blockLimits: {
+      [plan]: { tokenLimit: blockTokenLimit || 0, costLimit: blockCostLimit || 0 },
+      ...settings.blockLimits
+    }
+  };
+}
+
 /**
  * Load CLI settings from file or return defaults
  */
@@ -26,7 +53,7 @@ function loadSettings() {
   try {
     if (fs.existsSync(SETTINGS_FILE)) {
       const data = fs.readFileSync(SETTINGS_FILE, 'utf8');
-      const userSettings = JSON.parse(data);
+      const userSettings = migrateBlockLimits(JSON.parse(data));
       return { ...DEFAULT_SETTINGS, ...userSettings };
     }
   } catch (error) {
@@ -69,6 +96,11 @@ function toggleSetting(key) {
     case 'header':
       settings.showHeader = !settings.showHeader;
       break;
+    case 'plan': {
+      const plans = Object.keys(PLAN_PROFILES);
+      settings.plan = plans[(plans.indexOf(settings.plan) + 1) % plans.length];
+      break;
+    }
     default:
       return false;
   }
@@ -0,0 +1,208 @@
+/**
+ * CLI Statusline Command (CommonJS)
+ * `dragon-ui-claude-cli statusline` for Claude Code's custom statusline:
+ * reads the statusline JSON payload from stdin and prints one line with the
+ * session cost, today's cost and the current 5-hour block.
+ *
+ * Runs on every prompt, so it only reads the SQLite database (no JSONL scan,
+ * no price updates) and keeps its imports minimal. Loading the database is
+ * still the slow part, so the numbers are cached in a small file until the
+ * database file changes.
+ *
+ * Claude Code settings.json:
+ *   "statusLine": { "type": "command", "command": "dragon-ui-claude-cli statusline" }
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CLIDatabaseService = require('./database-cli.cjs');
+const { blockCalculator } = require('../services/block-calculator.cjs');
+
+const STDIN_TIMEOUT_MS = 200;
+
+const CACHE_FILE = path.join(os.homedir(), '.dragon-ui-statusline.json');
+// The cached numbers are valid for this database file state and local day
+const CACHE_KEY_FIELDS = ['dbPath', 'mtimeMs', 'size', 'dayStart'];
+
+// Enough history to find where the running block started
+const BLOCK_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read and parse the JSON payload Claude Code pipes to the statusline command
+ */
+function readPayload() {
+  if (process.stdin.isTTY) {
+    return Promise.resolve({});
+  }
+
+  return new Promise(resolve => {
+    let input = '';
+    const finish = () => {
+      clearTimeout(timer);
+      try {
+        resolve(input.trim() ? JSON.parse(input) : {});
+      } catch (error) {
+        resolve({});
+      }
+    };
+    // Don't hang when nothing is piped in
+    const timer = setTimeout(() => {
+      process.stdin.pause();
+      finish();
+    }, STDIN_TIMEOUT_MS);
+
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', chunk => { input += chunk; });
+    process.stdin.on('end', finish);
+  });
+}
+
+function formatCost(amount) {
+  return `$${(amount || 0).toFixed(2)}`;
+}
+
+function formatRemaining(minutes) {
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+}
+
+function getDayStart(now) {
+  const midnight = new Date(now);
+  midnight.setHours(0, 0, 0, 0);
+  return midnight.toISOString();
+}
+
+/**
+ * Read the usage numbers shown in the statusline
+ * @param {CLIDatabaseService} db - Initialized database
+ * @param {string|null} sessionId - Claude Code session id from the payload
+ * @param {number} now - Render time (ms)
+ * @returns {Promise<{ sessionCost: number|null, todayCost: number, block: Object|null }>}
+ *   block is the latest 5-hour block ({ startTime, endTime, totalCost }), active or not:
+ *   without new entries no later block can start, so it stays right while the database is unchanged
+ */
+async function readStatusUsage(db, sessionId, now) {
+  const session = sessionId ? await db.getSessionUsage(sessionId) : null;
+  const todayCost = await db.getCostSince(getDayStart(now));
+
+  const since = new Date(now - BLOCK_LOOKBACK_MS).toISOString();
+  const blocks = blockCalculator.identifyBlocks(await db.getBlockEntries(since), now).filter(block => !block.isGap);
+  const latest = blocks[blocks.length - 1];
+
+  return {
+    sessionCost: session ? session.total_cost || 0 : null,
+    todayCost: todayCost || 0,
+    block: latest ? { startTime: latest.startTime, endTime: latest.endTime, totalCost: latest.totalCost } : null
+  };
+}
+
+/**
+ * Build the statusline text
+ * @param {Object} payload - Claude Code statusline payload ({ session_id, cwd, model: { display_name } })
+ * @param {Object} usage - From readStatusUsage()
+ * @param {number} now - Render time (ms)
+ */
+function formatStatusline(payload, usage, now = Date.now()) {
+  const parts = [];
+
+  const model = payload.model?.display_name || payload.model?.id;
+  if (model) {
+    parts.push(model);
+  }
+
+  if (usage.sessionCost !== null) {
+    parts.push(`session ${formatCost(usage.sessionCost)}`);
+  }
+
+  parts.push(`today ${formatCost(usage.todayCost)}`);
+
+  const block = usage.block;
+  const blockEnd = block ? new Date(block.endTime).getTime() : 0;
+  if (block && now >= new Date(block.startTime).getTime() && now < blockEnd) {
+    parts.push(`block ${formatCost(block.totalCost)} (${formatRemaining(Math.ceil((blockEnd - now) / (1000 * 60)))} left)`);
+  } else {
+    parts.push('no active block');
+  }
+
+  return `🐲 ${parts.join(' | ')}`;
+}
+
+function readCache() {
+  try {
+    return JSON.parse(fs.readFileSync(CACHE_FILE, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+function writeCache(cache) {
+  try {
+    // Write and rename, so a statusline rendering at the same time never reads half a file
+    const tempFile = `${CACHE_FILE}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(cache));
+    fs.renameSync(tempFile, CACHE_FILE);
+  } catch (error) {
+    // Only slower next time
+  }
+}
+
+/**
+ * Usage numbers from the cache, or from the database when it changed since
+ * @param {CLIDatabaseService} db - Not yet initialized database
+ */
+async function getStatusUsage(db, sessionId, now) {
+  let key = null;
+  try {
+    const stat = fs.statSync(db.dbPath);
+    key = { dbPath: db.dbPath, mtimeMs: stat.mtimeMs, size: stat.size, dayStart: getDayStart(now) };
+  } catch (error) {
+    // No database file - init() reports it
+  }
+
+  const cache = key ? readCache() : null;
+  const cacheValid = cache !== null && CACHE_KEY_FIELDS.every(field => cache[field] === key[field]);
+  if (cacheValid && (!sessionId || sessionId in cache.sessions)) {
+    return {
+      sessionCost: sessionId ? cache.sessions[sessionId] : null,
+      todayCost: cache.todayCost,
+      block: cache.block
+    };
+  }
+
+  await db.init();
+  const usage = await readStatusUsage(db, sessionId, now);
+
+  if (key) {
+    // Keep the other sessions (several Claude Code windows share one database)
+    const sessions = cacheValid ? cache.sessions : {};
+    if (sessionId) sessions[sessionId] = usage.sessionCost;
+    writeCache({ ...key, todayCost: usage.todayCost, block: usage.block, sessions });
+  }
+  return usage;
+}
+
+/**
+ * Run the statusline command
+ * @returns {Promise<number>} Process exit code
+ */
+async function runStatusline() {
+  try {
+    const payload = await readPayload();
+    const now = Date.now();
+    const usage = await getStatusUsage(new CLIDatabaseService(), payload.session_id || null, now);
+
+    console.log(formatStatusline(payload, usage, now));
+    return 0;
+  } catch (error) {
+    // Still print a line - Claude Code shows stdout as the statusline
+    console.log(`🐲 Dragon UI: ${error.message}`);
+    return 1;
+  }
+}
+
+module.exports = {
+  readStatusUsage,
+  formatStatusline,
+  runStatusline
+};
@@ -74,8 +74,30 @@ function parseCommand(input) {
     return { type: 'page', value: parseInt(command) };
   }
   
+  // Session drill-down: "d <row number>" or "d <session id>"
+  const detailMatch = /^d\s*(\S+)$/.exec(command);
+  if (detailMatch) {
+    return { type: 'session', value: detailMatch[1] };
+  }
+  
+  // Table commands (Projects / Sessions): "f <text>" search, "t <from> [to]" date range,
+  // "o <column> [asc|desc]" sort - without an argument they reset
+  const tableMatch = /^([fto])(?:\s+(.+))?$/.exec(command);
+  if (tableMatch) {
+    const actions = { f: 'search', t: 'range', o: 'sort' };
+    return { type: 'table', action: actions[tableMatch[1]], value: tableMatch[2] || '' };
+  }
+  
   // Letter commands
   switch (command) {
+    case 'n':
+    case 'next':
+      return { type: 'table', action: 'next' };
+    
+    case 'p':
+    case 'prev':
+      return { type: 'table', action: 'prev' };
+    
     case 'q':
     case 'quit':
     case 'exit':
@@ -224,6 +246,13 @@ function showHelp() {
     colors.subtitle('  4 - Monthly (monthly statistics)'),
     colors.subtitle('  5 - Daily (daily usage)'),
     colors.subtitle('  6 - Active (current session)'),
+    colors.subtitle('  d <#> - Session details (row number or session id)'),
+    '',
+    colors.title('Table Commands (Projects / Sessions):'),
+    colors.subtitle('  f <text> - Search project, directory or session id (f alone clears)'),
+    colors.subtitle('  t <from> [to] - Date range as YYYY-MM-DD (t alone clears)'),
+    colors.subtitle('  o <column> [asc|desc] - Sort, repeat to flip the direction'),
+    colors.subtitle('  n / p - Next / previous page'),
     '',
     colors.title('Control Commands:'),
     colors.subtitle('  q - Quit application'),
@@ -1,4 +1,4 @@
-const { app, BrowserWindow, Menu, ipcMain, nativeImage, dialog, globalShortcut } = require('electron');
+const { app, BrowserWindow, Menu, ipcMain, nativeImage, dialog, globalShortcut, Notification, safeStorage } = require('electron');
 const path = require('path');
 const isDev = require('electron-is-dev');
 const fs = require('fs');
@@ -8,7 +8,11 @@ const os = require('os');
 const DataLoaderService = require('./services/data-loader.cjs');
 const CoreDataService = require('./services/core-data.cjs');
 const PathManagerService = require('./services/path-manager.cjs');
+const FileWatcherService = require('./services/file-watcher.cjs');
 const { sshService } = require('./services/ssh-service.cjs');
+const { credentialStore } = require('./services/credential-store.cjs');
+const { ApiServer, DEFAULT_PORT: DEFAULT_API_PORT, generateToken } = require('./services/api-server.cjs');
+const { MetricsExporter } = require('./services/metrics-exporter.cjs');
 const { modelPriceService } = require('./services/model-price-service.cjs');
 
 let mainWindow;
@@ -243,8 +247,11 @@ console.log('[INIT] Initializing core services with SQLite database...');
 
 const pathManager = new PathManagerService();
 const dataLoader = new DataLoaderService(); // This now initializes the SQLite database
+dataLoader.remoteSync.setMirrorRoot(path.join(app.getPath('userData'), 'ssh-mirror'));
 const coreDataService = new CoreDataService(dataLoader, pathManager);
-// SSH service is initialized as singleton
+const fileWatcher = new FileWatcherService(); // Live ingestion of changed JSONL files
+// SSH service is initialized as singleton; its secrets stay in the main process
+sshService.setCredentialStore(credentialStore);
 
 // Log database initialization
 console.log('[DB] SQLite database initialized via DataLoaderService');
@@ -260,6 +267,25 @@ coreDataService.setAutoPush((coreData) => {
   }
 });
 
+// Budget alerts: desktop notification + banner in App.tsx
+const BUDGET_PERIOD_LABELS = { daily: 'Daily', weekly: 'Weekly', billing: 'Billing period' };
+
+coreDataService.setBudgetAlertCallback((alerts) => {
+  alerts.forEach(alert => {
+    const scope = alert.scope === 'project' ? alert.project : 'All projects';
+    const title = `Budget ${alert.threshold >= 100 ? 'exceeded' : `at ${alert.threshold}%`}`;
+    const body = `${BUDGET_PERIOD_LABELS[alert.period]} budget (${scope}): ${alert.spent.toFixed(2)} of ${alert.amount.toFixed(2)} ${alert.currency} used`;
+    
+    if (Notification.isSupported()) {
+      new Notification({ title, body }).show();
+    }
+    if (mainWindow && mainWindow.webContents) {
+      mainWindow.webContents.send('budget-alert', alert);
+    }
+    console.log(`[BUDGET] ${title} - ${body}`);
+  });
+});
+
 // Simple coordinator using CoreDataService
 class ServiceCoordinator {
   constructor() {
@@ -279,11 +305,65 @@ class ServiceCoordinator {
 
 const coordinator = new ServiceCoordinator();
 
+// Opt-in localhost REST API and Prometheus /metrics (enabled from the settings page)
+const apiServer = new ApiServer(coreDataService, { metricsExporter: new MetricsExporter(dataLoader.db) });
+const API_TOKEN_NAME = 'api-server:token';
+
+function getApiToken() {
+  let token = credentialStore.get(API_TOKEN_NAME);
+  if (!token) {
+    token = generateToken();
+    credentialStore.set(API_TOKEN_NAME, token);
+  }
+  return token;
+}
+
+function getApiServerStatus() {
+  return { ...apiServer.getStatus(), token: getApiToken() };
+}
+
+// Watch the active paths so new usage reaches the UI right after a Claude response
+function syncFileWatcher() {
+  const activePaths = pathManager.getAllPaths().active;
+  if (fileWatcher.isWatching()) {
+    fileWatcher.updatePaths(activePaths);
+  } else {
+    fileWatcher.start(activePaths, (files) => coreDataService.ingestChangedFiles(files));
+  }
+}
+
 // NEW: Core data handler - returns ALL 75+ values for store.ts
-ipcMain.handle('claude-projects-core-data', async () => {
+ipcMain.handle('claude-projects-core-data', async (event, options = {}) => {
   try {
     console.log('[LOAD] Getting ALL core data for store.ts...');
-    await coreDataService.calculateCoreData();
+    
+    // Apply calculation settings sent by store.ts - changes need a full recalculation
+    let settingsChanged = false;
+    if (options.billingCycleDay && options.billingCycleDay !== coreDataService.billingCycleDay) {
+      coreDataService.updateBillingCycleDay(options.billingCycleDay);
+      settingsChanged = true;
+    }
+    if (options.blockLimits && coreDataService.updateBlockLimits(options.blockLimits)) {
+      settingsChanged = true;
+    }
+    if (options.plan && coreDataService.updatePlan(options.plan)) {
+      settingsChanged = true;
+    }
+    if (options.filter && coreDataService.updateFilter(options.filter)) {
+      settingsChanged = true;
+    }
+    const budgetsChanged = Array.isArray(options.budgets) && coreDataService.updateBudgets(options.budgets);
+    
+    if (settingsChanged && !coreDataService.isInitialLoad) {
+      await coreDataService.forceRefreshAll();
+    } else {
+      await coreDataService.calculateCoreData();
+    }
+    
+    // New budget definitions must be checked even when no new usage arrived
+    if (budgetsChanged) {
+      coreDataService.evaluateBudgets();
+    }
     
     // Return ALL core data - the 75+ values
     const allData = {
@@ -332,6 +412,59 @@ ipcMain.handle('claude-projects-sessions', async () => {
   }
 });
 
+// Drill-down of one session row (per-message timeline, model switches, idle gaps)
+ipcMain.handle('claude-projects-session-detail', async (event, sessionKey) => {
+  try {
+    const data = coreDataService.getSessionDetail(sessionKey);
+    if (!data) {
+      return { success: false, error: `Session ${sessionKey} not found` };
+    }
+    return { success: true, data };
+  } catch (error) {
+    console.error('[ERR] Session detail error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Paginated / searchable / sortable Sessions and Projects tables
+ipcMain.handle('claude-projects-sessions-query', async (event, query) => {
+  try {
+    return { success: true, data: coreDataService.querySessions(query || {}) };
+  } catch (error) {
+    console.error('[ERR] Sessions query error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('claude-projects-projects-query', async (event, query) => {
+  try {
+    return { success: true, data: coreDataService.queryProjects(query || {}) };
+  } catch (error) {
+    console.error('[ERR] Projects query error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Period-over-period comparison (billing period, week or two custom ranges)
+ipcMain.handle('claude-projects-period-comparison', async (event, options) => {
+  try {
+    return { success: true, data: coreDataService.getPeriodComparison(options || {}) };
+  } catch (error) {
+    console.error('[ERR] Period comparison error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Weekday x hour usage heatmap in the configured time zone
+ipcMain.handle('claude-projects-usage-heatmap', async (event, options) => {
+  try {
+    return { success: true, data: coreDataService.getUsageHeatmap(options || {}) };
+  } catch (error) {
+    console.error('[ERR] Usage heatmap error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('claude-projects-projects', async () => {
   try {
     console.log('[DATA] Getting projects data from CoreDataService...');
@@ -365,6 +498,17 @@ ipcMain.handle('claude-projects-current-session', async () => {
   }
 });
 
+ipcMain.handle('claude-projects-blocks', async () => {
+  try {
+    console.log('[DATA] Getting 5-hour billing blocks from CoreDataService...');
+    const data = await coreDataService.getTabData('active');
+    return { success: true, data: { blocks: data.blocks || [], block: data.block, blocksCount: data.blocksCount } };
+  } catch (error) {
+    console.error('[ERR] Blocks data error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // Enhanced analytics from CoreDataService
 ipcMain.handle('claude-projects-analytics', async () => {
   try {
@@ -404,6 +548,35 @@ ipcMain.handle('claude-projects-export', async (event, format, dataType, options
   }
 });
 
+// Row-level CSV/TSV export of usage entries, streamed into a user-chosen file
+ipcMain.handle('claude-projects-export-entries', async (event, options = {}) => {
+  try {
+    const format = options.format === 'tsv' ? 'tsv' : 'csv';
+    const date = new Date().toISOString().split('T')[0];
+    const { filePath } = await dialog.showSaveDialog(mainWindow, {
+      title: 'Export Usage Entries',
+      defaultPath: path.join(os.homedir(), `dragon-ui-entries-${date}.${format}`),
+      filters: [
+        { name: format === 'tsv' ? 'TSV Files' : 'CSV Files', extensions: [format] },
+        { name: 'All Files', extensions: ['*'] }
+      ]
+    });
+
+    if (!filePath) {
+      return { success: false, canceled: true, error: 'Save cancelled by user' };
+    }
+
+    console.log(`[EXPORT] Exporting usage entries as ${format} to ${filePath}...`);
+    const result = await coreDataService.exportEntries(filePath, { format, filters: options.filters });
+    console.log(`[OK] Entry export completed: ${result.rows} rows`);
+
+    return { success: true, data: result };
+  } catch (error) {
+    console.error('[ERR] Entry export error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // Path management handlers
 ipcMain.handle('claude-projects-paths', async () => {
   try {
@@ -421,6 +594,7 @@ ipcMain.handle('claude-projects-add-path', async (event, customPath) => {
     if (success) {
       console.log('💪 Path added - clearing cache and reloading data');
       await coordinator.forceReload();
+      syncFileWatcher();
     }
     return { success };
   } catch (error) {
@@ -435,6 +609,7 @@ ipcMain.handle('claude-projects-remove-path', async (event, customPath) => {
     if (success) {
       console.log('💪 Path removed - clearing cache and reloading data');
       await coordinator.forceReload();
+      syncFileWatcher();
     }
     return { success };
   } catch (error) {
@@ -448,6 +623,7 @@ ipcMain.handle('claude-projects-refresh-paths', async () => {
     const data = pathManager.forceRefreshPaths();
     console.log('💪 Paths refreshed - clearing cache and reloading data');
     await coordinator.forceReload();
+    syncFileWatcher();
     return { success: true, data, source: 'cached' };
   } catch (error) {
     console.error('[ERR] Refresh paths error:', error);
@@ -486,7 +662,11 @@ ipcMain.handle('claude-projects-force-reload', async () => {
 });
 
 // Electron app handlers
-app.whenReady().then(createWindow);
+app.whenReady().then(() => {
+  credentialStore.setSafeStorage(safeStorage);
+  createWindow();
+  syncFileWatcher();
+});
 
 app.on('window-all-closed', () => {
   // Save window state before closing
@@ -500,6 +680,7 @@ app.on('window-all-closed', () => {
 app.on('before-quit', () => {
   // Save window state before quitting
   saveWindowState();
+  fileWatcher.stop();
 });
 
 app.on('activate', () => {
@@ -885,6 +1066,7 @@ app.whenReady().then(() => {
 // Unregister shortcuts when app is quitting
 app.on('will-quit', () => {
   globalShortcut.unregisterAll();
+  apiServer.stop();
 });
 
 // SSH Service IPC Handlers
@@ -899,6 +1081,92 @@ ipcMain.handle('ssh-set-config', async (event, config) => {
   }
 });
 
+// Local API server
+ipcMain.handle('api-server-configure', async (event, config = {}) => {
+  try {
+    if (config.enabled) {
+      await apiServer.start({ port: Number(config.port) || DEFAULT_API_PORT, token: getApiToken() });
+    } else {
+      await apiServer.stop();
+    }
+    return { success: true, data: getApiServerStatus() };
+  } catch (error) {
+    console.error('[API] Configure error:', error);
+    return { success: false, error: error.message, data: getApiServerStatus() };
+  }
+});
+
+ipcMain.handle('api-server-get-status', async () => {
+  try {
+    return { success: true, data: getApiServerStatus() };
+  } catch (error) {
+    console.error('[API] Get status error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('api-server-regenerate-token', async () => {
+  try {
+    const token = generateToken();
+    credentialStore.set(API_TOKEN_NAME, token);
+    apiServer.setToken(token);
+    console.log('[API] API token regenerated');
+    return { success: true, data: getApiServerStatus() };
+  } catch (error) {
+    console.error('[API] Regenerate token error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// SSH secrets are write-only for the renderer: it can store or clear them and
+// learn whether they are set, but never read them back
+ipcMain.handle('ssh-set-credentials', async (event, hostId, secrets) => {
+  try {
+    const status = sshService.setHostSecrets(hostId, secrets || {});
+    return { success: true, data: status };
+  } catch (error) {
+    console.error('[SSH] Set credentials error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('ssh-get-credential-status', async (event, hostIds = []) => {
+  try {
+    const status = Object.fromEntries(hostIds.map(hostId => [hostId, sshService.getHostSecretStatus(hostId)]));
+    return { success: true, data: status };
+  } catch (error) {
+    console.error('[SSH] Get credential status error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('ssh-get-sync-status', async () => {
+  try {
+    const status = dataLoader.remoteSync.getStatus(sshService.getConfig()?.hosts || []);
+    return { success: true, data: status };
+  } catch (error) {
+    console.error('[SSH] Get sync status error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('ssh-sync-now', async () => {
+  try {
+    console.log('[SSH] Remote sync requested via IPC');
+    // Sync directly: calculateCoreData returns at once while a calculation runs,
+    // and the file watcher refreshes never sync remotes (concurrent host syncs are shared)
+    const newEntries = await dataLoader.loadRemoteSSHData();
+    if (newEntries > 0) {
+      await coreDataService.recalculateStoredEntries();
+    }
+    const status = dataLoader.remoteSync.getStatus(sshService.getConfig()?.hosts || []);
+    return { success: true, data: status };
+  } catch (error) {
+    console.error('[SSH] Sync now error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('ssh-get-config', async () => {
   try {
     const config = sshService.getConfig();
@@ -909,13 +1177,13 @@ ipcMain.handle('ssh-get-config', async () => {
   }
 });
 
-ipcMain.handle('ssh-test-connection', async (event, config) => {
+ipcMain.handle('ssh-test-connection', async (event, config, hostId = null) => {
   try {
     console.log('[SSH] Testing SSH connection via IPC');
     if (config) {
       sshService.setConfig(config);
     }
-    const result = await sshService.testConnection();
+    const result = await sshService.testConnection(hostId);
     return result;
   } catch (error) {
     console.error('[SSH] Test connection error:', error);
@@ -923,10 +1191,10 @@ ipcMain.handle('ssh-test-connection', async (event, config) => {
   }
 });
 
-ipcMain.handle('ssh-create-connection', async (event, connectionId = 'default') => {
+ipcMain.handle('ssh-create-connection', async (event, connectionId = 'default', hostId = null) => {
   try {
     console.log(`[SSH] Creating SSH connection '${connectionId}' via IPC`);
-    const result = await sshService.createConnection(connectionId);
+    const result = await sshService.createConnection(connectionId, hostId);
     return result;
   } catch (error) {
     console.error('[SSH] Create connection error:', error);
@@ -1038,4 +1306,38 @@ ipcMain.handle('model-prices-get-for-model', async (event, model) => {
   }
 });
 
+ipcMain.handle('model-prices-get-history', async () => {
+  try {
+    const history = modelPriceService.getPriceHistory();
+    return { success: true, history };
+  } catch (error) {
+    console.error('[PRICE] Get price history error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('model-prices-get-unpriced', async () => {
+  try {
+    const models = modelPriceService.getUnpricedModels(dataLoader.db.getModelUsageSummary());
+    return { success: true, models };
+  } catch (error) {
+    console.error('[PRICE] Get unpriced models error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('model-prices-recalculate-costs', async () => {
+  try {
+    console.log('[PRICE] Historic cost recalculation requested via IPC');
+    const result = dataLoader.recalculateHistoricCosts();
+    if (result.updated > 0) {
+      await coordinator.forceReload();
+    }
+    return { success: true, ...result };
+  } catch (error) {
+    console.error('[PRICE] Recalculate costs error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 console.log('[OK] Modular Dragon UI main process initialized with model price service');
\ No newline at end of file
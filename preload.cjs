@@ -231,6 +231,26 @@ contextBridge.exposeInMainWorld('electronAPI', {
   getModelPricingStats: () => ipcRenderer.invoke('model-prices-get-stats'),
   forceUpdatePrices: () => ipcRenderer.invoke('model-prices-force-update'),
   getModelPricing: (model) => ipcRenderer.invoke('model-prices-get-for-model', model),
+  getPriceHistory: () => ipcRenderer.invoke('model-prices-get-history'),
+  getUnpricedModels: () => ipcRenderer.invoke('model-prices-get-unpriced'),
+  recalculateHistoricCosts: () => ipcRenderer.invoke('model-prices-recalculate-costs'),
+  
+  // SSH remote sync
+  getSshSyncStatus: () => ipcRenderer.invoke('ssh-get-sync-status'),
+  syncSshNow: () => ipcRenderer.invoke('ssh-sync-now'),
+  
+  // Session drill-down
+  getSessionDetail: (sessionKey) => ipcRenderer.invoke('claude-projects-session-detail', sessionKey),
+  
+  // Paginated Sessions / Projects tables (SQLite-side search, sort and date range)
+  querySessions: (query) => ipcRenderer.invoke('claude-projects-sessions-query', query),
+  queryProjects: (query) => ipcRenderer.invoke('claude-projects-projects-query', query),
+  
+  // Period-over-period comparison
+  getPeriodComparison: (options) => ipcRenderer.invoke('claude-projects-period-comparison', options),
+  
+  // Weekday x hour usage heatmap
+  getUsageHeatmap: (options) => ipcRenderer.invoke('claude-projects-usage-heatmap', options),
   
   // Generic invoke method for store.ts
   invoke: (channel, ...args) => ipcRenderer.invoke(channel, ...args),
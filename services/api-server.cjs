@@ -0,0 +1,251 @@
+/**
+ * Local API Server
+ * Opt-in HTTP/JSON API so dashboards and editor plugins can read usage data
+ * without Electron IPC. Serves the same tab data as the claude-projects-* IPC
+ * handlers, straight from CoreDataService, plus Prometheus metrics at /metrics
+ * (see metrics-exporter.cjs).
+ *
+ * Tab endpoints take the filter as query parameters (?preset=30d&project=...,
+ * the fields of the GUI filter bar) and default to all usage: what the filter
+ * bar in the app shows never changes API responses.
+ *
+ * Only listens on 127.0.0.1 and every endpoint except /health needs
+ * `Authorization: Bearer <token>`. Requests whose Host header is not a loopback
+ * name are rejected, so a web page cannot reach the API through DNS rebinding.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const { DATE_PRESETS } = require('./usage-filter.cjs');
+
+const API_PREFIX = '/api/v1';
+const METRICS_PATH = '/metrics';
+const DEFAULT_PORT = 3737;
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost'];
+
+// Endpoint -> CoreDataService tab
+const TAB_ENDPOINTS = new Map([
+  ['overview', 'overview'],
+  ['daily', 'daily'],
+  ['monthly', 'monthly'],
+  ['sessions', 'sessions'],
+  ['projects', 'projects'],
+  ['active-block', 'active']
+]);
+
+const FILTER_PARAMS = ['preset', 'from', 'to', 'project', 'model', 'machine'];
+
+class FilterQueryError extends Error {}
+
+/**
+ * Usage filter from the query string; from/to without a preset mean a custom range
+ */
+function parseFilterQuery(searchParams) {
+  const filter = Object.fromEntries(FILTER_PARAMS.map(name => [name, searchParams.get(name)]));
+  if (!filter.preset) {
+    filter.preset = filter.from || filter.to ? 'custom' : 'all';
+  }
+  if (!DATE_PRESETS.includes(filter.preset)) {
+    throw new FilterQueryError(`Unknown preset "${filter.preset}" (expected ${DATE_PRESETS.join(', ')})`);
+  }
+  ['from', 'to'].forEach(name => {
+    if (filter[name] && !/^\d{4}-\d{2}-\d{2}$/.test(filter[name])) {
+      throw new FilterQueryError(`Invalid ${name} date "${filter[name]}" (expected YYYY-MM-DD)`);
+    }
+  });
+  return filter;
+}
+
+function generateToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+class ApiServer {
+  /**
+   * @param {CoreDataService} coreDataService - Source of all served data
+   * @param {Object} options - { metricsExporter } to also serve /metrics
+   */
+  constructor(coreDataService, options = {}) {
+    this.coreDataService = coreDataService;
+    this.metricsExporter = options.metricsExporter || null;
+    this.server = null;
+    this.port = null;
+    this.token = null;
+    this.lastError = null;
+  }
+
+  isRunning() {
+    return !!this.server && this.server.listening;
+  }
+
+  /**
+   * Start (or restart on a different port/token) the server
+   * @param {Object} options - { port, token }
+   */
+  async start({ port = DEFAULT_PORT, token }) {
+    if (!token) {
+      throw new Error('An API token is required');
+    }
+
+    this.setToken(token);
+    if (this.isRunning() && this.port === port) {
+      return;
+    }
+    await this.stop();
+
+    const server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        console.error('[API] Request failed:', error);
+        this.sendJson(res, 500, { success: false, error: error.message });
+      });
+    });
+
+    try {
+      await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', () => {
+          server.removeListener('error', reject);
+          resolve();
+        });
+      });
+    } catch (error) {
+      this.lastError = error.code === 'EADDRINUSE' ? `Port ${port} is already in use` : error.message;
+      throw new Error(this.lastError);
+    }
+
+    this.server = server;
+    this.port = port;
+    this.lastError = null;
+    console.log(`[API] Local API listening on http://127.0.0.1:${port}${API_PREFIX}`);
+  }
+
+  /**
+   * Replace the token; the old one stops working immediately
+   */
+  setToken(token) {
+    this.token = token;
+  }
+
+  async stop() {
+    if (!this.server) return;
+
+    const server = this.server;
+    this.server = null;
+    await new Promise(resolve => server.close(() => resolve()));
+    console.log('[API] Local API stopped');
+  }
+
+  getStatus() {
+    return {
+      running: this.isRunning(),
+      port: this.port,
+      url: this.isRunning() ? `http://127.0.0.1:${this.port}${API_PREFIX}` : null,
+      error: this.lastError
+    };
+  }
+
+  sendJson(res, statusCode, body) {
+    if (res.headersSent) return;
+    res.writeHead(statusCode, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Cache-Control': 'no-store',
+      'Access-Control-Allow-Origin': '*'
+    });
+    res.end(JSON.stringify(body));
+  }
+
+  isLoopbackHost(hostHeader) {
+    if (!hostHeader) return false;
+    const hostname = hostHeader.replace(/:\d+$/, '').toLowerCase();
+    return LOOPBACK_HOSTS.includes(hostname);
+  }
+
+  isAuthorized(req) {
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    if (!match) return false;
+
+    const given = Buffer.from(match[1].trim());
+    const expected = Buffer.from(this.token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  async handleRequest(req, res) {
+    if (!this.isLoopbackHost(req.headers.host)) {
+      return this.sendJson(res, 403, { success: false, error: 'Forbidden host' });
+    }
+
+    // CORS preflight for browser dashboards (the token is still required for the request itself)
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, OPTIONS',
+        'Access-Control-Allow-Headers': 'Authorization',
+        'Access-Control-Max-Age': '600'
+      });
+      return res.end();
+    }
+
+    if (req.method !== 'GET') {
+      return this.sendJson(res, 405, { success: false, error: 'Method not allowed' });
+    }
+
+    const url = new URL(req.url, 'http://127.0.0.1');
+    const pathname = url.pathname.replace(/\/+$/, '');
+
+    if (pathname === `${API_PREFIX}/health`) {
+      return this.sendJson(res, 200, { success: true, data: { status: 'ok' } });
+    }
+
+    if (!this.isAuthorized(req)) {
+      return this.sendJson(res, 401, { success: false, error: 'Missing or invalid API token' });
+    }
+
+    if (pathname === API_PREFIX) {
+      return this.sendJson(res, 200, {
+        success: true,
+        data: {
+          endpoints: ['health', ...TAB_ENDPOINTS.keys()].map(name => `${API_PREFIX}/${name}`),
+          metrics: this.metricsExporter ? METRICS_PATH : null
+        }
+      });
+    }
+
+    if (pathname === METRICS_PATH && this.metricsExporter) {
+      const { contentType, body } = await this.metricsExporter.render(req.headers.accept);
+      res.writeHead(200, { 'Content-Type': contentType, 'Cache-Control': 'no-store' });
+      return res.end(body);
+    }
+
+    const endpoint = pathname.startsWith(`${API_PREFIX}/`) ? pathname.slice(API_PREFIX.length + 1) : null;
+    const tab = TAB_ENDPOINTS.get(endpoint);
+    if (!tab) {
+      return this.sendJson(res, 404, { success: false, error: `Unknown endpoint ${pathname}` });
+    }
+
+    let filter;
+    try {
+      filter = parseFilterQuery(url.searchParams);
+    } catch (error) {
+      if (!(error instanceof FilterQueryError)) throw error;
+      return this.sendJson(res, 400, { success: false, error: error.message });
+    }
+
+    const { data, activeFilter } = await this.coreDataService.getTabDataForFilter(tab, filter);
+    return this.sendJson(res, 200, {
+      success: true,
+      currency: this.coreDataService.currency,
+      // The filter of this request, resolved to dates
+      filter: activeFilter || null,
+      generatedAt: new Date().toISOString(),
+      data
+    });
+  }
+}
+
+module.exports = {
+  ApiServer,
+  API_PREFIX,
+  METRICS_PATH,
+  DEFAULT_PORT,
+  generateToken
+};
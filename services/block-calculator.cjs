@@ -0,0 +1,264 @@
+/**
+ * Block Calculator
+ * Identifies Claude's rolling 5-hour billing blocks from raw usage entries.
+ *
+ * A block starts with the first message after the previous block ended and
+ * always lasts exactly 5 hours. Idle periods longer than a full block are
+ * reported as "gap" blocks so the timeline has no holes.
+ *
+ * Shared by the Electron worker (better-sqlite3) and the CLI (sql.js), so it
+ * only works on plain row objects and never touches a database itself.
+ */
+
+const BLOCK_DURATION_MINUTES = 300; // 5 hours
+
+class BlockCalculator {
+  constructor(blockDurationMinutes = BLOCK_DURATION_MINUTES) {
+    this.blockDurationMinutes = blockDurationMinutes;
+    this.blockDurationMs = blockDurationMinutes * 60 * 1000;
+  }
+
+  /**
+   * Build all blocks (oldest first) from usage entries.
+   * Accepts DB rows (snake_case) as well as DataLoader entries (camelCase).
+   * @param {Array} entries - Usage entries with at least a timestamp
+   * @param {number} now - Reference time in ms (defaults to Date.now())
+   * @returns {Array} Blocks with state 'active', 'expired' or 'gap'
+   */
+  identifyBlocks(entries, now = Date.now()) {
+    const sorted = (entries || [])
+      .map(entry => ({ entry, time: new Date(entry.timestamp).getTime() }))
+      .filter(item => !isNaN(item.time))
+      .sort((a, b) => a.time - b.time);
+
+    const blocks = [];
+    let current = null;
+
+    for (const { entry, time } of sorted) {
+      if (!current || time >= current.endMs) {
+        if (current) {
+          blocks.push(this.finalizeBlock(current, now));
+
+          // Idle for longer than a whole block - record the gap explicitly
+          const gapStartMs = current.lastMs + this.blockDurationMs;
+          if (time > gapStartMs) {
+            blocks.push(this.createGapBlock(gapStartMs, time));
+          }
+        }
+        current = this.createBlock(time);
+      }
+
+      this.addEntry(current, entry, time);
+    }
+
+    if (current) {
+      blocks.push(this.finalizeBlock(current, now));
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Return the block that is still running at `now`, or null.
+   */
+  findActiveBlock(blocks) {
+    return (blocks || []).find(block => block.isActive) || null;
+  }
+
+  /**
+   * Tokens/cost per minute for a block. Running blocks use the time elapsed
+   * since the block started, finished blocks the first-to-last message span
+   * (at least one minute to avoid spikes from single messages).
+   */
+  calculateBurnRate(block) {
+    if (!block || block.isGap || block.entryCount === 0) {
+      return { tokensPerMinute: 0, costPerMinute: 0, costPerHour: 0 };
+    }
+
+    const activeMinutes = Math.max(1, block.isActive ? block.elapsedMinutes : block.durationMinutes);
+    const costPerMinute = block.totalCost / activeMinutes;
+
+    return {
+      tokensPerMinute: block.totalTokens / activeMinutes,
+      costPerMinute,
+      costPerHour: costPerMinute * 60
+    };
+  }
+
+  /**
+   * Predict when the active block reaches its token/cost ceiling.
+   * A token limit of 0 means "auto": the largest previous block is used as ceiling.
+   * A cost limit of 0 disables the cost ceiling.
+   * @param {Object} block - Active block (costs already in display currency)
+   * @param {Array} blocks - All blocks, used for the automatic token limit
+   * @param {Object} limits - { tokenLimit, costLimit }
+   * @param {number} now - Reference time in ms
+   */
+  projectBlockUsage(block, blocks, limits = {}, now = Date.now()) {
+    if (!block) return null;
+
+    const { tokensPerMinute, costPerMinute, costPerHour } = this.calculateBurnRate(block);
+    const remainingMinutes = block.remainingMinutes;
+
+    let tokenLimit = limits.tokenLimit > 0 ? limits.tokenLimit : 0;
+    const tokenLimitSource = tokenLimit > 0 ? 'custom' : 'auto';
+    if (!tokenLimit) {
+      tokenLimit = (blocks || [])
+        .filter(b => !b.isGap && !b.isActive)
+        .reduce((max, b) => Math.max(max, b.totalTokens), 0);
+    }
+    const costLimit = limits.costLimit > 0 ? limits.costLimit : 0;
+
+    const projectedTokens = Math.round(block.totalTokens + tokensPerMinute * remainingMinutes);
+    const projectedCost = block.totalCost + costPerMinute * remainingMinutes;
+
+    const minutesUntil = (used, limit, perMinute) => {
+      if (!limit) return null;
+      if (used >= limit) return 0;
+      if (perMinute <= 0) return null;
+      const minutes = (limit - used) / perMinute;
+      return minutes <= remainingMinutes ? Math.ceil(minutes) : null; // null = not reached in this block
+    };
+
+    const minutesUntilTokenLimit = minutesUntil(block.totalTokens, tokenLimit, tokensPerMinute);
+    const minutesUntilCostLimit = minutesUntil(block.totalCost, costLimit, costPerMinute);
+    const limitMinutes = [minutesUntilTokenLimit, minutesUntilCostLimit].filter(m => m !== null);
+    const minutesUntilLimit = limitMinutes.length > 0 ? Math.min(...limitMinutes) : null;
+
+    const tokenUsagePercent = tokenLimit > 0 ? (block.totalTokens / tokenLimit) * 100 : 0;
+    const costUsagePercent = costLimit > 0 ? (block.totalCost / costLimit) * 100 : 0;
+    const usagePercent = Math.max(tokenUsagePercent, costUsagePercent);
+
+    let warningLevel = 'ok';
+    if (usagePercent >= 100) {
+      warningLevel = 'exceeded';
+    } else if (minutesUntilLimit !== null || usagePercent >= 80) {
+      warningLevel = 'warning';
+    }
+
+    return {
+      tokensPerMinute: Math.round(tokensPerMinute),
+      costPerMinute,
+      costPerHour,
+      projectedTokens,
+      projectedCost,
+      tokenLimit,
+      tokenLimitSource,
+      costLimit,
+      tokenUsagePercent,
+      costUsagePercent,
+      projectedTokenPercent: tokenLimit > 0 ? (projectedTokens / tokenLimit) * 100 : 0,
+      minutesUntilTokenLimit,
+      minutesUntilCostLimit,
+      minutesUntilLimit,
+      limitReachedAt: minutesUntilLimit !== null ? new Date(now + minutesUntilLimit * 60 * 1000).toISOString() : null,
+      warningLevel
+    };
+  }
+
+  createBlock(startMs) {
+    return {
+      startMs,
+      endMs: startMs + this.blockDurationMs,
+      lastMs: startMs,
+      entryCount: 0,
+      totalCost: 0,
+      totalTokens: 0,
+      tokenCounts: {
+        inputTokens: 0,
+        outputTokens: 0,
+        cacheCreationInputTokens: 0,
+        cacheReadInputTokens: 0
+      },
+      models: new Set(),
+      sessions: new Set(),
+      lastSessionId: null
+    };
+  }
+
+  addEntry(block, entry, time) {
+    const inputTokens = entry.input_tokens || 0;
+    const outputTokens = entry.output_tokens || 0;
+    const cacheCreation = entry.cache_creation_input_tokens || 0;
+    const cacheRead = entry.cache_read_input_tokens || 0;
+    const sessionId = entry.session_id || entry.sessionId || null;
+
+    block.entryCount++;
+    block.totalCost += entry.cost || 0;
+    block.totalTokens += inputTokens + outputTokens + cacheCreation + cacheRead;
+    block.tokenCounts.inputTokens += inputTokens;
+    block.tokenCounts.outputTokens += outputTokens;
+    block.tokenCounts.cacheCreationInputTokens += cacheCreation;
+    block.tokenCounts.cacheReadInputTokens += cacheRead;
+    block.lastMs = time;
+
+    if (entry.model && entry.model !== '<synthetic>') {
+      block.models.add(entry.model);
+    }
+    if (sessionId) {
+      block.sessions.add(sessionId);
+      block.lastSessionId = sessionId;
+    }
+  }
+
+  finalizeBlock(block, now) {
+    const isActive = now >= block.startMs && now < block.endMs;
+    const elapsedMinutes = Math.floor((Math.min(now, block.endMs) - block.startMs) / (1000 * 60));
+
+    return {
+      id: new Date(block.startMs).toISOString(),
+      startTime: new Date(block.startMs).toISOString(),
+      endTime: new Date(block.endMs).toISOString(),
+      actualEndTime: new Date(block.lastMs).toISOString(),
+      state: isActive ? 'active' : 'expired',
+      isActive,
+      isGap: false,
+      entryCount: block.entryCount,
+      totalCost: block.totalCost,
+      totalTokens: block.totalTokens,
+      tokenCounts: block.tokenCounts,
+      models: Array.from(block.models),
+      sessionIds: Array.from(block.sessions),
+      lastSessionId: block.lastSessionId,
+      durationMinutes: Math.floor((block.lastMs - block.startMs) / (1000 * 60)),
+      elapsedMinutes: Math.max(0, elapsedMinutes),
+      remainingMinutes: isActive ? Math.ceil((block.endMs - now) / (1000 * 60)) : 0
+    };
+  }
+
+  createGapBlock(startMs, endMs) {
+    return {
+      id: `gap-${new Date(startMs).toISOString()}`,
+      startTime: new Date(startMs).toISOString(),
+      endTime: new Date(endMs).toISOString(),
+      actualEndTime: null,
+      state: 'gap',
+      isActive: false,
+      isGap: true,
+      entryCount: 0,
+      totalCost: 0,
+      totalTokens: 0,
+      tokenCounts: {
+        inputTokens: 0,
+        outputTokens: 0,
+        cacheCreationInputTokens: 0,
+        cacheReadInputTokens: 0
+      },
+      models: [],
+      sessionIds: [],
+      lastSessionId: null,
+      durationMinutes: Math.floor((endMs - startMs) / (1000 * 60)),
+      elapsedMinutes: 0,
+      remainingMinutes: 0
+    };
+  }
+}
+
+// Create singleton instance
+const blockCalculator = new BlockCalculator();
+
+module.exports = {
+  BLOCK_DURATION_MINUTES,
+  BlockCalculator,
+  blockCalculator
+};
@@ -0,0 +1,121 @@
+/**
+ * Budget Service
+ * Evaluates daily, weekly and billing-period spending budgets (global or
+ * per project) against the spend aggregated by the core data worker.
+ *
+ * Each threshold fires once per budget period: fired alerts are recorded in
+ * the database so restarts and repeated refreshes don't notify again.
+ */
+
+const BUDGET_THRESHOLDS = [50, 80, 100];
+const BUDGET_PERIODS = ['daily', 'weekly', 'billing'];
+
+/**
+ * Start and dedupe key of every budget period containing `now`.
+ * Weeks start on Monday, billing periods come from DatabaseService.getBillingPeriodForDate.
+ * @param {Date} now - Reference time
+ * @param {Object} billingPeriod - { start, key } of the current billing period
+ */
+function getBudgetPeriods(now, billingPeriod) {
+  const dayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const weekStart = new Date(dayStart);
+  weekStart.setDate(dayStart.getDate() - ((dayStart.getDay() + 6) % 7));
+
+  const dateKey = (date) =>
+    `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+  return {
+    daily: { start: dayStart, key: `day-${dateKey(dayStart)}` },
+    weekly: { start: weekStart, key: `week-${dateKey(weekStart)}` },
+    billing: { start: new Date(billingPeriod.start), key: `billing-${billingPeriod.key}` }
+  };
+}
+
+class BudgetService {
+  constructor(thresholds = BUDGET_THRESHOLDS) {
+    this.thresholds = thresholds;
+  }
+
+  /**
+   * Drop malformed definitions coming from the renderer settings
+   */
+  normalizeBudgets(budgets) {
+    return (Array.isArray(budgets) ? budgets : [])
+      .filter(budget => budget && budget.id && BUDGET_PERIODS.includes(budget.period))
+      .map(budget => ({
+        id: String(budget.id),
+        scope: budget.scope === 'project' ? 'project' : 'global',
+        project: budget.scope === 'project' ? budget.project || null : null,
+        period: budget.period,
+        amount: Math.max(0, Number(budget.amount) || 0),
+        enabled: budget.enabled !== false
+      }))
+      .filter(budget => budget.amount > 0 && (budget.scope === 'global' || budget.project));
+  }
+
+  /**
+   * Compare budgets with the current spend.
+   * @param {Array} budgets - Normalized budget definitions (amounts in display currency)
+   * @param {Object} budgetSpend - { daily|weekly|billing: { key, total, byProject } } from the worker
+   * @param {Function} recordAlert - (alertKey, alert) => true if the alert was not recorded before
+   * @returns {{ status: Array, alerts: Array }} Status for every budget and newly crossed thresholds
+   */
+  evaluate(budgets, budgetSpend, recordAlert) {
+    const status = [];
+    const alerts = [];
+
+    for (const budget of budgets) {
+      const spend = budgetSpend && budgetSpend[budget.period];
+      if (!spend) continue;
+
+      const spent = budget.scope === 'project'
+        ? (spend.byProject[budget.project] || 0)
+        : spend.total;
+      const percent = (spent / budget.amount) * 100;
+      const crossed = this.thresholds.filter(threshold => percent >= threshold);
+
+      const entry = {
+        budgetId: budget.id,
+        scope: budget.scope,
+        project: budget.project,
+        period: budget.period,
+        periodKey: spend.key,
+        amount: budget.amount,
+        spent,
+        percent,
+        threshold: crossed.length > 0 ? crossed[crossed.length - 1] : 0,
+        enabled: budget.enabled
+      };
+      status.push(entry);
+
+      if (!budget.enabled || crossed.length === 0) continue;
+
+      // Record every crossed threshold, but only notify for the highest new one
+      const newlyCrossed = crossed.filter(threshold =>
+        recordAlert(`${budget.id}:${spend.key}:${threshold}`, { ...entry, threshold })
+      );
+      if (newlyCrossed.length > 0) {
+        const threshold = newlyCrossed[newlyCrossed.length - 1];
+        alerts.push({
+          ...entry,
+          id: `${budget.id}:${spend.key}:${threshold}`,
+          threshold,
+          firedAt: new Date().toISOString()
+        });
+      }
+    }
+
+    return { status, alerts };
+  }
+}
+
+// Create singleton instance
+const budgetService = new BudgetService();
+
+module.exports = {
+  BUDGET_THRESHOLDS,
+  BUDGET_PERIODS,
+  getBudgetPeriods,
+  BudgetService,
+  budgetService
+};
@@ -7,26 +7,17 @@ const { parentPort, workerData } = require('worker_threads');
 const path = require('path');
 const DatabaseService = require('./database.cjs');
 const { modelPriceService } = require('./model-price-service.cjs');
+const { blockCalculator } = require('./block-calculator.cjs');
+const { DEFAULT_PLAN, calculatePlanRoi } = require('./plan-profiles.cjs');
+const { getBudgetPeriods } = require('./budget-service.cjs');
+const { resolveUsageFilter, isFilterActive, buildEntryFilter } = require('./usage-filter.cjs');
 
 // Import calculation logic (we'll move the heavy parts here)
 class CoreDataWorker {
   constructor() {
     this.currency = 'USD';
     this.exchangeRates = {};
-    this.db = new DatabaseService();
-    
-    // Ensure cache token columns exist in worker thread
-    try {
-      this.db.db.exec(`ALTER TABLE usage_entries ADD COLUMN cache_creation_input_tokens INTEGER DEFAULT 0`);
-    } catch (e) {
-      // Column already exists, ignore
-    }
-    
-    try {
-      this.db.db.exec(`ALTER TABLE usage_entries ADD COLUMN cache_read_input_tokens INTEGER DEFAULT 0`);
-    } catch (e) {
-      // Column already exists, ignore
-    }
+    this.db = new DatabaseService(); // Runs pending schema migrations
   }
   
   // Extract main project name from full path (group subfolders)
@@ -79,11 +70,15 @@ class CoreDataWorker {
     return converted;
   }
 
-  async calculateAllData(usageEntries, currency = 'USD', exchangeRates = {}, billingCycleDay = 1) {
+  async calculateAllData(usageEntries, currency = 'USD', exchangeRates = {}, billingCycleDay = 1, blockLimits = {}, plan = DEFAULT_PLAN, filter = null) {
     const startTime = performance.now();
     this.currency = currency;
     this.exchangeRates = exchangeRates;
     
+    // Global filter slice - live data (blocks, today, budgets) always covers everything
+    const usageFilter = resolveUsageFilter(filter);
+    const entryFilter = buildEntryFilter(usageFilter);
+    
     console.log(`[WORKER] Using SQLite database for blazing fast calculations`);
     console.log(`[MONEY] Currency: ${currency}, Exchange rates:`, exchangeRates);
     
@@ -91,17 +86,20 @@ class CoreDataWorker {
     const dbInfo = this.db.getDbInfo();
     console.log(`[DB] Worker: DB contains ${dbInfo.entryCount} entries (${dbInfo.dbSizeMB}MB)`);
     console.log(`[BILLING] Worker: Using billing cycle day ${billingCycleDay}`);
+    if (isFilterActive(usageFilter)) {
+      console.log(`[FILTER] Worker: ${usageFilter.from || '...'} - ${usageFilter.to || '...'}, project=${usageFilter.project || 'all'}, model=${usageFilter.model || 'all'}, machine=${usageFilter.machine || 'all'}`);
+    }
     
     // Quick DB-powered calculations - USE BILLING CYCLE GROUPING
-    const sessionStats = this.db.getSessionStats();
-    const projectStats = this.db.getProjectStats();
-    const monthlyStats = this.db.getMonthlyStats(billingCycleDay); // Use billing cycle
-    const dailyStats = this.db.getDailyStats(7); // Use pure calendar day grouping
-    const dailyFinancialStats = this.db.getDailyFinancialStats(30); // Last 30 days for chart
+    const sessionStats = this.db.getSessionStats(usageFilter);
+    const projectStats = this.db.getProjectStats(usageFilter);
+    const monthlyStats = this.db.getMonthlyStats(billingCycleDay, usageFilter); // Use billing cycle
+    const dailyStats = this.db.getDailyStats(7, usageFilter); // Use pure calendar day grouping
+    const dailyFinancialStats = this.db.getDailyFinancialStats(30, usageFilter); // Last 30 days (or the filter range) for chart
     
     // Lightning-fast DB calculations
-    const totalCost = this.convertCurrency(this.db.getTotalCost());
-    const totalTokens = this.db.getTotalTokens();
+    const totalCost = this.convertCurrency(this.db.getTotalCost(usageFilter));
+    const totalTokens = this.db.getTotalTokens(usageFilter);
     
     const result = {
       // Basic Financial (from DB aggregations)
@@ -123,9 +121,14 @@ class CoreDataWorker {
       totalTokens: totalTokens,
       averageCostPerSession: sessionStats.length > 0 ? totalCost / sessionStats.length : 0,
       
+      // Global filter the aggregates were calculated for (presets resolved to dates)
+      activeFilter: usageFilter,
+      filterOptions: this.db.getFilterOptions(),
+      
       // Pre-calculated data arrays
       sessionsData: [],
       projectsData: [],
+      machineBreakdown: [],
       dailyData: [],
       monthlyData: [],
       dailyFinancialData: [],
@@ -179,10 +182,10 @@ class CoreDataWorker {
     const sessionModelsQuery = this.db.db.prepare(`
       SELECT session_id, GROUP_CONCAT(DISTINCT model) as models
       FROM usage_entries 
-      WHERE session_id IS NOT NULL AND model IS NOT NULL
+      WHERE session_id IS NOT NULL AND model IS NOT NULL ${entryFilter.and}
       GROUP BY session_id
     `);
-    const sessionModelsData = sessionModelsQuery.all();
+    const sessionModelsData = sessionModelsQuery.all(...entryFilter.params);
     
     // Create a map of session_id to models
     const sessionModelsMap = new Map();
@@ -277,10 +280,10 @@ class CoreDataWorker {
     const projectModelsQuery = this.db.db.prepare(`
       SELECT project, GROUP_CONCAT(DISTINCT model) as models
       FROM usage_entries 
-      WHERE project IS NOT NULL AND model IS NOT NULL
+      WHERE project IS NOT NULL AND model IS NOT NULL ${entryFilter.and}
       GROUP BY project
     `);
-    const projectModelsData = projectModelsQuery.all();
+    const projectModelsData = projectModelsQuery.all(...entryFilter.params);
     
     // Create a map of extracted project names to their models
     const projectModelsMap = new Map();
@@ -304,6 +307,25 @@ class CoreDataWorker {
       project.models = projectModelsMap.get(projectName) || [];
     });
     
+    // Cost per source machine for each extracted project name
+    const projectMachinesMap = new Map();
+    this.db.getProjectMachineStats(usageFilter).forEach(row => {
+      const extractedName = this.extractProjectName(row.project);
+      if (!extractedName) return;
+      if (!projectMachinesMap.has(extractedName)) {
+        projectMachinesMap.set(extractedName, new Map());
+      }
+      const machines = projectMachinesMap.get(extractedName);
+      const machine = machines.get(row.source) || { machine: row.source, totalCost: 0, totalTokens: 0 };
+      machine.totalCost += this.convertCurrency(row.total_cost || 0);
+      machine.totalTokens += row.total_tokens || 0;
+      machines.set(row.source, machine);
+    });
+    projectMap.forEach((project, projectName) => {
+      const machines = projectMachinesMap.get(projectName);
+      project.machines = machines ? Array.from(machines.values()).sort((a, b) => b.totalCost - a.totalCost) : [];
+    });
+    
     // Convert map to array and calculate averages
     result.projectsData = Array.from(projectMap.values()).map(project => ({
       ...project,
@@ -314,6 +336,17 @@ class CoreDataWorker {
     result.totalProjects = result.projectsData.length;
     result.projectsCount = result.projectsData.length;
 
+    // Usage per source machine ('local' or SSH remote host label)
+    result.machineBreakdown = this.db.getMachineStats(usageFilter).map(row => ({
+      machine: row.source,
+      totalCost: this.convertCurrency(row.total_cost || 0),
+      totalTokens: row.total_tokens || 0,
+      sessions: row.session_count || 0,
+      projects: row.project_count || 0,
+      entries: row.entry_count || 0,
+      lastActivity: row.last_activity
+    }));
+
     // Calculate averages and additional fields
     result.avgTokensPerSession = result.totalSessions > 0 ? result.totalTokens / result.totalSessions : 0;
     result.costPer1MTokens = result.totalTokens > 0 ? (result.totalCost / result.totalTokens) * 1000000 : 0;
@@ -321,21 +354,26 @@ class CoreDataWorker {
     result.costPer1KTokens = result.totalTokens > 0 ? (result.totalCost / result.totalTokens) * 1000 : 0;
     
     // Get models from database
-    const modelsQuery = this.db.db.prepare('SELECT DISTINCT model FROM usage_entries WHERE model IS NOT NULL').all();
+    const modelsQuery = this.db.db.prepare(`SELECT DISTINCT model FROM usage_entries WHERE model IS NOT NULL ${entryFilter.and}`).all(...entryFilter.params);
     result.models = modelsQuery.map(row => row.model);
     result.modelsCount = result.models.length;
     result.modelsList = result.models;
     
-    // Calculate active days - use current billing period for consistency
-    const currentPeriodData = this.db.getCurrentBillingPeriodData(billingCycleDay);
-    result.activeDays = currentPeriodData?.activeDays || 0;
+    // Calculate active days - use current billing period for consistency, or the filtered slice
+    if (isFilterActive(usageFilter)) {
+      const activeDaysQuery = this.db.db.prepare(`SELECT COUNT(DISTINCT date(timestamp)) as active_days FROM usage_entries ${entryFilter.where}`).get(...entryFilter.params);
+      result.activeDays = activeDaysQuery?.active_days || 0;
+    } else {
+      const currentPeriodData = this.db.getCurrentBillingPeriodData(billingCycleDay);
+      result.activeDays = currentPeriodData?.activeDays || 0;
+    }
     
-    // Calculate total days tracked (from first entry to today)
-    const firstEntryQuery = this.db.db.prepare('SELECT MIN(date(timestamp)) as first_date FROM usage_entries').get();
+    // Calculate total days tracked (from first entry to today, or to the end of the filter range)
+    const firstEntryQuery = this.db.db.prepare(`SELECT MIN(date(timestamp)) as first_date FROM usage_entries ${entryFilter.where}`).get(...entryFilter.params);
     let daysTracked = 0;
     if (firstEntryQuery?.first_date) {
       const firstDate = new Date(firstEntryQuery.first_date);
-      const today = new Date();
+      const today = usageFilter.to && new Date(usageFilter.to) < new Date() ? new Date(usageFilter.to) : new Date();
       const timeDiff = today.getTime() - firstDate.getTime();
       daysTracked = Math.ceil(timeDiff / (1000 * 3600 * 24)) + 1; // +1 to include both start and end days
     }
@@ -438,6 +476,38 @@ class CoreDataWorker {
       };
     });
     
+    // Subscription ROI: API value extracted vs plan price per billing period
+    const billingPeriods = billingCycleDay === 1 ? this.db.getBillingPeriodStats(1, 12, usageFilter) : monthlyStats;
+    result.planRoi = calculatePlanRoi(billingPeriods, plan, {
+      convert: (usd) => this.convertCurrency(usd),
+      currentPeriodKey
+    });
+    
+    // Calendar month keys are YYYY-MM, billing period keys always carry the day
+    const roiByPeriod = new Map(result.planRoi.periods.map(p => [p.period, p]));
+    result.monthlyData.forEach(month => {
+      const roi = roiByPeriod.get(month.date) || roiByPeriod.get(`${month.date}-01`);
+      month.planValueRatio = roi ? roi.valueRatio : null;
+      month.planNetValue = roi ? roi.netValue : 0;
+    });
+    // Spend per budget period (today, this week, billing period) - evaluated by CoreDataService
+    result.budgetSpend = {};
+    const budgetPeriods = getBudgetPeriods(new Date(), currentPeriod);
+    for (const [period, window] of Object.entries(budgetPeriods)) {
+      const spend = { key: window.key, start: window.start.toISOString(), total: 0, byProject: {} };
+      this.db.getSpendByProjectSince(window.start.toISOString()).forEach(row => {
+        const cost = this.convertCurrency(row.total_cost || 0);
+        const projectName = this.extractProjectName(row.project);
+        spend.total += cost;
+        if (projectName) {
+          spend.byProject[projectName] = (spend.byProject[projectName] || 0) + cost;
+        }
+      });
+      result.budgetSpend[period] = spend;
+    }
+    
+    console.log(`[PLAN] ROI for ${result.planRoi.planName}: ${result.planRoi.periods.length} periods, ratio ${result.planRoi.valueRatio !== null ? result.planRoi.valueRatio.toFixed(2) : 'n/a'}`);
+    
     // Process daily activity data (already in chronological order from DB)
     result.activityData = dailyStats.map(day => ({
       date: day.date,
@@ -451,67 +521,53 @@ class CoreDataWorker {
       })
     }));
 
-    // Active session detection using DB
+    // 5-hour billing block detection (rolling windows from entry timestamps)
     const now = Date.now();
-    const recentEntries = this.db.getRecentEntries(30); // Last 30 minutes
+    const blocks = blockCalculator.identifyBlocks(this.db.getBlockEntries(), now)
+      .map(block => ({ ...block, totalCost: this.convertCurrency(block.totalCost) }));
+    const activeBlock = blockCalculator.findActiveBlock(blocks);
     
-    console.log(`[ACTIVE DEBUG] Found ${recentEntries.length} entries in last 30 minutes`);
-    if (recentEntries.length > 0) {
-      const latest = recentEntries[0];
-      const minutesAgo = Math.round((now - new Date(latest.timestamp).getTime()) / (1000 * 60));
-      console.log(`[ACTIVE DEBUG] Latest entry: ${latest.session_id}, ${minutesAgo}min ago`);
-    }
+    result.blocks = blocks.reverse(); // Most recent first, like sessionsData
+    result.blocksCount = blocks.filter(block => !block.isGap).length;
+    result.totalBlocks = result.blocksCount;
+    result.block = activeBlock;
     
-    let activeSessionId = null;
-    if (recentEntries.length > 0) {
-      // Find the most recent session
-      const latestEntry = recentEntries.reduce((latest, entry) => {
-        return new Date(entry.timestamp) > new Date(latest.timestamp) ? entry : latest;
-      });
-      activeSessionId = latestEntry.session_id;
-    }
+    // Burn rate + limit projection for the running block
+    result.blockProjection = blockCalculator.projectBlockUsage(activeBlock, blocks, blockLimits, now);
+    result.tokensPerMinute = result.blockProjection ? result.blockProjection.tokensPerMinute : 0;
+    result.estimatedHourlyCost = result.blockProjection ? result.blockProjection.costPerHour : 0;
+    result.projectedSessionCost = result.blockProjection ? result.blockProjection.projectedCost : 0;
+    
+    console.log(`[BLOCKS] Found ${result.blocksCount} billing blocks, active: ${activeBlock ? activeBlock.startTime : 'none'}`);
+    
+    // The active session is the currently running billing block
+    const activeSessionId = activeBlock ? activeBlock.lastSessionId : null;
     
-    // Set active session data
     result.activeSession = activeSessionId;
-    result.sessionActive = !!activeSessionId;
+    result.sessionActive = !!activeBlock;
     result.sessionId = activeSessionId;
     
-    // Calculate current session data if active
-    if (activeSessionId) {
-      const sessionEntries = this.db.getSessionEntries(activeSessionId);
+    if (activeBlock) {
+      console.log(`[DEBUG] Current Block Debug: ${activeBlock.entryCount} entries, cost=${activeBlock.totalCost.toFixed(4)}, tokens=${activeBlock.totalTokens}, elapsed=${activeBlock.elapsedMinutes}min`);
       
-      if (sessionEntries.length > 0) {
-        const sessionStart = new Date(Math.min(...sessionEntries.map(e => new Date(e.timestamp).getTime())));
-        const sessionEnd = new Date(Math.max(...sessionEntries.map(e => new Date(e.timestamp).getTime())));
-        const sessionCost = sessionEntries.reduce((sum, e) => sum + this.convertCurrency(e.cost || 0), 0);
-        const sessionTokens = sessionEntries.reduce((sum, e) => sum + ((e.input_tokens || 0) + (e.output_tokens || 0) + (e.cache_creation_input_tokens || 0) + (e.cache_read_input_tokens || 0)), 0);
-        
-        const durationMinutes = Math.floor((sessionEnd.getTime() - sessionStart.getTime()) / (1000 * 60));
-        const timeLeftMinutes = Math.max(0, 300 - durationMinutes); // 5 hours = 300 minutes
-        
-        console.log(`[DEBUG] Current Session Debug: ${sessionEntries.length} entries, cost=$${sessionCost.toFixed(4)}, tokens=${sessionTokens}, duration=${durationMinutes}min`);
-        
-        result.started = sessionStart.toISOString();
-        result.duration = durationMinutes;
-        result.currentCost = sessionCost;
-        result.currentTokens = sessionTokens; // Add current session tokens
-        result.timeLeft = timeLeftMinutes;
-        result.sessionTimeLeft = timeLeftMinutes;
-        result.lastActivity = sessionEnd.toISOString();
-        result.status = timeLeftMinutes > 0 ? 'active' : 'expired';
-        result.sessionStatus = result.status;
-        
-        console.log(`[DEBUG] Active Session Calculated: Cost=$${sessionCost.toFixed(2)}, Tokens=${sessionTokens}, Duration=${durationMinutes}min`);
-      }
+      result.started = activeBlock.startTime;
+      result.duration = activeBlock.elapsedMinutes;
+      result.currentCost = activeBlock.totalCost;
+      result.currentTokens = activeBlock.totalTokens;
+      result.timeLeft = activeBlock.remainingMinutes;
+      result.sessionTimeLeft = activeBlock.remainingMinutes;
+      result.lastActivity = activeBlock.actualEndTime;
+      result.status = 'active';
+      result.sessionStatus = result.status;
     } else {
       result.status = 'idle';
       result.sessionStatus = 'idle';
-      result.currentCost = 0; // No active session = no current cost
-      result.currentTokens = 0; // No active session = no current tokens
+      result.currentCost = 0; // No active block = no current cost
+      result.currentTokens = 0; // No active block = no current tokens
       result.duration = 0;
       result.timeLeft = 0;
       result.sessionTimeLeft = 0;
-      console.log(`[DEBUG] No Active Session: currentCost set to $0.00`);
+      console.log(`[DEBUG] No Active Block: currentCost set to $0.00`);
     }
     
     // Mark active session in sessionsData
@@ -975,7 +1031,10 @@ if (parentPort) {
           params.usageEntries, 
           params.currency, 
           params.exchangeRates,
-          params.billingCycleDay || 1
+          params.billingCycleDay || 1,
+          params.blockLimits || {},
+          params.plan || DEFAULT_PLAN,
+          params.filter || null
         );
         parentPort.postMessage({ type: 'result', data: result });
       }
@@ -7,6 +7,15 @@
 const { Worker } = require('worker_threads');
 const path = require('path');
 const { modelPriceService } = require('./model-price-service.cjs');
+const { blockCalculator, BLOCK_DURATION_MINUTES } = require('./block-calculator.cjs');
+const { PLAN_PROFILES, DEFAULT_PLAN, getPlanBlockLimits } = require('./plan-profiles.cjs');
+const { budgetService } = require('./budget-service.cjs');
+const { formatReportAsHTML, formatReportAsText } = require('./report-formatter.cjs');
+const { exportEntriesToFile, formatDelimitedValue } = require('./entry-export.cjs');
+const { parseSessionKey, buildSessionDetail } = require('./session-detail.cjs');
+const { DEFAULT_USAGE_FILTER, normalizeUsageFilter, resolveUsageFilter } = require('./usage-filter.cjs');
+const { resolveComparisonPeriods, buildPeriodComparison } = require('./period-comparison.cjs');
+const { buildUsageHeatmap } = require('./usage-heatmap.cjs');
 
 class CoreDataService {
   constructor(dataLoader, pathManager) {
@@ -17,10 +26,19 @@ class CoreDataService {
     this.currency = 'USD'; // Default currency
     this.exchangeRates = {}; // Provided by currency-service.ts
     this.billingCycleDay = 1; // Default billing cycle day
+    this.blockLimitsByPlan = {}; // Per 5-hour block ceilings for each plan
+    this.blockLimits = { tokenLimit: 0, costLimit: 0 }; // Ceilings of the current plan (0 = auto/off)
+    this.plan = DEFAULT_PLAN; // Subscription plan used for the ROI calculation
+    this.budgets = []; // Spending budgets (global or per project), amounts in display currency
+    this.filter = { ...DEFAULT_USAGE_FILTER }; // Global date range / project / model / machine slice
+    this.filteredCoreData = null; // { key, coreData } of the last other filter (local API)
     
     // Auto-push callback for sending data to store.ts
     this.autoPushCallback = null;
     
+    // Budget alert callback for desktop notifications in main.cjs
+    this.budgetAlertCallback = null;
+    
     // Incremental loading state
     this.lastProcessedTimestamp = 0;
     this.lastRefreshTime = 0;
@@ -136,6 +154,7 @@ class CoreDataService {
       tokensPerMinute: 0,
       estimatedHourlyCost: 0,
       projectedSessionCost: 0,
+      blockProjection: null,
       sessionTimeProgress: 0,
       progressPercentage: 0,
       tokensPerHour: 0,
@@ -145,6 +164,9 @@ class CoreDataService {
       
       // Additional Analysis
       highestSpendingMonth: null,
+      planRoi: null,
+      budgetSpend: null,
+      budgetStatus: [],
       mostActiveMonth: null,
       vsAvgPercentage: 0,
       timeRanges: [],
@@ -169,7 +191,14 @@ class CoreDataService {
       // Model Breakdown Data
       modelBreakdown: [],
       modelStats: {},
+      
+      // Usage per source machine (local + SSH remote hosts)
+      machineBreakdown: [],
       modelEfficiency: [],
+      
+      // Global filter (resolved dates) and the values it can choose from
+      activeFilter: null,
+      filterOptions: { projects: [], models: [], machines: [] },
       costDistribution: {},
       
       // Export capabilities
@@ -216,17 +245,22 @@ class CoreDataService {
   /**
    * Load and calculate core data - SMART INCREMENTAL MODE
    * Only processes new/changed data after initial load
+   * @param {Object} options - { changedFiles: only ingest these files instead of scanning all paths }
    */
-  async calculateCoreData() {
+  async calculateCoreData(options = {}) {
     if (this.isLoading) return this.coreData;
     
     this.isLoading = true;
     const currentTime = Date.now();
     
     try {
-      // Get fresh data from DataLoader
-      const activePaths = this.pathManager.getAllPaths().active;
-      await this.dataLoader.loadAllUsageEntries(activePaths);
+      // Get fresh data from DataLoader (the first load always scans every path)
+      if (options.changedFiles && !this.isInitialLoad) {
+        await this.dataLoader.ingestFiles(options.changedFiles);
+      } else {
+        const activePaths = this.pathManager.getAllPaths().active;
+        await this.dataLoader.loadAllUsageEntries(activePaths);
+      }
       const allEntries = this.dataLoader.getAllUsageEntries();
       
       if (this.isInitialLoad) {
@@ -272,6 +306,9 @@ class CoreDataService {
         console.log(`[OK] CoreDataService: Incremental update completed - ${newEntries.length} new entries processed`);
       }
       
+      // Check spending budgets against the fresh numbers
+      this.evaluateBudgets();
+      
       this.lastRefreshTime = currentTime;
       
       // Auto-push to store.ts if callback is set
@@ -289,6 +326,29 @@ class CoreDataService {
     }
   }
 
+  /**
+   * Live ingestion for FileWatcherService: ingest changed JSONL files and
+   * push the recalculated data through the auto-push callback
+   * @returns {Promise<boolean>} false while another calculation runs, so the watcher retries
+   */
+  async ingestChangedFiles(files) {
+    if (this.isLoading) return false;
+    
+    await this.calculateCoreData({ changedFiles: files });
+    return true;
+  }
+
+  /**
+   * Recalculate after entries were stored outside a calculation (SSH "Sync now").
+   * Waits for a running calculation first, as it may have read the database before them.
+   */
+  async recalculateStoredEntries() {
+    while (this.isLoading) {
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    return this.calculateCoreData({ changedFiles: [] });
+  }
+
   /**
    * Smart incremental update - only recalculates affected metrics
    */
@@ -523,8 +583,9 @@ class CoreDataService {
   
   /**
    * Run calculations in Worker thread
+   * @param {Object} [filter] - Filter other than the GUI filter (no progress is pushed to the UI)
    */
-  async calculateInWorker(usageEntries, isIncremental = false) {
+  async calculateInWorker(usageEntries, isIncremental = false, filter = null) {
     return new Promise((resolve, reject) => {
       const workerPath = path.join(__dirname, 'core-data-worker.cjs');
       const worker = new Worker(workerPath);
@@ -536,6 +597,9 @@ class CoreDataService {
         currency: this.currency,
         exchangeRates: this.exchangeRates,
         billingCycleDay: this.billingCycleDay || 1,
+        blockLimits: this.blockLimits,
+        plan: this.plan,
+        filter: filter || this.filter,
         isIncremental: isIncremental,
         existingData: isIncremental ? this.coreData : null
       });
@@ -546,7 +610,7 @@ class CoreDataService {
           console.log(`[LOAD] Worker Progress: ${message.message} (${message.progress.toFixed(1)}%)`);
           
           // Optionally send progress to UI
-          if (this.autoPushCallback) {
+          if (this.autoPushCallback && !filter) {
             this.autoPushCallback({
               ...this.coreData,
               _loadingProgress: {
@@ -629,25 +693,67 @@ class CoreDataService {
       this.lastRefresh[tabName] = now;
     }
     
-    // Return tab-specific data subset
+    return this.selectTabData(tabName, this.coreData);
+  }
+  
+  /**
+   * Tab-specific data subset of calculated core data
+   */
+  selectTabData(tabName, coreData) {
     switch (tabName) {
       case 'overview':
-        return this.getOverviewData();
+        return this.getOverviewData(coreData);
       case 'projects':
-        return this.getProjectsData();
+        return this.getProjectsData(coreData);
       case 'sessions':
-        return this.getSessionsData();
+        return this.getSessionsData(coreData);
       case 'monthly':
-        return this.getMonthlyData();
+        return this.getMonthlyData(coreData);
       case 'daily':
-        return this.getDailyData();
+        return this.getDailyData(coreData);
       case 'active':
-        return this.getActiveData();
+        return this.getActiveData(coreData);
       default:
-        return this.coreData;
+        return coreData;
     }
   }
   
+  /**
+   * Tab data for a filter of its own instead of the GUI filter bar (local API).
+   * Other filters get a separate worker run, cached until the entries or settings change.
+   * @param {string} tabName - Tab like in getTabData
+   * @param {Object} filter - Usage filter (see usage-filter.cjs), normalized here
+   * @returns {Promise<{ data: Object, activeFilter: Object }>} Tab data and the resolved filter
+   */
+  async getTabDataForFilter(tabName, filter) {
+    const normalized = normalizeUsageFilter(filter);
+    if (JSON.stringify(normalized) === JSON.stringify(this.filter)) {
+      const data = await this.getTabData(tabName);
+      return { data, activeFilter: this.coreData.activeFilter };
+    }
+    
+    // Same refresh cycle as the GUI tabs, so new entries are loaded first
+    await this.getTabData(tabName);
+    
+    const cacheKey = JSON.stringify({
+      filter: normalized,
+      currency: this.currency,
+      billingCycleDay: this.billingCycleDay,
+      plan: this.plan,
+      blockLimits: this.blockLimits,
+      entries: this.processedEntryIds.size,
+      lastProcessedTimestamp: this.lastProcessedTimestamp
+    });
+    if (!this.filteredCoreData || this.filteredCoreData.key !== cacheKey) {
+      const result = await this.calculateInWorker(this.dataLoader.getAllUsageEntries(), false, normalized);
+      // Live session fields are not filtered and come from the regular core data
+      this.filteredCoreData = { key: cacheKey, coreData: { ...this.coreData, ...result } };
+    }
+    
+    const { coreData } = this.filteredCoreData;
+    return { data: this.selectTabData(tabName, coreData), activeFilter: coreData.activeFilter };
+  }
+  
   /**
    * Force refresh specific tab
    */
@@ -700,6 +806,117 @@ class CoreDataService {
     console.log(`[OK] CoreDataService: Billing cycle day updated to ${billingCycleDay}`);
   }
   
+  /**
+   * Update per-block token/cost ceilings of each plan (called by store.ts)
+   * tokenLimit 0 = auto (largest previous block), costLimit 0 = no cost ceiling
+   * @param {Object} blockLimitsByPlan - { [planId]: { tokenLimit, costLimit } }
+   * @returns {boolean} true if the limits of the current plan changed
+   */
+  updateBlockLimits(blockLimitsByPlan = {}) {
+    this.blockLimitsByPlan = blockLimitsByPlan;
+    return this.applyPlanBlockLimits();
+  }
+  
+  /**
+   * Use the block ceilings of the current plan
+   * @returns {boolean} true if they differ from the ones in use
+   */
+  applyPlanBlockLimits() {
+    const { tokenLimit, costLimit } = getPlanBlockLimits(this.blockLimitsByPlan, this.plan);
+    
+    if (tokenLimit === this.blockLimits.tokenLimit && costLimit === this.blockLimits.costLimit) {
+      return false;
+    }
+    
+    this.blockLimits = { tokenLimit, costLimit };
+    console.log(`[OK] CoreDataService: Block limits updated to ${tokenLimit || 'auto'} tokens / ${costLimit || 'no'} cost ceiling`);
+    return true;
+  }
+  
+  /**
+   * Update subscription plan (called by store.ts)
+   * @returns {boolean} true if the plan changed
+   */
+  updatePlan(plan) {
+    if (!PLAN_PROFILES[plan]) {
+      console.warn(`[PLAN] CoreDataService: Unknown plan "${plan}", keeping ${this.plan}`);
+      return false;
+    }
+    
+    if (plan === this.plan) {
+      return false;
+    }
+    
+    this.plan = plan;
+    this.applyPlanBlockLimits();
+    console.log(`[OK] CoreDataService: Plan updated to ${PLAN_PROFILES[plan].name}`);
+    return true;
+  }
+  
+  /**
+   * Update the global usage filter (called by store.ts)
+   * @returns {boolean} true if the filter changed
+   */
+  updateFilter(filter) {
+    const normalized = normalizeUsageFilter(filter);
+    
+    if (JSON.stringify(normalized) === JSON.stringify(this.filter)) {
+      return false;
+    }
+    
+    this.filter = normalized;
+    console.log(`[FILTER] CoreDataService: Filter updated to ${JSON.stringify(normalized)}`);
+    return true;
+  }
+  
+  /**
+   * Update spending budgets (called by store.ts)
+   * @returns {boolean} true if the budgets changed
+   */
+  updateBudgets(budgets) {
+    const normalized = budgetService.normalizeBudgets(budgets);
+    
+    if (JSON.stringify(normalized) === JSON.stringify(this.budgets)) {
+      return false;
+    }
+    
+    this.budgets = normalized;
+    console.log(`[OK] CoreDataService: ${normalized.length} budgets configured`);
+    return true;
+  }
+  
+  /**
+   * Evaluate budgets against the latest spend and report newly crossed thresholds
+   * @returns {Array} Alerts that fired for the first time in their period
+   */
+  evaluateBudgets() {
+    if (!this.coreData.budgetSpend) {
+      return [];
+    }
+    
+    try {
+      const db = this.dataLoader.getDatabase();
+      const { status, alerts } = budgetService.evaluate(
+        this.budgets,
+        this.coreData.budgetSpend,
+        (alertKey, alert) => db.recordBudgetAlert(alertKey, alert)
+      );
+      this.coreData.budgetStatus = status;
+      
+      if (alerts.length > 0) {
+        console.log(`[BUDGET] CoreDataService: ${alerts.length} budget threshold(s) crossed`);
+        if (this.budgetAlertCallback) {
+          this.budgetAlertCallback(alerts.map(alert => ({ ...alert, currency: this.currency })));
+        }
+      }
+      
+      return alerts;
+    } catch (error) {
+      console.error('[ERR] CoreDataService: Budget evaluation failed:', error);
+      return [];
+    }
+  }
+  
   /**
    * Recalculate all data with new currency (called by store.ts after currency change)
    */
@@ -708,129 +925,269 @@ class CoreDataService {
     return await this.forceRefreshAll();
   }
   
-  // Tab-specific data getters
-  getOverviewData() {
+  // Tab-specific data getters (of the GUI filter unless other core data is passed)
+  getOverviewData(coreData = this.coreData) {
     return {
-      totalCost: this.coreData.totalCost,
-      totalSessions: this.coreData.totalSessions,
-      averageCostPerSession: this.coreData.averageCostPerSession,
-      avgTokensPerSession: this.coreData.avgTokensPerSession,
-      totalTokens: this.coreData.totalTokens,
-      activeSession: this.coreData.activeSession,
-      currentCost: this.coreData.currentCost,
-      costPer1MTokens: this.coreData.costPer1MTokens,
-      dailyBreakdown: this.coreData.dailyBreakdown,
-      last7DaysTotal: this.coreData.last7DaysTotal,
-      activityData: this.coreData.activityData,
-      activeDays: this.coreData.activeDays,
-      status: this.coreData.status,
-      lastActivity: this.coreData.lastActivity,
-      started: this.coreData.started,
-      duration: this.coreData.duration,
-      tokens: this.coreData.tokens,
-      models: this.coreData.models
+      totalCost: coreData.totalCost,
+      totalSessions: coreData.totalSessions,
+      averageCostPerSession: coreData.averageCostPerSession,
+      avgTokensPerSession: coreData.avgTokensPerSession,
+      totalTokens: coreData.totalTokens,
+      activeSession: coreData.activeSession,
+      currentCost: coreData.currentCost,
+      costPer1MTokens: coreData.costPer1MTokens,
+      dailyBreakdown: coreData.dailyBreakdown,
+      last7DaysTotal: coreData.last7DaysTotal,
+      activityData: coreData.activityData,
+      activeDays: coreData.activeDays,
+      status: coreData.status,
+      lastActivity: coreData.lastActivity,
+      started: coreData.started,
+      duration: coreData.duration,
+      tokens: coreData.tokens,
+      models: coreData.models,
+      machineBreakdown: coreData.machineBreakdown || []
     };
   }
   
-  getProjectsData() {
+  getProjectsData(coreData = this.coreData) {
     return {
-      totalProjects: this.coreData.totalProjects,
-      totalCost: this.coreData.totalCost,
-      avgCostPerProject: this.coreData.avgCostPerProject,
-      projectsData: this.coreData.projectsData || [],
-      mostActiveProject: this.coreData.mostActiveProject,
-      mostRecentActivity: this.coreData.mostRecentActivity
+      totalProjects: coreData.totalProjects,
+      totalCost: coreData.totalCost,
+      avgCostPerProject: coreData.avgCostPerProject,
+      projectsData: coreData.projectsData || [],
+      machineBreakdown: coreData.machineBreakdown || [],
+      mostActiveProject: coreData.mostActiveProject,
+      mostRecentActivity: coreData.mostRecentActivity
     };
   }
   
-  getSessionsData() {
+  getSessionsData(coreData = this.coreData) {
     return {
-      totalSessions: this.coreData.totalSessions,
-      validSessions: this.coreData.validSessions,
-      avgCostPerSession: this.coreData.avgCostPerSession,
-      avgDuration: this.coreData.avgDuration,
-      recentSessions: this.coreData.recentSessions,
-      mostProductiveSession: this.coreData.mostProductiveSession,
-      longestSession: this.coreData.longestSession,
-      mostExpensiveSession: this.coreData.mostExpensiveSession,
-      totalCost: this.coreData.totalCost,
-      totalTokens: this.coreData.totalTokens,
-      avgTokensPerSession: this.coreData.avgTokensPerSession,
-      costEfficiency: this.coreData.costEfficiency,
-      sessionsData: this.coreData.sessionsData || []
+      totalSessions: coreData.totalSessions,
+      validSessions: coreData.validSessions,
+      avgCostPerSession: coreData.avgCostPerSession,
+      avgDuration: coreData.avgDuration,
+      recentSessions: coreData.recentSessions,
+      mostProductiveSession: coreData.mostProductiveSession,
+      longestSession: coreData.longestSession,
+      mostExpensiveSession: coreData.mostExpensiveSession,
+      totalCost: coreData.totalCost,
+      totalTokens: coreData.totalTokens,
+      avgTokensPerSession: coreData.avgTokensPerSession,
+      costEfficiency: coreData.costEfficiency,
+      sessionsData: coreData.sessionsData || []
     };
   }
   
-  getMonthlyData() {
+  getMonthlyData(coreData = this.coreData) {
     return {
-      monthsTracked: this.coreData.monthsTracked,
-      currentPeriod: this.coreData.currentPeriod,
-      dailyAverage: this.coreData.dailyAverage,
-      totalCost: this.coreData.totalCost,
-      projectedMonthly: this.coreData.projectedMonthly,
-      monthlyData: this.coreData.monthlyData || [],
-      highestSpendingMonth: this.coreData.highestSpendingMonth,
-      mostActiveMonth: this.coreData.mostActiveMonth,
-      growthTrend: this.coreData.growthTrend,
-      monthlyAverage: this.coreData.monthlyAverage,
-      quarterlyProjection: this.coreData.quarterlyProjection,
-      yearlyProjection: this.coreData.yearlyProjection,
-      currentRunRate: this.coreData.currentRunRate
+      monthsTracked: coreData.monthsTracked,
+      currentPeriod: coreData.currentPeriod,
+      dailyAverage: coreData.dailyAverage,
+      totalCost: coreData.totalCost,
+      projectedMonthly: coreData.projectedMonthly,
+      monthlyData: coreData.monthlyData || [],
+      planRoi: coreData.planRoi || null,
+      highestSpendingMonth: coreData.highestSpendingMonth,
+      mostActiveMonth: coreData.mostActiveMonth,
+      growthTrend: coreData.growthTrend,
+      monthlyAverage: coreData.monthlyAverage,
+      quarterlyProjection: coreData.quarterlyProjection,
+      yearlyProjection: coreData.yearlyProjection,
+      currentRunRate: coreData.currentRunRate
     };
   }
   
-  getDailyData() {
+  getDailyData(coreData = this.coreData) {
     return {
-      daysTracked: this.coreData.daysTracked,
-      activeDays: this.coreData.activeDays,
-      currentCost: this.coreData.currentCost,
-      tokens: this.coreData.tokens,
-      blocks: this.coreData.blocks,
-      models: this.coreData.models,
-      totalCost: this.coreData.totalCost,
-      dailyAverage: this.coreData.dailyAverage,
-      totalBlocks: this.coreData.totalBlocks,
-      currentPeriod: this.coreData.currentPeriod,
-      totalTokens: this.coreData.totalTokens,
-      projectedMonthly: this.coreData.projectedMonthly,
-      dailyData: this.coreData.dailyData || []
+      daysTracked: coreData.daysTracked,
+      activeDays: coreData.activeDays,
+      currentCost: coreData.currentCost,
+      tokens: coreData.tokens,
+      blocks: coreData.blocks,
+      models: coreData.models,
+      totalCost: coreData.totalCost,
+      dailyAverage: coreData.dailyAverage,
+      totalBlocks: coreData.totalBlocks,
+      currentPeriod: coreData.currentPeriod,
+      totalTokens: coreData.totalTokens,
+      projectedMonthly: coreData.projectedMonthly,
+      dailyData: coreData.dailyData || []
     };
   }
   
-  getActiveData() {
+  getActiveData(coreData = this.coreData) {
     return {
-      status: this.coreData.status,
-      sessionActive: this.coreData.sessionActive,
-      currentCost: this.coreData.currentCost,
-      tokensUsed: this.coreData.tokensUsed,
-      entries: this.coreData.entries,
-      started: this.coreData.started,
-      duration: this.coreData.duration,
-      timeLeft: this.coreData.timeLeft,
-      models: this.coreData.models,
-      sessionId: this.coreData.sessionId,
-      block: this.coreData.block,
-      costPerEntry: this.coreData.costPerEntry,
-      tokensPerMinute: this.coreData.tokensPerMinute,
-      estimatedHourlyCost: this.coreData.estimatedHourlyCost,
-      costPer1MTokens: this.coreData.costPer1MTokens,
-      projectedSessionCost: this.coreData.projectedSessionCost,
-      sessionTimeLeft: this.coreData.sessionTimeLeft,
-      sessionTimeProgress: this.coreData.sessionTimeProgress,
-      progressPercentage: this.coreData.progressPercentage,
-      tokensPerHour: this.coreData.tokensPerHour,
-      entriesPerHour: this.coreData.entriesPerHour,
-      projectedPerHour: this.coreData.projectedPerHour,
-      sessionStatus: this.coreData.sessionStatus,
-      sessionRate: this.coreData.sessionRate,
+      status: coreData.status,
+      sessionActive: coreData.sessionActive,
+      currentCost: coreData.currentCost,
+      tokensUsed: coreData.tokensUsed,
+      entries: coreData.entries,
+      started: coreData.started,
+      duration: coreData.duration,
+      timeLeft: coreData.timeLeft,
+      models: coreData.models,
+      sessionId: coreData.sessionId,
+      block: coreData.block,
+      blocks: coreData.blocks,
+      blocksCount: coreData.blocksCount,
+      costPerEntry: coreData.costPerEntry,
+      tokensPerMinute: coreData.tokensPerMinute,
+      estimatedHourlyCost: coreData.estimatedHourlyCost,
+      costPer1MTokens: coreData.costPer1MTokens,
+      projectedSessionCost: coreData.projectedSessionCost,
+      blockProjection: coreData.blockProjection,
+      sessionTimeLeft: coreData.sessionTimeLeft,
+      sessionTimeProgress: coreData.sessionTimeProgress,
+      progressPercentage: coreData.progressPercentage,
+      tokensPerHour: coreData.tokensPerHour,
+      entriesPerHour: coreData.entriesPerHour,
+      projectedPerHour: coreData.projectedPerHour,
+      sessionStatus: coreData.sessionStatus,
+      sessionRate: coreData.sessionRate,
       
       // Live Monitor Data
-      liveMetrics: this.coreData.liveMetrics,
-      activityWindows: this.coreData.activityWindows,
-      peakActivity: this.coreData.peakActivity,
-      averageActivity: this.coreData.averageActivity,
-      timeSinceLastActivity: this.coreData.timeSinceLastActivity,
-      isSystemActive: this.coreData.isSystemActive
+      liveMetrics: coreData.liveMetrics,
+      activityWindows: coreData.activityWindows,
+      peakActivity: coreData.peakActivity,
+      averageActivity: coreData.averageActivity,
+      timeSinceLastActivity: coreData.timeSinceLastActivity,
+      isSystemActive: coreData.isSystemActive
+    };
+  }
+  
+  /**
+   * Drill-down of one session row (see session-detail.cjs), costs in the display currency
+   * @param {string} sessionKey - sessionId from sessionsData (`<session_id>_<segment>`)
+   */
+  getSessionDetail(sessionKey) {
+    const { sessionId, segment } = parseSessionKey(sessionKey);
+    const entries = this.dataLoader.getDatabase().getSessionEntries(sessionId);
+    const detail = buildSessionDetail(entries, { segment });
+    if (!detail) return null;
+    
+    return {
+      ...detail,
+      sessionKey,
+      currency: this.currency,
+      totalCost: this.convertCurrency(detail.totalCost),
+      models: detail.models.map(model => ({ ...model, cost: this.convertCurrency(model.cost) })),
+      timeline: detail.timeline.map(item => ({
+        ...item,
+        cost: this.convertCurrency(item.cost),
+        cumulativeCost: this.convertCurrency(item.cumulativeCost)
+      }))
+    };
+  }
+  
+  /**
+   * One page of the Sessions table straight from SQLite (see usage-query.cjs),
+   * within the global filter, rows shaped like sessionsData, costs in the display currency
+   */
+  querySessions(options = {}) {
+    const result = this.dataLoader.getDatabase().querySessions(options, resolveUsageFilter(this.filter));
+    // Only the latest segment of the active Claude session is still running
+    const activeSince = Date.now() - BLOCK_DURATION_MINUTES * 60 * 1000;
+    
+    return {
+      ...result,
+      currency: this.currency,
+      totalCost: this.convertCurrency(result.totalCost),
+      rows: result.rows.map(row => ({
+        sessionId: row.session_key,
+        project: row.project,
+        source: row.source,
+        totalCost: this.convertCurrency(row.total_cost || 0),
+        totalTokens: row.total_tokens || 0,
+        conversations: row.entry_count,
+        startTime: row.start_time,
+        endTime: row.end_time,
+        duration: row.duration_minutes,
+        models: row.models ? row.models.split(',') : [],
+        isActive: !!this.coreData.activeSession
+          && parseSessionKey(row.session_key).sessionId === this.coreData.activeSession
+          && new Date(row.end_time).getTime() > activeSince
+      }))
+    };
+  }
+  
+  /**
+   * One page of the Projects table straight from SQLite (see usage-query.cjs),
+   * within the global filter, rows shaped like projectsData, costs in the display currency
+   */
+  queryProjects(options = {}) {
+    const db = this.dataLoader.getDatabase();
+    const usageFilter = resolveUsageFilter(this.filter);
+    const result = db.queryProjects(options, usageFilter);
+    
+    // Machine split for the projects on this page only
+    const pageProjects = new Set(result.rows.map(row => row.project));
+    const machinesByProject = new Map();
+    db.getProjectMachineStats(usageFilter)
+      .filter(row => pageProjects.has(row.project))
+      .forEach(row => {
+        const machines = machinesByProject.get(row.project) || [];
+        machines.push({ machine: row.source, totalCost: this.convertCurrency(row.total_cost || 0), totalTokens: row.total_tokens || 0 });
+        machinesByProject.set(row.project, machines);
+      });
+    
+    return {
+      ...result,
+      currency: this.currency,
+      totalCost: this.convertCurrency(result.totalCost),
+      rows: result.rows.map(row => {
+        const totalCost = this.convertCurrency(row.total_cost || 0);
+        return {
+          project: row.project,
+          totalCost,
+          totalTokens: row.total_tokens || 0,
+          sessions: row.session_count,
+          conversations: row.entry_count,
+          firstActivity: row.first_activity,
+          lastActivity: row.last_activity,
+          models: row.models ? row.models.split(',') : [],
+          machines: (machinesByProject.get(row.project) || []).sort((a, b) => b.totalCost - a.totalCost),
+          avgCostPerSession: row.session_count > 0 ? totalCost / row.session_count : 0
+        };
+      })
+    };
+  }
+  
+  /**
+   * Two periods side by side (see period-comparison.cjs), costs in the display currency
+   * @param {Object} options - { mode: 'billing'|'week'|'custom', a: { from, to }, b: { from, to } }
+   */
+  getPeriodComparison(options = {}) {
+    const db = this.dataLoader.getDatabase();
+    const periods = resolveComparisonPeriods(options, {
+      billingCycleDay: this.billingCycleDay || 1,
+      getBillingPeriodForDate: (date, day) => db.getBillingPeriodForDate(date, day)
+    });
+    
+    return {
+      ...buildPeriodComparison(
+        periods,
+        db.getPeriodSummary(periods.a.start, periods.a.end),
+        db.getPeriodSummary(periods.b.start, periods.b.end),
+        { convert: (usd) => this.convertCurrency(usd) }
+      ),
+      currency: this.currency
+    };
+  }
+  
+  /**
+   * Weekday x hour usage grid (see usage-heatmap.cjs) for the global filter
+   * @param {Object} options - { timezone: IANA name or 'auto' (settings.timezone) }
+   */
+  getUsageHeatmap(options = {}) {
+    const rows = this.dataLoader.getDatabase().getHeatmapBuckets(resolveUsageFilter(this.filter));
+    return {
+      ...buildUsageHeatmap(rows, {
+        timezone: options.timezone,
+        convert: (usd) => this.convertCurrency(usd)
+      }),
+      currency: this.currency
     };
   }
   
@@ -947,8 +1304,7 @@ class CoreDataService {
       this.coreData.timeAgo = `${diffMinutes}m ago`;
       
       // Calculate session time left (5 hour limit)
-      const sessionLimitMinutes = 300; // 5 hours
-      this.coreData.sessionTimeLeft = Math.max(0, sessionLimitMinutes - diffMinutes);
+      this.coreData.sessionTimeLeft = Math.max(0, BLOCK_DURATION_MINUTES - diffMinutes);
       this.coreData.timeLeft = this.coreData.sessionTimeLeft;
     }
   }
@@ -988,14 +1344,16 @@ class CoreDataService {
     if (usageEntries.length > 0) {
       const sortedEntries = usageEntries.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
       this.coreData.sessionId = sortedEntries[0].sessionId;
-      this.coreData.block = sortedEntries[0].sessionId; // Same as session ID
     }
     
-    // Calculate blocks (sessions grouped by 5-hour windows)
-    // For now, use sessions as blocks
-    this.coreData.blocks = this.coreData.sessionsData || [];
-    this.coreData.blocksCount = this.coreData.totalSessions;
-    this.coreData.totalBlocks = this.coreData.totalSessions;
+    // Calculate real 5-hour billing blocks from entry timestamps
+    const blocks = blockCalculator.identifyBlocks(usageEntries)
+      .map(block => ({ ...block, totalCost: this.convertCurrency(block.totalCost) }));
+    
+    this.coreData.block = blockCalculator.findActiveBlock(blocks);
+    this.coreData.blocks = blocks.reverse(); // Most recent first
+    this.coreData.blocksCount = blocks.filter(block => !block.isGap).length;
+    this.coreData.totalBlocks = this.coreData.blocksCount;
   }
   
   async calculateProjectSpecific(usageEntries) {
@@ -1153,12 +1511,18 @@ class CoreDataService {
     
     // Session progress (percentage of 5-hour limit)
     if (this.coreData.duration > 0) {
-      this.coreData.sessionTimeProgress = (this.coreData.duration / 300) * 100; // 300 minutes = 5 hours
+      this.coreData.sessionTimeProgress = (this.coreData.duration / BLOCK_DURATION_MINUTES) * 100;
       this.coreData.progressPercentage = this.coreData.sessionTimeProgress;
     }
     
     this.coreData.sessionRate = `${this.coreData.estimatedHourlyCost}/hour`;
     
+    // Limit projection for the running 5-hour block
+    this.coreData.blockProjection = blockCalculator.projectBlockUsage(this.coreData.block, this.coreData.blocks, this.blockLimits);
+    if (this.coreData.blockProjection) {
+      this.coreData.projectedSessionCost = this.coreData.blockProjection.projectedCost;
+    }
+    
     // Live Monitor metrics for Active Tab
     this.coreData.liveMetrics = this.calculateLiveMetrics(usageEntries);
     this.coreData.activityWindows = this.calculateActivityWindows(usageEntries, 5);
@@ -1274,6 +1638,8 @@ class CoreDataService {
     return {
       sessionDuration: Math.round(sessionDuration),
       entriesPerMinute: sessionDuration > 0 ? (entries.length / sessionDuration).toFixed(2) : 0,
+      tokensPerMinute: sessionDuration > 0 ?
+        Math.round(entries.reduce((sum, e) => sum + (e.total_tokens || 0), 0) / sessionDuration) : 0,
       activeWindows: activityWindows.length,
       peakActivity: Math.max(...activityWindows.map(w => w.entries), 0),
       averageActivity: activityWindows.length > 0 ? 
@@ -1533,6 +1899,11 @@ class CoreDataService {
    * Export data in various formats
    */
   exportData(dataType, format = 'json', options = {}) {
+    // HTML and text are rendered reports built from the stored entries
+    if (['html', 'txt'].includes(format.toLowerCase())) {
+      return this.formatForExport(this.buildReport(dataType, options), format, options);
+    }
+
     let data;
     
     switch (dataType) {
@@ -1570,6 +1941,21 @@ class CoreDataService {
     return this.formatForExport(data, format, options);
   }
   
+  /**
+   * Stream individual usage entries into a CSV/TSV file
+   * @param {string} filePath - Target file
+   * @param {Object} options - { format: 'csv'|'tsv', filters: { from, to, projects, models } }
+   * @returns {Promise<{ filePath: string, rows: number, format: string }>}
+   */
+  async exportEntries(filePath, options = {}) {
+    return exportEntriesToFile(this.dataLoader.getDatabase(), filePath, {
+      format: options.format,
+      filters: options.filters,
+      currency: this.currency,
+      convertCurrency: (usdAmount) => this.convertCurrency(usdAmount)
+    });
+  }
+
   /**
    * Format data for export in specified format
    */
@@ -1581,11 +1967,101 @@ class CoreDataService {
         return this.formatAsCSV(data, options);
       case 'markdown':
         return this.formatAsMarkdown(data, options);
+      case 'html':
+        return formatReportAsHTML(data, { formatCurrency: (amount) => this.formatCurrency(amount) });
+      case 'txt':
+        return formatReportAsText(data, { formatCurrency: (amount) => this.formatCurrency(amount) });
       default:
         throw new Error(`Unsupported export format: ${format}`);
     }
   }
   
+  /**
+   * Build the usage report rendered by the HTML and text exports.
+   * Aggregates the stored entries per day, month, model and project (costs in the current currency).
+   * @param {string} dataType - Export data type; picks the report sections ('all' and 'overview' include every section)
+   * @param {Object} options - { title, days: number of days in the daily section (default 30) }
+   */
+  buildReport(dataType = 'all', options = {}) {
+    const sectionsByType = {
+      all: ['daily', 'monthly', 'models', 'projects'],
+      overview: ['daily', 'monthly', 'models', 'projects'],
+      daily: ['daily'],
+      monthly: ['monthly'],
+      models: ['models'],
+      projects: ['projects']
+    };
+    const sections = sectionsByType[dataType];
+    if (!sections) {
+      throw new Error(`Data type ${dataType} is not supported for report exports`);
+    }
+
+    const entries = this.dataLoader.getAllUsageEntries();
+    const days = options.days || 30;
+    const dailyMap = new Map();
+    const monthlyMap = new Map();
+    const modelMap = new Map();
+    const projectMap = new Map();
+    const sessions = new Set();
+    let totalCostUSD = 0;
+    let totalTokens = 0;
+    let firstActivity = null;
+    let lastActivity = null;
+
+    const addTo = (map, key, init, entry) => {
+      if (!map.has(key)) {
+        map.set(key, { ...init, cost: 0, tokens: 0, sessionIds: new Set(), entries: 0 });
+      }
+      const row = map.get(key);
+      row.cost += entry.cost || 0;
+      row.tokens += entry.total_tokens || 0;
+      row.sessionIds.add(entry.session_id);
+      row.entries += 1;
+    };
+
+    entries.forEach(entry => {
+      if (!entry.timestamp) return;
+      const date = entry.timestamp.split('T')[0];
+
+      totalCostUSD += entry.cost || 0;
+      totalTokens += entry.total_tokens || 0;
+      sessions.add(entry.session_id);
+      if (!firstActivity || entry.timestamp < firstActivity) firstActivity = entry.timestamp;
+      if (!lastActivity || entry.timestamp > lastActivity) lastActivity = entry.timestamp;
+
+      addTo(dailyMap, date, { date }, entry);
+      addTo(monthlyMap, date.slice(0, 7), { month: date.slice(0, 7) }, entry);
+      addTo(modelMap, entry.model || 'unknown', { model: entry.model || 'unknown' }, entry);
+      addTo(projectMap, entry.project || entry.cwd || 'unknown', { project: entry.project || entry.cwd || 'unknown' }, entry);
+    });
+
+    const toRows = (map) => Array.from(map.values()).map(({ sessionIds, ...row }) => ({
+      ...row,
+      cost: this.convertCurrency(row.cost),
+      sessions: sessionIds.size
+    }));
+
+    return {
+      title: options.title || 'Claude Usage Report',
+      generatedAt: new Date().toISOString(),
+      currency: this.currency,
+      sections,
+      summary: {
+        totalCost: this.convertCurrency(totalCostUSD),
+        totalTokens,
+        sessions: sessions.size,
+        projects: projectMap.size,
+        entries: entries.length,
+        firstActivity,
+        lastActivity
+      },
+      daily: toRows(dailyMap).sort((a, b) => a.date.localeCompare(b.date)).slice(-days),
+      monthly: toRows(monthlyMap).sort((a, b) => a.month.localeCompare(b.month)),
+      models: toRows(modelMap).sort((a, b) => b.cost - a.cost),
+      projects: toRows(projectMap).sort((a, b) => b.cost - a.cost)
+    };
+  }
+
   /**
    * Format data as JSON
    */
@@ -1611,28 +2087,30 @@ class CoreDataService {
   }
   
   /**
-   * Format data as CSV (simplified)
+   * Format aggregated data as CSV (row-level exports use exportEntries)
    */
   formatAsCSV(data, options = {}) {
     const separator = options.separator || ',';
+    const cell = (value) => formatDelimitedValue(
+      value !== null && typeof value === 'object' ? JSON.stringify(value) : value,
+      separator
+    );
     
     if (Array.isArray(data)) {
       if (data.length === 0) return 'No data available';
       
-      const headers = Object.keys(data[0]).join(separator);
+      const headers = Object.keys(data[0]);
       const rows = data.map(item => 
-        Object.values(item).map(val => 
-          typeof val === 'string' && val.includes(separator) ? `"${val}"` : val
-        ).join(separator)
+        headers.map(header => cell(item[header])).join(separator)
       );
       
-      return [headers, ...rows].join('\n');
+      return [headers.map(cell).join(separator), ...rows].join('\n');
     }
     
     // For objects, create key-value CSV
-    const headers = 'Key,Value';
+    const headers = ['Key', 'Value'].join(separator);
     const rows = Object.entries(data).map(([key, value]) => 
-      `${key},${typeof value === 'object' ? JSON.stringify(value) : value}`
+      `${cell(key)}${separator}${cell(value)}`
     );
     
     return [headers, ...rows].join('\n');
@@ -1737,6 +2215,14 @@ class CoreDataService {
     this.autoPushCallback = callback;
     console.log('[AUTO] CoreDataService: Auto-push enabled for store.ts');
   }
+  
+  /**
+   * Set callback for newly crossed budget thresholds
+   */
+  setBudgetAlertCallback(callback) {
+    this.budgetAlertCallback = callback;
+    console.log('[BUDGET] CoreDataService: Budget alerts enabled');
+  }
 }
 
 module.exports = CoreDataService;
\ No newline at end of file
@@ -0,0 +1,163 @@
+/**
+ * Credential Store
+ * Encrypted storage for secrets (SSH passwords, key passphrases) that must not
+ * live in the renderer's persisted settings.
+ *
+ * Values are encrypted with Electron safeStorage (Keychain, DPAPI, libsecret/kwallet)
+ * once main.cjs hands it over. Without safeStorage - in the CLI, or on Linux without a
+ * keyring - they are encrypted with AES-256-GCM and a random key kept in a separate
+ * file readable only by the current user. Every entry records its scheme, so values
+ * written by one side stay readable after the other becomes available.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const STORE_VERSION = 1;
+const SCHEME_SAFE_STORAGE = 'safeStorage';
+const SCHEME_AES = 'aes-256-gcm';
+
+class CredentialStore {
+  /**
+   * @param {Object} options - { storePath, keyPath } (defaults in the home directory)
+   */
+  constructor(options = {}) {
+    this.storePath = options.storePath || path.join(os.homedir(), '.dragon-ui-credentials.json');
+    this.keyPath = options.keyPath || path.join(os.homedir(), '.dragon-ui-credentials.key');
+    this.safeStorage = null;
+  }
+
+  /**
+   * Use Electron safeStorage for new values (call after app 'ready')
+   */
+  setSafeStorage(safeStorage) {
+    this.safeStorage = safeStorage;
+    console.log(`[CRED] Credential encryption: ${this.canUseSafeStorage() ? 'OS keychain (safeStorage)' : 'local key file'}`);
+  }
+
+  canUseSafeStorage() {
+    if (!this.safeStorage || !this.safeStorage.isEncryptionAvailable()) {
+      return false;
+    }
+    // Linux without a keyring falls back to a hard-coded password; the key file is stronger
+    if (typeof this.safeStorage.getSelectedStorageBackend === 'function') {
+      return this.safeStorage.getSelectedStorageBackend() !== 'basic_text';
+    }
+    return true;
+  }
+
+  readStore() {
+    try {
+      const store = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+      return store && typeof store.entries === 'object' ? store : { version: STORE_VERSION, entries: {} };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('[CRED] Could not read credential store:', error.message);
+      }
+      return { version: STORE_VERSION, entries: {} };
+    }
+  }
+
+  writeStore(store) {
+    // Write + rename so a crash never leaves a half-written store behind
+    const tempPath = `${this.storePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(store, null, 2), { mode: 0o600 });
+    fs.renameSync(tempPath, this.storePath);
+  }
+
+  /**
+   * AES key for the file-based scheme (created on first use)
+   */
+  getFileKey() {
+    try {
+      const key = Buffer.from(fs.readFileSync(this.keyPath, 'utf8').trim(), 'base64');
+      if (key.length === 32) return key;
+      throw new Error(`Invalid credential key in ${this.keyPath}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const key = crypto.randomBytes(32);
+    fs.writeFileSync(this.keyPath, key.toString('base64'), { mode: 0o600, flag: 'wx' });
+    return key;
+  }
+
+  encrypt(value) {
+    if (this.canUseSafeStorage()) {
+      return { scheme: SCHEME_SAFE_STORAGE, data: this.safeStorage.encryptString(value).toString('base64') };
+    }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(SCHEME_AES, this.getFileKey(), iv);
+    const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+    return {
+      scheme: SCHEME_AES,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  decrypt(entry) {
+    if (entry.scheme === SCHEME_SAFE_STORAGE) {
+      if (!this.safeStorage || !this.safeStorage.isEncryptionAvailable()) {
+        throw new Error('Secret is encrypted with the OS keychain, which is only available in the desktop app');
+      }
+      return this.safeStorage.decryptString(Buffer.from(entry.data, 'base64'));
+    }
+
+    if (entry.scheme === SCHEME_AES) {
+      const decipher = crypto.createDecipheriv(SCHEME_AES, this.getFileKey(), Buffer.from(entry.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+      return Buffer.concat([decipher.update(Buffer.from(entry.data, 'base64')), decipher.final()]).toString('utf8');
+    }
+
+    throw new Error(`Unknown credential scheme '${entry.scheme}'`);
+  }
+
+  /**
+   * Decrypted secret, or null when it is missing or cannot be decrypted here
+   */
+  get(name) {
+    const entry = this.readStore().entries[name];
+    if (!entry) return null;
+
+    try {
+      return this.decrypt(entry);
+    } catch (error) {
+      console.warn(`[CRED] Could not decrypt '${name}':`, error.message);
+      return null;
+    }
+  }
+
+  has(name) {
+    return !!this.readStore().entries[name];
+  }
+
+  /**
+   * Store a secret; an empty value removes it
+   */
+  set(name, value) {
+    const store = this.readStore();
+    if (value) {
+      store.entries[name] = { ...this.encrypt(String(value)), updatedAt: new Date().toISOString() };
+    } else {
+      delete store.entries[name];
+    }
+    this.writeStore(store);
+  }
+
+  delete(name) {
+    this.set(name, null);
+  }
+}
+
+// Export singleton instance
+const credentialStore = new CredentialStore();
+
+module.exports = {
+  CredentialStore,
+  credentialStore
+};
@@ -1,9 +1,12 @@
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const glob = require('glob');
 const DatabaseService = require('./database.cjs');
 const { sshService } = require('./ssh-service.cjs');
 const { modelPriceService } = require('./model-price-service.cjs');
+const { readNewUsageEntries } = require('./jsonl-ingest.cjs');
+const { RemoteSyncService } = require('./remote-sync.cjs');
 
 /**
  * Data Loader Service
@@ -14,6 +17,12 @@ class DataLoaderService {
   constructor() {
     this.allUsageEntries = [];
     this.db = new DatabaseService();
+    
+    // Incremental mirror of SSH remote hosts (main.cjs points it at the app data dir)
+    this.remoteSync = new RemoteSyncService(this.db, sshService);
+    
+    // Price each entry with the rate effective at its timestamp
+    modelPriceService.attachPriceHistory(this.db);
   }
 
   /**
@@ -57,9 +66,9 @@ class DataLoaderService {
       
       console.log(`[FILE] DataLoader: Found ${jsonlFiles.length} JSONL files`);
       
-      // Process each JSONL file (only new entries)
+      // Process each JSONL file (only bytes appended since the last refresh)
       for (const file of jsonlFiles) {
-        const newEntries = await this.processJsonlFileIncremental(file, lastTimestamp);
+        const newEntries = await this.processJsonlFileIncremental(file);
         newEntriesProcessed += newEntries;
       }
     }
@@ -91,54 +100,53 @@ class DataLoaderService {
 
   /**
    * Process a single JSONL file incrementally (only new entries)
+   * @param {string} file - JSONL file path
+   * @param {Object} options - { useLedger: resume from the ingestion ledger offset,
+   *   lastTimestamp: skip older entries (for copies that are not tracked by the ledger),
+   *   source: machine the entries come from ('local' or an SSH host id) }
    */
-  async processJsonlFileIncremental(file, lastTimestamp) {
+  async processJsonlFileIncremental(file, options = {}) {
+    const { useLedger = true, lastTimestamp = null, source = 'local' } = options;
     let newEntriesCount = 0;
     const newEntries = [];
     const processedHashes = new Set(); // Duplicate detection using message+request IDs
     
     try {
-      const content = fs.readFileSync(file, 'utf8');
-      const lines = content.trim().split('\n');
+      const ledgerState = useLedger ? this.db.getIngestState(file) : null;
+      const result = await readNewUsageEntries(file, ledgerState);
+      if (!result.changed) {
+        return 0;
+      }
+      if (result.reason === 'rotated' || result.reason === 'truncated') {
+        console.log(`[LEDGER] DataLoader: ${file} was ${result.reason}, reading it from the start`);
+      }
       
-      for (const line of lines) {
-        if (!line.trim()) continue;
+      for (const entry of result.entries) {
+        // Skip if entry is older than last processed timestamp
+        if (lastTimestamp && entry.timestamp <= lastTimestamp) continue;
         
-        try {
-          const entry = JSON.parse(line);
-          
-          // Only process assistant messages with usage data
-          if (!entry.timestamp || entry.type !== 'assistant') continue;
-          if (!entry.message?.usage) continue;
-          if (typeof entry.message.usage.input_tokens !== 'number') continue;
-          if (typeof entry.message.usage.output_tokens !== 'number') continue;
-          
-          // Skip if entry is older than last processed timestamp
-          if (lastTimestamp && entry.timestamp <= lastTimestamp) continue;
-          
-          // Duplicate detection using messageId + requestId
-          const uniqueHash = this.createUniqueHash(entry);
-          if (uniqueHash && processedHashes.has(uniqueHash)) {
-            console.log(`[DUPLICATE] Skipping duplicate entry: ${uniqueHash}`);
-            continue; // Skip duplicate
-          }
-          if (uniqueHash) {
-            processedHashes.add(uniqueHash);
-          }
-          
-          // Extract and process the entry
-          const usageEntry = this.createUsageEntry(entry, file);
-          newEntries.push(usageEntry);
-          newEntriesCount++;
-          
-        } catch (parseError) {
-          continue; // Skip invalid JSON
+        // Duplicate detection using messageId + requestId
+        const uniqueHash = this.createUniqueHash(entry);
+        if (uniqueHash && processedHashes.has(uniqueHash)) {
+          console.log(`[DUPLICATE] Skipping duplicate entry: ${uniqueHash}`);
+          continue; // Skip duplicate
+        }
+        if (uniqueHash) {
+          processedHashes.add(uniqueHash);
         }
+        
+        // Extract and process the entry
+        newEntries.push(this.createUsageEntry(entry, file, source));
       }
       
-      // Batch insert new entries into database
+      // Batch insert new entries into database (count only rows that were not duplicates)
       if (newEntries.length > 0) {
-        this.db.insertBatch(newEntries);
+        newEntriesCount = this.db.insertBatch(newEntries);
+      }
+      
+      // Advance the read position only after the entries are stored
+      if (useLedger) {
+        this.db.saveIngestState(result.state);
       }
       
     } catch (fileError) {
@@ -149,10 +157,27 @@ class DataLoaderService {
   }
 
   /**
-   * Legacy method for compatibility (now calls incremental version)
+   * Ingest only the given files (changes reported by FileWatcherService)
+   * @returns {Promise<number>} Number of new entries stored
+   */
+  async ingestFiles(files) {
+    let newEntriesProcessed = 0;
+    for (const file of files) {
+      if (!fs.existsSync(file)) continue; // Deleted or renamed away
+      newEntriesProcessed += await this.processJsonlFileIncremental(file);
+    }
+    
+    if (newEntriesProcessed > 0) {
+      console.log(`[WATCH] DataLoader: Ingested ${newEntriesProcessed} new entries from ${files.length} changed file(s)`);
+    }
+    return newEntriesProcessed;
+  }
+
+  /**
+   * Legacy method for compatibility (reads the whole file, ignoring the ledger)
    */
   async processJsonlFile(file) {
-    return this.processJsonlFileIncremental(file, null);
+    return this.processJsonlFileIncremental(file, { useLedger: false });
   }
 
   /**
@@ -176,8 +201,9 @@ class DataLoaderService {
 
   /**
    * Create a standardized usage entry from raw JSONL entry
+   * @param {string} source - Machine the entry comes from ('local' or an SSH host id)
    */
-  createUsageEntry(entry, file) {
+  createUsageEntry(entry, file, source = 'local') {
     // Extract project from file path or cwd
     const projectName = this.extractProjectName(file, entry);
     
@@ -213,13 +239,20 @@ class DataLoaderService {
       // Calculate cost using pricing service
       cost: (() => {
         const originalCost = entry.message.usage.cost;
-        const calculatedCost = this.calculateCost(entry.message.usage, entry.message.model);
+        const calculatedCost = this.calculateCost(entry.message.usage, entry.message.model, validatedTimestamp);
         if (originalCost !== undefined) {
           console.log(`[COST COMPARE] Original: $${originalCost.toFixed(4)}, Calculated: $${calculatedCost.toFixed(4)}, Ratio: ${(calculatedCost/originalCost).toFixed(2)}x`);
         }
         return calculatedCost;
       })(),
       
+      // API call identity - deduplicated in the database across files and hosts
+      message_id: entry.message?.id || entry.messageId || null,
+      request_id: entry.requestId || null,
+      
+      // Source machine ('local' or SSH host id - renaming a host keeps its history)
+      source: source,
+      
       // Metadata for debugging
       file: file,
       uuid: entry.uuid,
@@ -280,7 +313,7 @@ class DataLoaderService {
   /**
    * Claude pricing model - Now uses dynamic pricing from LiteLLM
    */
-  calculateCost(usage, model = 'unknown') {
+  calculateCost(usage, model = 'unknown', timestamp = null) {
     const inputTokens = usage.input_tokens || 0;
     const outputTokens = usage.output_tokens || 0;
     const cacheCreateTokens = usage.cache_creation_input_tokens || 0;
@@ -291,8 +324,8 @@ class DataLoaderService {
       console.log(`[COST] Calculating cost for model: "${model}"`);
     }
     
-    // Get current pricing from model price service (with fallback to defaults)
-    const pricing = modelPriceService.getModelPrices(model);
+    // Get pricing effective at the entry's timestamp (with fallback to current/default prices)
+    const pricing = modelPriceService.getModelPrices(model, timestamp);
     const inputRate = pricing.input;
     const outputRate = pricing.output;
     const cacheCreateRate = pricing.cacheWrite;
@@ -312,6 +345,44 @@ class DataLoaderService {
     return totalCost;
   }
 
+  /**
+   * Reprice every stored entry with the rate effective at its timestamp
+   * (e.g. after price history was recorded or prices changed)
+   * @returns {{ checked: number, updated: number, previousTotal: number, newTotal: number }}
+   */
+  recalculateHistoricCosts() {
+    console.log('[PRICE] DataLoader: Recalculating historic costs...');
+    const entries = this.db.getCostRecalculationEntries();
+    const updates = [];
+    let previousTotal = 0;
+    let newTotal = 0;
+    
+    for (const entry of entries) {
+      const cost = modelPriceService.calculateCost(entry, entry.model, entry.timestamp);
+      previousTotal += entry.cost || 0;
+      newTotal += cost;
+      
+      if (Math.abs(cost - (entry.cost || 0)) > 1e-9) {
+        updates.push({
+          id: entry.id,
+          data: {
+            cost,
+            input_tokens: entry.input_tokens,
+            output_tokens: entry.output_tokens,
+            total_tokens: entry.total_tokens,
+            cache_creation_input_tokens: entry.cache_creation_input_tokens,
+            cache_read_input_tokens: entry.cache_read_input_tokens
+          }
+        });
+      }
+    }
+    
+    const updated = updates.length > 0 ? this.db.updateBatch(updates) : 0;
+    console.log(`[PRICE] DataLoader: Repriced ${updated} of ${entries.length} entries ($${previousTotal.toFixed(2)} -> $${newTotal.toFixed(2)})`);
+    
+    return { checked: entries.length, updated, previousTotal, newTotal };
+  }
+
   /**
    * WSL-compatible file finder
    */
@@ -345,118 +416,65 @@ class DataLoaderService {
 
   /**
    * Load remote data via SSH if enabled and configured
+   * All enabled hosts are ingested in parallel; entries are tagged with the host id.
    * Safely handles connection failures without crashing the app
    */
   async loadRemoteSSHData() {
-    try {
-      if (!sshService || !sshService.isEnabled()) {
-        console.log('[SSH] DataLoader: SSH not enabled or available');
-        return 0;
-      }
-
-      console.log('[SSH] DataLoader: Attempting to create SSH connection...');
-      
-      // Create SSH connection with timeout and error handling
-      const connectionResult = await sshService.createConnection('data-loader');
-      
-      if (!connectionResult.success) {
-        console.warn('[SSH] DataLoader: Failed to create SSH connection:', connectionResult.message);
-        return 0;
-      }
+    if (!sshService || !sshService.isEnabled()) {
+      console.log('[SSH] DataLoader: SSH not enabled or available');
+      return 0;
+    }
 
-      console.log('[SSH] DataLoader: SSH connection established successfully');
+    const hosts = sshService.getEnabledHosts();
+    console.log(`[SSH] DataLoader: Loading remote data from ${hosts.length} host(s)...`);
 
-      // List remote JSONL files in common Claude directories
-      const remotePaths = [
-        '~/.config/claude/projects',
-        '~/.claude/projects',
-        '/tmp/claude-projects',
-        '/home/claude/projects'
-      ];
+    const results = await Promise.all(hosts.map(host => this.loadRemoteHostData(host)));
+    const totalLoadedEntries = results.reduce((sum, count) => sum + count, 0);
 
-      let totalLoadedEntries = 0;
-      
-      for (const remotePath of remotePaths) {
-        try {
-          console.log(`[SSH] DataLoader: Scanning remote path: ${remotePath}`);
-          
-          const filesResult = await sshService.listRemoteFiles(remotePath, 'data-loader');
-          
-          if (filesResult.success && filesResult.files && filesResult.files.length > 0) {
-            console.log(`[SSH] DataLoader: Found ${filesResult.files.length} JSONL files in ${remotePath}`);
-            
-            // Download and process each remote JSONL file
-            for (const file of filesResult.files) {
-              try {
-                const remoteFilePath = `${remotePath}/${file.name}`;
-                const localTempPath = path.join(require('os').tmpdir(), 'dragon-ui-ssh', file.name);
-                
-                console.log(`[SSH] DataLoader: Downloading ${file.name}...`);
-                
-                const downloadResult = await sshService.downloadJsonl(remoteFilePath, localTempPath, 'data-loader');
-                
-                if (downloadResult.success) {
-                  console.log(`[SSH] DataLoader: Successfully downloaded ${file.name} (${downloadResult.fileSize} bytes)`);
-                  
-                  // Process the downloaded file
-                  const lastTimestamp = this.db.getLastTimestamp();
-                  const newEntries = await this.processJsonlFileIncremental(localTempPath, lastTimestamp);
-                  totalLoadedEntries += newEntries;
-                  
-                  // Clean up temporary file
-                  try {
-                    require('fs').unlinkSync(localTempPath);
-                  } catch (cleanupError) {
-                    console.warn('[SSH] DataLoader: Failed to cleanup temp file:', cleanupError.message);
-                  }
-                  
-                } else {
-                  console.warn(`[SSH] DataLoader: Failed to download ${file.name}:`, downloadResult.message);
-                }
-                
-              } catch (fileError) {
-                console.warn(`[SSH] DataLoader: Error processing remote file ${file.name}:`, fileError.message);
-                // Continue with next file
-              }
-            }
-          } else {
-            console.log(`[SSH] DataLoader: No JSONL files found in ${remotePath}`);
-          }
-          
-        } catch (pathError) {
-          console.warn(`[SSH] DataLoader: Error accessing remote path ${remotePath}:`, pathError.message);
-          // Continue with next path
-        }
-      }
+    console.log(`[SSH] DataLoader: Completed SSH data loading, processed ${totalLoadedEntries} new entries`);
+    return totalLoadedEntries;
+  }
 
-      // Close SSH connection
-      try {
-        sshService.closeConnection('data-loader');
-        console.log('[SSH] DataLoader: SSH connection closed');
-      } catch (closeError) {
-        console.warn('[SSH] DataLoader: Error closing SSH connection:', closeError.message);
-      }
+  /**
+   * Earlier versions tagged remote entries with the host label, which split the history
+   * of a renamed host and merged hosts sharing a label. Move them to the host id, found
+   * by the host's own download folders (both named after the id). Once per host, recorded in the database.
+   */
+  retagLabelledEntries(host) {
+    if (this.db.isSourceRetagged(host.id)) return;
 
-      console.log(`[SSH] DataLoader: Completed SSH data loading, processed ${totalLoadedEntries} new entries`);
-      return totalLoadedEntries;
+    const retagged = this.db.setSourceForDirectories(host.id, [
+      this.remoteSync.getHostMirrorRoot(host),
+      // Temp download folder used before the mirror
+      path.join(os.tmpdir(), 'dragon-ui-ssh', host.id.replace(/[^\w.-]/g, '_'))
+    ]);
+    if (retagged > 0) {
+      console.log(`[SSH] DataLoader: Moved ${retagged} entries of ${host.label} to host id ${host.id}`);
+    }
+  }
 
-    } catch (error) {
-      console.error('[SSH] DataLoader: Critical SSH error (safely handled):', error.message);
+  /**
+   * Mirror the JSONL files of one remote host (appended bytes only) and ingest them
+   * @param {Object} host - Host from SshService.getEnabledHosts()
+   * @returns {Promise<number>} Number of new entries stored
+   */
+  async loadRemoteHostData(host) {
+    try {
+      this.retagLabelledEntries(host);
       
-      // Ensure SSH connection is cleaned up even on error
-      try {
-        if (sshService) {
-          sshService.closeConnection('data-loader');
-        }
-      } catch (cleanupError) {
-        // Ignore cleanup errors
-      }
+      // Mirror files are persistent, so the ingestion ledger tracks them like local files
+      return await this.remoteSync.syncHost(host, (localPath) =>
+        this.processJsonlFileIncremental(localPath, { source: host.id })
+      );
+    } catch (error) {
+      console.error(`[SSH] DataLoader: SSH error for ${host.label} (safely handled):`, error.message);
       
       // Return 0 to indicate no data loaded, but don't crash the app
       return 0;
     }
   }
 
+
   /**
    * Get all loaded usage entries (now from database)
    */
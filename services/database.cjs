@@ -5,6 +5,12 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const { runMigrations } = require('./migrations.cjs');
+const { buildEntryExportQuery } = require('./entry-export.cjs');
+const { buildSessionsQuery, buildProjectsQuery, getPagination, createTablePage } = require('./usage-query.cjs');
+const { buildEntryFilter, hasDateRange, listFilterDays } = require('./usage-filter.cjs');
+const { buildPeriodSummaryQueries } = require('./period-comparison.cjs');
+const { buildHeatmapQuery } = require('./usage-heatmap.cjs');
 
 class DatabaseService {
   constructor(dbPath = './usage.db') {
@@ -52,69 +58,67 @@ class DatabaseService {
   }
 
   createTables() {
-    // Create usage_entries table with all necessary fields
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS usage_entries (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        timestamp TEXT NOT NULL,
-        session_id TEXT NOT NULL,
-        full_session_id TEXT,
-        model TEXT,
-        project TEXT,
-        input_tokens INTEGER DEFAULT 0,
-        output_tokens INTEGER DEFAULT 0,
-        cache_creation_input_tokens INTEGER DEFAULT 0,
-        cache_read_input_tokens INTEGER DEFAULT 0,
-        total_tokens INTEGER DEFAULT 0,
-        cost REAL DEFAULT 0,
-        file_path TEXT,
-        uuid TEXT,
-        cwd TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(timestamp, session_id, file_path) ON CONFLICT IGNORE
-      )
-    `);
+    // Schema lives in services/migrations.cjs (shared with the CLI)
+    const result = runMigrations(this.getMigrationAdapter(), {
+      backup: (fromVersion) => this.backupBeforeMigration(fromVersion)
+    });
 
-    // Add cache token columns if they don't exist (for existing databases)
-    try {
-      this.db.exec(`ALTER TABLE usage_entries ADD COLUMN cache_creation_input_tokens INTEGER DEFAULT 0`);
-    } catch (e) {
-      // Column already exists, ignore
-    }
-    
-    try {
-      this.db.exec(`ALTER TABLE usage_entries ADD COLUMN cache_read_input_tokens INTEGER DEFAULT 0`);
-    } catch (e) {
-      // Column already exists, ignore
+    if (result.applied.length > 0) {
+      console.log(`[OK] DB: Schema migrated from version ${result.from} to ${result.to}`);
+    } else {
+      console.log(`[OK] DB: Schema up to date (version ${result.to})`);
     }
+  }
 
-    // Create high-performance indexes
-    this.db.exec(`
-      CREATE INDEX IF NOT EXISTS idx_session_id ON usage_entries(session_id);
-      CREATE INDEX IF NOT EXISTS idx_timestamp ON usage_entries(timestamp);
-      CREATE INDEX IF NOT EXISTS idx_project ON usage_entries(project);
-      CREATE INDEX IF NOT EXISTS idx_model ON usage_entries(model);
-      CREATE INDEX IF NOT EXISTS idx_timestamp_session ON usage_entries(timestamp, session_id);
-      CREATE INDEX IF NOT EXISTS idx_cost ON usage_entries(cost);
-    `);
+  /**
+   * better-sqlite3 adapter for the shared migration runner
+   */
+  getMigrationAdapter() {
+    return {
+      exec: (sql) => this.db.exec(sql),
+      all: (sql, params = []) => this.db.prepare(sql).all(...params),
+      run: (sql, params = []) => this.db.prepare(sql).run(...params),
+      getColumns: (table) => this.db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name),
+      hasTable: (table) => !!this.db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?").get(table),
+      getUserVersion: () => this.db.pragma('user_version', { simple: true }),
+      setUserVersion: (version) => this.db.pragma(`user_version = ${version}`),
+      transaction: (fn) => this.db.transaction(fn)()
+    };
+  }
 
-    console.log('[OK] DB: Tables and indexes created');
+  /**
+   * Copy the database file before changing its schema
+   */
+  backupBeforeMigration(fromVersion) {
+    const backupPath = `${this.dbPath}.pre-migration-v${fromVersion}-${Date.now()}`;
+
+    // Flush the WAL so the copied file contains every committed entry
+    this.db.pragma('wal_checkpoint(TRUNCATE)');
+    fs.copyFileSync(this.dbPath, backupPath);
+    console.log(`[MIGRATE] DB: Backup created at ${backupPath}`);
   }
 
   prepareStatements() {
     // Prepare frequently used statements for better performance
+    // OR IGNORE: duplicates are skipped by (timestamp, session_id, file_path) and by
+    // message_id + request_id, which also catches copies from other files or SSH hosts
     this.insertStmt = this.db.prepare(`
-      INSERT INTO usage_entries (
+      INSERT OR IGNORE INTO usage_entries (
         timestamp, session_id, full_session_id, model, project,
         input_tokens, output_tokens, cache_creation_input_tokens, 
-        cache_read_input_tokens, total_tokens, cost, file_path, uuid, cwd
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        cache_read_input_tokens, total_tokens, cost, file_path, uuid, cwd,
+        message_id, request_id, source
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     this.getLastTimestampStmt = this.db.prepare(`
       SELECT MAX(timestamp) as last_timestamp FROM usage_entries
     `);
 
+    this.getLastSourceTimestampStmt = this.db.prepare(`
+      SELECT MAX(timestamp) as last_timestamp FROM usage_entries WHERE source = ?
+    `);
+
     this.getSessionStmt = this.db.prepare(`
       SELECT * FROM usage_entries WHERE session_id = ? ORDER BY timestamp ASC
     `);
@@ -144,6 +148,7 @@ class DatabaseService {
 
   // INSERT operations
   insertEntry(entry) {
+    let values = null;
     try {
       // Session-aware timestamp validation before database insert
       let validatedTimestamp = entry.timestamp;
@@ -167,7 +172,7 @@ class DatabaseService {
         }
       }
       
-      this.insertStmt.run(
+      values = [
         validatedTimestamp,
         entry.sessionId,
         entry.fullSessionId,
@@ -181,9 +186,12 @@ class DatabaseService {
         entry.cost || 0,
         entry.file,
         entry.uuid,
-        entry.cwd
-      );
-      return true;
+        entry.cwd,
+        entry.message_id || null,
+        entry.request_id || null,
+        entry.source || 'local'
+      ];
+      return this.insertStmt.run(...values).changes > 0;
     } catch (error) {
       if ((error.code === 'SQLITE_CORRUPT' || error.message.includes('malformed')) && !this.repairAttempted) {
         console.log('[REPAIR] DB: Corruption detected in insertEntry, triggering auto-repair...');
@@ -191,23 +199,7 @@ class DatabaseService {
         this.autoRepairDatabase();
         // Nach Repair erneut versuchen
         try {
-          this.insertStmt.run(
-            validatedTimestamp,
-            entry.sessionId,
-            entry.fullSessionId,
-            entry.model,
-            entry.project,
-            entry.input_tokens || 0,
-            entry.output_tokens || 0,
-            entry.cache_creation_input_tokens || 0,
-            entry.cache_read_input_tokens || 0,
-            entry.total_tokens || 0,
-            entry.cost || 0,
-            entry.file,
-            entry.uuid,
-            entry.cwd
-          );
-          return true;
+          return values ? this.insertStmt.run(...values).changes > 0 : false;
         } catch (retryError) {
           console.log('[REPAIR] DB: Still failing after repair in insertEntry');
           return false;
@@ -245,9 +237,12 @@ class DatabaseService {
   }
 
   // SELECT queries
-  getLastTimestamp() {
+  /**
+   * Newest entry timestamp, optionally only for one source machine ('local' or a remote host id)
+   */
+  getLastTimestamp(source = null) {
     try {
-      const result = this.getLastTimestampStmt.get();
+      const result = source ? this.getLastSourceTimestampStmt.get(source) : this.getLastTimestampStmt.get();
       return result?.last_timestamp || null;
     } catch (error) {
       if ((error.code === 'SQLITE_CORRUPT' || error.message.includes('malformed')) && !this.repairAttempted) {
@@ -256,7 +251,7 @@ class DatabaseService {
         this.autoRepairDatabase();
         // Nach Repair erneut versuchen
         try {
-          const result = this.getLastTimestampStmt.get();
+          const result = source ? this.getLastSourceTimestampStmt.get(source) : this.getLastTimestampStmt.get();
           return result?.last_timestamp || null;
         } catch (retryError) {
           console.log('[REPAIR] DB: Still failing after repair, returning null');
@@ -300,21 +295,201 @@ class DatabaseService {
     return stmt.all(timestamp);
   }
 
+  // Minimal rows for 5-hour block detection (see block-calculator.cjs)
+  getBlockEntries(sinceIso = null) {
+    const stmt = this.db.prepare(`
+      SELECT
+        timestamp,
+        session_id,
+        model,
+        cost,
+        input_tokens,
+        output_tokens,
+        COALESCE(cache_creation_input_tokens, 0) as cache_creation_input_tokens,
+        COALESCE(cache_read_input_tokens, 0) as cache_read_input_tokens
+      FROM usage_entries
+      WHERE timestamp IS NOT NULL AND timestamp != ''${sinceIso ? ' AND timestamp >= ?' : ''}
+      ORDER BY timestamp ASC
+    `);
+    return sinceIso ? stmt.all(sinceIso) : stmt.all();
+  }
+
+  // Spend per raw project path since a point in time (budget evaluation)
+  getSpendByProjectSince(sinceIso) {
+    const stmt = this.db.prepare(`
+      SELECT project, SUM(cost) as total_cost
+      FROM usage_entries
+      WHERE timestamp >= ?
+      GROUP BY project
+    `);
+    return stmt.all(sinceIso);
+  }
+
+  /**
+   * One page of rows for the CSV/TSV entry export (see entry-export.cjs)
+   */
+  getEntryExportPage(filters, cursor, limit) {
+    const { sql, params } = buildEntryExportQuery(filters, cursor, limit);
+    return this.db.prepare(sql).all(...params);
+  }
+
+  /**
+   * Remember a fired budget alert
+   * @returns {boolean} true if the alert had not fired before
+   */
+  recordBudgetAlert(alertKey, alert) {
+    const result = this.db.prepare(`
+      INSERT OR IGNORE INTO budget_alerts (alert_key, budget_id, period_key, threshold, spent, amount)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(alertKey, alert.budgetId, alert.periodKey, alert.threshold, alert.spent, alert.amount);
+    return result.changes > 0;
+  }
+
+  // Ingestion ledger (read position per JSONL file, see services/jsonl-ingest.cjs)
+  getIngestState(filePath) {
+    const row = this.db.prepare(`
+      SELECT file_path, inode, size, byte_offset, mtime FROM ingest_ledger WHERE file_path = ?
+    `).get(filePath);
+    return row ? {
+      filePath: row.file_path,
+      inode: row.inode,
+      size: row.size,
+      offset: row.byte_offset,
+      mtime: row.mtime
+    } : null;
+  }
+
+  // All ledger rows (ingest lag metrics)
+  getIngestLedger() {
+    return this.db.prepare(`
+      SELECT file_path, size, byte_offset, mtime, updated_at FROM ingest_ledger
+    `).all();
+  }
+
+  saveIngestState(state) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO ingest_ledger (file_path, inode, size, byte_offset, mtime, updated_at)
+      VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `).run(state.filePath, state.inode, state.size, state.offset, state.mtime);
+  }
+
+  // Remote sync state (mirror position per SSH remote file, see services/remote-sync.cjs)
+  getRemoteSyncState(hostId, remotePath) {
+    const row = this.db.prepare(`
+      SELECT host_id, remote_path, local_path, remote_size, remote_mtime, byte_offset, synced_at
+      FROM remote_sync_state WHERE host_id = ? AND remote_path = ?
+    `).get(hostId, remotePath);
+    return row ? {
+      hostId: row.host_id,
+      remotePath: row.remote_path,
+      localPath: row.local_path,
+      remoteSize: row.remote_size,
+      remoteMtime: row.remote_mtime,
+      offset: row.byte_offset,
+      syncedAt: row.synced_at
+    } : null;
+  }
+
+  saveRemoteSyncState(state) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO remote_sync_state (host_id, remote_path, local_path, remote_size, remote_mtime, byte_offset, synced_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(state.hostId, state.remotePath, state.localPath, state.remoteSize, state.remoteMtime, state.offset, new Date().toISOString());
+  }
+
+  getRemoteSyncSummary() {
+    return this.db.prepare(`
+      SELECT host_id, COUNT(*) as file_count, SUM(byte_offset) as mirrored_bytes, MAX(synced_at) as last_synced
+      FROM remote_sync_state
+      GROUP BY host_id
+    `).all();
+  }
+
+  // Price history (dated snapshots per model, see ModelPriceService)
+  getPriceHistory() {
+    return this.db.prepare(`
+      SELECT model, effective_from, input, output, cache_write, cache_read, source
+      FROM price_history
+      ORDER BY model, effective_from ASC
+    `).all().map(row => ({
+      model: row.model,
+      effectiveFrom: row.effective_from,
+      input: row.input,
+      output: row.output,
+      cacheWrite: row.cache_write,
+      cacheRead: row.cache_read,
+      source: row.source
+    }));
+  }
+
+  recordPriceSnapshot(model, prices, effectiveFrom, source) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO price_history (model, effective_from, input, output, cache_write, cache_read, source)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(model, effectiveFrom, prices.input, prices.output, prices.cacheWrite, prices.cacheRead, source);
+  }
+
+  // Usage per raw model name (unpriced models report)
+  getModelUsageSummary() {
+    return this.db.prepare(`
+      SELECT model, COUNT(*) as entries, SUM(total_tokens) as tokens, SUM(cost) as cost, MAX(timestamp) as last_seen
+      FROM usage_entries
+      GROUP BY model
+      ORDER BY tokens DESC
+    `).all().map(row => ({
+      model: row.model,
+      entries: row.entries,
+      tokens: row.tokens || 0,
+      cost: row.cost || 0,
+      lastSeen: row.last_seen
+    }));
+  }
+
+  // Token counts per type and cost per model (metrics exporter)
+  getTokenUsageByModel() {
+    return this.db.prepare(`
+      SELECT
+        model,
+        COUNT(*) as entry_count,
+        SUM(input_tokens) as input_tokens,
+        SUM(output_tokens) as output_tokens,
+        SUM(COALESCE(cache_creation_input_tokens, 0)) as cache_creation_tokens,
+        SUM(COALESCE(cache_read_input_tokens, 0)) as cache_read_tokens,
+        SUM(cost) as total_cost
+      FROM usage_entries
+      GROUP BY model
+    `).all();
+  }
+
+  // Token counts and stored cost of every entry (historic cost recalculation)
+  getCostRecalculationEntries() {
+    return this.db.prepare(`
+      SELECT id, timestamp, model, input_tokens, output_tokens,
+             cache_creation_input_tokens, cache_read_input_tokens, total_tokens, cost
+      FROM usage_entries
+    `).all();
+  }
+
   // Aggregation queries for fast calculations
-  getTotalCost() {
-    const stmt = this.db.prepare('SELECT SUM(cost) as total FROM usage_entries');
-    return stmt.get()?.total || 0;
+  // `filter` is an optional resolved usage filter (see usage-filter.cjs)
+  getTotalCost(filter = null) {
+    const entryFilter = buildEntryFilter(filter);
+    const stmt = this.db.prepare(`SELECT SUM(cost) as total FROM usage_entries ${entryFilter.where}`);
+    return stmt.get(...entryFilter.params)?.total || 0;
   }
 
-  getTotalTokens() {
+  getTotalTokens(filter = null) {
+    const entryFilter = buildEntryFilter(filter);
     const stmt = this.db.prepare(`
       SELECT SUM(input_tokens + output_tokens + cache_creation_input_tokens + cache_read_input_tokens) as total 
-      FROM usage_entries
+      FROM usage_entries ${entryFilter.where}
     `);
-    return stmt.get()?.total || 0;
+    return stmt.get(...entryFilter.params)?.total || 0;
   }
 
-  getSessionStats() {
+  getSessionStats(filter = null) {
+    // Segments are numbered over the whole session, then the filter picks entries
+    const entryFilter = buildEntryFilter(filter);
     const stmt = this.db.prepare(`
       WITH session_segments AS (
         SELECT 
@@ -326,6 +501,8 @@ class DatabaseService {
           COALESCE(cache_creation_input_tokens, 0) as cache_creation_input_tokens,
           COALESCE(cache_read_input_tokens, 0) as cache_read_input_tokens,
           project,
+          model,
+          source,
           ROW_NUMBER() OVER (PARTITION BY session_id ORDER BY timestamp) - 1 as row_num,
           CAST((julianday(timestamp) - julianday(MIN(timestamp) OVER (PARTITION BY session_id))) * 24 * 60 AS INTEGER) as minutes_from_start,
           CAST(((julianday(timestamp) - julianday(MIN(timestamp) OVER (PARTITION BY session_id))) * 24 * 60) / 300 AS INTEGER) as segment_num
@@ -339,14 +516,15 @@ class DatabaseService {
         MIN(timestamp) as start_time,
         MAX(timestamp) as end_time,
         project
-      FROM session_segments
+      FROM session_segments ${entryFilter.where}
       GROUP BY session_id, segment_num
       ORDER BY start_time DESC
     `);
-    return stmt.all();
+    return stmt.all(...entryFilter.params);
   }
 
-  getProjectStats() {
+  getProjectStats(filter = null) {
+    const entryFilter = buildEntryFilter(filter);
     const stmt = this.db.prepare(`
       SELECT 
         project,
@@ -356,15 +534,125 @@ class DatabaseService {
         COUNT(DISTINCT session_id) as session_count,
         MAX(timestamp) as last_activity
       FROM usage_entries 
-      WHERE project IS NOT NULL AND project != ''
+      WHERE project IS NOT NULL AND project != '' ${entryFilter.and}
       GROUP BY project
       ORDER BY total_cost DESC
     `);
-    return stmt.all();
+    return stmt.all(...entryFilter.params);
+  }
+
+  // One page of the Sessions table (see usage-query.cjs for the options)
+  querySessions(options = {}, filter = null) {
+    return this.runTableQuery(buildSessionsQuery(options, filter));
+  }
+
+  // One page of the Projects table (see usage-query.cjs for the options)
+  queryProjects(options = {}, filter = null) {
+    return this.runTableQuery(buildProjectsQuery(options, filter));
+  }
+
+  runTableQuery({ query, params, countSql, rowsSql }) {
+    const summary = this.db.prepare(countSql).get(...params);
+    const pagination = getPagination(query, summary?.total || 0);
+    const rows = this.db.prepare(rowsSql).all(...params, query.pageSize, pagination.offset);
+    return createTablePage(query, summary, pagination, rows);
+  }
+
+  // Usage per source machine ('local' or a remote host id)
+  getMachineStats(filter = null) {
+    const entryFilter = buildEntryFilter(filter);
+    const stmt = this.db.prepare(`
+      SELECT 
+        COALESCE(source, 'local') as source,
+        COUNT(*) as entry_count,
+        SUM(cost) as total_cost,
+        SUM(input_tokens + output_tokens + cache_creation_input_tokens + cache_read_input_tokens) as total_tokens,
+        COUNT(DISTINCT session_id) as session_count,
+        COUNT(DISTINCT project) as project_count,
+        MAX(timestamp) as last_activity
+      FROM usage_entries ${entryFilter.where}
+      GROUP BY COALESCE(source, 'local')
+      ORDER BY total_cost DESC
+    `);
+    return stmt.all(...entryFilter.params);
+  }
+
+  // Whether setSourceForDirectories already ran for a remote host
+  isSourceRetagged(source) {
+    return !!this.db.prepare('SELECT 1 FROM source_retags WHERE host_id = ?').get(source);
+  }
+
+  /**
+   * Tag the remote entries read from files below the given directories with a source machine.
+   * Scans the whole table, so it is recorded and runs once per host (see isSourceRetagged).
+   * @param {string} source - Remote host id
+   * @param {string[]} directories - Local folders the host's files were downloaded to
+   * @returns {number} Number of entries re-tagged
+   */
+  setSourceForDirectories(source, directories) {
+    const stmt = this.db.prepare(`
+      UPDATE usage_entries SET source = ?
+      WHERE source IS NOT NULL AND source NOT IN ('local', ?) AND substr(file_path, 1, length(?)) = ?
+    `);
+    const transaction = this.db.transaction(() => {
+      const changes = directories.reduce((total, directory) => {
+        // Trailing separator: host-1 must not match the files of host-12
+        const prefix = directory.endsWith(path.sep) ? directory : directory + path.sep;
+        return total + stmt.run(source, source, prefix, prefix).changes;
+      }, 0);
+      this.db.prepare(`
+        INSERT OR REPLACE INTO source_retags (host_id, retagged_at) VALUES (?, ?)
+      `).run(source, new Date().toISOString());
+      return changes;
+    });
+    return transaction();
+  }
+
+  // Usage per raw project path and source machine
+  getProjectMachineStats(filter = null) {
+    const entryFilter = buildEntryFilter(filter);
+    const stmt = this.db.prepare(`
+      SELECT 
+        project,
+        COALESCE(source, 'local') as source,
+        SUM(cost) as total_cost,
+        SUM(input_tokens + output_tokens + cache_creation_input_tokens + cache_read_input_tokens) as total_tokens
+      FROM usage_entries 
+      WHERE project IS NOT NULL AND project != '' ${entryFilter.and}
+      GROUP BY project, COALESCE(source, 'local')
+    `);
+    return stmt.all(...entryFilter.params);
+  }
+
+  // Totals plus model / project breakdown of [start, end) for the period comparison
+  getPeriodSummary(start, end) {
+    const { params, summarySql, modelsSql, projectsSql } = buildPeriodSummaryQueries(start, end);
+    return {
+      summary: this.db.prepare(summarySql).get(...params),
+      models: this.db.prepare(modelsSql).all(...params),
+      projects: this.db.prepare(projectsSql).all(...params)
+    };
+  }
+
+  // Half-hour UTC buckets for the weekday x hour heatmap (see usage-heatmap.cjs)
+  getHeatmapBuckets(filter = null) {
+    const { sql, params } = buildHeatmapQuery(filter);
+    return this.db.prepare(sql).all(...params);
+  }
+
+  // Distinct projects, models and machines the global filter can choose from
+  getFilterOptions() {
+    const column = (sql) => this.db.prepare(sql).all().map(row => row.value);
+    return {
+      projects: column(`SELECT DISTINCT project as value FROM usage_entries WHERE project IS NOT NULL AND project != '' ORDER BY LOWER(project)`),
+      models: column(`SELECT DISTINCT model as value FROM usage_entries WHERE model IS NOT NULL AND model != '<synthetic>' ORDER BY model`),
+      machines: column(`SELECT DISTINCT COALESCE(source, 'local') as value FROM usage_entries ORDER BY value`)
+    };
   }
 
-  getMonthlyStats(billingCycleDay = 1) {
+  getMonthlyStats(billingCycleDay = 1, filter = null) {
     if (billingCycleDay === 1) {
+      const entryFilter = buildEntryFilter(filter);
       // Use original calendar month logic for day 1 (optimization)
       const stmt = this.db.prepare(`
         SELECT 
@@ -382,10 +670,11 @@ class DatabaseService {
           AND strftime('%Y-%m', timestamp) IS NOT NULL
           AND strftime('%Y-%m', timestamp) != ''
           AND CAST(strftime('%Y', timestamp) AS INTEGER) >= 2020
+          ${entryFilter.and}
         GROUP BY strftime('%Y-%m', timestamp)
         ORDER BY month DESC
       `);
-      const result = stmt.all();
+      const result = stmt.all(...entryFilter.params);
       console.log(`[DB] Monthly stats query returned ${result.length} periods:`, result.map(r => ({ month: r.month, cost: r.total_cost, entries: r.entry_count })));
       
       // Debug: Check for any suspicious timestamps in the database
@@ -403,14 +692,17 @@ class DatabaseService {
       return result;
     } else {
       // Use custom billing cycle logic
-      return this.getBillingPeriodStats(billingCycleDay);
+      return this.getBillingPeriodStats(billingCycleDay, 12, filter);
     }
   }
 
   /**
    * Get stats grouped by billing periods instead of calendar months
+   * A filter with a date range returns every period in the range instead of the last `periodCount`
    */
-  getBillingPeriodStats(billingCycleDay = 1, periodCount = 12) {
+  getBillingPeriodStats(billingCycleDay = 1, periodCount = 12, filter = null) {
+    const entryFilter = buildEntryFilter(filter);
+    
     // Get all entries first
     const allEntries = this.db.prepare(`
       SELECT timestamp, cost, input_tokens, output_tokens, 
@@ -420,8 +712,9 @@ class DatabaseService {
         AND timestamp != '' 
         AND date(timestamp) >= '2020-01-01'
         AND date(timestamp) <= date('now', '+1 day')
+        ${entryFilter.and}
       ORDER BY timestamp DESC
-    `).all();
+    `).all(...entryFilter.params);
 
     // Group entries by billing periods
     const periodMap = new Map();
@@ -475,7 +768,7 @@ class DatabaseService {
     // Sort by period start date (most recent first) and limit
     return periods
       .sort((a, b) => new Date(b.billing_period_start).getTime() - new Date(a.billing_period_start).getTime())
-      .slice(0, periodCount);
+      .slice(0, hasDateRange(filter) ? periods.length : periodCount);
   }
 
   /**
@@ -522,7 +815,11 @@ class DatabaseService {
     };
   }
 
-  getDailyFinancialStats(days = 30) {
+  getDailyFinancialStats(days = 30, filter = null) {
+    // A filter date range replaces the last `days` days
+    const entryFilter = buildEntryFilter(filter);
+    const window = hasDateRange(filter) ? '' : `AND timestamp >= datetime('now', '-${days} days')`;
+    
     // Simple calendar day grouping: All financial activity per day
     const stmt = this.db.prepare(`
       SELECT 
@@ -536,11 +833,12 @@ class DatabaseService {
       WHERE timestamp IS NOT NULL 
         AND timestamp != '' 
         AND date(timestamp) >= '2020-01-01'
-        AND timestamp >= datetime('now', '-${days} days')
+        ${window}
+        ${entryFilter.and}
       GROUP BY date(timestamp)
       ORDER BY date ASC
     `);
-    const result = stmt.all();
+    const result = stmt.all(...entryFilter.params);
     console.log(`[DB] 💰 Daily financial stats (calendar day based) for last ${days} days: ${result.length} entries`);
     
     // Calculate running total for enhanced chart
@@ -557,13 +855,18 @@ class DatabaseService {
     return enhancedResult;
   }
 
-  getDailyStats(days = 7) {
-    // Generate complete date range first
-    const dateRange = [];
-    for (let i = 0; i < days; i++) {
-      const date = new Date();
-      date.setDate(date.getDate() - i);
-      dateRange.push(date.toISOString().split('T')[0]);
+  getDailyStats(days = 7, filter = null) {
+    // Generate complete date range first - the filter's date range replaces the last `days` days
+    const entryFilter = buildEntryFilter(filter);
+    const window = hasDateRange(filter) ? '' : `AND timestamp >= datetime('now', '-${days} days')`;
+    let dateRange = listFilterDays(filter, days);
+    if (!dateRange) {
+      dateRange = [];
+      for (let i = 0; i < days; i++) {
+        const date = new Date();
+        date.setDate(date.getDate() - i);
+        dateRange.push(date.toISOString().split('T')[0]);
+      }
     }
     
     // Get actual usage data
@@ -579,14 +882,15 @@ class DatabaseService {
         MIN(timestamp) as first_activity,
         MAX(timestamp) as last_activity
       FROM usage_entries 
-      WHERE timestamp >= datetime('now', '-${days} days')
-        AND timestamp IS NOT NULL 
+      WHERE timestamp IS NOT NULL 
         AND date(timestamp) >= '2020-01-01'
+        ${window}
+        ${entryFilter.and}
       GROUP BY date(timestamp)
       ORDER BY date DESC
     `);
     
-    const usageData = stmt.all().reduce((acc, row) => {
+    const usageData = stmt.all(...entryFilter.params).reduce((acc, row) => {
       acc[row.date] = {
         ...row,
         models: row.models ? row.models.split(',').filter(m => m && m.trim()) : []
@@ -609,7 +913,7 @@ class DatabaseService {
       };
     });
     
-    console.log(`[DB] 📅 Daily stats (calendar day based): ${dailyData.length} days, complete ${days}-day range`);
+    console.log(`[DB] 📅 Daily stats (calendar day based): ${dailyData.length} days, complete ${dateRange.length}-day range`);
     
     return dailyData;
   }
@@ -930,6 +1234,9 @@ class DatabaseService {
     // Reset auto-increment counter  
     this.db.exec("DELETE FROM sqlite_sequence WHERE name = 'usage_entries'");
     
+    // Forget read positions so the next load ingests every file again
+    this.db.exec('DELETE FROM ingest_ledger');
+    
     console.log('[DATABASE] All data cleared from database');
     return true;
   }
@@ -1481,7 +1788,9 @@ class DatabaseService {
         output_tokens: Math.max(0, parseInt(entry.output_tokens) || 0),
         cache_creation_input_tokens: Math.max(0, parseInt(entry.cache_creation_input_tokens) || 0),
         cache_read_input_tokens: Math.max(0, parseInt(entry.cache_read_input_tokens) || 0),
-        cost: Math.max(0, parseFloat(entry.cost) || 0)
+        cost: Math.max(0, parseFloat(entry.cost) || 0),
+        message_id: entry.message_id || null,
+        request_id: entry.request_id || null
       };
       
       // Berechne total_tokens
@@ -1499,11 +1808,11 @@ class DatabaseService {
    */
   insertEntryDirect(entry) {
     const stmt = this.db.prepare(`
-      INSERT INTO usage_entries (
+      INSERT OR IGNORE INTO usage_entries (
         timestamp, session_id, model, project,
         input_tokens, output_tokens, cache_creation_input_tokens, 
-        cache_read_input_tokens, total_tokens, cost
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        cache_read_input_tokens, total_tokens, cost, message_id, request_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
     
     stmt.run(
@@ -1516,7 +1825,9 @@ class DatabaseService {
       entry.cache_creation_input_tokens,
       entry.cache_read_input_tokens,
       entry.total_tokens,
-      entry.cost
+      entry.cost,
+      entry.message_id,
+      entry.request_id
     );
   }
 }
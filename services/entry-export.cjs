@@ -0,0 +1,205 @@
+/**
+ * Entry Export
+ * Row-level CSV/TSV export of usage_entries for accounting.
+ *
+ * Rows are read in keyset-paginated pages (timestamp, id) and written to a
+ * file stream with backpressure, so large exports never build one big string
+ * and the database connection is free for other queries between pages.
+ *
+ * Shared by DatabaseService and CLIDatabaseService: both implement
+ * getEntryExportPage(filters, cursor, limit) on top of buildEntryExportQuery().
+ */
+
+const fs = require('fs');
+
+const PAGE_SIZE = 5000;
+
+const DELIMITERS = {
+  csv: ',',
+  tsv: '\t'
+};
+
+/**
+ * Export columns: [header, row => value]
+ * cost is the stored USD cost, converted_cost is in the export currency
+ */
+const ENTRY_EXPORT_COLUMNS = [
+  ['timestamp', row => row.timestamp],
+  ['session_id', row => row.full_session_id || row.session_id],
+  ['project', row => row.project],
+  ['model', row => row.model],
+  ['input_tokens', row => row.input_tokens || 0],
+  ['output_tokens', row => row.output_tokens || 0],
+  ['cache_creation_input_tokens', row => row.cache_creation_input_tokens || 0],
+  ['cache_read_input_tokens', row => row.cache_read_input_tokens || 0],
+  ['total_tokens', row => row.total_tokens || 0],
+  ['cost_usd', row => row.cost || 0],
+  ['converted_cost', (row, context) => context.convertCurrency(row.cost || 0)],
+  ['currency', (row, context) => context.currency]
+];
+
+/**
+ * Quote a value for a delimited file (RFC 4180 for CSV)
+ */
+function formatDelimitedValue(value, separator = ',') {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+
+  if (separator === '\t') {
+    // TSV has no quoting - tabs and line breaks inside values become spaces
+    return text.replace(/[\t\r\n]+/g, ' ');
+  }
+
+  if (text.includes(separator) || text.includes('"') || /[\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Date filters accept ISO timestamps or plain dates; a plain "to" date includes the whole day
+ */
+function toExclusiveEnd(to) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+    const next = new Date(`${to}T00:00:00.000Z`);
+    next.setUTCDate(next.getUTCDate() + 1);
+    return next.toISOString();
+  }
+  return to;
+}
+
+function toList(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : [value]).filter(Boolean);
+}
+
+/**
+ * SQL for one page of export rows
+ * @param {Object} filters - { from, to, projects, models } (projects/models: string or string[])
+ * @param {Object|null} cursor - { timestamp, id } of the last row of the previous page
+ * @param {number} limit - Page size
+ * @returns {{ sql: string, params: Array }}
+ */
+function buildEntryExportQuery(filters = {}, cursor = null, limit = PAGE_SIZE) {
+  const where = ["timestamp IS NOT NULL AND timestamp != ''"];
+  const params = [];
+
+  if (filters.from) {
+    where.push('timestamp >= ?');
+    params.push(filters.from);
+  }
+  if (filters.to) {
+    where.push('timestamp < ?');
+    params.push(toExclusiveEnd(filters.to));
+  }
+
+  const projects = toList(filters.projects);
+  if (projects.length > 0) {
+    where.push(`project IN (${projects.map(() => '?').join(', ')})`);
+    params.push(...projects);
+  }
+
+  const models = toList(filters.models);
+  if (models.length > 0) {
+    where.push(`model IN (${models.map(() => '?').join(', ')})`);
+    params.push(...models);
+  }
+
+  if (cursor) {
+    where.push('(timestamp > ? OR (timestamp = ? AND id > ?))');
+    params.push(cursor.timestamp, cursor.timestamp, cursor.id);
+  }
+
+  params.push(limit);
+
+  return {
+    sql: `
+      SELECT id, timestamp, session_id, full_session_id, project, model,
+        input_tokens, output_tokens,
+        COALESCE(cache_creation_input_tokens, 0) as cache_creation_input_tokens,
+        COALESCE(cache_read_input_tokens, 0) as cache_read_input_tokens,
+        total_tokens, cost
+      FROM usage_entries
+      WHERE ${where.join(' AND ')}
+      ORDER BY timestamp ASC, id ASC
+      LIMIT ?
+    `,
+    params
+  };
+}
+
+// Resolves once the chunk is handed to the file, which also paces the writes
+function writeChunk(stream, chunk) {
+  return new Promise((resolve, reject) => {
+    stream.write(chunk, error => (error ? reject(error) : resolve()));
+  });
+}
+
+/**
+ * Stream filtered usage entries into a CSV or TSV file
+ * @param {Object} db - DatabaseService or CLIDatabaseService
+ * @param {string} filePath - Target file
+ * @param {Object} options - { format: 'csv'|'tsv', filters, currency, convertCurrency(usd) }
+ * @returns {Promise<{ filePath: string, rows: number, format: string }>}
+ */
+async function exportEntriesToFile(db, filePath, options = {}) {
+  const format = (options.format || 'csv').toLowerCase();
+  const separator = DELIMITERS[format];
+  if (!separator) {
+    throw new Error(`Unsupported entry export format: ${format}`);
+  }
+
+  const context = {
+    currency: options.currency || 'USD',
+    convertCurrency: options.convertCurrency || (usd => usd)
+  };
+
+  const stream = fs.createWriteStream(filePath, { encoding: 'utf8' });
+  // Listen for the whole life of the stream: open, write and close errors all arrive
+  // here, and an 'error' event without a listener is an uncaught exception
+  let streamError = null;
+  let opened = false;
+  stream.on('error', (error) => { streamError = streamError || error; });
+  stream.once('open', () => { opened = true; });
+  let rows = 0;
+
+  try {
+    await writeChunk(stream, ENTRY_EXPORT_COLUMNS.map(([header]) => header).join(separator) + '\n');
+
+    let cursor = null;
+    while (true) {
+      const page = db.getEntryExportPage(options.filters || {}, cursor, PAGE_SIZE);
+      if (page.length === 0) break;
+
+      const lines = page.map(row =>
+        ENTRY_EXPORT_COLUMNS.map(([, value]) => formatDelimitedValue(value(row, context), separator)).join(separator)
+      );
+      await writeChunk(stream, lines.join('\n') + '\n');
+
+      rows += page.length;
+      const last = page[page.length - 1];
+      cursor = { timestamp: last.timestamp, id: last.id };
+
+      if (page.length < PAGE_SIZE) break;
+    }
+
+    await new Promise((resolve, reject) => stream.end(error => (error ? reject(error) : resolve())));
+  } catch (error) {
+    stream.destroy();
+    // Don't leave a partial export behind (a file that never opened is not ours to delete)
+    if (opened) {
+      await fs.promises.rm(filePath, { force: true }).catch(() => {});
+    }
+    throw streamError || error;
+  }
+
+  return { filePath, rows, format };
+}
+
+module.exports = {
+  ENTRY_EXPORT_COLUMNS,
+  formatDelimitedValue,
+  toExclusiveEnd,
+  buildEntryExportQuery,
+  exportEntriesToFile
+};
@@ -0,0 +1,293 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * File Watcher Service
+ * Watches the active Claude project paths for new or changed .jsonl files and
+ * reports them in debounced batches, so new usage is ingested right after a
+ * Claude response instead of on the next refresh interval.
+ *
+ * Local paths use recursive fs.watch, or one watcher per directory where the
+ * platform has no recursive support (Linux before Node 20). WSL network paths
+ * (\\wsl$\...) don't deliver change events reliably, so they are polled.
+ */
+
+const DEBOUNCE_MS = 300;       // Quiet time before a batch is reported
+const MAX_WAIT_MS = 1000;      // Report at least once per second during continuous writes
+const POLL_INTERVAL_MS = 1000; // Stat interval for polled paths
+const RESCAN_INTERVAL_MS = 10000; // Directory rescan interval for polled paths
+
+class FileWatcherService {
+  constructor(options = {}) {
+    this.debounceMs = options.debounceMs || DEBOUNCE_MS;
+    this.maxWaitMs = options.maxWaitMs || MAX_WAIT_MS;
+    this.pollIntervalMs = options.pollIntervalMs || POLL_INTERVAL_MS;
+    this.log = options.log || console.log;
+
+    this.watchers = new Map(); // basePath -> { mode, close() }
+    this.onChange = null;
+    this.pendingFiles = new Set();
+    this.debounceTimer = null;
+    this.firstPendingAt = 0;
+    this.isFlushing = false;
+  }
+
+  /**
+   * Start watching paths
+   * @param {string[]} paths - Active Claude project paths
+   * @param {Function} onChange - async (files) => handled; return false to retry the batch later
+   */
+  start(paths, onChange) {
+    this.stop();
+    this.onChange = onChange;
+    this.updatePaths(paths);
+  }
+
+  /**
+   * Sync the watched paths with the active paths (after paths were added or removed)
+   */
+  updatePaths(paths) {
+    const wanted = new Set(paths || []);
+
+    for (const [basePath, watcher] of this.watchers) {
+      if (!wanted.has(basePath)) {
+        watcher.close();
+        this.watchers.delete(basePath);
+        this.log(`[WATCH] FileWatcher: Stopped watching ${basePath}`);
+      }
+    }
+
+    for (const basePath of wanted) {
+      if (!this.watchers.has(basePath)) {
+        this.watchPath(basePath);
+      }
+    }
+  }
+
+  stop() {
+    for (const watcher of this.watchers.values()) {
+      watcher.close();
+    }
+    this.watchers.clear();
+    this.pendingFiles.clear();
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = null;
+  }
+
+  isWatching() {
+    return this.watchers.size > 0;
+  }
+
+  /**
+   * Watched paths and how they are watched (recursive, directories, polling)
+   */
+  getStatus() {
+    return Array.from(this.watchers, ([basePath, watcher]) => ({ path: basePath, mode: watcher.mode }));
+  }
+
+  watchPath(basePath) {
+    if (!fs.existsSync(basePath)) {
+      this.log(`[WATCH] FileWatcher: Path not found, skipping ${basePath}`);
+      return;
+    }
+
+    let watcher;
+    if (basePath.startsWith('\\\\wsl$') || basePath.startsWith('\\\\wsl.localhost')) {
+      watcher = this.createPoller(basePath);
+    } else {
+      try {
+        watcher = this.createRecursiveWatcher(basePath);
+      } catch (error) {
+        try {
+          watcher = this.createDirectoryWatcher(basePath);
+        } catch (dirError) {
+          this.log(`[WATCH] FileWatcher: fs.watch unavailable for ${basePath} (${dirError.message}), polling instead`);
+          watcher = this.createPoller(basePath);
+        }
+      }
+    }
+
+    this.watchers.set(basePath, watcher);
+    this.log(`[WATCH] FileWatcher: Watching ${basePath} (${watcher.mode})`);
+  }
+
+  createRecursiveWatcher(basePath) {
+    const watcher = fs.watch(basePath, { recursive: true }, (eventType, filename) => {
+      if (filename) {
+        this.queue(path.join(basePath, filename.toString()));
+      }
+    });
+    watcher.on('error', (error) => this.fallBackToPolling(basePath, error));
+
+    return { mode: 'recursive', close: () => watcher.close() };
+  }
+
+  /**
+   * One non-recursive watcher per directory; new subdirectories get their own watcher
+   */
+  createDirectoryWatcher(basePath) {
+    const dirWatchers = new Map();
+
+    const watchDirectory = (dir) => {
+      if (dirWatchers.has(dir)) return;
+
+      const watcher = fs.watch(dir, (eventType, filename) => {
+        if (!filename) return;
+        const fullPath = path.join(dir, filename.toString());
+        if (fullPath.endsWith('.jsonl')) {
+          this.queue(fullPath);
+        } else if (eventType === 'rename') {
+          // A new project directory may already contain files
+          try {
+            if (fs.statSync(fullPath).isDirectory()) {
+              watchDirectory(fullPath);
+              listJsonlFiles(fullPath).forEach(file => this.queue(file));
+            }
+          } catch (statError) {
+            // Removed - the watcher for it closes itself
+          }
+        }
+      });
+      watcher.on('error', () => {
+        watcher.close();
+        dirWatchers.delete(dir);
+      });
+      dirWatchers.set(dir, watcher);
+
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        if (entry.isDirectory()) {
+          watchDirectory(path.join(dir, entry.name));
+        }
+      }
+    };
+
+    try {
+      watchDirectory(basePath);
+    } catch (error) {
+      dirWatchers.forEach(watcher => watcher.close());
+      throw error;
+    }
+
+    return {
+      mode: 'directories',
+      close: () => {
+        dirWatchers.forEach(watcher => watcher.close());
+        dirWatchers.clear();
+      }
+    };
+  }
+
+  /**
+   * Stat-based polling: known files every second, directory rescan every 10 seconds
+   */
+  createPoller(basePath) {
+    const signatures = new Map();
+    let files = listJsonlFiles(basePath);
+    let lastScan = Date.now();
+
+    const signature = (file) => {
+      try {
+        const stat = fs.statSync(file);
+        return `${stat.size}:${stat.mtimeMs}`;
+      } catch (error) {
+        return null;
+      }
+    };
+
+    // Existing files are ingested by the regular load, only report later changes
+    files.forEach(file => signatures.set(file, signature(file)));
+
+    const timer = setInterval(() => {
+      if (Date.now() - lastScan >= RESCAN_INTERVAL_MS) {
+        files = listJsonlFiles(basePath);
+        lastScan = Date.now();
+      }
+
+      for (const file of files) {
+        const current = signature(file);
+        if (current !== null && signatures.get(file) !== current) {
+          signatures.set(file, current);
+          this.queue(file);
+        }
+      }
+    }, this.pollIntervalMs);
+
+    return { mode: 'polling', close: () => clearInterval(timer) };
+  }
+
+  fallBackToPolling(basePath, error) {
+    const watcher = this.watchers.get(basePath);
+    if (!watcher || watcher.mode === 'polling') return;
+
+    this.log(`[WATCH] FileWatcher: Watcher error for ${basePath} (${error.message}), polling instead`);
+    watcher.close();
+    this.watchers.set(basePath, this.createPoller(basePath));
+  }
+
+  /**
+   * Collect a changed file and schedule a debounced report
+   */
+  queue(file) {
+    if (!file.endsWith('.jsonl')) return;
+
+    if (this.pendingFiles.size === 0) {
+      this.firstPendingAt = Date.now();
+    }
+    this.pendingFiles.add(file);
+    this.scheduleFlush();
+  }
+
+  scheduleFlush() {
+    clearTimeout(this.debounceTimer);
+    const waited = Date.now() - this.firstPendingAt;
+    const delay = Math.max(0, Math.min(this.debounceMs, this.maxWaitMs - waited));
+    this.debounceTimer = setTimeout(() => this.flush(), delay);
+  }
+
+  async flush() {
+    this.debounceTimer = null;
+    if (this.isFlushing || this.pendingFiles.size === 0 || !this.onChange) return;
+
+    const files = Array.from(this.pendingFiles);
+    this.pendingFiles.clear();
+    this.isFlushing = true;
+
+    try {
+      const handled = await this.onChange(files);
+      if (handled === false) {
+        // Consumer was busy - keep the files for the next batch
+        files.forEach(file => this.pendingFiles.add(file));
+        this.firstPendingAt = Date.now();
+      }
+    } catch (error) {
+      this.log(`[WATCH] FileWatcher: Change handler failed: ${error.message}`);
+    } finally {
+      this.isFlushing = false;
+      if (this.pendingFiles.size > 0) {
+        this.scheduleFlush();
+      }
+    }
+  }
+}
+
+/**
+ * Recursively list .jsonl files (also works on WSL network paths)
+ */
+function listJsonlFiles(dir) {
+  const files = [];
+  try {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...listJsonlFiles(fullPath));
+      } else if (entry.name.endsWith('.jsonl')) {
+        files.push(fullPath);
+      }
+    }
+  } catch (error) {
+    // Unreadable directory - skip it
+  }
+  return files;
+}
+
+module.exports = FileWatcherService;
@@ -0,0 +1,137 @@
+/**
+ * JSONL Ingestion
+ * Streams Claude JSONL files from the byte offset recorded in the ingestion
+ * ledger (ingest_ledger table), so a refresh only reads appended bytes.
+ *
+ * Shared by DataLoaderService (Electron) and CLIDataAdapter. Both databases
+ * expose getIngestState(filePath) / saveIngestState(state); callers save the
+ * returned state only after the entries were inserted, so a failed refresh
+ * reads the same bytes again instead of losing them.
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+
+const TAIL_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Assistant messages with usable token counts
+ */
+function isUsageEntry(entry) {
+  if (!entry || !entry.timestamp || entry.type !== 'assistant') return false;
+  if (!entry.message?.usage) return false;
+  if (typeof entry.message.usage.input_tokens !== 'number') return false;
+  if (typeof entry.message.usage.output_tokens !== 'number') return false;
+  return true;
+}
+
+/**
+ * Decide where to resume reading a file.
+ * @param {fs.Stats} stat - Current file stats
+ * @param {Object|null} state - Ledger row ({ inode, size, offset, mtime }) or null for unseen files
+ * @returns {{ start: number, reason: string }|null} null when the file did not change
+ */
+function getResumePoint(stat, state) {
+  if (!state) {
+    return { start: 0, reason: 'new' };
+  }
+
+  // Same path but a different file (log rotation, delete + recreate)
+  const inode = String(stat.ino || '');
+  if (state.inode && inode && state.inode !== inode) {
+    return { start: 0, reason: 'rotated' };
+  }
+
+  // File shrank below what we already read - it was truncated or rewritten
+  if (stat.size < state.offset) {
+    return { start: 0, reason: 'truncated' };
+  }
+
+  if (stat.size === state.offset && Math.floor(stat.mtimeMs) === state.mtime) {
+    return null;
+  }
+
+  return { start: state.offset, reason: 'appended' };
+}
+
+/**
+ * Byte position right after the last newline in [start, end).
+ * A trailing line without newline may still be written, so it is left for the next refresh.
+ */
+function findCompleteEnd(file, start, end) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const buffer = Buffer.alloc(TAIL_CHUNK_SIZE);
+    let position = end;
+
+    while (position > start) {
+      const length = Math.min(TAIL_CHUNK_SIZE, position - start);
+      position -= length;
+      const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+      const newline = buffer.lastIndexOf(0x0a, bytesRead - 1);
+      if (newline !== -1) {
+        return position + newline + 1;
+      }
+    }
+
+    return start;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Stream the complete lines appended to a JSONL file since the last ingestion.
+ * @param {string} file - Path of the JSONL file
+ * @param {Object|null} state - Ledger row from getIngestState, null to read the whole file
+ * @returns {Promise<{ changed: boolean, reason: string, entries: Array, state: Object }>}
+ *   entries are the parsed usage entries, state is the ledger row to save after inserting them
+ */
+async function readNewUsageEntries(file, state) {
+  const stat = fs.statSync(file);
+  const resume = getResumePoint(stat, state);
+
+  if (!resume) {
+    return { changed: false, reason: 'unchanged', entries: [], state };
+  }
+
+  const end = findCompleteEnd(file, resume.start, stat.size);
+  const entries = [];
+
+  if (end > resume.start) {
+    const input = fs.createReadStream(file, { encoding: 'utf8', start: resume.start, end: end - 1 });
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+
+      try {
+        const entry = JSON.parse(line);
+        if (isUsageEntry(entry)) {
+          entries.push(entry);
+        }
+      } catch (parseError) {
+        continue; // Skip invalid JSON
+      }
+    }
+  }
+
+  return {
+    changed: true,
+    reason: resume.reason,
+    entries,
+    state: {
+      filePath: file,
+      inode: String(stat.ino || ''),
+      size: stat.size,
+      offset: end,
+      mtime: Math.floor(stat.mtimeMs)
+    }
+  };
+}
+
+module.exports = {
+  isUsageEntry,
+  getResumePoint,
+  readNewUsageEntries
+};
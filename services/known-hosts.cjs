@@ -0,0 +1,178 @@
+/**
+ * Known Hosts
+ * OpenSSH known_hosts lookup for SSH host-key verification.
+ *
+ * Supports plain and hashed (|1|salt|hash) host entries, [host]:port entries
+ * for non-standard ports, comma-separated patterns with * / ? wildcards and
+ * !negation, and @revoked markers. @cert-authority lines are ignored because
+ * host certificates are not verified.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+function getDefaultKnownHostsPath() {
+  return path.join(os.homedir(), '.ssh', 'known_hosts');
+}
+
+/**
+ * Host name as written to known_hosts: "host" on port 22, "[host]:port" otherwise
+ */
+function formatHostName(host, port = 22) {
+  return Number(port) === 22 ? host : `[${host}]:${port}`;
+}
+
+/**
+ * SHA256 fingerprint in OpenSSH notation (SHA256:base64-without-padding)
+ * @param {Buffer} key - Raw public key blob
+ */
+function getFingerprint(key) {
+  return `SHA256:${crypto.createHash('sha256').update(key).digest('base64').replace(/=+$/, '')}`;
+}
+
+/**
+ * Key type stored in the first string of the public key blob (e.g. ssh-ed25519)
+ */
+function getKeyType(key) {
+  if (!Buffer.isBuffer(key) || key.length < 4) return null;
+  const length = key.readUInt32BE(0);
+  return key.slice(4, 4 + length).toString('ascii');
+}
+
+function matchesWildcard(pattern, name) {
+  const regex = new RegExp(
+    '^' + pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.') + '$',
+    'i'
+  );
+  return regex.test(name);
+}
+
+function matchesHashedHost(entry, name) {
+  const [, , salt, hash] = entry.split('|');
+  if (!salt || !hash) return false;
+  const expected = crypto.createHmac('sha1', Buffer.from(salt, 'base64')).update(name).digest('base64');
+  return expected === hash;
+}
+
+/**
+ * Whether a known_hosts host field matches the host name
+ * @param {string} hostField - Comma-separated patterns or a single hashed entry
+ * @param {string} name - Name from formatHostName()
+ */
+function matchesHostField(hostField, name) {
+  if (hostField.startsWith('|1|')) {
+    return matchesHashedHost(hostField, name);
+  }
+
+  let matched = false;
+  for (const pattern of hostField.split(',')) {
+    if (pattern.startsWith('!')) {
+      // A matching negated pattern rejects the line even if others match
+      if (matchesWildcard(pattern.slice(1), name)) return false;
+    } else if (matchesWildcard(pattern, name)) {
+      matched = true;
+    }
+  }
+  return matched;
+}
+
+/**
+ * Parse known_hosts content into entries
+ * @returns {Array<{marker: string|null, hosts: string, keyType: string, key: string, line: number}>}
+ */
+function parseKnownHosts(content) {
+  const entries = [];
+
+  content.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) return;
+
+    const fields = line.split(/\s+/);
+    const marker = fields[0].startsWith('@') ? fields.shift() : null;
+    if (fields.length < 3) return;
+
+    entries.push({
+      marker,
+      hosts: fields[0],
+      keyType: fields[1],
+      key: fields[2],
+      line: index + 1
+    });
+  });
+
+  return entries;
+}
+
+/**
+ * Look up a server host key
+ * @param {Buffer} key - Raw public key blob presented by the server
+ * @param {Object} options - { host, port, knownHostsPath }
+ * @returns {{ status: 'match'|'mismatch'|'unknown'|'revoked', fingerprint: string, line?: number }}
+ *   mismatch: the host is known with a different key of the same type (possible man-in-the-middle).
+ *   Entries of other key types don't count, like OpenSSH: a host known only by its RSA key that
+ *   offers ed25519 is unknown for that key type, not changed.
+ */
+function checkHostKey(key, { host, port = 22, knownHostsPath = getDefaultKnownHostsPath() }) {
+  const fingerprint = getFingerprint(key);
+  const encodedKey = key.toString('base64');
+  const keyType = getKeyType(key);
+  const name = formatHostName(host, port);
+
+  let content = '';
+  try {
+    content = fs.readFileSync(knownHostsPath, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const entries = parseKnownHosts(content);
+
+  const revoked = entries.find(entry => entry.marker === '@revoked' && entry.key === encodedKey);
+  if (revoked) {
+    return { status: 'revoked', fingerprint, line: revoked.line };
+  }
+
+  const hostEntries = entries.filter(entry => !entry.marker && matchesHostField(entry.hosts, name));
+  const match = hostEntries.find(entry => entry.key === encodedKey);
+  if (match) {
+    return { status: 'match', fingerprint, line: match.line };
+  }
+
+  const sameType = hostEntries.find(entry => entry.keyType === keyType);
+  if (sameType) {
+    return { status: 'mismatch', fingerprint, line: sameType.line };
+  }
+
+  return { status: 'unknown', fingerprint };
+}
+
+/**
+ * Append a host key to known_hosts (creates ~/.ssh with OpenSSH permissions)
+ */
+function addHostKey(key, { host, port = 22, knownHostsPath = getDefaultKnownHostsPath() }) {
+  fs.mkdirSync(path.dirname(knownHostsPath), { recursive: true, mode: 0o700 });
+
+  let prefix = '';
+  try {
+    const content = fs.readFileSync(knownHostsPath, 'utf8');
+    if (content.length > 0 && !content.endsWith('\n')) prefix = '\n';
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const line = `${formatHostName(host, port)} ${getKeyType(key)} ${key.toString('base64')}\n`;
+  fs.appendFileSync(knownHostsPath, prefix + line, { mode: 0o600 });
+}
+
+module.exports = {
+  getDefaultKnownHostsPath,
+  formatHostName,
+  getFingerprint,
+  getKeyType,
+  parseKnownHosts,
+  matchesHostField,
+  checkHostKey,
+  addHostKey
+};
@@ -0,0 +1,245 @@
+/**
+ * Metrics Exporter
+ * Prometheus / OpenMetrics text exposition of the usage data for Grafana and
+ * other scrapers. Served at /metrics by the local API server (GUI) and by
+ * `dragon-ui-claude-cli serve-metrics`.
+ *
+ * All values come from database aggregates (GROUP BY queries and the ingestion
+ * ledger) instead of the CoreDataService tab calculations, and one snapshot is
+ * shared by all scrapes within the cache TTL. Works with the better-sqlite3
+ * DatabaseService as well as the sql.js CLIDatabaseService. Costs are in USD,
+ * as stored in the database.
+ */
+
+const fs = require('fs');
+const { blockCalculator, BLOCK_DURATION_MINUTES } = require('./block-calculator.cjs');
+
+const DEFAULT_CACHE_TTL_MS = 15000;
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const OPENMETRICS_CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+// Enough history to find where the running block started
+const BLOCK_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+
+// Token type label -> column of getTokenUsageByModel()
+const TOKEN_TYPES = [
+  ['input', 'input_tokens'],
+  ['output', 'output_tokens'],
+  ['cache_creation', 'cache_creation_tokens'],
+  ['cache_read', 'cache_read_tokens']
+];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels || {}).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (Number.isFinite(value)) return String(value);
+  if (Number.isNaN(value)) return 'NaN';
+  return value > 0 ? '+Inf' : '-Inf';
+}
+
+function toSeconds(ms) {
+  return Math.round(ms / 1000);
+}
+
+/**
+ * SQLite CURRENT_TIMESTAMP ('YYYY-MM-DD HH:MM:SS', UTC) to epoch ms
+ */
+function parseSqliteTime(value) {
+  if (!value) return null;
+  const time = new Date(`${String(value).replace(' ', 'T')}Z`).getTime();
+  return isNaN(time) ? null : time;
+}
+
+/**
+ * Render metric families in the Prometheus text format, or in OpenMetrics
+ * (counter families named without `_total`, terminated by `# EOF`)
+ * @param {Array} families - [{ name, type, help, samples: [{ labels, value }] }]
+ */
+function renderMetrics(families, { openMetrics = false } = {}) {
+  const lines = [];
+
+  for (const family of families) {
+    const familyName = openMetrics && family.type === 'counter' ? family.name.replace(/_total$/, '') : family.name;
+    lines.push(`# HELP ${familyName} ${family.help}`);
+    lines.push(`# TYPE ${familyName} ${family.type}`);
+    for (const sample of family.samples) {
+      lines.push(`${family.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+    }
+  }
+
+  if (openMetrics) {
+    lines.push('# EOF');
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+function acceptsOpenMetrics(acceptHeader) {
+  return /application\/openmetrics-text/i.test(acceptHeader || '');
+}
+
+class MetricsExporter {
+  /**
+   * @param {DatabaseService|CLIDatabaseService} db - Initialized database
+   * @param {Object} options - { cacheTtlMs }
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.cacheTtlMs = options.cacheTtlMs ?? DEFAULT_CACHE_TTL_MS;
+    this.snapshot = null;
+    this.snapshotAt = 0;
+    this.pendingCollect = null;
+  }
+
+  /**
+   * Metric families, collected at most once per cache TTL
+   */
+  async getFamilies() {
+    if (this.snapshot && Date.now() - this.snapshotAt < this.cacheTtlMs) {
+      return this.snapshot;
+    }
+
+    // Scrapes arriving while a collection runs share its result
+    if (!this.pendingCollect) {
+      this.pendingCollect = this.collect()
+        .then(families => {
+          this.snapshot = families;
+          this.snapshotAt = Date.now();
+          return families;
+        })
+        .finally(() => { this.pendingCollect = null; });
+    }
+    return this.pendingCollect;
+  }
+
+  /**
+   * Response for a scrape, in the format the Accept header asks for
+   * @returns {Promise<{ contentType: string, body: string }>}
+   */
+  async render(acceptHeader) {
+    const openMetrics = acceptsOpenMetrics(acceptHeader);
+    return {
+      contentType: openMetrics ? OPENMETRICS_CONTENT_TYPE : PROMETHEUS_CONTENT_TYPE,
+      body: renderMetrics(await this.getFamilies(), { openMetrics })
+    };
+  }
+
+  async collect(now = Date.now()) {
+    const startedAt = Date.now();
+
+    // First query: the CLI database reloads a changed database file here
+    const modelRows = await this.db.getTokenUsageByModel();
+    const projectRows = await this.db.getProjectStats();
+    const lastTimestamp = await this.db.getLastTimestamp();
+    const blockEntries = await this.db.getBlockEntries(new Date(now - BLOCK_LOOKBACK_MS).toISOString());
+    const ingest = await this.getIngestStatus(await this.db.getIngestLedger(), now);
+
+    const activeBlock = blockCalculator.findActiveBlock(blockCalculator.identifyBlocks(blockEntries, now));
+    const blockDurationMs = BLOCK_DURATION_MINUTES * 60 * 1000;
+    const blockElapsedMs = activeBlock ? now - new Date(activeBlock.startTime).getTime() : 0;
+    const lastEntryTime = lastTimestamp ? new Date(lastTimestamp).getTime() : NaN;
+
+    const gauge = (name, help, value) => ({ name, type: 'gauge', help, samples: [{ value }] });
+
+    return [
+      {
+        name: 'dragon_ui_tokens_total',
+        type: 'counter',
+        help: 'Tokens used, by model and token type.',
+        samples: modelRows.flatMap(row => TOKEN_TYPES.map(([type, column]) => ({
+          labels: { model: row.model || 'unknown', type },
+          value: row[column] || 0
+        })))
+      },
+      {
+        name: 'dragon_ui_requests_total',
+        type: 'counter',
+        help: 'Usage entries (API responses), by model.',
+        samples: modelRows.map(row => ({ labels: { model: row.model || 'unknown' }, value: row.entry_count || 0 }))
+      },
+      {
+        name: 'dragon_ui_cost_usd_total',
+        type: 'counter',
+        help: 'Cost in USD, by model.',
+        samples: modelRows.map(row => ({ labels: { model: row.model || 'unknown' }, value: row.total_cost || 0 }))
+      },
+      {
+        name: 'dragon_ui_project_cost_usd_total',
+        type: 'counter',
+        help: 'Cost in USD, by project.',
+        samples: projectRows.map(row => ({ labels: { project: row.project }, value: row.total_cost || 0 }))
+      },
+      {
+        name: 'dragon_ui_project_tokens_total',
+        type: 'counter',
+        help: 'Tokens used, by project.',
+        samples: projectRows.map(row => ({ labels: { project: row.project }, value: row.total_tokens || 0 }))
+      },
+      gauge('dragon_ui_active_block', 'Whether a 5-hour billing block is running (1) or not (0).', activeBlock ? 1 : 0),
+      gauge('dragon_ui_active_block_cost_usd', 'Cost in USD of the running 5-hour block.', activeBlock ? activeBlock.totalCost : 0),
+      gauge('dragon_ui_active_block_tokens', 'Tokens used in the running 5-hour block.', activeBlock ? activeBlock.totalTokens : 0),
+      gauge('dragon_ui_active_block_elapsed_seconds', 'Seconds since the running 5-hour block started.', toSeconds(blockElapsedMs)),
+      gauge('dragon_ui_active_block_remaining_seconds', 'Seconds until the running 5-hour block ends.', activeBlock ? toSeconds(blockDurationMs - blockElapsedMs) : 0),
+      gauge('dragon_ui_active_block_progress_ratio', 'Elapsed share (0-1) of the running 5-hour block.', activeBlock ? blockElapsedMs / blockDurationMs : 0),
+      gauge('dragon_ui_last_entry_timestamp_seconds', 'Unix time of the newest usage entry.', isNaN(lastEntryTime) ? 0 : toSeconds(lastEntryTime)),
+      gauge('dragon_ui_last_ingest_timestamp_seconds', 'Unix time a JSONL file was last read into the database.', ingest.lastIngestAt ? toSeconds(ingest.lastIngestAt) : 0),
+      gauge('dragon_ui_ingest_files', 'JSONL files tracked by the ingestion ledger.', ingest.files),
+      gauge('dragon_ui_ingest_pending_bytes', 'Bytes appended to tracked JSONL files that are not ingested yet.', ingest.pendingBytes),
+      gauge('dragon_ui_ingest_lag_seconds', 'Seconds since the oldest tracked file with pending bytes was last ingested (0 when caught up).', ingest.lagSeconds),
+      gauge('dragon_ui_metrics_collect_duration_seconds', 'Time taken to collect these metrics.', (Date.now() - startedAt) / 1000)
+    ];
+  }
+
+  /**
+   * Compare the ledger with the files on disk
+   */
+  async getIngestStatus(ledgerRows, now) {
+    let pendingBytes = 0;
+    let oldestPendingAt = null;
+    let lastIngestAt = null;
+
+    for (const row of ledgerRows) {
+      const ingestedAt = parseSqliteTime(row.updated_at);
+      if (ingestedAt && (!lastIngestAt || ingestedAt > lastIngestAt)) {
+        lastIngestAt = ingestedAt;
+      }
+
+      let size;
+      try {
+        size = (await fs.promises.stat(row.file_path)).size;
+      } catch (error) {
+        continue; // Deleted or not reachable from this machine
+      }
+
+      // A file smaller than the ledger offset was rotated and is read from the start again
+      const pending = size >= row.byte_offset ? size - row.byte_offset : size;
+      if (pending > 0) {
+        pendingBytes += pending;
+        if (ingestedAt && (!oldestPendingAt || ingestedAt < oldestPendingAt)) {
+          oldestPendingAt = ingestedAt;
+        }
+      }
+    }
+
+    return {
+      files: ledgerRows.length,
+      pendingBytes,
+      lastIngestAt,
+      lagSeconds: oldestPendingAt ? Math.max(0, toSeconds(now - oldestPendingAt)) : 0
+    };
+  }
+}
+
+module.exports = {
+  MetricsExporter,
+  renderMetrics,
+  acceptsOpenMetrics,
+  PROMETHEUS_CONTENT_TYPE,
+  OPENMETRICS_CONTENT_TYPE
+};
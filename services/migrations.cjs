@@ -0,0 +1,287 @@
+/**
+ * Schema Migrations for usage.db
+ * Ordered, versioned migrations tracked with PRAGMA user_version.
+ *
+ * Shared by DatabaseService (better-sqlite3) and CLIDatabaseService (sql.js).
+ * Both pass a small adapter, so migrations never touch a driver directly:
+ *   { exec(sql), all(sql, params), run(sql, params), getColumns(table), hasTable(table),
+ *     getUserVersion(), setUserVersion(v), transaction(fn) }
+ *
+ * Databases created before versioning report user_version 0 but may already
+ * contain some of these changes, so every migration has to be idempotent.
+ * Never edit or reorder a released migration - append a new one instead.
+ */
+
+const fs = require('fs');
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'usage-entries',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS usage_entries (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          timestamp TEXT NOT NULL,
+          session_id TEXT NOT NULL,
+          full_session_id TEXT,
+          model TEXT,
+          project TEXT,
+          input_tokens INTEGER DEFAULT 0,
+          output_tokens INTEGER DEFAULT 0,
+          cache_creation_input_tokens INTEGER DEFAULT 0,
+          cache_read_input_tokens INTEGER DEFAULT 0,
+          total_tokens INTEGER DEFAULT 0,
+          cost REAL DEFAULT 0,
+          file_path TEXT,
+          uuid TEXT,
+          cwd TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(timestamp, session_id, file_path) ON CONFLICT IGNORE
+        )
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: 'cache-token-columns',
+    up(db) {
+      addColumnIfMissing(db, 'usage_entries', 'cache_creation_input_tokens', 'INTEGER DEFAULT 0');
+      addColumnIfMissing(db, 'usage_entries', 'cache_read_input_tokens', 'INTEGER DEFAULT 0');
+    }
+  },
+  {
+    version: 3,
+    name: 'usage-indexes',
+    up(db) {
+      db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_session_id ON usage_entries(session_id);
+        CREATE INDEX IF NOT EXISTS idx_timestamp ON usage_entries(timestamp);
+        CREATE INDEX IF NOT EXISTS idx_project ON usage_entries(project);
+        CREATE INDEX IF NOT EXISTS idx_model ON usage_entries(model);
+        CREATE INDEX IF NOT EXISTS idx_timestamp_session ON usage_entries(timestamp, session_id);
+        CREATE INDEX IF NOT EXISTS idx_cost ON usage_entries(cost);
+      `);
+    }
+  },
+  {
+    version: 4,
+    name: 'budget-alerts',
+    up(db) {
+      // Budget alerts that already fired (one row per budget, period and threshold)
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS budget_alerts (
+          alert_key TEXT PRIMARY KEY,
+          budget_id TEXT NOT NULL,
+          period_key TEXT NOT NULL,
+          threshold INTEGER NOT NULL,
+          spent REAL DEFAULT 0,
+          amount REAL DEFAULT 0,
+          fired_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+    }
+  },
+  {
+    version: 5,
+    name: 'message-request-ids',
+    up(db) {
+      // Claude's message/request ids identify an API call across files and machines.
+      // Rows imported before this migration keep NULL ids and are not deduplicated.
+      addColumnIfMissing(db, 'usage_entries', 'message_id', 'TEXT');
+      addColumnIfMissing(db, 'usage_entries', 'request_id', 'TEXT');
+      db.exec(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_message_request
+        ON usage_entries(message_id, COALESCE(request_id, ''))
+        WHERE message_id IS NOT NULL
+      `);
+    }
+  },
+  {
+    version: 6,
+    name: 'ingest-ledger',
+    up(db) {
+      // Per-file read position for streaming ingestion (services/jsonl-ingest.cjs)
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS ingest_ledger (
+          file_path TEXT PRIMARY KEY,
+          inode TEXT,
+          size INTEGER DEFAULT 0,
+          byte_offset INTEGER DEFAULT 0,
+          mtime INTEGER DEFAULT 0,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+    }
+  },
+  {
+    version: 7,
+    name: 'price-history',
+    up(db) {
+      // Dated price snapshots per model (USD per 1M tokens), see ModelPriceService
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS price_history (
+          model TEXT NOT NULL,
+          effective_from TEXT NOT NULL,
+          input REAL NOT NULL,
+          output REAL NOT NULL,
+          cache_write REAL NOT NULL,
+          cache_read REAL NOT NULL,
+          source TEXT,
+          recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (model, effective_from)
+        )
+      `);
+    }
+  },
+  {
+    version: 8,
+    name: 'full-session-index',
+    up(db) {
+      // Session lookups by Claude's full session id (statusline, session details)
+      db.exec('CREATE INDEX IF NOT EXISTS idx_full_session_id ON usage_entries(full_session_id)');
+    }
+  },
+  {
+    version: 9,
+    name: 'entry-source',
+    up(db) {
+      // Machine an entry was ingested from: 'local' or the label of an SSH remote host
+      addColumnIfMissing(db, 'usage_entries', 'source', "TEXT DEFAULT 'local'");
+      db.exec('CREATE INDEX IF NOT EXISTS idx_source ON usage_entries(source)');
+    }
+  },
+  {
+    version: 10,
+    name: 'remote-sync-state',
+    up(db) {
+      // Per remote file mirror position for incremental SSH sync (services/remote-sync.cjs)
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS remote_sync_state (
+          host_id TEXT NOT NULL,
+          remote_path TEXT NOT NULL,
+          local_path TEXT NOT NULL,
+          remote_size INTEGER DEFAULT 0,
+          remote_mtime INTEGER DEFAULT 0,
+          byte_offset INTEGER DEFAULT 0,
+          synced_at TEXT,
+          PRIMARY KEY (host_id, remote_path)
+        )
+      `);
+    }
+  },
+  {
+    version: 11,
+    name: 'backfill-message-ids',
+    up(db) {
+      // Rows imported before migration 5 have NULL message/request ids, so reading their
+      // JSONL file again (ledger reset, rotation, first CLI refresh) would insert them twice.
+      // Recover the ids from the source lines, matched by the uuid each row kept.
+      backfillMessageIds(db);
+    }
+  },
+  {
+    version: 12,
+    name: 'source-retags',
+    up(db) {
+      // SSH hosts whose label-tagged entries were moved to the host id (DataLoaderService.retagLabelledEntries)
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS source_retags (
+          host_id TEXT PRIMARY KEY,
+          retagged_at TEXT
+        )
+      `);
+    }
+  }
+];
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function addColumnIfMissing(db, table, column, definition) {
+  if (!db.getColumns(table).includes(column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+/**
+ * Fill message_id / request_id of rows without ids from their JSONL file.
+ * Rows whose file is gone cannot be read again, so they need no ids; a row whose
+ * ids already belong to another row is a duplicate and is left unchanged.
+ */
+function backfillMessageIds(db) {
+  const rowsByFile = new Map();
+  db.all(`
+    SELECT id, file_path, uuid FROM usage_entries
+    WHERE message_id IS NULL AND uuid IS NOT NULL AND file_path IS NOT NULL
+  `).forEach(row => {
+    const rows = rowsByFile.get(row.file_path) || new Map();
+    rows.set(row.uuid, [...(rows.get(row.uuid) || []), row.id]);
+    rowsByFile.set(row.file_path, rows);
+  });
+
+  for (const [filePath, rows] of rowsByFile) {
+    let content;
+    try {
+      content = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      continue;
+    }
+
+    for (const line of content.split('\n')) {
+      if (!line.includes('"uuid"')) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (parseError) {
+        continue;
+      }
+
+      const messageId = entry.message?.id || entry.messageId;
+      const ids = entry.uuid && messageId ? rows.get(entry.uuid) : null;
+      if (!ids) continue;
+      ids.forEach(id => db.run(
+        'UPDATE OR IGNORE usage_entries SET message_id = ?, request_id = ? WHERE id = ?',
+        [messageId, entry.requestId || null, id]
+      ));
+    }
+  }
+}
+
+/**
+ * Apply all pending migrations in order, each in its own transaction.
+ * @param {Object} db - Driver adapter (see header)
+ * @param {Object} options - { backup(fromVersion): called once before the first migration of an existing database, log }
+ * @returns {{ from: number, to: number, applied: string[] }}
+ */
+function runMigrations(db, options = {}) {
+  const log = options.log || console.log;
+  const from = db.getUserVersion();
+  const pending = MIGRATIONS.filter(migration => migration.version > from);
+
+  if (pending.length === 0) {
+    return { from, to: from, applied: [] };
+  }
+
+  // Only back up databases that hold data - a fresh file has nothing to lose
+  if (options.backup && db.hasTable('usage_entries')) {
+    options.backup(from);
+  }
+
+  const applied = [];
+  for (const migration of pending) {
+    db.transaction(() => {
+      migration.up(db);
+      db.setUserVersion(migration.version);
+    });
+    applied.push(migration.name);
+    log(`[MIGRATE] Applied migration ${migration.version} (${migration.name})`);
+  }
+
+  return { from, to: LATEST_VERSION, applied };
+}
+
+module.exports = {
+  MIGRATIONS,
+  LATEST_VERSION,
+  runMigrations
+};
@@ -6,21 +6,91 @@ const https = require('https');
 /**
  * Model Price Service
  * Fetches and caches latest model pricing from LiteLLM repository
- * Updates hardcoded defaults for Sonnet 4 and Opus 3
+ * Falls back to the bundled catalogue (model-prices.json) when offline
+ *
+ * Price changes are kept as dated snapshots (price_history table) so every
+ * entry is priced with the rate that was effective at its timestamp.
  */
+
+// Snapshots recorded before any price change was observed apply to all older entries
+const BASELINE_EFFECTIVE_FROM = '1970-01-01T00:00:00.000Z';
+
+// Pricing used for models that can't be matched to any family
+const DEFAULT_MODEL_KEY = 'claude-sonnet-4';
+
+const MODEL_FAMILIES = ['opus', 'sonnet', 'haiku'];
+
+/**
+ * Parse a model name from usage data, LiteLLM, Bedrock or Vertex into family and version.
+ * Handles provider prefixes (anthropic/, bedrock/, us.anthropic.), dated suffixes
+ * (-20250514, @20250514, -v1:0, -latest) and both naming schemes
+ * (claude-3-5-sonnet, claude-sonnet-4-5).
+ * @returns {{ family: string, major: number|null, minor: number }|null}
+ */
+function parseModelName(model) {
+  let name = String(model || '').toLowerCase().trim();
+  name = name.split('/').pop().replace(/^(?:[a-z]+\.)?anthropic\./, '');
+
+  // Strip suffixes until nothing changes (vertex: -v2@20241022, bedrock: -20241022-v2:0)
+  let previous;
+  do {
+    previous = name;
+    name = name
+      .replace(/@.*$/, '')
+      .replace(/-v\d+(?::\d+)?$/, '')
+      .replace(/:\d+$/, '')
+      .replace(/-\d{8}$/, '')
+      .replace(/-latest$/, '');
+  } while (name !== previous);
+
+  name = name.replace(/(\d)\.(\d)/g, '$1-$2'); // claude-3.5-sonnet -> claude-3-5-sonnet
+
+  const family = MODEL_FAMILIES.find(f => name.includes(f));
+  if (!name.startsWith('claude') || !family) return null;
+
+  const numbers = name.replace('claude', '').replace(family, '').split('-')
+    .filter(part => /^\d{1,2}$/.test(part))
+    .map(Number);
+
+  return {
+    family,
+    major: numbers.length > 0 ? numbers[0] : null,
+    minor: numbers.length > 1 ? numbers[1] : 0
+  };
+}
+
+/**
+ * Catalogue key for a parsed model (claude-3-5-sonnet / claude-sonnet-4-5 naming)
+ */
+function getCanonicalModelKey(parsed) {
+  const version = parsed.minor ? `${parsed.major}-${parsed.minor}` : `${parsed.major}`;
+  return parsed.major >= 4 ? `claude-${parsed.family}-${version}` : `claude-${version}-${parsed.family}`;
+}
+
+function loadBundledPrices() {
+  try {
+    return require('./model-prices.json').models;
+  } catch (error) {
+    return {
+      'claude-sonnet-4': { input: 3.0, output: 15.0, cacheWrite: 3.75, cacheRead: 0.30 },
+      'claude-opus-4': { input: 15.0, output: 75.0, cacheWrite: 18.75, cacheRead: 1.50 }
+    };
+  }
+}
+
 class ModelPriceService {
   constructor() {
     this.cacheFile = path.join(os.homedir(), '.dragon-ui-model-prices.json');
     this.lastUpdateFile = path.join(os.homedir(), '.dragon-ui-price-update.json');
     this.litellmUrl = 'https://raw.githubusercontent.com/BerriAI/litellm/main/model_prices_and_context_window.json';
     
-    // Default fallback prices (current hardcoded values)
-    this.defaultPrices = {
-      'claude-sonnet-4': { input: 3.0, output: 15.0, cacheWrite: 3.75, cacheRead: 0.30 },
-      'claude-opus-4': { input: 15.0, output: 75.0, cacheWrite: 18.75, cacheRead: 1.50 }
-    };
+    // Default fallback prices (bundled catalogue for offline use)
+    this.defaultPrices = loadBundledPrices();
     
     this.currentPrices = { ...this.defaultPrices };
+    this.resolvedModels = new Map(); // model name -> { key, match }, cleared when prices change
+    this.priceHistory = {}; // model -> snapshots sorted by effectiveFrom
+    this.historyStore = null; // Database with getPriceHistory/recordPriceSnapshot
     this.lastUpdate = null;
     this.updateInterval = 60 * 60 * 1000; // 1 hour in milliseconds
     
@@ -56,6 +126,7 @@ class ModelPriceService {
         }
         
         this.currentPrices = { ...this.defaultPrices, ...cachedData };
+        this.resolvedModels.clear();
         // Show cached prices (only in Electron UI)
         if (!this.isCLI()) {
           Object.entries(this.currentPrices).forEach(([model, pricing]) => {
@@ -131,51 +202,48 @@ class ModelPriceService {
   }
 
   /**
-   * Extract Claude model prices from LiteLLM data
+   * Extract every Anthropic model price from LiteLLM data
+   * Anthropic API prices win over Bedrock/Vertex entries for the same model.
    */
   extractClaudePrices(priceData) {
     const updatedPrices = { ...this.defaultPrices };
+    const seen = new Set();
+    const fromAnthropic = new Set();
     let foundUpdates = false;
     
-    // Look for Claude models in the price data
+    const perMillion = (perToken) => Math.round(perToken * 1000000 * 1000000) / 1000000;
+    
     for (const [modelName, modelData] of Object.entries(priceData)) {
-      if (modelName.toLowerCase().includes('claude')) {
-        // Extract pricing information
-        const inputCost = modelData.input_cost_per_token || modelData.input_cost_per_1k_tokens;
-        const outputCost = modelData.output_cost_per_token || modelData.output_cost_per_1k_tokens;
-        
-        if (inputCost && outputCost) {
-          // Convert to per-million token pricing if needed
-          const inputPrice = inputCost * (modelData.input_cost_per_token ? 1000000 : 1000);
-          const outputPrice = outputCost * (modelData.output_cost_per_token ? 1000000 : 1000);
-          
-          // Map to our model naming convention (only latest versions)
-          let mappedName = null;
-          if (modelName.toLowerCase().includes('sonnet') && modelName.includes('4')) {
-            mappedName = 'claude-sonnet-4';
-          } else if (modelName.toLowerCase().includes('opus') && modelName.includes('4')) {
-            mappedName = 'claude-opus-4';
-          }
-          
-          if (mappedName) {
-            // Only log if price actually changed
-            const oldPrice = this.currentPrices[mappedName];
-            const newPrice = {
-              input: inputPrice,
-              output: outputPrice,
-              cacheWrite: inputPrice * 1.25,
-              cacheRead: inputPrice * 0.1
-            };
-            
-            if (!oldPrice || oldPrice.input !== newPrice.input || oldPrice.output !== newPrice.output) {
-              if (!this.isCLI()) console.log(`[PRICE] ${mappedName}: Input $${inputPrice}/1M, Output $${outputPrice}/1M`);
-            }
-            
-            updatedPrices[mappedName] = newPrice;
-            foundUpdates = true;
-          }
-        }
+      if (!modelName.toLowerCase().includes('claude') || !modelData) continue;
+      
+      const inputCost = modelData.input_cost_per_token;
+      const outputCost = modelData.output_cost_per_token;
+      if (typeof inputCost !== 'number' || typeof outputCost !== 'number') continue;
+      
+      const parsed = parseModelName(modelName);
+      if (!parsed || parsed.major === null) continue;
+      
+      const key = getCanonicalModelKey(parsed);
+      const isAnthropic = modelData.litellm_provider === 'anthropic';
+      if (fromAnthropic.has(key) || (seen.has(key) && !isAnthropic)) continue;
+      
+      const newPrice = {
+        input: perMillion(inputCost),
+        output: perMillion(outputCost),
+        cacheWrite: perMillion(modelData.cache_creation_input_token_cost ?? inputCost * 1.25),
+        cacheRead: perMillion(modelData.cache_read_input_token_cost ?? inputCost * 0.1)
+      };
+      
+      // Only log if price actually changed
+      const oldPrice = this.currentPrices[key];
+      if (!oldPrice || oldPrice.input !== newPrice.input || oldPrice.output !== newPrice.output) {
+        if (!this.isCLI()) console.log(`[PRICE] ${key}: Input $${newPrice.input}/1M, Output $${newPrice.output}/1M`);
       }
+      
+      updatedPrices[key] = newPrice;
+      seen.add(key);
+      if (isAnthropic) fromAnthropic.add(key);
+      foundUpdates = true;
     }
     
     return { updatedPrices, foundUpdates };
@@ -193,8 +261,10 @@ class ModelPriceService {
       
       if (foundUpdates) {
         this.currentPrices = updatedPrices;
+        this.resolvedModels.clear();
         this.lastUpdate = new Date();
         this.savePricesToCache();
+        this.recordPriceChanges('litellm');
         if (!this.isCLI()) console.log('[PRICE] Model prices updated successfully');
         return true;
       } else {
@@ -222,41 +292,197 @@ class ModelPriceService {
    * Start periodic price updates
    */
   startPeriodicUpdates() {
+    // Timers are unref'd: they must not keep one-shot scripts and tests alive
     // Force initial update after service changes
     setTimeout(() => {
       if (!this.isCLI()) console.log('[PRICE] Forcing initial price update for new Opus 4 mapping...');
       this.updatePrices();
-    }, 2000); // 2 seconds after startup
+    }, 2000).unref(); // 2 seconds after startup
     
     // Set up hourly updates
     setInterval(() => {
       if (this.shouldUpdatePrices()) {
         this.updatePrices();
       }
-    }, this.updateInterval);
+    }, this.updateInterval).unref();
     
     if (!this.isCLI()) console.log('[PRICE] Periodic price updates enabled (every hour)');
   }
 
   /**
-   * Get current prices for a model
+   * Attach the database that stores price snapshots and load the history.
+   * Prices without history become the baseline, later changes are recorded as new snapshots.
+   * @param {Object} store - { getPriceHistory(), recordPriceSnapshot(model, prices, effectiveFrom, source) }
    */
-  getModelPrices(model) {
-    // Normalize model name for lookup
-    let modelKey = null;
+  attachPriceHistory(store) {
+    this.historyStore = store;
+    this.priceHistory = {};
     
-    if (model.includes('sonnet') && (model.includes('4') || model.includes('3.5'))) {
-      modelKey = 'claude-sonnet-4';
-    } else if (model.includes('opus') && model.includes('4')) {
-      modelKey = 'claude-opus-4';
+    try {
+      for (const row of store.getPriceHistory()) {
+        if (!this.priceHistory[row.model]) {
+          this.priceHistory[row.model] = [];
+        }
+        this.priceHistory[row.model].push({
+          effectiveFrom: row.effectiveFrom,
+          input: row.input,
+          output: row.output,
+          cacheWrite: row.cacheWrite,
+          cacheRead: row.cacheRead,
+          source: row.source
+        });
+      }
+      Object.values(this.priceHistory).forEach(snapshots =>
+        snapshots.sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom))
+      );
+      
+      this.recordPriceChanges('baseline');
+      if (!this.isCLI()) console.log(`[PRICE] Price history loaded for ${Object.keys(this.priceHistory).length} models`);
+    } catch (error) {
+      if (!this.isCLI()) console.error('[PRICE] Error loading price history:', error.message);
     }
+  }
+
+  /**
+   * Record a snapshot for every model whose current price differs from its latest snapshot
+   */
+  recordPriceChanges(source) {
+    if (!this.historyStore) return;
+    
+    const now = new Date().toISOString();
+    for (const [model, prices] of Object.entries(this.currentPrices)) {
+      const snapshots = this.priceHistory[model] || [];
+      const latest = snapshots[snapshots.length - 1];
+      if (latest && this.samePrices(latest, prices)) continue;
+      
+      const snapshot = {
+        effectiveFrom: latest ? now : BASELINE_EFFECTIVE_FROM,
+        input: prices.input,
+        output: prices.output,
+        cacheWrite: prices.cacheWrite,
+        cacheRead: prices.cacheRead,
+        source: latest ? source : 'baseline'
+      };
+      
+      try {
+        this.historyStore.recordPriceSnapshot(model, snapshot, snapshot.effectiveFrom, snapshot.source);
+        this.priceHistory[model] = [...snapshots, snapshot];
+        if (!this.isCLI()) console.log(`[PRICE] Recorded ${model} price snapshot effective from ${snapshot.effectiveFrom}`);
+      } catch (error) {
+        if (!this.isCLI()) console.error(`[PRICE] Error recording price snapshot for ${model}:`, error.message);
+      }
+    }
+  }
+
+  samePrices(a, b) {
+    return a.input === b.input && a.output === b.output &&
+      a.cacheWrite === b.cacheWrite && a.cacheRead === b.cacheRead;
+  }
+
+  /**
+   * Match a model name to a catalogue entry
+   * @returns {{ key: string, match: 'exact'|'family'|'default' }}
+   *   family = unknown version priced as the newest known version of its family that is not newer
+   */
+  resolveModel(model) {
+    const cached = this.resolvedModels.get(model);
+    if (cached) return cached;
+    
+    let result = { key: DEFAULT_MODEL_KEY, match: 'default' };
+    const parsed = parseModelName(model);
+    
+    if (parsed) {
+      const exactKey = parsed.major !== null ? getCanonicalModelKey(parsed) : null;
+      if (exactKey && this.currentPrices[exactKey]) {
+        result = { key: exactKey, match: 'exact' };
+      } else {
+        const versionOf = (p) => (p.major || 0) * 100 + p.minor;
+        const candidates = Object.keys(this.currentPrices)
+          .map(key => ({ key, parsed: parseModelName(key) }))
+          .filter(candidate => candidate.parsed && candidate.parsed.family === parsed.family && candidate.parsed.major !== null)
+          .sort((a, b) => versionOf(a.parsed) - versionOf(b.parsed));
+        
+        if (candidates.length > 0) {
+          const older = parsed.major !== null
+            ? candidates.filter(candidate => versionOf(candidate.parsed) <= versionOf(parsed))
+            : [];
+          const best = older.length > 0 ? older[older.length - 1] : candidates[candidates.length - 1];
+          result = { key: best.key, match: 'family' };
+        }
+      }
+    }
+    
+    this.resolvedModels.set(model, result);
+    return result;
+  }
+
+  /**
+   * Map a model name to its pricing key
+   */
+  resolveModelKey(model) {
+    return this.resolveModel(model).key;
+  }
+
+  /**
+   * Models in the usage data without an exact catalogue price
+   * @param {Array} modelUsage - [{ model, entries, tokens, cost }] from DatabaseService.getModelUsageSummary
+   * @returns {Array} [{ model, resolvedAs, match, entries, tokens, cost }]
+   */
+  getUnpricedModels(modelUsage) {
+    return modelUsage
+      .filter(row => (row.tokens || 0) > 0) // e.g. <synthetic> entries never cost anything
+      .map(row => {
+        const { key, match } = this.resolveModel(row.model);
+        return { ...row, resolvedAs: key, match };
+      })
+      .filter(row => row.match !== 'exact');
+  }
+
+  /**
+   * Get prices for a model
+   * @param {string} model - Model name from the usage entry
+   * @param {string} [timestamp] - Entry time; uses the snapshot effective at that time instead of today's price
+   */
+  getModelPrices(model, timestamp = null) {
+    const modelKey = this.resolveModelKey(model);
     
-    if (modelKey && this.currentPrices[modelKey]) {
-      return this.currentPrices[modelKey];
+    const date = timestamp ? new Date(timestamp) : null;
+    const snapshots = date && !isNaN(date.getTime()) ? this.priceHistory[modelKey] : null;
+    if (snapshots && snapshots.length > 0) {
+      const time = date.toISOString();
+      let effective = snapshots[0];
+      for (const snapshot of snapshots) {
+        if (snapshot.effectiveFrom > time) break;
+        effective = snapshot;
+      }
+      return {
+        input: effective.input,
+        output: effective.output,
+        cacheWrite: effective.cacheWrite,
+        cacheRead: effective.cacheRead
+      };
     }
     
-    // Default fallback for unknown models (use Sonnet pricing)
-    return this.currentPrices['claude-sonnet-4'];
+    return this.currentPrices[modelKey] || this.currentPrices[DEFAULT_MODEL_KEY];
+  }
+
+  /**
+   * Cost in USD for the token counts of one entry, priced at its timestamp
+   */
+  calculateCost(tokens, model, timestamp = null) {
+    const pricing = this.getModelPrices(model || 'unknown', timestamp);
+    
+    return ((tokens.input_tokens || 0) / 1000000) * pricing.input +
+      ((tokens.output_tokens || 0) / 1000000) * pricing.output +
+      ((tokens.cache_creation_input_tokens || 0) / 1000000) * pricing.cacheWrite +
+      ((tokens.cache_read_input_tokens || 0) / 1000000) * pricing.cacheRead;
+  }
+
+  /**
+   * Get all recorded price snapshots
+   */
+  getPriceHistory() {
+    return JSON.parse(JSON.stringify(this.priceHistory));
   }
 
   /**
@@ -291,4 +517,4 @@ class ModelPriceService {
 
 // Export singleton instance
 const modelPriceService = new ModelPriceService();
-module.exports = { modelPriceService };
\ No newline at end of file
+module.exports = { modelPriceService, parseModelName, getCanonicalModelKey };
\ No newline at end of file
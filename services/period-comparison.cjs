@@ -0,0 +1,249 @@
+/**
+ * Period Comparison
+ * Puts two periods side by side (this billing period vs last, this week vs
+ * last, or two custom date ranges) with deltas for cost, tokens by type,
+ * sessions, projects and the model / project mix.
+ *
+ * Builds plain SQL + parameters so the Electron DatabaseService (better-sqlite3)
+ * and the CLI database (sql.js) run the same queries; each only executes them
+ * via getPeriodSummary(start, end). Billing periods and weeks follow the local
+ * time zone like the budgets, custom ranges are inclusive YYYY-MM-DD days in
+ * UTC like the date filters.
+ *
+ * Costs stay in USD unless a `convert` function is passed.
+ */
+
+const { getBudgetPeriods } = require('./budget-service.cjs');
+const { TOKENS_SQL } = require('./usage-filter.cjs');
+
+const COMPARISON_MODES = ['billing', 'week', 'custom'];
+const BREAKDOWN_LIMIT = 15;
+
+const COMPARISON_METRICS = [
+  'totalCost',
+  'totalTokens',
+  'inputTokens',
+  'outputTokens',
+  'cacheCreationTokens',
+  'cacheReadTokens',
+  'sessions',
+  'projects',
+  'entries',
+  'activeDays'
+];
+
+class ComparisonError extends Error {}
+
+function parseDay(value, name) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(`${value}T00:00:00Z`).getTime())) {
+    throw new ComparisonError(`Invalid ${name} date "${value}" (expected YYYY-MM-DD)`);
+  }
+  return value;
+}
+
+function toLocalDay(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function formatLabel(start, lastDay) {
+  return `${start.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} - ${lastDay.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`;
+}
+
+/**
+ * @param {Date} start - first instant of the period
+ * @param {Date} end - first instant after the period (exclusive)
+ */
+function createPeriod(key, start, end, label) {
+  return {
+    key,
+    label: label || formatLabel(start, new Date(end.getTime() - 1)),
+    start: start.toISOString(),
+    end: end.toISOString()
+  };
+}
+
+function createCustomPeriod(range = {}, name) {
+  let from = parseDay(range.from, `${name} from`);
+  let to = parseDay(range.to || range.from, `${name} to`);
+  if (from > to) [from, to] = [to, from];
+
+  const start = new Date(`${from}T00:00:00.000Z`);
+  const end = new Date(`${to}T00:00:00.000Z`);
+  end.setUTCDate(end.getUTCDate() + 1);
+  return createPeriod(`${from}..${to}`, start, end, from === to ? from : `${from} - ${to}`);
+}
+
+/**
+ * Resolve the two periods of a comparison
+ * @param {Object} options - { mode, a: { from, to }, b: { from, to } } (ranges for custom mode)
+ * @param {Object} context - { billingCycleDay, getBillingPeriodForDate, now }
+ * @returns {{ mode: string, a: Object, b: Object }} a = current / first period, b = the one it is compared with
+ */
+function resolveComparisonPeriods(options = {}, context = {}) {
+  const mode = options.mode || 'billing';
+  if (!COMPARISON_MODES.includes(mode)) {
+    throw new ComparisonError(`Unknown comparison mode "${mode}" (expected ${COMPARISON_MODES.join(', ')})`);
+  }
+
+  if (mode === 'custom') {
+    return { mode, a: createCustomPeriod(options.a, 'A'), b: createCustomPeriod(options.b, 'B') };
+  }
+
+  const now = context.now || new Date();
+  const billingCycleDay = context.billingCycleDay || 1;
+  const current = context.getBillingPeriodForDate(now, billingCycleDay);
+
+  if (mode === 'billing') {
+    const previous = context.getBillingPeriodForDate(new Date(current.start.getTime() - 1), billingCycleDay);
+    return {
+      mode,
+      a: createPeriod(current.key, current.start, new Date(current.end.getTime() + 1), current.label),
+      b: createPeriod(previous.key, previous.start, new Date(previous.end.getTime() + 1), previous.label)
+    };
+  }
+
+  // Weeks start on Monday, like the weekly budgets
+  const weekStart = getBudgetPeriods(now, current).weekly.start;
+  const nextWeekStart = new Date(weekStart);
+  nextWeekStart.setDate(weekStart.getDate() + 7);
+  const previousWeekStart = new Date(weekStart);
+  previousWeekStart.setDate(weekStart.getDate() - 7);
+
+  return {
+    mode,
+    a: createPeriod(`week-${toLocalDay(weekStart)}`, weekStart, nextWeekStart),
+    b: createPeriod(`week-${toLocalDay(previousWeekStart)}`, previousWeekStart, weekStart)
+  };
+}
+
+/**
+ * Queries for one period: totals plus cost per model and per project
+ * @returns {{ params: string[], summarySql: string, modelsSql: string, projectsSql: string }}
+ */
+function buildPeriodSummaryQueries(start, end) {
+  const where = 'timestamp >= ? AND timestamp < ?';
+  const breakdown = (column, condition) => `
+      SELECT
+        ${column} as key,
+        COUNT(*) as entry_count,
+        SUM(cost) as total_cost,
+        SUM(${TOKENS_SQL}) as total_tokens
+      FROM usage_entries
+      WHERE ${where} AND ${condition}
+      GROUP BY ${column}
+      ORDER BY total_cost DESC`;
+
+  return {
+    params: [start, end],
+    summarySql: `
+      SELECT
+        COUNT(*) as entry_count,
+        COALESCE(SUM(cost), 0) as total_cost,
+        COALESCE(SUM(input_tokens), 0) as input_tokens,
+        COALESCE(SUM(output_tokens), 0) as output_tokens,
+        COALESCE(SUM(COALESCE(cache_creation_input_tokens, 0)), 0) as cache_creation_tokens,
+        COALESCE(SUM(COALESCE(cache_read_input_tokens, 0)), 0) as cache_read_tokens,
+        COUNT(DISTINCT session_id) as session_count,
+        COUNT(DISTINCT CASE WHEN project IS NOT NULL AND project != '' THEN project END) as project_count,
+        COUNT(DISTINCT date(timestamp)) as active_days
+      FROM usage_entries
+      WHERE ${where}`,
+    modelsSql: breakdown('model', "model IS NOT NULL AND model != '<synthetic>'"),
+    projectsSql: breakdown('project', "project IS NOT NULL AND project != ''")
+  };
+}
+
+function toMetrics(summary = {}, convert) {
+  const inputTokens = summary.input_tokens || 0;
+  const outputTokens = summary.output_tokens || 0;
+  const cacheCreationTokens = summary.cache_creation_tokens || 0;
+  const cacheReadTokens = summary.cache_read_tokens || 0;
+
+  return {
+    totalCost: convert(summary.total_cost || 0),
+    totalTokens: inputTokens + outputTokens + cacheCreationTokens + cacheReadTokens,
+    inputTokens,
+    outputTokens,
+    cacheCreationTokens,
+    cacheReadTokens,
+    sessions: summary.session_count || 0,
+    projects: summary.project_count || 0,
+    entries: summary.entry_count || 0,
+    activeDays: summary.active_days || 0
+  };
+}
+
+function getDelta(a, b) {
+  return {
+    a,
+    b,
+    delta: a - b,
+    // Percent change relative to period B; null when B had nothing to compare with
+    deltaPercent: b !== 0 ? ((a - b) / Math.abs(b)) * 100 : null
+  };
+}
+
+/**
+ * Side-by-side rows of a breakdown (models or projects), ordered by the larger cost
+ */
+function compareBreakdowns(rowsA = [], rowsB = [], totalA, totalB, convert) {
+  const rows = new Map();
+  const add = (row, side) => {
+    const item = rows.get(row.key) || { key: row.key, a: null, b: null };
+    item[side] = { cost: convert(row.total_cost || 0), tokens: row.total_tokens || 0, entries: row.entry_count || 0 };
+    rows.set(row.key, item);
+  };
+  rowsA.forEach(row => add(row, 'a'));
+  rowsB.forEach(row => add(row, 'b'));
+
+  const empty = { cost: 0, tokens: 0, entries: 0 };
+  return Array.from(rows.values())
+    .map(item => {
+      const a = item.a || empty;
+      const b = item.b || empty;
+      const shareA = totalA > 0 ? (a.cost / totalA) * 100 : 0;
+      const shareB = totalB > 0 ? (b.cost / totalB) * 100 : 0;
+      return {
+        key: item.key,
+        a: { ...a, share: shareA },
+        b: { ...b, share: shareB },
+        cost: getDelta(a.cost, b.cost),
+        tokens: getDelta(a.tokens, b.tokens),
+        // Change of the cost share in percentage points
+        shareDelta: shareA - shareB
+      };
+    })
+    .sort((x, y) => Math.max(y.a.cost, y.b.cost) - Math.max(x.a.cost, x.b.cost))
+    .slice(0, BREAKDOWN_LIMIT);
+}
+
+/**
+ * Combine two period summaries into the comparison result
+ * @param {Object} periods - from resolveComparisonPeriods
+ * @param {Object} summaryA - getPeriodSummary() of period A ({ summary, models, projects })
+ * @param {Object} summaryB - getPeriodSummary() of period B
+ * @param {Object} options - { convert: usd => displayAmount }
+ */
+function buildPeriodComparison(periods, summaryA, summaryB, options = {}) {
+  const convert = options.convert || (amount => amount);
+  const metricsA = toMetrics(summaryA.summary, convert);
+  const metricsB = toMetrics(summaryB.summary, convert);
+
+  return {
+    mode: periods.mode,
+    periodA: periods.a,
+    periodB: periods.b,
+    metrics: Object.fromEntries(COMPARISON_METRICS.map(key => [key, getDelta(metricsA[key], metricsB[key])])),
+    models: compareBreakdowns(summaryA.models, summaryB.models, metricsA.totalCost, metricsB.totalCost, convert),
+    projects: compareBreakdowns(summaryA.projects, summaryB.projects, metricsA.totalCost, metricsB.totalCost, convert)
+  };
+}
+
+module.exports = {
+  COMPARISON_MODES,
+  COMPARISON_METRICS,
+  ComparisonError,
+  resolveComparisonPeriods,
+  buildPeriodSummaryQueries,
+  buildPeriodComparison
+};
@@ -0,0 +1,93 @@
+/**
+ * Plan Profiles
+ * Claude subscription plans and the "value extracted vs subscription price"
+ * calculation per billing period.
+ *
+ * The API value of a period is what the same usage would have cost at API
+ * list prices (the cost column). Shared by the Electron worker and the CLI,
+ * so it only works on plain billing period rows.
+ */
+
+// Monthly list prices in USD
+const PLAN_PROFILES = {
+  pro: { id: 'pro', name: 'Pro', monthlyPrice: 20, isSubscription: true },
+  max5: { id: 'max5', name: 'Max 5x', monthlyPrice: 100, isSubscription: true },
+  max20: { id: 'max20', name: 'Max 20x', monthlyPrice: 200, isSubscription: true },
+  api: { id: 'api', name: 'API', monthlyPrice: 0, isSubscription: false }
+};
+
+const DEFAULT_PLAN = 'max5';
+
+/**
+ * Look up a plan profile, falling back to the default plan for unknown ids
+ */
+function getPlanProfile(planId) {
+  return PLAN_PROFILES[planId] || PLAN_PROFILES[DEFAULT_PLAN];
+}
+
+/**
+ * Token/cost ceilings per 5-hour block of one plan (0 = auto/off), so switching plans switches the limits
+ * @param {Object} blockLimitsByPlan - { [planId]: { tokenLimit, costLimit } }
+ * @param {string} planId - Key of PLAN_PROFILES
+ * @returns {{ tokenLimit: number, costLimit: number }}
+ */
+function getPlanBlockLimits(blockLimitsByPlan, planId) {
+  const limits = (blockLimitsByPlan && blockLimitsByPlan[getPlanProfile(planId).id]) || {};
+  return {
+    tokenLimit: Math.max(0, Number(limits.tokenLimit) || 0),
+    costLimit: Math.max(0, Number(limits.costLimit) || 0)
+  };
+}
+
+/**
+ * Compare the API value of each billing period with the subscription price.
+ * @param {Array} billingPeriods - Rows from getBillingPeriodStats (costs in USD)
+ * @param {string} planId - Key of PLAN_PROFILES
+ * @param {Object} options - { convert: USD -> display currency, currentPeriodKey }
+ * @returns {Object} Per-period and overall ROI
+ */
+function calculatePlanRoi(billingPeriods, planId, options = {}) {
+  const convert = options.convert || (amount => amount);
+  const profile = getPlanProfile(planId);
+  const subscriptionPrice = profile.isSubscription ? convert(profile.monthlyPrice) : 0;
+
+  const periods = (billingPeriods || []).map(period => {
+    const apiValue = convert(period.total_cost || 0);
+
+    return {
+      period: period.month,
+      label: period.billing_period_label || period.month,
+      start: period.billing_period_start || null,
+      end: period.billing_period_end || null,
+      apiValue,
+      subscriptionPrice,
+      valueRatio: subscriptionPrice > 0 ? apiValue / subscriptionPrice : null,
+      netValue: profile.isSubscription ? apiValue - subscriptionPrice : 0,
+      isCurrent: period.month === options.currentPeriodKey
+    };
+  });
+
+  const totalApiValue = periods.reduce((sum, p) => sum + p.apiValue, 0);
+  const totalSubscriptionCost = subscriptionPrice * periods.length;
+
+  return {
+    plan: profile.id,
+    planName: profile.name,
+    isSubscription: profile.isSubscription,
+    subscriptionPrice,
+    periods,
+    currentPeriod: periods.find(p => p.isCurrent) || null,
+    totalApiValue,
+    totalSubscriptionCost,
+    totalNetValue: profile.isSubscription ? totalApiValue - totalSubscriptionCost : 0,
+    valueRatio: totalSubscriptionCost > 0 ? totalApiValue / totalSubscriptionCost : null
+  };
+}
+
+module.exports = {
+  PLAN_PROFILES,
+  DEFAULT_PLAN,
+  getPlanProfile,
+  getPlanBlockLimits,
+  calculatePlanRoi
+};
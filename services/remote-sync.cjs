@@ -0,0 +1,295 @@
+/**
+ * Remote Sync
+ * Mirrors the JSONL files of SSH remote hosts into a local directory and only
+ * transfers the bytes appended since the last sync (the SFTP equivalent of
+ * `tail -c +N`), instead of downloading every file on every refresh.
+ *
+ * The remote_sync_state table records per remote file the size/mtime seen on
+ * the host and the byte offset mirrored so far. The mirror file itself is the
+ * resume point: bytes are written as they arrive, so a transfer that breaks off
+ * leaves a valid prefix and the next sync continues after it. Mirror files are
+ * ingested through the regular ingestion ledger (services/jsonl-ingest.cjs),
+ * which also skips a trailing line that is still incomplete.
+ *
+ * A remote file rewritten at the same or a larger size looks like an append by its
+ * size alone, so before appending, the last bytes of the mirror are compared with
+ * the same range of the remote file and a mismatch fetches the file again from 0.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Remote Claude project folders scanned when an SSH host lists none
+const DEFAULT_REMOTE_PATHS = [
+  '~/.config/claude/projects',
+  '~/.claude/projects',
+  '/tmp/claude-projects',
+  '/home/claude/projects'
+];
+
+function getDefaultMirrorRoot() {
+  return path.join(os.homedir(), '.dragon-ui-ssh-mirror');
+}
+
+// Mirror bytes compared with the remote file before appending to it
+const TAIL_CHECK_BYTES = 64;
+
+function toDirectoryName(value) {
+  return value.replace(/[^\w.-]/g, '_');
+}
+
+/**
+ * Decide which bytes of a remote file have to be fetched
+ * @param {Object} file - Remote listing entry ({ size, mtime })
+ * @param {Object|null} state - remote_sync_state row or null for unseen files
+ * @param {number|null} localSize - Size of the mirror file, null if it is missing
+ * @returns {{ start: number, reason: string }|null} null when the mirror is up to date
+ */
+function getTransferStart(file, state, localSize) {
+  if (localSize === null) {
+    return { start: 0, reason: 'new' };
+  }
+
+  // Remote file shrank below the mirror - it was truncated or rewritten
+  if (file.size < localSize) {
+    return { start: 0, reason: 'truncated' };
+  }
+
+  const mirrorComplete = state && state.offset === localSize && state.remoteSize === localSize;
+  if (mirrorComplete && localSize === file.size && state.remoteMtime === file.mtime) {
+    return null;
+  }
+
+  // Modified without growing - it was rewritten in place (mtime 0: the last transfer broke off)
+  if (mirrorComplete && localSize === file.size && state.remoteMtime !== 0) {
+    return { start: 0, reason: 'rewritten' };
+  }
+
+  return { start: localSize, reason: state && state.offset === localSize ? 'appended' : 'resumed' };
+}
+
+class RemoteSyncService {
+  constructor(db, sshService) {
+    this.db = db;
+    this.sshService = sshService;
+    this.mirrorRoot = getDefaultMirrorRoot();
+    this.hostStatus = new Map(); // hostId -> status of the last/current sync
+    this.activeSyncs = new Map(); // hostId -> running sync promise
+  }
+
+  /**
+   * Directory the remote files are mirrored to (the app data dir in Electron)
+   */
+  setMirrorRoot(mirrorRoot) {
+    this.mirrorRoot = mirrorRoot;
+  }
+
+  /**
+   * Local folder all mirror files of a host live in (named after the stable host id)
+   */
+  getHostMirrorRoot(host) {
+    return path.join(this.mirrorRoot, toDirectoryName(host.id));
+  }
+
+  /**
+   * Local mirror path of a remote file: <root>/<host>/<remote folder>/<relative path>
+   * The remote folder is hashed so two configured folders cannot collide.
+   */
+  getMirrorPath(host, remoteRoot, relativeName) {
+    const rootKey = crypto.createHash('sha1').update(remoteRoot).digest('hex').slice(0, 8);
+    return path.join(this.getHostMirrorRoot(host), rootKey, ...relativeName.split('/'));
+  }
+
+  /**
+   * Mirror the JSONL files of one host and ingest the ones that changed.
+   * Concurrent calls for the same host share the running sync.
+   * @param {Object} host - Host from SshService.getEnabledHosts()
+   * @param {Function} ingestFile - async (localPath) => number of new entries stored
+   * @returns {Promise<number>} Number of new entries stored
+   */
+  syncHost(host, ingestFile) {
+    if (this.activeSyncs.has(host.id)) {
+      return this.activeSyncs.get(host.id);
+    }
+
+    const sync = this.runHostSync(host, ingestFile).finally(() => this.activeSyncs.delete(host.id));
+    this.activeSyncs.set(host.id, sync);
+    return sync;
+  }
+
+  async runHostSync(host, ingestFile) {
+    const connectionId = `remote-sync:${host.id}`;
+    const startedAt = Date.now();
+    const status = {
+      hostId: host.id,
+      label: host.label,
+      state: 'syncing',
+      startedAt: new Date(startedAt).toISOString(),
+      finishedAt: null,
+      durationMs: null,
+      filesChecked: 0,
+      filesUpdated: 0,
+      bytesTransferred: 0,
+      newEntries: 0,
+      errors: [],
+      error: null
+    };
+    this.hostStatus.set(host.id, status);
+
+    try {
+      console.log(`[SYNC] RemoteSync: Connecting to ${host.label}...`);
+      const connectionResult = await this.sshService.createConnection(connectionId, host.id);
+      if (!connectionResult.success) {
+        throw new Error(connectionResult.message);
+      }
+
+      const remotePaths = host.remotePaths.length > 0 ? host.remotePaths : DEFAULT_REMOTE_PATHS;
+
+      for (const remotePath of remotePaths) {
+        const listResult = await this.sshService.listRemoteFiles(remotePath, connectionId);
+        if (!listResult.success) {
+          status.errors.push(`${remotePath}: ${listResult.message}`);
+          continue;
+        }
+
+        for (const file of listResult.files) {
+          status.filesChecked++;
+          try {
+            const localPath = this.getMirrorPath(host, remotePath, file.name);
+            const bytes = await this.mirrorFile(host, file, localPath, connectionId);
+            if (bytes === null) continue;
+
+            status.filesUpdated++;
+            status.bytesTransferred += bytes;
+            status.newEntries += await ingestFile(localPath);
+          } catch (fileError) {
+            // Keep going: the partial mirror is resumed on the next sync
+            console.warn(`[SYNC] RemoteSync: Failed to sync ${host.label}:${file.path}:`, fileError.message);
+            status.errors.push(`${file.name}: ${fileError.message}`);
+          }
+        }
+      }
+
+      status.state = status.errors.length > 0 ? 'partial' : 'ok';
+      console.log(`[SYNC] RemoteSync: ${host.label} synced - ${status.filesUpdated}/${status.filesChecked} files updated, ` +
+        `${status.bytesTransferred} bytes transferred, ${status.newEntries} new entries`);
+    } catch (error) {
+      console.warn(`[SYNC] RemoteSync: Sync of ${host.label} failed:`, error.message);
+      status.state = 'error';
+      status.error = error.message;
+    } finally {
+      this.sshService.closeConnection(connectionId);
+      status.finishedAt = new Date().toISOString();
+      status.durationMs = Date.now() - startedAt;
+    }
+
+    return status.newEntries;
+  }
+
+  /**
+   * Bring one mirror file up to date with the remote file
+   * @returns {Promise<number|null>} Bytes transferred, null when the mirror was up to date
+   */
+  async mirrorFile(host, file, localPath, connectionId) {
+    const state = this.db.getRemoteSyncState(host.id, file.path);
+    let transfer = getTransferStart(file, state, this.getLocalSize(localPath));
+
+    if (!transfer) {
+      return null;
+    }
+
+    if (transfer.start > 0 && file.size > transfer.start &&
+        !(await this.matchesMirrorTail(file, localPath, transfer.start, connectionId))) {
+      transfer = { start: 0, reason: 'rewritten' };
+    }
+
+    if (transfer.start === 0) {
+      // Start over with a new file, so the ingestion ledger sees a rotation rather than an append
+      await fs.promises.rm(localPath, { force: true });
+    }
+
+    let bytesTransferred = 0;
+    let transferError = null;
+    if (file.size > transfer.start) {
+      const result = await this.sshService.appendRemoteBytes(file.path, localPath, transfer.start, connectionId);
+      bytesTransferred = result.bytesTransferred || 0;
+      if (!result.success) transferError = new Error(result.message);
+    }
+
+    // Offset is what actually reached the disk, also after a broken transfer
+    this.db.saveRemoteSyncState({
+      hostId: host.id,
+      remotePath: file.path,
+      localPath,
+      remoteSize: file.size,
+      remoteMtime: transferError ? 0 : file.mtime,
+      offset: this.getLocalSize(localPath) || 0
+    });
+
+    if (transferError) {
+      throw transferError;
+    }
+
+    return bytesTransferred;
+  }
+
+  /**
+   * Whether the remote file still holds the mirrored bytes, compared by the mirror's last bytes
+   * @param {number} localSize - Mirror size, the offset the next transfer would start at
+   */
+  async matchesMirrorTail(file, localPath, localSize, connectionId) {
+    const length = Math.min(TAIL_CHECK_BYTES, localSize);
+    const result = await this.sshService.readRemoteBytes(file.path, localSize - length, length, connectionId);
+    if (!result.success) {
+      throw new Error(result.message);
+    }
+
+    const tail = Buffer.alloc(length);
+    const handle = await fs.promises.open(localPath, 'r');
+    try {
+      await handle.read(tail, 0, length, localSize - length);
+    } finally {
+      await handle.close();
+    }
+    return tail.equals(result.data);
+  }
+
+  getLocalSize(localPath) {
+    try {
+      return fs.statSync(localPath).size;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Sync status per configured host for the settings panel
+   * @param {Array} hosts - Hosts from SshService.getConfig().hosts
+   */
+  getStatus(hosts) {
+    const summaries = new Map(this.db.getRemoteSyncSummary().map(row => [row.host_id, row]));
+
+    return hosts.map(host => {
+      const summary = summaries.get(host.id);
+      const lastRun = this.hostStatus.get(host.id) || null;
+      return {
+        hostId: host.id,
+        label: host.label,
+        enabled: host.enabled,
+        state: lastRun ? lastRun.state : 'idle',
+        filesTracked: summary ? summary.file_count : 0,
+        mirroredBytes: summary ? summary.mirrored_bytes : 0,
+        lastSyncedAt: summary ? summary.last_synced : null,
+        lastRun
+      };
+    });
+  }
+}
+
+module.exports = {
+  RemoteSyncService,
+  DEFAULT_REMOTE_PATHS,
+  getTransferStart
+};
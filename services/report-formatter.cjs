@@ -0,0 +1,272 @@
+/**
+ * Report Formatter
+ * Renders the usage report built by CoreDataService.buildReport() as a
+ * self-contained HTML page (inline CSS and SVG charts, no external assets)
+ * or as a plain-text report for terminals, e-mail and tickets.
+ *
+ * Report shape:
+ *   { title, generatedAt, currency, sections: string[],
+ *     summary: { totalCost, totalTokens, sessions, projects, entries, firstActivity, lastActivity },
+ *     daily: [{ date, cost, tokens, sessions }], monthly: [{ month, cost, tokens, sessions }],
+ *     models: [{ model, cost, tokens, entries }], projects: [{ project, cost, tokens, sessions }] }
+ */
+
+const CHART_WIDTH = 720;
+const CHART_HEIGHT = 220;
+const CHART_PADDING = { top: 16, right: 12, bottom: 36, left: 64 };
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatNumber(value) {
+  return Math.round(value || 0).toLocaleString('en-US');
+}
+
+function defaultFormatCurrency(amount) {
+  return `$${(amount || 0).toFixed(2)}`;
+}
+
+const SECTION_TITLES = {
+  daily: 'Daily Cost',
+  monthly: 'Monthly Cost',
+  models: 'Models',
+  projects: 'Projects'
+};
+
+/**
+ * Column definitions per section: [header, row => value, numeric]
+ */
+function getColumns(section, formatCurrency) {
+  switch (section) {
+    case 'daily':
+      return [
+        ['Date', row => row.date, false],
+        ['Cost', row => formatCurrency(row.cost), true],
+        ['Tokens', row => formatNumber(row.tokens), true],
+        ['Sessions', row => formatNumber(row.sessions), true]
+      ];
+    case 'monthly':
+      return [
+        ['Month', row => row.month, false],
+        ['Cost', row => formatCurrency(row.cost), true],
+        ['Tokens', row => formatNumber(row.tokens), true],
+        ['Sessions', row => formatNumber(row.sessions), true]
+      ];
+    case 'models':
+      return [
+        ['Model', row => row.model, false],
+        ['Cost', row => formatCurrency(row.cost), true],
+        ['Tokens', row => formatNumber(row.tokens), true],
+        ['Entries', row => formatNumber(row.entries), true]
+      ];
+    case 'projects':
+      return [
+        ['Project', row => row.project, false],
+        ['Cost', row => formatCurrency(row.cost), true],
+        ['Tokens', row => formatNumber(row.tokens), true],
+        ['Sessions', row => formatNumber(row.sessions), true]
+      ];
+    default:
+      return [];
+  }
+}
+
+function getSummaryRows(report, formatCurrency) {
+  const summary = report.summary;
+  return [
+    ['Total cost', formatCurrency(summary.totalCost)],
+    ['Total tokens', formatNumber(summary.totalTokens)],
+    ['Sessions', formatNumber(summary.sessions)],
+    ['Projects', formatNumber(summary.projects)],
+    ['Entries', formatNumber(summary.entries)],
+    ['First activity', summary.firstActivity || '-'],
+    ['Last activity', summary.lastActivity || '-']
+  ];
+}
+
+/**
+ * SVG bar chart of cost per label
+ */
+function renderBarChart(rows, labelKey, formatCurrency) {
+  if (rows.length === 0) {
+    return '<p class="empty">No data available</p>';
+  }
+
+  const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+  const maxCost = Math.max(...rows.map(row => row.cost || 0)) || 1;
+  const slot = plotWidth / rows.length;
+  const barWidth = Math.max(2, slot * 0.7);
+  // Keep axis labels readable on long ranges
+  const labelEvery = Math.ceil(rows.length / 12);
+
+  const parts = [];
+  parts.push(`<svg class="chart" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" xmlns="http://www.w3.org/2000/svg">`);
+
+  for (let i = 0; i <= 4; i++) {
+    const value = (maxCost / 4) * i;
+    const y = CHART_PADDING.top + plotHeight - (plotHeight / 4) * i;
+    parts.push(`<line class="grid" x1="${CHART_PADDING.left}" y1="${y.toFixed(1)}" x2="${CHART_WIDTH - CHART_PADDING.right}" y2="${y.toFixed(1)}"/>`);
+    parts.push(`<text class="axis" x="${CHART_PADDING.left - 6}" y="${(y + 4).toFixed(1)}" text-anchor="end">${escapeHtml(formatCurrency(value))}</text>`);
+  }
+
+  rows.forEach((row, index) => {
+    const height = ((row.cost || 0) / maxCost) * plotHeight;
+    const x = CHART_PADDING.left + slot * index + (slot - barWidth) / 2;
+    const y = CHART_PADDING.top + plotHeight - height;
+    parts.push(`<rect class="bar" x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${barWidth.toFixed(1)}" height="${height.toFixed(1)}"><title>${escapeHtml(row[labelKey])}: ${escapeHtml(formatCurrency(row.cost))}</title></rect>`);
+
+    if (index % labelEvery === 0) {
+      parts.push(`<text class="axis" x="${(x + barWidth / 2).toFixed(1)}" y="${CHART_HEIGHT - CHART_PADDING.bottom + 16}" text-anchor="middle">${escapeHtml(row[labelKey])}</text>`);
+    }
+  });
+
+  parts.push('</svg>');
+  return parts.join('\n');
+}
+
+function renderHtmlTable(rows, columns) {
+  if (rows.length === 0) {
+    return '<p class="empty">No data available</p>';
+  }
+
+  const head = columns.map(([header, , numeric]) => `<th${numeric ? ' class="num"' : ''}>${escapeHtml(header)}</th>`).join('');
+  const body = rows.map(row =>
+    `<tr>${columns.map(([, value, numeric]) => `<td${numeric ? ' class="num"' : ''}>${escapeHtml(value(row))}</td>`).join('')}</tr>`
+  ).join('\n');
+
+  return `<table>\n<thead><tr>${head}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+}
+
+const HTML_STYLES = `
+  body { font-family: -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; margin: 0; padding: 32px; background: #f7f7f9; color: #1f2328; }
+  main { max-width: 800px; margin: 0 auto; }
+  h1 { margin: 0 0 4px; font-size: 24px; }
+  h2 { margin: 32px 0 12px; font-size: 18px; border-bottom: 1px solid #d8dee4; padding-bottom: 6px; }
+  .meta { color: #656d76; font-size: 13px; margin: 0 0 24px; }
+  .cards { display: grid; grid-template-columns: repeat(auto-fill, minmax(170px, 1fr)); gap: 12px; }
+  .card { background: #fff; border: 1px solid #d8dee4; border-radius: 8px; padding: 12px; }
+  .card .label { color: #656d76; font-size: 12px; text-transform: uppercase; letter-spacing: 0.04em; }
+  .card .value { font-size: 18px; font-weight: 600; margin-top: 4px; word-break: break-all; }
+  table { width: 100%; border-collapse: collapse; background: #fff; border: 1px solid #d8dee4; font-size: 13px; }
+  th, td { padding: 6px 10px; border-bottom: 1px solid #eaeef2; text-align: left; }
+  th { background: #f0f2f5; font-weight: 600; }
+  td.num, th.num { text-align: right; font-variant-numeric: tabular-nums; }
+  .chart { width: 100%; height: auto; background: #fff; border: 1px solid #d8dee4; border-radius: 8px; margin-bottom: 12px; }
+  .chart .bar { fill: #d9480f; }
+  .chart .grid { stroke: #eaeef2; stroke-width: 1; }
+  .chart .axis { fill: #656d76; font-size: 10px; }
+  .empty { color: #656d76; font-style: italic; }
+  footer { margin-top: 32px; color: #656d76; font-size: 12px; }
+`;
+
+/**
+ * Render the report as a standalone HTML document
+ * @param {Object} report - Report from CoreDataService.buildReport()
+ * @param {Object} options - { formatCurrency(amount) }
+ */
+function formatReportAsHTML(report, options = {}) {
+  const formatCurrency = options.formatCurrency || defaultFormatCurrency;
+  const html = [];
+
+  html.push('<!DOCTYPE html>');
+  html.push('<html lang="en">');
+  html.push('<head>');
+  html.push('<meta charset="utf-8">');
+  html.push('<meta name="viewport" content="width=device-width, initial-scale=1">');
+  html.push(`<title>${escapeHtml(report.title)}</title>`);
+  html.push(`<style>${HTML_STYLES}</style>`);
+  html.push('</head>');
+  html.push('<body>');
+  html.push('<main>');
+  html.push(`<h1>${escapeHtml(report.title)}</h1>`);
+  html.push(`<p class="meta">Generated ${escapeHtml(report.generatedAt)} &middot; Currency ${escapeHtml(report.currency)}</p>`);
+
+  html.push('<section class="cards">');
+  getSummaryRows(report, formatCurrency).forEach(([label, value]) => {
+    html.push(`<div class="card"><div class="label">${escapeHtml(label)}</div><div class="value">${escapeHtml(value)}</div></div>`);
+  });
+  html.push('</section>');
+
+  for (const section of report.sections) {
+    const rows = report[section] || [];
+    html.push(`<section>`);
+    html.push(`<h2>${escapeHtml(SECTION_TITLES[section])}</h2>`);
+    if (section === 'daily') {
+      html.push(renderBarChart(rows, 'date', formatCurrency));
+    } else if (section === 'monthly') {
+      html.push(renderBarChart(rows, 'month', formatCurrency));
+    }
+    html.push(renderHtmlTable(rows, getColumns(section, formatCurrency)));
+    html.push('</section>');
+  }
+
+  html.push('<footer>Generated by Dragon UI - Claude Usage Tracker</footer>');
+  html.push('</main>');
+  html.push('</body>');
+  html.push('</html>');
+
+  return html.join('\n');
+}
+
+function renderTextTable(rows, columns) {
+  if (rows.length === 0) {
+    return 'No data available';
+  }
+
+  const cells = rows.map(row => columns.map(([, value]) => String(value(row))));
+  const widths = columns.map(([header], index) =>
+    Math.max(header.length, ...cells.map(row => row[index].length))
+  );
+  const pad = (text, index) => columns[index][2] ? text.padStart(widths[index]) : text.padEnd(widths[index]);
+
+  const lines = [];
+  lines.push(columns.map(([header], index) => pad(header, index)).join('  '));
+  lines.push(widths.map(width => '-'.repeat(width)).join('  '));
+  cells.forEach(row => lines.push(row.map(pad).join('  ').trimEnd()));
+  return lines.join('\n');
+}
+
+/**
+ * Render the report as plain text with aligned columns
+ * @param {Object} report - Report from CoreDataService.buildReport()
+ * @param {Object} options - { formatCurrency(amount) }
+ */
+function formatReportAsText(report, options = {}) {
+  const formatCurrency = options.formatCurrency || defaultFormatCurrency;
+  const lines = [];
+
+  lines.push(report.title);
+  lines.push('='.repeat(report.title.length));
+  lines.push(`Generated: ${report.generatedAt}`);
+  lines.push(`Currency:  ${report.currency}`);
+  lines.push('');
+
+  lines.push('Summary');
+  lines.push('-------');
+  const summaryRows = getSummaryRows(report, formatCurrency);
+  const labelWidth = Math.max(...summaryRows.map(([label]) => label.length));
+  summaryRows.forEach(([label, value]) => lines.push(`${`${label}:`.padEnd(labelWidth + 2)}${value}`));
+
+  for (const section of report.sections) {
+    const title = SECTION_TITLES[section];
+    lines.push('');
+    lines.push(title);
+    lines.push('-'.repeat(title.length));
+    lines.push(renderTextTable(report[section] || [], getColumns(section, formatCurrency)));
+  }
+
+  lines.push('');
+  return lines.join('\n');
+}
+
+module.exports = {
+  formatReportAsHTML,
+  formatReportAsText
+};
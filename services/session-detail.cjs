@@ -0,0 +1,156 @@
+/**
+ * Session Detail
+ * Builds the drill-down view of one session from its raw usage entries:
+ * per-message timeline, model switches, cache hit ratio, idle gaps and the
+ * working directories the session ran in.
+ *
+ * Session lists (getSessionStats) split long Claude sessions into 5-hour
+ * segments keyed `<session_id>_<segment>`; the same split is applied here so
+ * the detail matches the row that was clicked. Shared by the Electron app and
+ * the CLI, so it only works on plain row objects and never touches a database.
+ * Costs stay in USD - callers convert them for display.
+ */
+
+const SEGMENT_MINUTES = 300; // Must match the segment_num split in getSessionStats
+const IDLE_GAP_MINUTES = 5;
+
+/**
+ * Split a session list key into the stored session id and its segment
+ * @param {string} sessionKey - `<session_id>_<segment>` or a plain session id
+ * @returns {{ sessionId: string, segment: number|null }}
+ */
+function parseSessionKey(sessionKey) {
+  const match = /^(.+)_(\d+)$/.exec(String(sessionKey || ''));
+  return match
+    ? { sessionId: match[1], segment: parseInt(match[2], 10) }
+    : { sessionId: String(sessionKey || ''), segment: null };
+}
+
+function getEntryTokens(entry) {
+  return {
+    inputTokens: entry.input_tokens || 0,
+    outputTokens: entry.output_tokens || 0,
+    cacheCreationTokens: entry.cache_creation_input_tokens || 0,
+    cacheReadTokens: entry.cache_read_input_tokens || 0
+  };
+}
+
+/**
+ * Build the detail of one session (or one 5-hour segment of it)
+ * @param {Array} entries - usage_entries rows of the session (any order)
+ * @param {Object} options - { segment, idleGapMinutes }
+ * @returns {Object|null} null when the session/segment has no entries
+ */
+function buildSessionDetail(entries, options = {}) {
+  const { segment = null, idleGapMinutes = IDLE_GAP_MINUTES } = options;
+
+  let rows = (entries || [])
+    .map(entry => ({ entry, time: new Date(entry.timestamp).getTime() }))
+    .filter(item => !isNaN(item.time))
+    .sort((a, b) => a.time - b.time);
+
+  if (rows.length === 0) return null;
+
+  if (segment !== null) {
+    const sessionStart = rows[0].time;
+    const segmentMs = SEGMENT_MINUTES * 60 * 1000;
+    rows = rows.filter(item => Math.floor((item.time - sessionStart) / segmentMs) === segment);
+    if (rows.length === 0) return null;
+  }
+
+  const first = rows[0];
+  const last = rows[rows.length - 1];
+  const totals = { inputTokens: 0, outputTokens: 0, cacheCreationTokens: 0, cacheReadTokens: 0 };
+  const models = new Map();
+  const workingDirectories = new Map();
+  const modelSwitches = [];
+  const idleGaps = [];
+  const timeline = [];
+  let totalCost = 0;
+  let currentModel = null;
+  let previousTime = null;
+
+  for (const { entry, time } of rows) {
+    const tokens = getEntryTokens(entry);
+    const entryTokens = tokens.inputTokens + tokens.outputTokens + tokens.cacheCreationTokens + tokens.cacheReadTokens;
+    const cost = entry.cost || 0;
+    const model = entry.model || 'unknown';
+    const gapMinutes = previousTime !== null ? (time - previousTime) / (1000 * 60) : 0;
+
+    Object.keys(totals).forEach(key => { totals[key] += tokens[key]; });
+    totalCost += cost;
+
+    // Synthetic entries (local errors, interrupted requests) don't switch the model
+    if (model !== '<synthetic>') {
+      const usage = models.get(model) || { model, entries: 0, tokens: 0, cost: 0 };
+      usage.entries++;
+      usage.tokens += entryTokens;
+      usage.cost += cost;
+      models.set(model, usage);
+
+      if (currentModel && currentModel !== model) {
+        modelSwitches.push({ timestamp: entry.timestamp, from: currentModel, to: model });
+      }
+      currentModel = model;
+    }
+
+    if (entry.cwd) {
+      workingDirectories.set(entry.cwd, (workingDirectories.get(entry.cwd) || 0) + 1);
+    }
+
+    if (gapMinutes >= idleGapMinutes) {
+      idleGaps.push({
+        start: new Date(previousTime).toISOString(),
+        end: entry.timestamp,
+        minutes: Math.round(gapMinutes)
+      });
+    }
+
+    timeline.push({
+      timestamp: entry.timestamp,
+      model,
+      ...tokens,
+      totalTokens: entryTokens,
+      cost,
+      cumulativeCost: totalCost,
+      gapMinutes: Math.round(gapMinutes * 10) / 10,
+      cwd: entry.cwd || null
+    });
+    previousTime = time;
+  }
+
+  const durationMinutes = Math.round((last.time - first.time) / (1000 * 60));
+  const idleMinutes = idleGaps.reduce((sum, gap) => sum + gap.minutes, 0);
+  const promptTokens = totals.inputTokens + totals.cacheCreationTokens + totals.cacheReadTokens;
+
+  return {
+    sessionId: first.entry.session_id,
+    fullSessionId: first.entry.full_session_id || null,
+    segment,
+    project: first.entry.project || null,
+    source: first.entry.source || 'local',
+    startTime: first.entry.timestamp,
+    endTime: last.entry.timestamp,
+    durationMinutes,
+    activeMinutes: Math.max(0, durationMinutes - idleMinutes),
+    entryCount: rows.length,
+    totalCost,
+    totalTokens: promptTokens + totals.outputTokens,
+    tokens: totals,
+    // Share of prompt tokens served from the cache
+    cacheHitRatio: promptTokens > 0 ? totals.cacheReadTokens / promptTokens : 0,
+    models: Array.from(models.values()).sort((a, b) => b.cost - a.cost),
+    modelSwitches,
+    idleGaps,
+    idleGapMinutes,
+    workingDirectories: Array.from(workingDirectories, ([cwd, entries]) => ({ cwd, entries }))
+      .sort((a, b) => b.entries - a.entries),
+    timeline
+  };
+}
+
+module.exports = {
+  IDLE_GAP_MINUTES,
+  parseSessionKey,
+  buildSessionDetail
+};
@@ -1,349 +1,415 @@
-const net = require('net');
-const crypto = require('crypto');
-const fs = require('fs').promises;
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { pipeline } = require('stream');
+const { Client, utils: sshUtils } = require('ssh2');
+const knownHosts = require('./known-hosts.cjs');
+
+// Keys tried (in order) when key auth is enabled without an explicit key file
+const DEFAULT_PRIVATE_KEYS = ['id_ed25519', 'id_ecdsa', 'id_rsa'];
+
+// OpenSSH for Windows agent; Pageant users can set SSH_AUTH_SOCK=pageant
+const WINDOWS_AGENT_PIPE = '\\\\.\\pipe\\openssh-ssh-agent';
+
+const COMMAND_TIMEOUT_MS = 30000;
+
+// Claude project folders nest sessions (and subagent logs) a few levels deep
+const MAX_LIST_DEPTH = 4;
+
+// SFTP status code for missing files/directories
+const SFTP_NO_SUCH_FILE = 2;
+
+// Per-host secrets kept in the credential store (services/credential-store.cjs)
+const HOST_SECRETS = ['password', 'passphrase'];
 
 /**
- * Pure JavaScript SSH Service for Dragon UI
- * Implements SSH protocol without native dependencies
- * Handles SSH connections, testing, and remote file operations
+ * SSH Service for Dragon UI
+ * Encrypted SSH transport (ssh2) with known_hosts host-key verification and
+ * private key, agent and password authentication.
+ * Handles SSH connections, testing, and remote file operations over SFTP.
  */
 class SshService {
   constructor() {
     this.activeConnections = new Map();
     this.connectionConfig = null;
-    this.sshVersion = 'SSH-2.0-DragonUI_1.0';
+    this.credentialStore = null;
   }
 
   /**
-   * Create SSH packet
-   * @param {number} messageType - SSH message type 
-   * @param {Buffer} payload - Packet payload
-   * @returns {Buffer} Complete SSH packet
+   * Encrypted store the host passwords and key passphrases are read from
    */
-  createSSHPacket(messageType, payload = Buffer.alloc(0)) {
-    const packetLength = 1 + payload.length + 4; // message type + payload + padding length
-    const paddingLength = 8 - (packetLength % 8);
-    const padding = crypto.randomBytes(paddingLength);
-    
-    const packet = Buffer.alloc(4 + 1 + 1 + payload.length + paddingLength);
-    let offset = 0;
-    
-    // Packet length (excluding this field)
-    packet.writeUInt32BE(1 + 1 + payload.length + paddingLength, offset);
-    offset += 4;
-    
-    // Padding length
-    packet.writeUInt8(paddingLength, offset);
-    offset += 1;
-    
-    // Message type
-    packet.writeUInt8(messageType, offset);
-    offset += 1;
-    
-    // Payload
-    if (payload.length > 0) {
-      payload.copy(packet, offset);
-      offset += payload.length;
-    }
-    
-    // Padding
-    padding.copy(packet, offset);
-    
-    return packet;
+  setCredentialStore(credentialStore) {
+    this.credentialStore = credentialStore;
   }
 
   /**
-   * Parse SSH packet
-   * @param {Buffer} data - Raw packet data
-   * @returns {Object} Parsed packet info
+   * Credential store entry name of a host secret ('password' or 'passphrase')
    */
-  parseSSHPacket(data) {
-    if (data.length < 5) return null;
-    
-    const packetLength = data.readUInt32BE(0);
-    const paddingLength = data.readUInt8(4);
-    const messageType = data.readUInt8(5);
-    
-    const payloadLength = packetLength - paddingLength - 2;
-    const payload = data.slice(6, 6 + payloadLength);
-    
-    return {
-      messageType,
-      payload,
-      totalLength: 4 + packetLength
-    };
+  getSecretName(hostId, secret) {
+    return `ssh:${hostId}:${secret}`;
   }
 
   /**
-   * Create SSH string (length + data)
-   * @param {string} str - String to encode
-   * @returns {Buffer} SSH string buffer
+   * Store or remove (empty value) the secrets of a host
+   * @param {string} hostId - Host id
+   * @param {Object} secrets - { password?, passphrase? }; omitted keys are left unchanged,
+   *   empty values remove the secret
+   * @returns {{ hasPassword: boolean, hasPassphrase: boolean }}
    */
-  createSSHString(str) {
-    const strBuffer = Buffer.from(str, 'utf8');
-    const result = Buffer.alloc(4 + strBuffer.length);
-    result.writeUInt32BE(strBuffer.length, 0);
-    strBuffer.copy(result, 4);
-    return result;
+  setHostSecrets(hostId, secrets) {
+    if (!this.credentialStore) {
+      throw new Error('No credential store available');
+    }
+    HOST_SECRETS.filter(secret => secret in secrets).forEach(secret => {
+      this.credentialStore.set(this.getSecretName(hostId, secret), secrets[secret]);
+    });
+    return this.getHostSecretStatus(hostId);
+  }
+
+  /**
+   * Which secrets are stored for a host - the values never leave the main process
+   */
+  getHostSecretStatus(hostId) {
+    const has = (secret) => !!this.credentialStore && this.credentialStore.has(this.getSecretName(hostId, secret));
+    return { hasPassword: has('password'), hasPassphrase: has('passphrase') };
   }
 
   /**
-   * Parse SSH string
-   * @param {Buffer} buffer - Buffer containing SSH string
-   * @param {number} offset - Offset to start reading
-   * @returns {Object} Parsed string and new offset
+   * Host config with the stored password/passphrase filled in (explicit values win)
    */
-  parseSSHString(buffer, offset = 0) {
-    if (buffer.length < offset + 4) return null;
-    
-    const length = buffer.readUInt32BE(offset);
-    if (buffer.length < offset + 4 + length) return null;
-    
-    const str = buffer.slice(offset + 4, offset + 4 + length).toString('utf8');
+  resolveCredentials(config) {
+    if (!this.credentialStore) {
+      return config;
+    }
     return {
-      string: str,
-      newOffset: offset + 4 + length
+      ...config,
+      password: config.password || this.credentialStore.get(this.getSecretName(config.id, 'password')) || '',
+      passphrase: config.passphrase || this.credentialStore.get(this.getSecretName(config.id, 'passphrase')) || ''
+    };
+  }
+
+  /**
+   * Set SSH configuration
+   * @param {Object} config - SSH configuration
+   * @param {boolean} config.enabled - Whether SSH ingestion is enabled
+   * @param {Array<Object>} config.hosts - Remote sources, see normalizeHostConfig()
+   *   (a config without hosts but with host/port/username is treated as one host with id 'default')
+   * @param {number} config.connectionTimeout - Handshake/auth timeout in ms (all hosts)
+   * @param {number} config.keepAliveInterval - Keepalive interval in ms (all hosts)
+   */
+  setConfig(config) {
+    const hosts = Array.isArray(config.hosts)
+      ? config.hosts
+      : (config.host ? [{ ...config, id: 'default' }] : []);
+
+    this.connectionConfig = {
+      enabled: !!config.enabled,
+      hosts: hosts.filter(host => host && host.host).map(host => this.normalizeHostConfig(host, config))
     };
+
+    console.log('[SSH] Setting SSH configuration:', {
+      enabled: this.connectionConfig.enabled,
+      hosts: this.connectionConfig.hosts.map(host => `${host.label} (${host.username}@${host.host}:${host.port})`)
+    });
   }
 
   /**
-   * Generate DH key exchange
-   * @returns {Object} Key exchange data
+   * Normalize one remote host
+   * @param {Object} host - Remote host
+   * @param {string} host.id - Stable id (connection ids, mirror folder, source of its usage entries)
+   * @param {string} host.label - Machine name shown for its usage (default: host)
+   * @param {string} host.host - SSH server host address
+   * @param {number} host.port - SSH server port (default: 22)
+   * @param {string} host.username - SSH username
+   * @param {string} host.password - SSH password (also answers keyboard-interactive prompts);
+   *   usually omitted and read from the credential store at connect time
+   * @param {boolean} host.useKeyAuth - Authenticate with a private key and/or the SSH agent
+   * @param {string} host.privateKeyPath - Private key file (default: ~/.ssh/id_ed25519, id_ecdsa, id_rsa)
+   * @param {string} host.passphrase - Passphrase for an encrypted private key (credential store as well)
+   * @param {string[]} host.remotePaths - Remote Claude project folders (default: DataLoader's standard paths)
+   * @param {boolean} host.enabled - Include the host in ingestion (default: true)
+   * @param {string} host.knownHostsPath - known_hosts file (default: ~/.ssh/known_hosts)
+   * @param {string} host.strictHostKeyChecking - 'accept-new' (default) records unknown hosts,
+   *   'yes' only connects to hosts already in known_hosts
+   * @param {Object} defaults - Shared connection settings ({ connectionTimeout, keepAliveInterval })
    */
-  generateDHKeyExchange() {
-    // Use a simple DH group (group1 - 1024 bit)
-    const p = BigInt('0xFFFFFFFFFFFFFFFFC90FDAA22168C234C4C6628B80DC1CD129024E088A67CC74020BBEA63B139B22514A08798E3404DDEF9519B3CD3A431B302B0A6DF25F14374FE1356D6D51C245E485B576625E7EC6F44C42E9A637ED6B0BFF5CB6F406B7EDEE386BFB5A899FA5AE9F24117C4B1FE649286651ECE45B3DC2007CB8A163BF0598DA48361C55D39A69163FA8FD24CF5F83655D23DCA3AD961C62F356208552BB9ED529077096966D670C354E4ABC9804F1746C08CA237327FFFFFFFFFFFFFFFF');
-    const g = BigInt(2);
-    
-    // Generate private key (random)
-    const privateKey = crypto.randomBytes(128);
-    const x = BigInt('0x' + privateKey.toString('hex'));
-    
-    // Calculate public key: g^x mod p
-    const publicKey = this.modPow(g, x, p);
-    
+  normalizeHostConfig(host, defaults = {}) {
     return {
-      privateKey: x,
-      publicKey: publicKey,
-      p: p,
-      g: g
+      id: String(host.id || host.host),
+      label: (host.label || '').trim() || host.host,
+      host: host.host,
+      port: host.port || 22,
+      username: host.username,
+      password: host.password || '',
+      useKeyAuth: !!host.useKeyAuth,
+      privateKeyPath: host.privateKeyPath || '',
+      passphrase: host.passphrase || '',
+      remotePaths: (host.remotePaths || []).map(remotePath => remotePath.trim()).filter(Boolean),
+      enabled: host.enabled !== false,
+      knownHostsPath: host.knownHostsPath || knownHosts.getDefaultKnownHostsPath(),
+      strictHostKeyChecking: host.strictHostKeyChecking === 'yes' ? 'yes' : 'accept-new',
+      // SSH connection options
+      readyTimeout: defaults.connectionTimeout || 20000,
+      keepaliveInterval: defaults.keepAliveInterval || 10000,
+      keepaliveCountMax: 3
     };
   }
 
   /**
-   * Modular exponentiation
-   * @param {BigInt} base 
-   * @param {BigInt} exponent 
-   * @param {BigInt} modulus 
-   * @returns {BigInt} Result
+   * Configured host by id (the first host when no id is given)
+   */
+  getHostConfig(hostId = null) {
+    const hosts = this.connectionConfig?.hosts || [];
+    return hostId ? hosts.find(host => host.id === hostId) || null : hosts[0] || null;
+  }
+
+  /**
+   * Hosts included in ingestion
    */
-  modPow(base, exponent, modulus) {
-    let result = BigInt(1);
-    base = base % modulus;
-    
-    while (exponent > 0) {
-      if (exponent % BigInt(2) === BigInt(1)) {
-        result = (result * base) % modulus;
+  getEnabledHosts() {
+    if (!this.connectionConfig || !this.connectionConfig.enabled) {
+      return [];
+    }
+    return this.connectionConfig.hosts.filter(host => host.enabled);
+  }
+
+  /**
+   * Expand a leading ~ to the local home directory
+   */
+  expandLocalPath(filePath) {
+    if (filePath === '~' || filePath.startsWith('~/') || filePath.startsWith('~\\')) {
+      return path.join(os.homedir(), filePath.slice(1));
+    }
+    return filePath;
+  }
+
+  /**
+   * Load the private key for key auth
+   * @param {Object} config - Host from normalizeHostConfig()
+   * @returns {Buffer|null} Key file contents, or null when no key file is available
+   */
+  loadPrivateKey(config) {
+    if (config.privateKeyPath) {
+      const keyPath = this.expandLocalPath(config.privateKeyPath);
+      const key = fs.readFileSync(keyPath);
+      // Fail early with a readable message (wrong passphrase, unsupported format)
+      const parsed = sshUtils.parseKey(key, config.passphrase || undefined);
+      if (parsed instanceof Error) {
+        throw new Error(`Cannot use private key ${keyPath}: ${parsed.message}`);
+      }
+      return key;
+    }
+
+    for (const name of DEFAULT_PRIVATE_KEYS) {
+      const keyPath = path.join(os.homedir(), '.ssh', name);
+      if (!fs.existsSync(keyPath)) continue;
+
+      const key = fs.readFileSync(keyPath);
+      if (!(sshUtils.parseKey(key, config.passphrase || undefined) instanceof Error)) {
+        return key;
       }
-      exponent = exponent / BigInt(2);
-      base = (base * base) % modulus;
+      console.warn(`[SSH] Skipping ${keyPath}: encrypted or unsupported key`);
     }
-    
-    return result;
+
+    return null;
   }
 
   /**
-   * Convert BigInt to SSH mpint format
-   * @param {BigInt} num - Number to convert
-   * @returns {Buffer} SSH mpint buffer
+   * SSH agent socket: SSH_AUTH_SOCK, or the OpenSSH agent pipe on Windows
    */
-  bigIntToSSHMpint(num) {
-    const hex = num.toString(16);
-    const bytes = Buffer.from(hex.length % 2 ? '0' + hex : hex, 'hex');
-    
-    // Add padding if high bit is set
-    const needsPadding = bytes[0] & 0x80;
-    const result = Buffer.alloc(4 + bytes.length + (needsPadding ? 1 : 0));
-    
-    result.writeUInt32BE(bytes.length + (needsPadding ? 1 : 0), 0);
-    if (needsPadding) {
-      result.writeUInt8(0, 4);
-      bytes.copy(result, 5);
-    } else {
-      bytes.copy(result, 4);
-    }
-    
-    return result;
+  getAgentPath() {
+    if (process.env.SSH_AUTH_SOCK) {
+      return process.env.SSH_AUTH_SOCK;
+    }
+    return process.platform === 'win32' ? WINDOWS_AGENT_PIPE : null;
   }
 
   /**
-   * Create password authentication payload
-   * @param {string} username - Username
-   * @param {string} password - Password
-   * @returns {Buffer} Authentication payload
+   * Verify the server host key against known_hosts
+   * @param {Object} config - Host from normalizeHostConfig()
+   * @param {Buffer} key - Raw host key
+   * @returns {{ accepted: boolean, reason?: string, fingerprint: string }}
    */
-  createPasswordAuth(username, password) {
-    const userBuffer = this.createSSHString(username);
-    const serviceBuffer = this.createSSHString('ssh-connection');
-    const methodBuffer = this.createSSHString('password');
-    const changeBuffer = Buffer.from([0]); // FALSE for password change
-    const passwordBuffer = this.createSSHString(password);
-    
-    const payload = Buffer.concat([
-      userBuffer,
-      serviceBuffer, 
-      methodBuffer,
-      changeBuffer,
-      passwordBuffer
-    ]);
-    
-    return payload;
+  verifyHostKey(config, key) {
+    const { host, port, knownHostsPath, strictHostKeyChecking } = config;
+    const result = knownHosts.checkHostKey(key, { host, port, knownHostsPath });
+    const hostName = knownHosts.formatHostName(host, port);
+
+    switch (result.status) {
+      case 'match':
+        return { accepted: true, fingerprint: result.fingerprint };
+
+      case 'unknown':
+        if (strictHostKeyChecking === 'yes') {
+          return {
+            accepted: false,
+            fingerprint: result.fingerprint,
+            reason: `Host key for ${hostName} is not in ${knownHostsPath} (${result.fingerprint}). Connect once with ssh to trust it.`
+          };
+        }
+        knownHosts.addHostKey(key, { host, port, knownHostsPath });
+        console.log(`[SSH] Added ${hostName} (${result.fingerprint}) to ${knownHostsPath}`);
+        return { accepted: true, fingerprint: result.fingerprint };
+
+      case 'revoked':
+        return {
+          accepted: false,
+          fingerprint: result.fingerprint,
+          reason: `Host key for ${hostName} is marked as revoked in ${knownHostsPath}:${result.line}`
+        };
+
+      default:
+        return {
+          accepted: false,
+          fingerprint: result.fingerprint,
+          reason: `Host key for ${hostName} has changed (${result.fingerprint}) and does not match ${knownHostsPath}:${result.line}. ` +
+            'This could be a man-in-the-middle attack; remove the old entry only if the server key was changed on purpose.'
+        };
+    }
   }
 
   /**
-   * Set SSH configuration
-   * @param {Object} config - SSH configuration
-   * @param {string} config.host - SSH server host address
-   * @param {number} config.port - SSH server port (default: 22)
-   * @param {string} config.username - SSH username
-   * @param {string} config.password - SSH password
-   * @param {boolean} config.enabled - Whether SSH is enabled
+   * Build ssh2 connect options for a host
+   * @param {Object} config - Host from normalizeHostConfig()
+   * @param {Object} hostKeyState - Receives the host key verification result
    */
-  setConfig(config) {
-    console.log('[SSH] Setting SSH configuration:', { 
-      host: config.host, 
-      port: config.port, 
-      username: config.username,
-      enabled: config.enabled 
-    });
-    
-    this.connectionConfig = {
+  buildConnectOptions(config, hostKeyState) {
+    const authMethods = [];
+    const options = {
       host: config.host,
-      port: config.port || 22,
+      port: config.port,
       username: config.username,
-      password: config.password,
-      enabled: config.enabled,
-      // SSH connection options
-      readyTimeout: 20000, // 20 seconds
-      keepaliveInterval: 10000, // 10 seconds
-      keepaliveCountMax: 3
+      readyTimeout: config.readyTimeout,
+      keepaliveInterval: config.keepaliveInterval,
+      keepaliveCountMax: config.keepaliveCountMax,
+      hostVerifier: (key) => {
+        Object.assign(hostKeyState, this.verifyHostKey(config, key));
+        return hostKeyState.accepted;
+      }
     };
+
+    if (config.useKeyAuth) {
+      const privateKey = this.loadPrivateKey(config);
+      if (privateKey) {
+        options.privateKey = privateKey;
+        if (config.passphrase) options.passphrase = config.passphrase;
+        authMethods.push('publickey');
+      }
+
+      const agent = this.getAgentPath();
+      if (agent) {
+        options.agent = agent;
+        authMethods.push('agent');
+      }
+
+      if (authMethods.length === 0 && !config.password) {
+        throw new Error('Key authentication is enabled but no private key or SSH agent is available');
+      }
+    }
+
+    if (config.password) {
+      options.password = config.password;
+      options.tryKeyboard = true;
+      authMethods.push('password', 'keyboard-interactive');
+    }
+
+    if (authMethods.length === 0) {
+      throw new Error('No SSH credentials configured (password, private key or agent)');
+    }
+
+    options.authHandler = authMethods;
+    return options;
   }
 
   /**
-   * Test SSH connection using pure JavaScript
-   * @returns {Promise<{success: boolean, message: string}>}
+   * Open an authenticated SSH client
+   * @param {Object} hostConfig - Host from normalizeHostConfig(); stored secrets are filled in here
+   * @returns {Promise<{client: Client, hostKeyFingerprint: string}>}
    */
-  async testConnection() {
-    if (!this.connectionConfig || !this.connectionConfig.enabled) {
-      return {
-        success: false,
-        message: 'SSH is not enabled or configured'
+  connectClient(hostConfig) {
+    const config = this.resolveCredentials(hostConfig);
+
+    return new Promise((resolve, reject) => {
+      const hostKeyState = {};
+      const options = this.buildConnectOptions(config, hostKeyState);
+      const client = new Client();
+
+      const onError = (error) => {
+        client.removeListener('ready', onReady);
+        this.endClient(client);
+        // ssh2 only reports "verification failed" - surface why
+        reject(hostKeyState.accepted === false ? new Error(hostKeyState.reason) : error);
       };
-    }
 
-    return new Promise((resolve) => {
-      const socket = new net.Socket();
-      let resolved = false;
-      let handshakeComplete = false;
-
-      const cleanup = () => {
-        if (!resolved) {
-          resolved = true;
-          socket.destroy();
-        }
+      const onReady = () => {
+        client.removeListener('error', onError);
+        resolve({ client, hostKeyFingerprint: hostKeyState.fingerprint });
       };
 
-      // Set timeout
-      const timeout = setTimeout(() => {
-        cleanup();
-        resolve({
-          success: false,
-          message: 'Connection timeout (20 seconds)'
-        });
-      }, 20000);
+      client.once('ready', onReady);
+      client.once('error', onError);
+      client.on('keyboard-interactive', (name, instructions, lang, prompts, finish) => {
+        finish(prompts.map(() => config.password || ''));
+      });
 
-      let receivedData = Buffer.alloc(0);
-      let serverVersion = '';
+      client.connect(options);
+    });
+  }
 
-      socket.on('connect', () => {
-        console.log(`[SSH] Connected to ${this.connectionConfig.host}:${this.connectionConfig.port}`);
-        // Send SSH version
-        socket.write(this.sshVersion + '\r\n');
-      });
+  /**
+   * Close a client nobody listens to anymore. Errors while it shuts down (e.g. a reset
+   * socket) are still emitted, and an 'error' without a listener would crash the app.
+   */
+  endClient(client) {
+    const ignoreError = () => {};
+    client.on('error', ignoreError);
+    client.once('close', () => client.removeListener('error', ignoreError));
+    client.end();
+  }
 
-      socket.on('data', (data) => {
-        receivedData = Buffer.concat([receivedData, data]);
-
-        if (!handshakeComplete) {
-          // Look for server version
-          const versionEndIndex = receivedData.indexOf('\n');
-          if (versionEndIndex !== -1) {
-            serverVersion = receivedData.slice(0, versionEndIndex).toString().trim();
-            console.log(`[SSH] Server version: ${serverVersion}`);
-            
-            if (serverVersion.startsWith('SSH-2.0') || serverVersion.startsWith('SSH-1.99')) {
-              handshakeComplete = true;
-              clearTimeout(timeout);
-              cleanup();
-              resolve({
-                success: true,
-                message: `Successfully connected to ${this.connectionConfig.host}:${this.connectionConfig.port} (${serverVersion})`
-              });
-            } else {
-              clearTimeout(timeout);
-              cleanup();
-              resolve({
-                success: false,
-                message: `Invalid SSH server response: ${serverVersion}`
-              });
-            }
-          }
-        }
-      });
+  /**
+   * Test SSH connection (handshake, host key and authentication)
+   * @param {string} hostId - Host to test (default: first host)
+   * @returns {Promise<{success: boolean, message: string}>}
+   */
+  async testConnection(hostId = null) {
+    const config = this.getHostConfig(hostId);
+    if (!this.connectionConfig || !this.connectionConfig.enabled || !config) {
+      return {
+        success: false,
+        message: 'SSH is not enabled or configured'
+      };
+    }
 
-      socket.on('error', (err) => {
-        clearTimeout(timeout);
-        cleanup();
-        console.error('[SSH] Connection test failed:', err.message);
-        resolve({
-          success: false,
-          message: `Connection failed: ${err.message}`
-        });
-      });
+    const { host, port, username } = config;
 
-      socket.on('close', () => {
-        if (!resolved) {
-          clearTimeout(timeout);
-          resolve({
-            success: false,
-            message: 'Connection closed unexpectedly'
-          });
-        }
-      });
+    try {
+      console.log(`[SSH] Testing connection to ${host}:${port}...`);
+      const { client, hostKeyFingerprint } = await this.connectClient(config);
+      this.endClient(client);
 
-      try {
-        console.log(`[SSH] Testing connection to ${this.connectionConfig.host}:${this.connectionConfig.port}...`);
-        socket.connect(this.connectionConfig.port, this.connectionConfig.host);
-      } catch (error) {
-        clearTimeout(timeout);
-        cleanup();
-        resolve({
-          success: false,
-          message: `Connection error: ${error.message}`
-        });
-      }
-    });
+      return {
+        success: true,
+        message: `Successfully connected to ${host}:${port} as ${username} (host key ${hostKeyFingerprint})`
+      };
+    } catch (error) {
+      console.error('[SSH] Connection test failed:', error.message);
+      return {
+        success: false,
+        message: `Connection failed: ${error.message}`
+      };
+    }
   }
 
   /**
-   * Create a new SSH connection using pure JavaScript
+   * Create a new SSH connection
    * @param {string} connectionId - Unique identifier for this connection
+   * @param {string} hostId - Host to connect to (default: first host)
    * @returns {Promise<{success: boolean, message: string, connectionId?: string}>}
    */
-  async createConnection(connectionId = 'default') {
-    if (!this.connectionConfig || !this.connectionConfig.enabled) {
+  async createConnection(connectionId = 'default', hostId = null) {
+    const config = this.getHostConfig(hostId);
+    if (!this.connectionConfig || !this.connectionConfig.enabled || !config) {
       return {
         success: false,
         message: 'SSH is not enabled or configured'
@@ -358,128 +424,94 @@ class SshService {
       };
     }
 
-    return new Promise((resolve) => {
-      const socket = new net.Socket();
-      let resolved = false;
-      let authenticated = false;
-      let channelOpened = false;
-
-      const cleanup = (success = false) => {
-        if (!resolved) {
-          resolved = true;
-          if (!success) {
-            socket.destroy();
-          }
-        }
-      };
-
-      // Set timeout
-      const timeout = setTimeout(() => {
-        cleanup();
-        resolve({
-          success: false,
-          message: 'Connection timeout (20 seconds)'
-        });
-      }, 20000);
+    const { host, port } = config;
 
-      let receivedData = Buffer.alloc(0);
-      let serverVersion = '';
-      let connectionState = 'version'; // version -> kex -> auth -> channel -> ready
+    try {
+      console.log(`[SSH] Creating connection '${connectionId}' to ${host}:${port}...`);
+      const { client, hostKeyFingerprint } = await this.connectClient(config);
 
       const connectionInfo = {
-        socket: socket,
-        connected: false,
-        authenticated: false,
+        client,
+        sftp: null,
+        homeDirectory: null,
+        connected: true,
+        authenticated: true,
         createdAt: new Date().toISOString(),
-        state: connectionState
+        state: 'ready',
+        hostId: config.id,
+        label: config.label,
+        host,
+        port,
+        hostKeyFingerprint
       };
 
-      socket.on('connect', () => {
-        console.log(`[SSH] Connected to ${this.connectionConfig.host}:${this.connectionConfig.port}`);
-        // Send SSH version
-        socket.write(this.sshVersion + '\r\n');
+      client.on('error', (error) => {
+        console.error(`[SSH] Connection '${connectionId}' error:`, error.message);
       });
 
-      socket.on('data', (data) => {
-        receivedData = Buffer.concat([receivedData, data]);
-
-        if (connectionState === 'version') {
-          // Look for server version
-          const versionEndIndex = receivedData.indexOf('\n');
-          if (versionEndIndex !== -1) {
-            serverVersion = receivedData.slice(0, versionEndIndex).toString().trim();
-            console.log(`[SSH] Server version: ${serverVersion}`);
-            
-            if (serverVersion.startsWith('SSH-2.0') || serverVersion.startsWith('SSH-1.99')) {
-              connectionState = 'authenticated'; // Skip complex handshake for now
-              connectionInfo.connected = true;
-              connectionInfo.authenticated = true;
-              connectionInfo.state = 'ready';
-              
-              this.activeConnections.set(connectionId, connectionInfo);
-              
-              clearTimeout(timeout);
-              cleanup(true);
-              console.log(`[SSH] Connection '${connectionId}' established successfully`);
-              resolve({
-                success: true,
-                message: `Connection '${connectionId}' established`,
-                connectionId
-              });
-            } else {
-              cleanup();
-              resolve({
-                success: false,
-                message: `Invalid SSH server response: ${serverVersion}`
-              });
-            }
-          }
+      client.on('close', () => {
+        console.log(`[SSH] Connection '${connectionId}' closed`);
+        if (this.activeConnections.get(connectionId) === connectionInfo) {
+          this.activeConnections.delete(connectionId);
         }
       });
 
-      socket.on('error', (err) => {
-        clearTimeout(timeout);
-        cleanup();
-        console.error(`[SSH] Connection '${connectionId}' failed:`, err.message);
-        resolve({
-          success: false,
-          message: `Connection failed: ${err.message}`
-        });
-      });
+      this.activeConnections.set(connectionId, connectionInfo);
+      console.log(`[SSH] Connection '${connectionId}' established successfully`);
 
-      socket.on('end', () => {
-        console.log(`[SSH] Connection '${connectionId}' ended`);
-        this.activeConnections.delete(connectionId);
+      return {
+        success: true,
+        message: `Connection '${connectionId}' established`,
+        connectionId
+      };
+    } catch (error) {
+      console.error(`[SSH] Connection '${connectionId}' failed:`, error.message);
+      return {
+        success: false,
+        message: `Connection failed: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * SFTP session for a connection (opened on first use)
+   */
+  async getSftp(connectionInfo) {
+    if (!connectionInfo.sftp) {
+      connectionInfo.sftp = await new Promise((resolve, reject) => {
+        connectionInfo.client.sftp((error, sftp) => (error ? reject(error) : resolve(sftp)));
       });
+    }
+    return connectionInfo.sftp;
+  }
 
-      socket.on('close', () => {
-        console.log(`[SSH] Connection '${connectionId}' closed`);
-        this.activeConnections.delete(connectionId);
+  /**
+   * Resolve ~ in a remote path against the remote home directory
+   */
+  async resolveRemotePath(connectionInfo, remotePath) {
+    if (remotePath !== '~' && !remotePath.startsWith('~/')) {
+      return remotePath;
+    }
+
+    if (!connectionInfo.homeDirectory) {
+      const sftp = await this.getSftp(connectionInfo);
+      connectionInfo.homeDirectory = await new Promise((resolve, reject) => {
+        sftp.realpath('.', (error, resolved) => (error ? reject(error) : resolve(resolved)));
       });
+    }
 
-      try {
-        console.log(`[SSH] Creating connection '${connectionId}' to ${this.connectionConfig.host}:${this.connectionConfig.port}...`);
-        socket.connect(this.connectionConfig.port, this.connectionConfig.host);
-      } catch (error) {
-        clearTimeout(timeout);
-        cleanup();
-        resolve({
-          success: false,
-          message: `Connection error: ${error.message}`
-        });
-      }
-    });
+    return path.posix.join(connectionInfo.homeDirectory, remotePath.slice(1));
   }
 
   /**
-   * Execute a command on SSH server using pure JavaScript
+   * Execute a command on the SSH server
    * @param {string} command - Command to execute
    * @param {string} connectionId - Connection ID to use
-   * @returns {Promise<{success: boolean, output?: string, error?: string}>}
+   * @returns {Promise<{success: boolean, output?: string, error?: string, exitCode?: number}>}
    */
   async executeCommand(command, connectionId = 'default') {
     const connectionInfo = this.activeConnections.get(connectionId);
-    
+
     if (!connectionInfo || !connectionInfo.connected) {
       return {
         success: false,
@@ -487,99 +519,45 @@ class SshService {
       };
     }
 
+    console.log(`[SSH] Executing command: ${command}`);
+
     return new Promise((resolve) => {
-      const socket = connectionInfo.socket;
-      
-      console.log(`[SSH] Executing command: ${command}`);
-      
-      // Create channel open request
-      const channelOpenPayload = Buffer.concat([
-        this.createSSHString('session'),
-        Buffer.from([0, 0, 0, 1]), // sender channel
-        Buffer.from([0, 0, 0x7f, 0xff]), // initial window size
-        Buffer.from([0, 0, 0x7f, 0xff])  // maximum packet size
-      ]);
-      
-      const channelPacket = this.createSSHPacket(90, channelOpenPayload); // SSH_MSG_CHANNEL_OPEN
-      
-      // Send channel open
-      socket.write(channelPacket);
-      
-      // Create exec request
-      const execPayload = Buffer.concat([
-        Buffer.from([0, 0, 0, 0]), // recipient channel
-        this.createSSHString('exec'),
-        Buffer.from([1]), // want reply
-        this.createSSHString(command)
-      ]);
-      
-      const execPacket = this.createSSHPacket(98, execPayload); // SSH_MSG_CHANNEL_REQUEST
-      
-      // Send exec request after a delay
-      setTimeout(() => {
-        socket.write(execPacket);
-      }, 100);
-      
-      let commandOutput = '';
-      let commandError = '';
-      let responseReceived = false;
-      
-      const originalOnData = socket.listeners('data')[0];
-      
-      // Temporary data handler for command execution
-      const commandDataHandler = (data) => {
-        const packet = this.parseSSHPacket(data);
-        if (packet) {
-          if (packet.messageType === 94) { // SSH_MSG_CHANNEL_DATA
-            const output = packet.payload.slice(8).toString('utf8'); // Skip channel number
-            commandOutput += output;
-          } else if (packet.messageType === 95) { // SSH_MSG_CHANNEL_EXTENDED_DATA
-            const error = packet.payload.slice(12).toString('utf8'); // Skip channel and data type
-            commandError += error;
-          } else if (packet.messageType === 96) { // SSH_MSG_CHANNEL_EOF
-            responseReceived = true;
-          }
+      connectionInfo.client.exec(command, (error, stream) => {
+        if (error) {
+          resolve({ success: false, error: error.message });
+          return;
         }
-      };
-      
-      socket.removeListener('data', originalOnData);
-      socket.on('data', commandDataHandler);
-      
-      // Timeout for command execution
-      const timeout = setTimeout(() => {
-        socket.removeListener('data', commandDataHandler);
-        socket.on('data', originalOnData);
-        
-        if (!responseReceived) {
+
+        let commandOutput = '';
+        let commandError = '';
+
+        const timeout = setTimeout(() => {
+          stream.close();
           resolve({
             success: false,
+            output: commandOutput.trim(),
             error: 'Command execution timeout'
           });
-        }
-      }, 10000);
-      
-      // Wait for response
-      const checkResponse = setInterval(() => {
-        if (responseReceived) {
-          clearInterval(checkResponse);
+        }, COMMAND_TIMEOUT_MS);
+
+        stream.on('data', (data) => { commandOutput += data.toString('utf8'); });
+        stream.stderr.on('data', (data) => { commandError += data.toString('utf8'); });
+
+        stream.on('close', (exitCode) => {
           clearTimeout(timeout);
-          
-          socket.removeListener('data', commandDataHandler);
-          socket.on('data', originalOnData);
-          
-          console.log(`[SSH] Command executed successfully`);
           resolve({
-            success: true,
-            output: commandOutput.trim() || `Command '${command}' executed successfully`,
-            error: commandError.trim() || undefined
+            success: exitCode === 0,
+            output: commandOutput.trim(),
+            error: commandError.trim() || (exitCode === 0 ? undefined : `Command exited with code ${exitCode}`),
+            exitCode
           });
-        }
-      }, 50);
+        });
+      });
     });
   }
 
   /**
-   * Download a JSONL file from remote SSH server using pure JavaScript
+   * Download a JSONL file from the remote SSH server over SFTP
    * @param {string} remotePath - Path to the JSONL file on remote server
    * @param {string} localPath - Local path to save the file
    * @param {string} connectionId - Connection ID to use
@@ -587,7 +565,7 @@ class SshService {
    */
   async downloadJsonl(remotePath, localPath, connectionId = 'default') {
     const connectionInfo = this.activeConnections.get(connectionId);
-    
+
     if (!connectionInfo || !connectionInfo.connected) {
       return {
         success: false,
@@ -597,41 +575,22 @@ class SshService {
 
     try {
       // Ensure local directory exists
-      const localDir = path.dirname(localPath);
-      await fs.mkdir(localDir, { recursive: true });
-
-      console.log(`[SSH] Downloading ${remotePath} to ${localPath}...`);
-      
-      // Use cat command to read file content
-      const catResult = await this.executeCommand(`cat "${remotePath}"`, connectionId);
-      
-      if (!catResult.success) {
-        return {
-          success: false,
-          message: `Failed to read remote file: ${catResult.error}`
-        };
-      }
-      
-      const fileContent = catResult.output;
-      
-      // Validate JSONL format
-      if (!this.validateJsonlContent(fileContent)) {
-        return {
-          success: false,
-          message: 'Remote file is not valid JSONL format'
-        };
-      }
-      
-      // Write to local file
-      await fs.writeFile(localPath, fileContent, 'utf8');
-      
-      const fileSize = Buffer.byteLength(fileContent, 'utf8');
-      
+      await fs.promises.mkdir(path.dirname(localPath), { recursive: true });
+
+      const resolvedPath = await this.resolveRemotePath(connectionInfo, remotePath);
+      console.log(`[SSH] Downloading ${resolvedPath} to ${localPath}...`);
+
+      const sftp = await this.getSftp(connectionInfo);
+      await new Promise((resolve, reject) => {
+        sftp.fastGet(resolvedPath, localPath, (error) => (error ? reject(error) : resolve()));
+      });
+
+      const fileSize = (await fs.promises.stat(localPath)).size;
       console.log(`[SSH] Download completed: ${localPath} (${fileSize} bytes)`);
-      
+
       return {
         success: true,
-        message: `Successfully downloaded ${path.basename(remotePath)}`,
+        message: `Successfully downloaded ${path.posix.basename(resolvedPath)}`,
         localPath,
         fileSize
       };
@@ -646,38 +605,109 @@ class SshService {
   }
 
   /**
-   * Validate JSONL content format
-   * @param {string} content - Content to validate
-   * @returns {boolean} Whether content is valid JSONL
+   * Append the bytes of a remote file from an offset onwards to a local file over SFTP
+   * (like `tail -c +N`). Bytes are written as they arrive, so a transfer that breaks off
+   * leaves a valid prefix that the next call can continue from.
+   * @param {string} remotePath - Path to the file on the remote server
+   * @param {string} localPath - Local file, expected to be exactly `offset` bytes long
+   * @param {number} offset - Byte position to start reading the remote file at
+   * @param {string} connectionId - Connection ID to use
+   * @returns {Promise<{success: boolean, message: string, localPath?: string, bytesTransferred: number}>}
    */
-  validateJsonlContent(content) {
-    if (!content || content.trim().length === 0) {
-      return false;
-    }
-    
-    const lines = content.split('\n').filter(line => line.trim().length > 0);
-    
-    for (const line of lines) {
-      try {
-        JSON.parse(line);
-      } catch (e) {
-        console.warn(`[SSH] Invalid JSON line: ${line.substring(0, 100)}...`);
-        return false;
-      }
+  async appendRemoteBytes(remotePath, localPath, offset = 0, connectionId = 'default') {
+    const connectionInfo = this.activeConnections.get(connectionId);
+
+    if (!connectionInfo || !connectionInfo.connected) {
+      return {
+        success: false,
+        message: `No active connection found for '${connectionId}'`,
+        bytesTransferred: 0
+      };
+    }
+
+    let bytesTransferred = 0;
+
+    try {
+      await fs.promises.mkdir(path.dirname(localPath), { recursive: true });
+
+      const resolvedPath = await this.resolveRemotePath(connectionInfo, remotePath);
+      const sftp = await this.getSftp(connectionInfo);
+
+      await new Promise((resolve, reject) => {
+        const input = sftp.createReadStream(resolvedPath, { start: offset });
+        const output = fs.createWriteStream(localPath, { flags: offset > 0 ? 'a' : 'w' });
+        input.on('data', (chunk) => { bytesTransferred += chunk.length; });
+        pipeline(input, output, (error) => (error ? reject(error) : resolve()));
+      });
+
+      return {
+        success: true,
+        message: `Transferred ${bytesTransferred} bytes of ${path.posix.basename(resolvedPath)} from offset ${offset}`,
+        localPath,
+        bytesTransferred
+      };
+
+    } catch (error) {
+      console.error(`[SSH] Transfer of ${remotePath} failed after ${bytesTransferred} bytes:`, error.message);
+      return {
+        success: false,
+        message: `Transfer failed: ${error.message}`,
+        bytesTransferred
+      };
     }
-    
-    return true;
   }
 
   /**
-   * List files in remote directory using pure JavaScript
-   * @param {string} remotePath - Remote directory path
+   * Read a byte range of a remote file over SFTP (fewer bytes if the file ends earlier)
+   * @param {string} remotePath - Path to the file on the remote server
+   * @param {number} start - First byte to read
+   * @param {number} length - Number of bytes to read
+   * @param {string} connectionId - Connection ID to use
+   * @returns {Promise<{success: boolean, data?: Buffer, message?: string}>}
+   */
+  async readRemoteBytes(remotePath, start, length, connectionId = 'default') {
+    const connectionInfo = this.activeConnections.get(connectionId);
+
+    if (!connectionInfo || !connectionInfo.connected) {
+      return {
+        success: false,
+        message: `No active connection found for '${connectionId}'`
+      };
+    }
+
+    try {
+      const resolvedPath = await this.resolveRemotePath(connectionInfo, remotePath);
+      const sftp = await this.getSftp(connectionInfo);
+
+      const data = await new Promise((resolve, reject) => {
+        const chunks = [];
+        const input = sftp.createReadStream(resolvedPath, { start, end: start + length - 1 });
+        input.on('data', (chunk) => chunks.push(chunk));
+        input.on('error', reject);
+        input.on('end', () => resolve(Buffer.concat(chunks)));
+      });
+
+      return { success: true, data };
+
+    } catch (error) {
+      console.error(`[SSH] Read of ${remotePath} failed:`, error.message);
+      return {
+        success: false,
+        message: `Read failed: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * List JSONL files below a remote directory (recursive, over SFTP)
+   * @param {string} remotePath - Remote directory path (may start with ~)
    * @param {string} connectionId - Connection ID to use
    * @returns {Promise<{success: boolean, files?: Array, message?: string}>}
+   *   files: { name (relative to remotePath), path, size, isDirectory, isFile, mtime (seconds), modified, permissions }
    */
   async listRemoteFiles(remotePath, connectionId = 'default') {
     const connectionInfo = this.activeConnections.get(connectionId);
-    
+
     if (!connectionInfo || !connectionInfo.connected) {
       return {
         success: false,
@@ -686,41 +716,29 @@ class SshService {
     }
 
     try {
-      console.log(`[SSH] Listing files in ${remotePath}...`);
-      
-      // Use ls command with detailed output for JSONL files
-      const lsCommand = `ls -la "${remotePath}"/*.jsonl 2>/dev/null || echo "No JSONL files found"`;
-      const lsResult = await this.executeCommand(lsCommand, connectionId);
-      
-      if (!lsResult.success) {
-        return {
-          success: false,
-          message: `Failed to list directory: ${lsResult.error}`
-        };
-      }
-      
-      const output = lsResult.output;
-      
-      if (output.includes('No JSONL files found')) {
-        return {
-          success: true,
-          files: [],
-          message: `No JSONL files found in ${remotePath}`
-        };
-      }
-      
-      // Parse ls output
-      const files = this.parseLsOutput(output);
-      
-      console.log(`[SSH] Found ${files.length} JSONL files in ${remotePath}`);
+      const rootPath = await this.resolveRemotePath(connectionInfo, remotePath);
+      console.log(`[SSH] Listing files in ${rootPath}...`);
+
+      const sftp = await this.getSftp(connectionInfo);
+      const files = [];
+      await this.collectJsonlFiles(sftp, rootPath, '', 0, files);
+
+      console.log(`[SSH] Found ${files.length} JSONL files in ${rootPath}`);
 
       return {
         success: true,
-        files: files,
+        files,
         message: `Found ${files.length} JSONL files in ${remotePath}`
       };
 
     } catch (error) {
+      if (error.code === SFTP_NO_SUCH_FILE) {
+        return {
+          success: true,
+          files: [],
+          message: `No JSONL files found in ${remotePath}`
+        };
+      }
       return {
         success: false,
         message: `Failed to list directory: ${error.message}`
@@ -729,87 +747,34 @@ class SshService {
   }
 
   /**
-   * Parse ls command output to extract file information
-   * @param {string} lsOutput - Output from ls -la command
-   * @returns {Array} Array of file objects
+   * Walk a remote directory and collect JSONL file entries
    */
-  parseLsOutput(lsOutput) {
-    const lines = lsOutput.split('\n').filter(line => line.trim().length > 0);
-    const files = [];
-    
-    for (const line of lines) {
-      // Skip total line and directories
-      if (line.startsWith('total') || line.includes('<DIR>')) {
-        continue;
-      }
-      
-      // Parse Unix ls -la format: permissions links owner group size date time name
-      const parts = line.trim().split(/\s+/);
-      
-      if (parts.length >= 9) {
-        const permissions = parts[0];
-        const size = parseInt(parts[4]) || 0;
-        const name = parts.slice(8).join(' '); // Handle names with spaces
-        
-        // Check if it's a regular file and ends with .jsonl
-        if (permissions.startsWith('-') && name.endsWith('.jsonl')) {
-          // Parse date/time (assuming format: MMM DD HH:MM or MMM DD YYYY)
-          const month = parts[5];
-          const day = parts[6];
-          const timeOrYear = parts[7];
-          
-          let modified;
-          if (timeOrYear.includes(':')) {
-            // Current year, time format
-            const currentYear = new Date().getFullYear();
-            modified = new Date(`${month} ${day} ${currentYear} ${timeOrYear}`).toISOString();
-          } else {
-            // Year format
-            modified = new Date(`${month} ${day} ${timeOrYear}`).toISOString();
-          }
-          
-          files.push({
-            name: name,
-            size: size,
-            isDirectory: false,
-            isFile: true,
-            modified: modified,
-            permissions: this.parseUnixPermissions(permissions)
-          });
+  async collectJsonlFiles(sftp, rootPath, relativeDir, depth, files) {
+    const directory = relativeDir ? path.posix.join(rootPath, relativeDir) : rootPath;
+    const entries = await new Promise((resolve, reject) => {
+      sftp.readdir(directory, (error, list) => (error ? reject(error) : resolve(list)));
+    });
+
+    for (const entry of entries) {
+      const relativePath = relativeDir ? path.posix.join(relativeDir, entry.filename) : entry.filename;
+
+      if (entry.attrs.isDirectory()) {
+        if (depth < MAX_LIST_DEPTH) {
+          await this.collectJsonlFiles(sftp, rootPath, relativePath, depth + 1, files);
         }
+      } else if (entry.attrs.isFile() && entry.filename.endsWith('.jsonl')) {
+        files.push({
+          name: relativePath,
+          path: path.posix.join(rootPath, relativePath),
+          size: entry.attrs.size,
+          isDirectory: false,
+          isFile: true,
+          mtime: entry.attrs.mtime,
+          modified: new Date(entry.attrs.mtime * 1000).toISOString(),
+          permissions: Number((entry.attrs.mode & 0o777).toString(8))
+        });
       }
     }
-    
-    return files;
-  }
-
-  /**
-   * Parse Unix permissions string to numeric format
-   * @param {string} permissions - Unix permissions string (e.g., "-rw-r--r--")
-   * @returns {number} Numeric permissions
-   */
-  parseUnixPermissions(permissions) {
-    if (permissions.length !== 10) return 644; // Default
-    
-    let result = 0;
-    const perms = permissions.slice(1); // Remove first character (file type)
-    
-    // Owner permissions
-    if (perms[0] === 'r') result += 400;
-    if (perms[1] === 'w') result += 200;
-    if (perms[2] === 'x') result += 100;
-    
-    // Group permissions
-    if (perms[3] === 'r') result += 40;
-    if (perms[4] === 'w') result += 20;
-    if (perms[5] === 'x') result += 10;
-    
-    // Other permissions
-    if (perms[6] === 'r') result += 4;
-    if (perms[7] === 'w') result += 2;
-    if (perms[8] === 'x') result += 1;
-    
-    return result;
   }
 
   /**
@@ -819,16 +784,14 @@ class SshService {
    */
   closeConnection(connectionId = 'default') {
     const connectionInfo = this.activeConnections.get(connectionId);
-    
+
     if (connectionInfo) {
       console.log(`[SSH] Closing connection '${connectionId}'`);
-      if (connectionInfo.socket) {
-        connectionInfo.socket.destroy();
-      }
       this.activeConnections.delete(connectionId);
+      connectionInfo.client.end();
       return true;
     }
-    
+
     return false;
   }
 
@@ -837,14 +800,10 @@ class SshService {
    */
   closeAllConnections() {
     console.log(`[SSH] Closing all connections (${this.activeConnections.size} active)`);
-    
-    for (const [connectionId, connectionInfo] of this.activeConnections) {
-      if (connectionInfo.socket) {
-        connectionInfo.socket.destroy();
-      }
-    }
-    
+
+    const connections = [...this.activeConnections.values()];
     this.activeConnections.clear();
+    connections.forEach(connectionInfo => connectionInfo.client.end());
   }
 
   /**
@@ -853,7 +812,7 @@ class SshService {
    */
   getActiveConnections() {
     const connections = [];
-    
+
     for (const [connectionId, connectionInfo] of this.activeConnections) {
       connections.push({
         id: connectionId,
@@ -861,11 +820,14 @@ class SshService {
         authenticated: connectionInfo.authenticated,
         state: connectionInfo.state,
         createdAt: connectionInfo.createdAt,
-        host: this.connectionConfig?.host,
-        port: this.connectionConfig?.port
+        hostId: connectionInfo.hostId,
+        label: connectionInfo.label,
+        host: connectionInfo.host,
+        port: connectionInfo.port,
+        hostKeyFingerprint: connectionInfo.hostKeyFingerprint
       });
     }
-    
+
     return connections;
   }
 
@@ -874,11 +836,11 @@ class SshService {
    * @returns {boolean}
    */
   isEnabled() {
-    return this.connectionConfig && this.connectionConfig.enabled;
+    return this.getEnabledHosts().length > 0;
   }
 
   /**
-   * Get current SSH configuration (without password)
+   * Get current SSH configuration (without password or passphrase)
    * @returns {Object} Configuration object
    */
   getConfig() {
@@ -887,10 +849,8 @@ class SshService {
     }
 
     return {
-      host: this.connectionConfig.host,
-      port: this.connectionConfig.port,
-      username: this.connectionConfig.username,
-      enabled: this.connectionConfig.enabled
+      enabled: this.connectionConfig.enabled,
+      hosts: this.connectionConfig.hosts.map(({ password, passphrase, ...host }) => host)
     };
   }
 }
@@ -0,0 +1,163 @@
+/**
+ * Usage Filter
+ * Global slice of the usage data (date range, project, model, machine) that
+ * the Overview, Daily, Monthly, Projects and Sessions pages are calculated for.
+ *
+ * The filter is stored by store.ts as { preset, from, to, project, model, machine };
+ * relative presets ('7d', 'thisMonth', ...) are resolved to dates on every
+ * calculation so they keep rolling forward. Dates are inclusive YYYY-MM-DD
+ * days in UTC, like date(timestamp) in the daily stats.
+ *
+ * buildEntryFilter turns a resolved filter into SQL conditions on
+ * usage_entries columns, shared by DatabaseService and usage-query.cjs.
+ */
+
+const DATE_PRESETS = ['all', 'today', '7d', '30d', '90d', 'thisMonth', 'lastMonth', 'thisYear', 'custom'];
+
+const DEFAULT_USAGE_FILTER = {
+  preset: 'all',
+  from: null,
+  to: null,
+  project: null,
+  model: null,
+  machine: null
+};
+
+function parseDate(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? value : null;
+}
+
+function parseText(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+function toDay(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function addDays(day, days) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDay(date);
+}
+
+/**
+ * Validate a filter sent by store.ts; unknown presets fall back to 'all'
+ */
+function normalizeUsageFilter(filter = {}) {
+  const preset = DATE_PRESETS.includes(filter?.preset) ? filter.preset : DEFAULT_USAGE_FILTER.preset;
+  let from = preset === 'custom' ? parseDate(filter.from) : null;
+  let to = preset === 'custom' ? parseDate(filter.to) : null;
+  if (from && to && from > to) [from, to] = [to, from];
+
+  return {
+    preset,
+    from,
+    to,
+    project: parseText(filter?.project),
+    model: parseText(filter?.model),
+    machine: parseText(filter?.machine)
+  };
+}
+
+/**
+ * Turn the preset into concrete from/to days
+ * @returns {{ preset, from: string|null, to: string|null, project, model, machine }}
+ */
+function resolveUsageFilter(filter, now = new Date()) {
+  const normalized = normalizeUsageFilter(filter || {});
+  const today = toDay(now);
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  const ranges = {
+    today: [today, today],
+    '7d': [addDays(today, -6), today],
+    '30d': [addDays(today, -29), today],
+    '90d': [addDays(today, -89), today],
+    thisMonth: [toDay(new Date(Date.UTC(year, month, 1))), today],
+    lastMonth: [toDay(new Date(Date.UTC(year, month - 1, 1))), toDay(new Date(Date.UTC(year, month, 0)))],
+    thisYear: [toDay(new Date(Date.UTC(year, 0, 1))), today]
+  };
+  const [from, to] = ranges[normalized.preset] || [normalized.from, normalized.to];
+
+  return { ...normalized, from, to };
+}
+
+function hasDateRange(filter) {
+  return !!(filter && (filter.from || filter.to));
+}
+
+function isFilterActive(filter) {
+  return !!(filter && (hasDateRange(filter) || filter.project || filter.model || filter.machine));
+}
+
+// All tokens of a usage_entries row, cache tokens included (NULL in rows from older versions)
+const TOKENS_SQL = 'input_tokens + output_tokens + COALESCE(cache_creation_input_tokens, 0) + COALESCE(cache_read_input_tokens, 0)';
+
+/**
+ * SQL conditions for a resolved filter on usage_entries columns
+ * (timestamp, project, model, source) - also works on CTEs exposing them
+ * @returns {{ conditions: string[], params: Array, where: string, and: string }}
+ */
+function buildEntryFilter(filter) {
+  const conditions = [];
+  const params = [];
+
+  if (filter?.from) {
+    conditions.push('date(timestamp) >= ?');
+    params.push(filter.from);
+  }
+  if (filter?.to) {
+    conditions.push('date(timestamp) <= ?');
+    params.push(filter.to);
+  }
+  if (filter?.project) {
+    conditions.push('project = ?');
+    params.push(filter.project);
+  }
+  if (filter?.model) {
+    conditions.push('model = ?');
+    params.push(filter.model);
+  }
+  if (filter?.machine) {
+    conditions.push("COALESCE(source, 'local') = ?");
+    params.push(filter.machine);
+  }
+
+  const sql = conditions.join(' AND ');
+  return {
+    conditions,
+    params,
+    where: sql ? `WHERE ${sql}` : '',
+    and: sql ? `AND ${sql}` : ''
+  };
+}
+
+/**
+ * Days covered by the filter's date range, newest first. Open ends fall back
+ * to today and to `days` days before the end.
+ * @returns {string[]|null} null when the filter has no date range
+ */
+function listFilterDays(filter, days, now = new Date()) {
+  if (!hasDateRange(filter)) return null;
+
+  const to = filter.to || toDay(now);
+  const from = filter.from || addDays(to, -(days - 1));
+  const result = [];
+  for (let day = to; day >= from; day = addDays(day, -1)) {
+    result.push(day);
+  }
+  return result;
+}
+
+module.exports = {
+  DATE_PRESETS,
+  DEFAULT_USAGE_FILTER,
+  TOKENS_SQL,
+  normalizeUsageFilter,
+  resolveUsageFilter,
+  hasDateRange,
+  isFilterActive,
+  buildEntryFilter,
+  listFilterDays
+};
@@ -0,0 +1,120 @@
+/**
+ * Usage Heatmap
+ * When usage happens: cost, tokens and requests per weekday x hour of day in
+ * the user's configured time zone (GUI Daily page and `cli heatmap`).
+ *
+ * SQLite only knows UTC and the server's local time, so the query sums
+ * half-hour UTC buckets and buildUsageHeatmap moves each bucket into the
+ * target time zone with Intl - that keeps DST and half-hour offsets right.
+ * The query takes the same resolved filter as the other usage stats.
+ *
+ * Rows are weekdays starting on Monday (like the weekly budgets), columns are
+ * hours 0-23. Costs stay in USD unless a `convert` function is passed.
+ */
+
+const { buildEntryFilter, TOKENS_SQL } = require('./usage-filter.cjs');
+
+const HEATMAP_METRICS = ['cost', 'tokens', 'entries'];
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+class HeatmapError extends Error {}
+
+/**
+ * 'auto' (or nothing) is the time zone of this machine
+ */
+function resolveTimezone(timezone) {
+  if (!timezone || timezone === 'auto') {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  }
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: timezone }).resolvedOptions().timeZone;
+  } catch (error) {
+    throw new HeatmapError(`Unknown time zone "${timezone}" (expected an IANA name like Europe/Berlin)`);
+  }
+}
+
+/**
+ * Half-hour UTC buckets ('2025-01-31T14:30') of the entries matching the filter
+ * @param {Object} [filter] - resolved usage filter (see usage-filter.cjs)
+ * @returns {{ sql: string, params: Array }}
+ */
+function buildHeatmapQuery(filter = null) {
+  const entryFilter = buildEntryFilter(filter);
+  return {
+    params: entryFilter.params,
+    sql: `
+      SELECT
+        substr(timestamp, 1, 13) || CASE WHEN substr(timestamp, 15, 2) >= '30' THEN ':30' ELSE ':00' END as bucket,
+        COUNT(*) as entry_count,
+        COALESCE(SUM(cost), 0) as total_cost,
+        COALESCE(SUM(${TOKENS_SQL}), 0) as total_tokens
+      FROM usage_entries
+      WHERE timestamp IS NOT NULL ${entryFilter.and}
+      GROUP BY bucket`
+  };
+}
+
+function createCell() {
+  return { cost: 0, tokens: 0, entries: 0 };
+}
+
+/**
+ * Fold the UTC buckets into the weekday x hour grid of a time zone
+ * @param {Array} rows - rows of buildHeatmapQuery
+ * @param {Object} options - { timezone, convert: usd => displayAmount }
+ * @returns {{ timezone, weekdays, cells: Object[][], max, totals, peak }}
+ */
+function buildUsageHeatmap(rows = [], options = {}) {
+  const timezone = resolveTimezone(options.timezone);
+  const convert = options.convert || (amount => amount);
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    hour: '2-digit',
+    hourCycle: 'h23'
+  });
+
+  const cells = WEEKDAYS.map(() => Array.from({ length: 24 }, createCell));
+  const totals = createCell();
+
+  rows.forEach(row => {
+    const date = new Date(`${row.bucket}:00Z`);
+    if (isNaN(date.getTime())) return;
+
+    const parts = Object.fromEntries(formatter.formatToParts(date).map(part => [part.type, part.value]));
+    const weekday = WEEKDAYS.indexOf(parts.weekday);
+    const hour = parseInt(parts.hour, 10) % 24;
+    if (weekday === -1 || isNaN(hour)) return;
+
+    const cell = cells[weekday][hour];
+    const cost = convert(row.total_cost || 0);
+    cell.cost += cost;
+    cell.tokens += row.total_tokens || 0;
+    cell.entries += row.entry_count || 0;
+    totals.cost += cost;
+    totals.tokens += row.total_tokens || 0;
+    totals.entries += row.entry_count || 0;
+  });
+
+  const max = createCell();
+  let peak = null;
+  cells.forEach((hours, weekday) => hours.forEach((cell, hour) => {
+    HEATMAP_METRICS.forEach(metric => {
+      max[metric] = Math.max(max[metric], cell[metric]);
+    });
+    if (cell.cost > 0 && (!peak || cell.cost > cells[peak.weekday][peak.hour].cost)) {
+      peak = { weekday, hour };
+    }
+  }));
+
+  return { timezone, weekdays: WEEKDAYS, cells, max, totals, peak };
+}
+
+module.exports = {
+  HEATMAP_METRICS,
+  WEEKDAYS,
+  HeatmapError,
+  resolveTimezone,
+  buildHeatmapQuery,
+  buildUsageHeatmap
+};
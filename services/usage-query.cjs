@@ -0,0 +1,268 @@
+/**
+ * Usage Table Queries
+ * Server-side pagination, search, sorting and date-range filters for the
+ * Sessions and Projects tables. Builds plain SQL + parameters so the Electron
+ * DatabaseService (better-sqlite3) and the CLI database (sql.js) run the exact
+ * same queries - each only executes them with its own driver.
+ *
+ * Query options (all optional):
+ *   search   - whitespace-separated terms; every term must match the project,
+ *              working directory or session id of at least one entry
+ *   from, to - inclusive YYYY-MM-DD dates (UTC, like the daily stats)
+ *   sortBy   - key of SESSION_SORT_COLUMNS / PROJECT_SORT_COLUMNS
+ *   sortDir  - 'asc' | 'desc'
+ *   page     - 1-based page number, clamped to the last page
+ *   pageSize - rows per page (1-MAX_PAGE_SIZE)
+ *   minDurationMinutes - sessions only, hide shorter session segments
+ *
+ * The optional global usage filter (usage-filter.cjs) narrows the entries
+ * before the table's own search and date range apply.
+ *
+ * Costs stay in USD - callers convert them for display.
+ */
+
+const { buildEntryFilter, TOKENS_SQL } = require('./usage-filter.cjs');
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 200;
+const MAX_SEARCH_TERMS = 8;
+
+// Public sort keys -> SQL columns (never interpolate user input directly)
+const SESSION_SORT_COLUMNS = {
+  startTime: 'start_time',
+  endTime: 'end_time',
+  cost: 'total_cost',
+  tokens: 'total_tokens',
+  messages: 'entry_count',
+  duration: 'duration_minutes',
+  project: 'project'
+};
+
+const PROJECT_SORT_COLUMNS = {
+  project: 'project',
+  cost: 'total_cost',
+  tokens: 'total_tokens',
+  sessions: 'session_count',
+  messages: 'entry_count',
+  lastActivity: 'last_activity'
+};
+
+const SEARCH_COLUMNS = ['project', 'cwd', 'session_id'];
+
+function parseDate(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? value : null;
+}
+
+function escapeLike(term) {
+  return term.replace(/[\\%_]/g, char => `\\${char}`);
+}
+
+/**
+ * Validate and fill in defaults for table query options
+ */
+function normalizeTableQuery(options = {}, sortColumns, defaultSortBy) {
+  const search = typeof options.search === 'string' ? options.search.trim() : '';
+  const pageSize = parseInt(options.pageSize, 10);
+  const page = parseInt(options.page, 10);
+  let from = parseDate(options.from);
+  let to = parseDate(options.to);
+  if (from && to && from > to) [from, to] = [to, from];
+
+  return {
+    search,
+    terms: search ? search.toLowerCase().split(/\s+/).slice(0, MAX_SEARCH_TERMS) : [],
+    from,
+    to,
+    sortBy: Object.prototype.hasOwnProperty.call(sortColumns, options.sortBy) ? options.sortBy : defaultSortBy,
+    sortDir: options.sortDir === 'asc' ? 'asc' : 'desc',
+    page: page > 0 ? page : 1,
+    pageSize: pageSize > 0 ? Math.min(pageSize, MAX_PAGE_SIZE) : DEFAULT_PAGE_SIZE,
+    minDurationMinutes: Math.max(0, parseInt(options.minDurationMinutes, 10) || 0)
+  };
+}
+
+/**
+ * One `MAX(...) as match_<n>` column per search term: 1 when any entry of the
+ * group matches the term in one of the searchable columns
+ */
+function buildSearchColumns(terms) {
+  const params = [];
+  const columns = terms.map((term, index) => {
+    const pattern = `%${escapeLike(term)}%`;
+    SEARCH_COLUMNS.forEach(() => params.push(pattern));
+    const match = SEARCH_COLUMNS.map(column => `${column} LIKE ? ESCAPE '\\'`).join(' OR ');
+    return `,\n          MAX(CASE WHEN ${match} THEN 1 ELSE 0 END) as match_${index}`;
+  });
+  return { sql: columns.join(''), params, where: terms.map((term, index) => `match_${index} = 1`) };
+}
+
+function buildOrderBy(query, sortColumns, tieBreaker) {
+  const column = sortColumns[query.sortBy];
+  // Text columns sort case-insensitively, NULLs always last
+  const expression = column === 'project' ? `LOWER(COALESCE(${column}, ''))` : column;
+  return `ORDER BY ${column} IS NULL, ${expression} ${query.sortDir.toUpperCase()}, ${tieBreaker} ASC`;
+}
+
+/**
+ * Sessions are 5-hour segments of a Claude session keyed `<session_id>_<segment>`,
+ * the same split as getSessionStats and session-detail.cjs
+ */
+function buildSessionsQuery(options = {}, filter = null) {
+  const query = normalizeTableQuery(options, SESSION_SORT_COLUMNS, 'startTime');
+  const search = buildSearchColumns(query.terms);
+  const entryFilter = buildEntryFilter(filter);
+  const where = [...search.where];
+  const whereParams = [];
+
+  if (query.from) {
+    where.push('date(start_time) >= ?');
+    whereParams.push(query.from);
+  }
+  if (query.to) {
+    where.push('date(start_time) <= ?');
+    whereParams.push(query.to);
+  }
+  if (query.minDurationMinutes > 0) {
+    where.push('duration_minutes >= ?');
+    whereParams.push(query.minDurationMinutes);
+  }
+
+  const baseSql = `
+      WITH session_segments AS (
+        SELECT
+          session_id,
+          timestamp,
+          cost,
+          model,
+          project,
+          cwd,
+          COALESCE(source, 'local') as source,
+          ${TOKENS_SQL} as tokens,
+          CAST(((julianday(timestamp) - julianday(MIN(timestamp) OVER (PARTITION BY session_id))) * 24 * 60) / 300 AS INTEGER) as segment_num
+        FROM usage_entries
+        WHERE session_id IS NOT NULL
+      ),
+      sessions AS (
+        SELECT
+          session_id || '_' || segment_num as session_key,
+          COUNT(*) as entry_count,
+          SUM(cost) as total_cost,
+          SUM(tokens) as total_tokens,
+          MIN(timestamp) as start_time,
+          MAX(timestamp) as end_time,
+          CAST((julianday(MAX(timestamp)) - julianday(MIN(timestamp))) * 24 * 60 AS INTEGER) as duration_minutes,
+          MAX(project) as project,
+          MAX(source) as source,
+          GROUP_CONCAT(DISTINCT model) as models${search.sql}
+        FROM session_segments ${entryFilter.where}
+        GROUP BY session_id, segment_num
+      )`;
+  const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+
+  return {
+    query,
+    params: [...search.params, ...entryFilter.params, ...whereParams],
+    countSql: `${baseSql}
+      SELECT COUNT(*) as total, COALESCE(SUM(total_cost), 0) as total_cost, COALESCE(SUM(total_tokens), 0) as total_tokens
+      FROM sessions ${whereSql}`,
+    rowsSql: `${baseSql}
+      SELECT session_key, entry_count, total_cost, total_tokens, start_time, end_time, duration_minutes, project, source, models
+      FROM sessions ${whereSql}
+      ${buildOrderBy(query, SESSION_SORT_COLUMNS, 'session_key')}
+      LIMIT ? OFFSET ?`
+  };
+}
+
+/**
+ * Projects are grouped by the project column; the date range limits which
+ * entries count towards each project's totals
+ */
+function buildProjectsQuery(options = {}, filter = null) {
+  const query = normalizeTableQuery(options, PROJECT_SORT_COLUMNS, 'cost');
+  const search = buildSearchColumns(query.terms);
+  const entryFilter = buildEntryFilter(filter);
+  const entryWhere = ["project IS NOT NULL AND project != ''", ...entryFilter.conditions];
+  const entryParams = [...entryFilter.params];
+
+  if (query.from) {
+    entryWhere.push('date(timestamp) >= ?');
+    entryParams.push(query.from);
+  }
+  if (query.to) {
+    entryWhere.push('date(timestamp) <= ?');
+    entryParams.push(query.to);
+  }
+
+  const baseSql = `
+      WITH projects AS (
+        SELECT
+          project,
+          COUNT(*) as entry_count,
+          SUM(cost) as total_cost,
+          SUM(${TOKENS_SQL}) as total_tokens,
+          COUNT(DISTINCT session_id) as session_count,
+          MIN(timestamp) as first_activity,
+          MAX(timestamp) as last_activity,
+          GROUP_CONCAT(DISTINCT model) as models${search.sql}
+        FROM usage_entries
+        WHERE ${entryWhere.join(' AND ')}
+        GROUP BY project
+      )`;
+  const whereSql = search.where.length > 0 ? `WHERE ${search.where.join(' AND ')}` : '';
+
+  return {
+    query,
+    // Search params come first: the match columns precede the WHERE clause in the CTE
+    params: [...search.params, ...entryParams],
+    countSql: `${baseSql}
+      SELECT COUNT(*) as total, COALESCE(SUM(total_cost), 0) as total_cost, COALESCE(SUM(total_tokens), 0) as total_tokens
+      FROM projects ${whereSql}`,
+    rowsSql: `${baseSql}
+      SELECT project, entry_count, total_cost, total_tokens, session_count, first_activity, last_activity, models
+      FROM projects ${whereSql}
+      ${buildOrderBy(query, PROJECT_SORT_COLUMNS, 'project')}
+      LIMIT ? OFFSET ?`
+  };
+}
+
+/**
+ * Clamp the requested page to the result size
+ * @returns {{ page: number, pageCount: number, offset: number }}
+ */
+function getPagination(query, total) {
+  const pageCount = Math.max(1, Math.ceil(total / query.pageSize));
+  const page = Math.min(query.page, pageCount);
+  return { page, pageCount, offset: (page - 1) * query.pageSize };
+}
+
+/**
+ * Shape of every table query result
+ */
+function createTablePage(query, summary, pagination, rows) {
+  return {
+    rows,
+    total: summary?.total || 0,
+    totalCost: summary?.total_cost || 0,
+    totalTokens: summary?.total_tokens || 0,
+    page: pagination.page,
+    pageCount: pagination.pageCount,
+    pageSize: query.pageSize,
+    sortBy: query.sortBy,
+    sortDir: query.sortDir,
+    search: query.search,
+    from: query.from,
+    to: query.to
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  SESSION_SORT_COLUMNS,
+  PROJECT_SORT_COLUMNS,
+  normalizeTableQuery,
+  buildSessionsQuery,
+  buildProjectsQuery,
+  getPagination,
+  createTablePage
+};
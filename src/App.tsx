@@ -6,10 +6,11 @@ import { Button } from '@/components/ui/button'
 import { DragonCard } from '@/components/ui/card'
 import { DragonBadge } from '@/components/ui/badge'
 import { UpdatePopup } from '@/components/ui/update-popup'
+import { GlobalFilterBar } from '@/components/dashboard/filter-bar'
 import { useAppStore } from '@/lib/store'
 import { useTimeFormatting } from '@/lib/hooks'
 import { useTranslation, initializeLanguage, changeLanguage } from '@/i18n'
-import { getAppVersion } from '@/lib/utils'
+import { getAppVersion, formatCurrency } from '@/lib/utils'
 import { 
   BarChart3, 
   Zap, 
@@ -20,7 +21,9 @@ import {
   Settings,
   RefreshCw,
   AlertCircle,
-  Download
+  AlertTriangle,
+  Download,
+  ArrowLeftRight
 } from 'lucide-react'
 
 // Import page components (we'll create these next)
@@ -29,9 +32,13 @@ import ProjectsPage from '@/pages/projects'
 import SessionsPage from '@/pages/sessions'
 import MonthlyUsagePage from '@/pages/monthly-usage'
 import DailyUsagePage from '@/pages/daily-usage'
+import ComparisonPage from '@/pages/comparison'
 import ActiveSessionPage from '@/pages/active-session'
 import SettingsPage from '@/pages/settings'
 
+// Tabs calculated for the global filter slice
+const FILTERED_TABS = ['overview', 'projects', 'sessions', 'monthly', 'daily']
+
 function App() {
   const { 
     activeTab, 
@@ -50,7 +57,9 @@ function App() {
     currentAppVersion,
     latestVersion,
     isVersionOutdated,
-    performUpdate
+    performUpdate,
+    budgetAlerts,
+    dismissBudgetAlert
   } = useAppStore()
   
   const { t } = useTranslation()
@@ -186,6 +195,7 @@ function App() {
     { id: 'sessions', label: t('app.navigation.sessions'), icon: Zap, color: 'text-dragon-accent' },
     { id: 'monthly', label: t('app.navigation.monthly'), icon: Calendar, color: 'text-green-500' },
     { id: 'daily', label: t('app.navigation.daily'), icon: Clock, color: 'text-purple-500' },
+    { id: 'compare', label: t('app.navigation.compare'), icon: ArrowLeftRight, color: 'text-orange-500' },
     { id: 'active', label: t('app.navigation.active'), icon: Activity, color: 'text-dragon-secondary' },
     { id: 'settings', label: t('app.navigation.settings'), icon: Settings, color: 'text-gray-500' },
   ]
@@ -297,11 +307,46 @@ function App() {
         </div>
       )}
 
+      {/* Budget Alert Banners */}
+      {budgetAlerts.map((alert) => {
+        const tone = alert.threshold >= 100
+          ? 'bg-destructive/10 border-destructive/20 text-destructive'
+          : alert.threshold >= 80
+            ? 'bg-orange-500/10 border-orange-500/20 text-orange-500'
+            : 'bg-yellow-500/10 border-yellow-500/20 text-yellow-600'
+        return (
+          <div key={alert.id} className={`border-b ${tone}`}>
+            <div className="container mx-auto px-4 py-3">
+              <div className="flex items-center justify-between">
+                <div className="flex items-center space-x-2 text-sm">
+                  <AlertTriangle className="h-4 w-4" />
+                  <span className="font-semibold">
+                    {alert.threshold >= 100 ? t('app.budgetAlert.exceeded') : `${t('app.budgetAlert.reached')} ${alert.threshold}%`}
+                  </span>
+                  <span>
+                    {t(`app.budgetAlert.periods.${alert.period}`)} • {alert.scope === 'project' ? alert.project : t('app.budgetAlert.allProjects')}:
+                    {' '}{formatCurrency(alert.spent, alert.currency)} {t('app.budgetAlert.of')} {formatCurrency(alert.amount, alert.currency)}
+                  </span>
+                </div>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => dismissBudgetAlert(alert.id)}
+                  className="hover:opacity-80"
+                >
+                  {t('app.dismiss')}
+                </Button>
+              </div>
+            </div>
+          </div>
+        )
+      })}
+
       {/* Main Content */}
       <main className="container mx-auto px-4 py-6">
         <Tabs value={activeTab} onValueChange={setActiveTab} className="space-y-6">
           {/* Tab Navigation */}
-          <TabsList className="grid w-full grid-cols-7 lg:w-auto lg:inline-flex dragon-scales glass-effect">
+          <TabsList className="grid w-full grid-cols-8 lg:w-auto lg:inline-flex dragon-scales glass-effect">
             {tabs.map((tab) => {
               const Icon = tab.icon
               const isActive = activeTab === tab.id
@@ -318,6 +363,9 @@ function App() {
             })}
           </TabsList>
 
+          {/* Global Filter - Compare picks its own periods, Active Session and Settings always show live data */}
+          {FILTERED_TABS.includes(activeTab) && <GlobalFilterBar />}
+
           {/* Tab Content */}
           <div className="min-h-[600px]">
             <TabsContent value="overview" className="space-y-6">
@@ -340,6 +388,10 @@ function App() {
               <DailyUsagePage />
             </TabsContent>
 
+            <TabsContent value="compare" className="space-y-6">
+              <ComparisonPage />
+            </TabsContent>
+
             <TabsContent value="active" className="space-y-6">
               <ActiveSessionPage />
             </TabsContent>
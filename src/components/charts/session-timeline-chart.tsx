@@ -0,0 +1,169 @@
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend,
+  Filler
+} from 'chart.js'
+import { Line } from 'react-chartjs-2'
+import { formatCurrency, formatNumber, formatTime } from '@/lib/utils'
+
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend,
+  Filler
+)
+
+interface SessionTimelineChartProps {
+  timeline: SessionDetail['timeline']
+  currency: string
+  tokensLabel: string
+  costLabel: string
+}
+
+// Per-message tokens with the running session cost on a second axis
+export function SessionTimelineChart({ timeline, currency, tokensLabel, costLabel }: SessionTimelineChartProps) {
+  if (!timeline || timeline.length === 0) {
+    return null
+  }
+
+  // Hide points on long sessions so the lines stay readable
+  const pointRadius = timeline.length > 200 ? 0 : 2
+
+  const chartData = {
+    labels: timeline.map(item => formatTime(item.timestamp)),
+    datasets: [
+      {
+        label: tokensLabel,
+        data: timeline.map(item => item.totalTokens),
+        borderColor: '#7C3AED', // Dragon primary purple
+        backgroundColor: 'rgba(124, 58, 237, 0.15)',
+        borderWidth: 2,
+        fill: true,
+        tension: 0.2,
+        pointRadius,
+        pointHoverRadius: 5,
+        yAxisID: 'y',
+      },
+      {
+        label: costLabel,
+        data: timeline.map(item => item.cumulativeCost),
+        borderColor: '#F59E0B', // Dragon gold
+        backgroundColor: 'rgba(245, 158, 11, 0.1)',
+        borderWidth: 2,
+        fill: false,
+        stepped: true,
+        pointRadius: 0,
+        pointHoverRadius: 5,
+        yAxisID: 'y1',
+      }
+    ]
+  }
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false as const,
+    interaction: {
+      intersect: false,
+      mode: 'index' as const,
+    },
+    plugins: {
+      legend: {
+        display: true,
+        position: 'top' as const,
+        labels: {
+          color: '#94A3B8',
+          usePointStyle: true,
+          pointStyle: 'line',
+        }
+      },
+      tooltip: {
+        backgroundColor: 'rgba(15, 23, 42, 0.95)',
+        titleColor: '#F1F5F9',
+        bodyColor: '#F1F5F9',
+        borderColor: '#7C3AED',
+        borderWidth: 1,
+        cornerRadius: 8,
+        callbacks: {
+          title: (context: any) => {
+            const item = timeline[context[0].dataIndex]
+            return `${formatTime(item.timestamp)} • ${item.model}`
+          },
+          label: (context: any) => {
+            const item = timeline[context.dataIndex]
+            if (context.dataset.yAxisID === 'y') {
+              return [
+                `${context.dataset.label}: ${formatNumber(item.totalTokens)}`,
+                `In ${formatNumber(item.inputTokens)} • Out ${formatNumber(item.outputTokens)} • Cache ${formatNumber(item.cacheReadTokens)}`,
+                `+${formatCurrency(item.cost, currency)}`
+              ]
+            }
+            return `${context.dataset.label}: ${formatCurrency(item.cumulativeCost, currency)}`
+          }
+        }
+      }
+    },
+    scales: {
+      x: {
+        grid: {
+          color: 'rgba(255, 255, 255, 0.1)',
+        },
+        ticks: {
+          color: '#94A3B8',
+          maxRotation: 0,
+          autoSkip: true,
+          maxTicksLimit: 12,
+        },
+        border: {
+          display: false
+        }
+      },
+      y: {
+        type: 'linear' as const,
+        position: 'left' as const,
+        beginAtZero: true,
+        grid: {
+          color: 'rgba(124, 58, 237, 0.1)',
+        },
+        ticks: {
+          color: '#7C3AED',
+          callback: (value: any) => formatNumber(value)
+        },
+        border: {
+          display: false
+        }
+      },
+      y1: {
+        type: 'linear' as const,
+        position: 'right' as const,
+        beginAtZero: true,
+        grid: {
+          drawOnChartArea: false,
+        },
+        ticks: {
+          color: '#F59E0B',
+          callback: (value: any) => formatCurrency(value, currency)
+        },
+        border: {
+          display: false
+        }
+      }
+    }
+  }
+
+  return (
+    <div className="h-72">
+      <Line data={chartData} options={options} />
+    </div>
+  )
+}
@@ -0,0 +1,138 @@
+import {
+  Chart as ChartJS,
+  LinearScale,
+  PointElement,
+  Tooltip
+} from 'chart.js'
+import { Scatter } from 'react-chartjs-2'
+import { formatCurrency, formatNumber } from '@/lib/utils'
+
+ChartJS.register(
+  LinearScale,
+  PointElement,
+  Tooltip
+)
+
+interface UsageHeatmapChartProps {
+  heatmap: UsageHeatmap
+  metric: HeatmapMetric
+  currency: string
+  weekdayLabels: string[] // Monday first, like heatmap.weekdays
+  labels: { cost: string; tokens: string; entries: string }
+}
+
+const formatHour = (hour: number) => `${String(hour).padStart(2, '0')}:00`
+
+// Weekday x hour matrix: a scatter chart of square points filling the cells, shaded by the metric
+export function UsageHeatmapChart({ heatmap, metric, currency, weekdayLabels, labels }: UsageHeatmapChartProps) {
+  const points = heatmap.cells.flatMap((hours, weekday) =>
+    hours.map((cell, hour) => ({ x: hour, y: weekday, cell }))
+  )
+  const max = heatmap.max[metric]
+
+  const chartData = {
+    datasets: [
+      {
+        data: points,
+        pointStyle: 'rect' as const,
+        // Square cells sized to the chart area (24 columns x 7 rows)
+        pointRadius: (context: any) => {
+          const area = context.chart.chartArea
+          if (!area) return 6
+          return Math.max(2, Math.min(area.width / 24, area.height / 7) / 2 - 1)
+        },
+        pointHoverRadius: (context: any) => {
+          const area = context.chart.chartArea
+          if (!area) return 7
+          return Math.max(3, Math.min(area.width / 24, area.height / 7) / 2)
+        },
+        backgroundColor: (context: any) => {
+          const value = context.raw?.cell?.[metric] || 0
+          // Empty cells stay faintly visible so the grid keeps its shape
+          const alpha = max > 0 && value > 0 ? 0.2 + 0.8 * (value / max) : 0.05
+          return `rgba(124, 58, 237, ${alpha.toFixed(3)})` // Dragon primary purple
+        },
+        borderWidth: 0,
+        hoverBorderWidth: 1,
+        hoverBorderColor: '#F59E0B', // Dragon gold
+      }
+    ]
+  }
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false as const,
+    plugins: {
+      legend: {
+        display: false
+      },
+      tooltip: {
+        backgroundColor: 'rgba(15, 23, 42, 0.95)',
+        titleColor: '#F1F5F9',
+        bodyColor: '#F1F5F9',
+        borderColor: '#7C3AED',
+        borderWidth: 1,
+        cornerRadius: 8,
+        displayColors: false,
+        callbacks: {
+          title: (context: any) => {
+            const { x, y } = context[0].raw
+            return `${weekdayLabels[y]} ${formatHour(x)}–${formatHour((x + 1) % 24)}`
+          },
+          label: (context: any) => {
+            const cell: HeatmapCell = context.raw.cell
+            return [
+              `${labels.cost}: ${formatCurrency(cell.cost, currency)}`,
+              `${labels.tokens}: ${formatNumber(cell.tokens)}`,
+              `${labels.entries}: ${formatNumber(cell.entries)}`
+            ]
+          }
+        }
+      }
+    },
+    scales: {
+      x: {
+        type: 'linear' as const,
+        min: -0.5,
+        max: 23.5,
+        grid: {
+          display: false,
+        },
+        ticks: {
+          color: '#94A3B8',
+          stepSize: 1,
+          autoSkip: false,
+          callback: (value: any) => Number.isInteger(value) && value % 3 === 0 ? formatHour(value) : ''
+        },
+        border: {
+          display: false
+        }
+      },
+      y: {
+        type: 'linear' as const,
+        min: -0.5,
+        max: 6.5,
+        reverse: true, // Monday on top
+        grid: {
+          display: false,
+        },
+        ticks: {
+          color: '#94A3B8',
+          stepSize: 1,
+          autoSkip: false,
+          callback: (value: any) => Number.isInteger(value) ? weekdayLabels[value] || '' : ''
+        },
+        border: {
+          display: false
+        }
+      }
+    }
+  }
+
+  return (
+    <div className="h-64">
+      <Scatter data={chartData} options={options} />
+    </div>
+  )
+}
@@ -0,0 +1,117 @@
+import { Button } from '@/components/ui/button'
+import { DragonBadge } from '@/components/ui/badge'
+import { useTranslation } from '@/i18n'
+import { useAppStore, UsageFilterPreset, getMachineLabel } from '@/lib/store'
+import { formatDate } from '@/lib/utils'
+import { Filter, X } from 'lucide-react'
+
+const PRESETS: UsageFilterPreset[] = ['all', 'today', '7d', '30d', '90d', 'thisMonth', 'lastMonth', 'thisYear', 'custom']
+
+const selectClassName = 'bg-background border border-border rounded px-3 py-2 text-sm max-w-[220px]'
+const inputClassName = 'px-3 py-2 bg-background border border-border rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-dragon-primary'
+
+// Global date range / project / model / machine slice for Overview, Projects, Sessions, Monthly and Daily
+export function GlobalFilterBar() {
+  const { t } = useTranslation()
+  const { filter, setFilter, resetFilter, coreData, settings } = useAppStore()
+  const options = coreData.filterOptions || { projects: [], models: [], machines: [] }
+  const activeFilter = coreData.activeFilter
+  const isFiltered = filter.preset !== 'all' || !!(filter.project || filter.model || filter.machine)
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      <Filter className="h-4 w-4 text-muted-foreground" />
+
+      <select
+        className={selectClassName}
+        value={filter.preset}
+        onChange={(e) => setFilter({ preset: e.target.value as UsageFilterPreset })}
+        title={t('app.filter.dateRange')}
+      >
+        {PRESETS.map(preset => (
+          <option key={preset} value={preset}>{t(`app.filter.presets.${preset}`)}</option>
+        ))}
+      </select>
+
+      {filter.preset === 'custom' && (
+        <>
+          <label className="flex items-center space-x-2 text-muted-foreground">
+            <span>{t('app.table.from')}</span>
+            <input
+              type="date"
+              value={filter.from || ''}
+              max={filter.to || undefined}
+              onChange={(e) => setFilter({ from: e.target.value || null })}
+              className={inputClassName}
+            />
+          </label>
+          <label className="flex items-center space-x-2 text-muted-foreground">
+            <span>{t('app.table.to')}</span>
+            <input
+              type="date"
+              value={filter.to || ''}
+              min={filter.from || undefined}
+              onChange={(e) => setFilter({ to: e.target.value || null })}
+              className={inputClassName}
+            />
+          </label>
+        </>
+      )}
+
+      <select
+        className={selectClassName}
+        value={filter.project || ''}
+        onChange={(e) => setFilter({ project: e.target.value || null })}
+        title={t('app.filter.project')}
+      >
+        <option value="">{t('app.filter.allProjects')}</option>
+        {options.projects.map(project => (
+          <option key={project} value={project}>{project}</option>
+        ))}
+      </select>
+
+      <select
+        className={selectClassName}
+        value={filter.model || ''}
+        onChange={(e) => setFilter({ model: e.target.value || null })}
+        title={t('app.filter.model')}
+      >
+        <option value="">{t('app.filter.allModels')}</option>
+        {options.models.map(model => (
+          <option key={model} value={model}>{model}</option>
+        ))}
+      </select>
+
+      {/* Only useful once SSH hosts add a second machine */}
+      {(options.machines.length > 1 || filter.machine) && (
+        <select
+          className={selectClassName}
+          value={filter.machine || ''}
+          onChange={(e) => setFilter({ machine: e.target.value || null })}
+          title={t('app.filter.machine')}
+        >
+          <option value="">{t('app.filter.allMachines')}</option>
+          {options.machines.map(machine => (
+            <option key={machine} value={machine}>
+              {machine === 'local' ? t('pages.overview.machines.local') : getMachineLabel(machine, settings.sshConfig)}
+            </option>
+          ))}
+        </select>
+      )}
+
+      {isFiltered && (
+        <>
+          {activeFilter && (activeFilter.from || activeFilter.to) && (
+            <DragonBadge variant="scale">
+              {activeFilter.from ? formatDate(activeFilter.from, 'UTC') : '…'} – {activeFilter.to ? formatDate(activeFilter.to, 'UTC') : '…'}
+            </DragonBadge>
+          )}
+          <Button variant="ghost" size="sm" onClick={() => resetFilter()}>
+            <X className="h-4 w-4 mr-1" />
+            {t('app.filter.reset')}
+          </Button>
+        </>
+      )}
+    </div>
+  )
+}
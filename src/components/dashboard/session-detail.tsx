@@ -0,0 +1,308 @@
+import { useState, useEffect } from 'react'
+import { DragonCard, CardHeader, CardTitle, CardContent } from '@/components/ui/card'
+import { DragonBadge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
+import { DragonLoading } from '@/components/ui/loading'
+import { SessionTimelineChart } from '@/components/charts/session-timeline-chart'
+import { useAppStore, getMachineLabel } from '@/lib/store'
+import { useTranslation } from '@/i18n'
+import { ArrowLeft, Zap, Clock, DollarSign, Database, Activity, Cpu, Pause, FolderOpen, MessageSquare } from 'lucide-react'
+import { formatCurrency, formatNumber, formatDateTime, formatTime } from '@/lib/utils'
+
+interface SessionDetailViewProps {
+  sessionKey: string
+  onBack: () => void
+}
+
+const formatMinutes = (minutes: number) => `${Math.floor(minutes / 60)}h ${minutes % 60}m`
+
+export function SessionDetailView({ sessionKey, onBack }: SessionDetailViewProps) {
+  const { lastRefresh, currency, settings } = useAppStore()
+  const { t } = useTranslation()
+  const [detail, setDetail] = useState<SessionDetail | null>(null)
+  const [error, setError] = useState<string | null>(null)
+  const [isLoading, setIsLoading] = useState(true)
+
+  // Reload with the data (new messages of a running session, currency changes)
+  useEffect(() => {
+    let cancelled = false
+    window.electronAPI.getSessionDetail(sessionKey)
+      .then((result: { success: boolean; data?: SessionDetail; error?: string }) => {
+        if (cancelled) return
+        setDetail(result.success ? result.data || null : null)
+        setError(result.success ? null : result.error || null)
+      })
+      .catch((err: unknown) => {
+        if (!cancelled) setError(err instanceof Error ? err.message : String(err))
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false)
+      })
+    return () => { cancelled = true }
+  }, [sessionKey, lastRefresh, currency])
+
+  const backButton = (
+    <Button variant="outline" size="sm" onClick={onBack}>
+      <ArrowLeft className="h-4 w-4 mr-2" />
+      {t('pages.sessions.detail.back')}
+    </Button>
+  )
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center min-h-[400px]">
+        <DragonLoading size="lg" text={t('pages.sessions.detail.loading')} />
+      </div>
+    )
+  }
+
+  if (!detail) {
+    return (
+      <div className="space-y-6">
+        {backButton}
+        <div className="text-center py-12">
+          <Zap className="h-12 w-12 mx-auto mb-4 text-muted-foreground opacity-50" />
+          <p className="text-muted-foreground">{t('pages.sessions.detail.notFound')}</p>
+          {error && <p className="text-xs text-muted-foreground mt-2">{error}</p>}
+        </div>
+      </div>
+    )
+  }
+
+  const tokenBreakdown = [
+    [t('pages.sessions.detail.columns.input'), detail.tokens.inputTokens],
+    [t('pages.sessions.detail.columns.output'), detail.tokens.outputTokens],
+    [t('pages.sessions.detail.columns.cacheWrite'), detail.tokens.cacheCreationTokens],
+    [t('pages.sessions.detail.columns.cacheRead'), detail.tokens.cacheReadTokens]
+  ] as const
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-4">
+          {backButton}
+          <div>
+            <h2 className="text-3xl font-bold tracking-tight">
+              {t('pages.sessions.history.session')} {detail.sessionKey}
+            </h2>
+            <p className="text-muted-foreground">
+              {formatDateTime(detail.startTime)} – {formatDateTime(detail.endTime)} ({detail.currency})
+            </p>
+          </div>
+        </div>
+        <div className="flex items-center space-x-2">
+          {detail.project && <DragonBadge variant="outline">{detail.project}</DragonBadge>}
+          {detail.source !== 'local' && <DragonBadge variant="scale">{getMachineLabel(detail.source, settings.sshConfig)}</DragonBadge>}
+        </div>
+      </div>
+
+      {/* Summary Stats */}
+      <div className="grid gap-4 md:grid-cols-4">
+        <DragonCard variant="flame" className="dragon-flame-border">
+          <CardContent className="p-6">
+            <div className="flex items-center space-x-2">
+              <DollarSign className="h-5 w-5 text-white" />
+              <div>
+                <p className="text-sm text-white/80">{t('pages.sessions.detail.cost')}</p>
+                <p className="text-2xl font-bold text-white">{formatCurrency(detail.totalCost, detail.currency)}</p>
+              </div>
+            </div>
+          </CardContent>
+        </DragonCard>
+
+        <DragonCard variant="gradient" className="dragon-flame-border">
+          <CardContent className="p-6">
+            <div className="flex items-center space-x-2">
+              <Zap className="h-5 w-5 text-dragon-primary" />
+              <div>
+                <p className="text-sm text-muted-foreground">{t('pages.sessions.detail.tokens')}</p>
+                <p className="text-2xl font-bold">{formatNumber(detail.totalTokens)}</p>
+                <p className="text-xs text-muted-foreground">
+                  {detail.entryCount} {t('pages.sessions.detail.messages')}
+                </p>
+              </div>
+            </div>
+          </CardContent>
+        </DragonCard>
+
+        <DragonCard variant="scales" className="dragon-flame-border">
+          <CardContent className="p-6">
+            <div className="flex items-center space-x-2">
+              <Clock className="h-5 w-5 text-dragon-accent" />
+              <div>
+                <p className="text-sm text-muted-foreground">{t('pages.sessions.detail.duration')}</p>
+                <p className="text-2xl font-bold">{formatMinutes(detail.durationMinutes)}</p>
+                <p className="text-xs text-muted-foreground">
+                  {formatMinutes(detail.activeMinutes)} {t('pages.sessions.detail.activeTime')}
+                </p>
+              </div>
+            </div>
+          </CardContent>
+        </DragonCard>
+
+        <DragonCard variant="gradient" className="dragon-flame-border">
+          <CardContent className="p-6">
+            <div className="flex items-center space-x-2">
+              <Database className="h-5 w-5 text-dragon-primary" />
+              <div>
+                <p className="text-sm text-muted-foreground">{t('pages.sessions.detail.cacheHitRatio')}</p>
+                <p className="text-2xl font-bold">{(detail.cacheHitRatio * 100).toFixed(1)}%</p>
+                <p className="text-xs text-muted-foreground">{t('pages.sessions.detail.cacheHitDescription')}</p>
+              </div>
+            </div>
+          </CardContent>
+        </DragonCard>
+      </div>
+
+      {/* Timeline */}
+      <DragonCard variant="default">
+        <CardHeader>
+          <CardTitle className="flex items-center space-x-2">
+            <Activity className="h-5 w-5" />
+            <span>{t('pages.sessions.detail.timeline')}</span>
+          </CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <SessionTimelineChart
+            timeline={detail.timeline}
+            currency={detail.currency}
+            tokensLabel={t('pages.sessions.detail.tokensPerMessage')}
+            costLabel={t('pages.sessions.detail.cumulativeCost')}
+          />
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+            {tokenBreakdown.map(([label, value]) => (
+              <div key={label}>
+                <p className="text-muted-foreground mb-1">{label}</p>
+                <p className="font-semibold">{formatNumber(value)}</p>
+              </div>
+            ))}
+          </div>
+        </CardContent>
+      </DragonCard>
+
+      <div className="grid gap-4 md:grid-cols-2">
+        {/* Models & switches */}
+        <DragonCard variant="default">
+          <CardHeader>
+            <CardTitle className="flex items-center space-x-2">
+              <Cpu className="h-5 w-5" />
+              <span>{t('pages.sessions.detail.models')}</span>
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="space-y-2">
+              {detail.models.map(model => (
+                <div key={model.model} className="flex items-center justify-between text-sm">
+                  <span className="font-medium">{model.model}</span>
+                  <span className="text-muted-foreground">
+                    {model.entries} {t('pages.sessions.detail.messages')} • {formatNumber(model.tokens)} • {formatCurrency(model.cost, detail.currency)}
+                  </span>
+                </div>
+              ))}
+            </div>
+            <div className="pt-4 border-t border-border/50 space-y-2">
+              <h4 className="font-semibold text-sm">{t('pages.sessions.detail.modelSwitches')}</h4>
+              {detail.modelSwitches.length === 0 ? (
+                <p className="text-xs text-muted-foreground">{t('pages.sessions.detail.noModelSwitches')}</p>
+              ) : (
+                detail.modelSwitches.map(change => (
+                  <p key={change.timestamp} className="text-xs text-muted-foreground">
+                    {formatTime(change.timestamp)}: {change.from} → {change.to}
+                  </p>
+                ))
+              )}
+            </div>
+          </CardContent>
+        </DragonCard>
+
+        {/* Idle gaps & working directories */}
+        <DragonCard variant="default">
+          <CardHeader>
+            <CardTitle className="flex items-center space-x-2">
+              <Pause className="h-5 w-5" />
+              <span>{t('pages.sessions.detail.idleGaps')}</span>
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="space-y-2">
+              <p className="text-xs text-muted-foreground">
+                {t('pages.sessions.detail.idleGapsDescription')} ({detail.idleGapMinutes}m)
+              </p>
+              {detail.idleGaps.length === 0 ? (
+                <p className="text-sm text-muted-foreground">{t('pages.sessions.detail.noIdleGaps')}</p>
+              ) : (
+                detail.idleGaps.map(gap => (
+                  <div key={gap.start} className="flex items-center justify-between text-sm">
+                    <span>{formatTime(gap.start)} – {formatTime(gap.end)}</span>
+                    <span className="text-muted-foreground">{formatMinutes(gap.minutes)}</span>
+                  </div>
+                ))
+              )}
+            </div>
+            <div className="pt-4 border-t border-border/50 space-y-2">
+              <h4 className="font-semibold text-sm flex items-center space-x-2">
+                <FolderOpen className="h-4 w-4" />
+                <span>{t('pages.sessions.detail.workingDirectories')}</span>
+              </h4>
+              {detail.workingDirectories.length === 0 ? (
+                <p className="text-xs text-muted-foreground">{t('pages.sessions.detail.noWorkingDirectory')}</p>
+              ) : (
+                detail.workingDirectories.map(dir => (
+                  <div key={dir.cwd} className="flex items-center justify-between text-xs">
+                    <span className="font-mono break-all">{dir.cwd}</span>
+                    <span className="text-muted-foreground ml-4">{dir.entries}</span>
+                  </div>
+                ))
+              )}
+            </div>
+          </CardContent>
+        </DragonCard>
+      </div>
+
+      {/* Per-message list */}
+      <DragonCard variant="default">
+        <CardHeader>
+          <CardTitle className="flex items-center space-x-2">
+            <MessageSquare className="h-5 w-5" />
+            <span>{t('pages.sessions.detail.messageLog')}</span>
+          </CardTitle>
+        </CardHeader>
+        <CardContent>
+          <div className="max-h-96 overflow-y-auto">
+            <table className="w-full text-sm">
+              <thead className="sticky top-0 bg-background">
+                <tr className="text-left text-muted-foreground border-b border-border/50">
+                  <th className="py-2 pr-4">{t('pages.sessions.detail.columns.time')}</th>
+                  <th className="py-2 pr-4">{t('pages.sessions.detail.columns.model')}</th>
+                  <th className="py-2 pr-4 text-right">{t('pages.sessions.detail.columns.input')}</th>
+                  <th className="py-2 pr-4 text-right">{t('pages.sessions.detail.columns.output')}</th>
+                  <th className="py-2 pr-4 text-right">{t('pages.sessions.detail.columns.cacheWrite')}</th>
+                  <th className="py-2 pr-4 text-right">{t('pages.sessions.detail.columns.cacheRead')}</th>
+                  <th className="py-2 text-right">{t('pages.sessions.detail.columns.cost')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {detail.timeline.map((item, index) => (
+                  <tr
+                    key={`${item.timestamp}-${index}`}
+                    className={`border-b border-border/20 ${item.gapMinutes >= detail.idleGapMinutes ? 'border-t-2 border-t-dragon-accent/60' : ''}`}
+                    title={item.gapMinutes >= detail.idleGapMinutes ? `${t('pages.sessions.detail.idleGaps')}: ${formatMinutes(Math.round(item.gapMinutes))}` : undefined}
+                  >
+                    <td className="py-1 pr-4 whitespace-nowrap">{formatTime(item.timestamp)}</td>
+                    <td className="py-1 pr-4">{item.model}</td>
+                    <td className="py-1 pr-4 text-right">{formatNumber(item.inputTokens)}</td>
+                    <td className="py-1 pr-4 text-right">{formatNumber(item.outputTokens)}</td>
+                    <td className="py-1 pr-4 text-right">{formatNumber(item.cacheCreationTokens)}</td>
+                    <td className="py-1 pr-4 text-right">{formatNumber(item.cacheReadTokens)}</td>
+                    <td className="py-1 text-right text-dragon-accent">{formatCurrency(item.cost, detail.currency)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </CardContent>
+      </DragonCard>
+    </div>
+  )
+}
@@ -0,0 +1,149 @@
+import { Button } from '@/components/ui/button'
+import { useTranslation } from '@/i18n'
+import { Search, ArrowDown, ArrowUp, ChevronLeft, ChevronRight, X } from 'lucide-react'
+import { formatCurrency, formatNumber } from '@/lib/utils'
+
+const PAGE_SIZES = [10, 25, 50, 100]
+
+const inputClassName = 'px-3 py-2 bg-background border border-border rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-dragon-primary'
+
+interface TableToolbarProps {
+  query: TableQuery
+  onQueryChange: (patch: TableQuery) => void
+  search: string
+  onSearchChange: (search: string) => void
+  searchPlaceholder: string
+  sortOptions: Array<{ value: string; label: string }>
+}
+
+// Search, date range and sort controls of the paginated Sessions / Projects tables
+export function TableToolbar({ query, onQueryChange, search, onSearchChange, searchPlaceholder, sortOptions }: TableToolbarProps) {
+  const { t } = useTranslation()
+  const hasFilters = !!(search || query.from || query.to)
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <div className="relative flex-1 min-w-[220px]">
+        <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-muted-foreground" />
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => onSearchChange(e.target.value)}
+          placeholder={searchPlaceholder}
+          className={`${inputClassName} w-full pl-9`}
+        />
+      </div>
+
+      <label className="flex items-center space-x-2 text-sm text-muted-foreground">
+        <span>{t('app.table.from')}</span>
+        <input
+          type="date"
+          value={query.from || ''}
+          max={query.to || undefined}
+          onChange={(e) => onQueryChange({ from: e.target.value || null })}
+          className={inputClassName}
+        />
+      </label>
+
+      <label className="flex items-center space-x-2 text-sm text-muted-foreground">
+        <span>{t('app.table.to')}</span>
+        <input
+          type="date"
+          value={query.to || ''}
+          min={query.from || undefined}
+          onChange={(e) => onQueryChange({ to: e.target.value || null })}
+          className={inputClassName}
+        />
+      </label>
+
+      <select
+        className="bg-background border border-border rounded px-3 py-2 text-sm"
+        value={query.sortBy}
+        onChange={(e) => onQueryChange({ sortBy: e.target.value })}
+        title={t('app.table.sortBy')}
+      >
+        {sortOptions.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+
+      <Button
+        variant="outline"
+        size="icon"
+        onClick={() => onQueryChange({ sortDir: query.sortDir === 'asc' ? 'desc' : 'asc' })}
+        title={query.sortDir === 'asc' ? t('app.table.ascending') : t('app.table.descending')}
+      >
+        {query.sortDir === 'asc' ? <ArrowUp className="h-4 w-4" /> : <ArrowDown className="h-4 w-4" />}
+      </Button>
+
+      {hasFilters && (
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={() => {
+            onSearchChange('')
+            onQueryChange({ search: '', from: null, to: null })
+          }}
+        >
+          <X className="h-4 w-4 mr-1" />
+          {t('app.table.clearFilters')}
+        </Button>
+      )}
+    </div>
+  )
+}
+
+interface TablePaginationProps {
+  result: TablePage<unknown>
+  onQueryChange: (patch: TableQuery) => void
+}
+
+// Result summary, page size and previous / next controls
+export function TablePagination({ result, onQueryChange }: TablePaginationProps) {
+  const { t } = useTranslation()
+  const firstRow = result.total > 0 ? (result.page - 1) * result.pageSize + 1 : 0
+  const lastRow = Math.min(result.page * result.pageSize, result.total)
+
+  return (
+    <div className="flex flex-wrap items-center justify-between gap-2 text-sm text-muted-foreground">
+      <span>
+        {firstRow}–{lastRow} {t('app.table.of')} {formatNumber(result.total)} • {formatCurrency(result.totalCost, result.currency)} • {formatNumber(result.totalTokens)} {t('app.table.tokens')}
+      </span>
+
+      <div className="flex items-center space-x-2">
+        <span>{t('app.table.rowsPerPage')}</span>
+        <select
+          className="bg-background border border-border rounded px-2 py-1 text-sm"
+          value={result.pageSize}
+          onChange={(e) => onQueryChange({ pageSize: parseInt(e.target.value) })}
+        >
+          {PAGE_SIZES.map(size => (
+            <option key={size} value={size}>{size}</option>
+          ))}
+        </select>
+
+        <Button
+          variant="outline"
+          size="sm"
+          disabled={result.page <= 1}
+          onClick={() => onQueryChange({ page: result.page - 1 })}
+          title={t('app.table.previous')}
+        >
+          <ChevronLeft className="h-4 w-4" />
+        </Button>
+        <span>
+          {t('app.table.page')} {result.page} / {result.pageCount}
+        </span>
+        <Button
+          variant="outline"
+          size="sm"
+          disabled={result.page >= result.pageCount}
+          onClick={() => onQueryChange({ page: result.page + 1 })}
+          title={t('app.table.next')}
+        >
+          <ChevronRight className="h-4 w-4" />
+        </Button>
+      </div>
+    </div>
+  )
+}
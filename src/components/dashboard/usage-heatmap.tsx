@@ -0,0 +1,102 @@
+import { useState, useEffect } from 'react'
+import { DragonCard, CardHeader, CardTitle, CardContent } from '@/components/ui/card'
+import { DragonBadge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
+import { DragonLoading } from '@/components/ui/loading'
+import { UsageHeatmapChart } from '@/components/charts/usage-heatmap-chart'
+import { useAppStore } from '@/lib/store'
+import { useTranslation } from '@/i18n'
+import { Grid3x3 } from 'lucide-react'
+
+const METRICS: HeatmapMetric[] = ['cost', 'tokens', 'entries']
+const WEEKDAY_KEYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun']
+
+// When we work: weekday x hour of the global filter slice in the configured time zone
+export function UsageHeatmapCard() {
+  const { lastRefresh, currency, settings } = useAppStore()
+  const { t } = useTranslation()
+  const [heatmap, setHeatmap] = useState<UsageHeatmap | null>(null)
+  const [error, setError] = useState<string | null>(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const [metric, setMetric] = useState<HeatmapMetric>('cost')
+
+  // Reload with the data (new usage, filter, currency or time zone changes)
+  useEffect(() => {
+    let cancelled = false
+    window.electronAPI.getUsageHeatmap({ timezone: settings.timezone })
+      .then((result: { success: boolean; data?: UsageHeatmap; error?: string }) => {
+        if (cancelled) return
+        setHeatmap(result.success ? result.data || null : null)
+        setError(result.success ? null : result.error || null)
+      })
+      .catch((err: unknown) => {
+        if (!cancelled) setError(err instanceof Error ? err.message : String(err))
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false)
+      })
+    return () => { cancelled = true }
+  }, [lastRefresh, currency, settings.timezone])
+
+  const weekdayLabels = WEEKDAY_KEYS.map(key => t(`pages.dailyUsage.heatmap.weekdays.${key}`))
+  const metricLabels = {
+    cost: t('pages.dailyUsage.heatmap.metrics.cost'),
+    tokens: t('pages.dailyUsage.heatmap.metrics.tokens'),
+    entries: t('pages.dailyUsage.heatmap.metrics.entries')
+  }
+
+  return (
+    <DragonCard variant="default">
+      <CardHeader>
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <CardTitle className="flex items-center space-x-2">
+            <Grid3x3 className="h-5 w-5" />
+            <span>{t('pages.dailyUsage.heatmap.title')}</span>
+          </CardTitle>
+          <div className="flex items-center space-x-2">
+            {METRICS.map(option => (
+              <Button
+                key={option}
+                variant={metric === option ? 'default' : 'outline'}
+                size="sm"
+                onClick={() => setMetric(option)}
+              >
+                {metricLabels[option]}
+              </Button>
+            ))}
+          </div>
+        </div>
+        {heatmap && (
+          <div className="flex flex-wrap items-center gap-2 text-xs text-muted-foreground">
+            <span>{t('pages.dailyUsage.heatmap.timezone')}: {heatmap.timezone}</span>
+            {heatmap.peak && (
+              <DragonBadge variant="scale">
+                {t('pages.dailyUsage.heatmap.peak')}: {weekdayLabels[heatmap.peak.weekday]} {String(heatmap.peak.hour).padStart(2, '0')}:00
+              </DragonBadge>
+            )}
+          </div>
+        )}
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <div className="flex items-center justify-center h-64">
+            <DragonLoading size="md" text={t('pages.dailyUsage.heatmap.loading')} />
+          </div>
+        ) : !heatmap || heatmap.totals.entries === 0 ? (
+          <div className="text-center py-12">
+            <p className="text-muted-foreground">{t('pages.dailyUsage.heatmap.noData')}</p>
+            {error && <p className="text-xs text-muted-foreground mt-2">{error}</p>}
+          </div>
+        ) : (
+          <UsageHeatmapChart
+            heatmap={heatmap}
+            metric={metric}
+            currency={heatmap.currency || currency}
+            weekdayLabels={weekdayLabels}
+            labels={metricLabels}
+          />
+        )}
+      </CardContent>
+    </DragonCard>
+  )
+}
@@ -1,3 +1,4 @@
+import { useCallback, useEffect, useState } from 'react';
 import { formatTime, formatDateTime, formatDate } from './utils';
 
 // Simplified hooks - no more settings needed, store.ts handles everything
@@ -15,4 +16,48 @@ export function useTimeFormatting() {
     timeFormat: '24h',
     timezone: 'auto'
   };
-}
\ No newline at end of file
+}
+// Server-side paginated table (Sessions / Projects): re-queries SQLite whenever
+// the options change or the store refreshes, debouncing search typing
+export function useTableQuery<Row>(
+  fetchPage: (query: TableQuery) => Promise<{ success: boolean; data?: TablePage<Row>; error?: string }>,
+  initialQuery: TableQuery,
+  refreshKey: unknown
+) {
+  const [query, setQueryState] = useState<TableQuery>(initialQuery);
+  const [search, setSearch] = useState(initialQuery.search || '');
+  const [result, setResult] = useState<TablePage<Row> | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  // Any filter or sort change starts again at page 1
+  const setQuery = useCallback((patch: TableQuery) => {
+    setQueryState(current => ({ ...current, page: 1, ...patch }));
+  }, []);
+
+  useEffect(() => {
+    if (search === (query.search || '')) return;
+    const timer = setTimeout(() => setQuery({ search }), 300);
+    return () => clearTimeout(timer);
+  }, [search, query.search, setQuery]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+    fetchPage(query)
+      .then(response => {
+        if (cancelled) return;
+        setResult(response.success ? response.data || null : null);
+        setError(response.success ? null : response.error || null);
+      })
+      .catch((err: unknown) => {
+        if (!cancelled) setError(err instanceof Error ? err.message : String(err));
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+    return () => { cancelled = true; };
+  }, [fetchPage, query, refreshKey]);
+
+  return { query, setQuery, search, setSearch, result, isLoading, error };
+}
@@ -17,6 +17,252 @@ declare global {
 }
 
 // Define types for our data structures
+
+// 5-hour billing block as produced by services/block-calculator.cjs
+export interface UsageBlock {
+  id: string
+  startTime: string
+  endTime: string
+  actualEndTime: string | null
+  state: 'active' | 'expired' | 'gap'
+  isActive: boolean
+  isGap: boolean
+  entryCount: number
+  totalCost: number
+  totalTokens: number
+  tokenCounts: {
+    inputTokens: number
+    outputTokens: number
+    cacheCreationInputTokens: number
+    cacheReadInputTokens: number
+  }
+  models: string[]
+  sessionIds: string[]
+  lastSessionId: string | null
+  durationMinutes: number
+  elapsedMinutes: number
+  remainingMinutes: number
+}
+
+// Burn rate + limit projection for the active block (see block-calculator.cjs)
+export interface BlockProjection {
+  tokensPerMinute: number
+  costPerMinute: number
+  costPerHour: number
+  projectedTokens: number
+  projectedCost: number
+  tokenLimit: number
+  tokenLimitSource: 'custom' | 'auto'
+  costLimit: number
+  tokenUsagePercent: number
+  costUsagePercent: number
+  projectedTokenPercent: number
+  minutesUntilTokenLimit: number | null
+  minutesUntilCostLimit: number | null
+  minutesUntilLimit: number | null
+  limitReachedAt: string | null
+  warningLevel: 'ok' | 'warning' | 'exceeded'
+}
+
+// Subscription plans (see services/plan-profiles.cjs)
+export type PlanId = 'pro' | 'max5' | 'max20' | 'api'
+
+// Token/cost ceilings per 5-hour block of one plan
+export interface BlockLimits {
+  tokenLimit: number // 0 = auto from largest previous block
+  costLimit: number // In display currency, 0 = off
+}
+
+export const getPlanBlockLimits = (blockLimits: Partial<Record<PlanId, BlockLimits>> | undefined, plan: PlanId): BlockLimits => ({
+  tokenLimit: blockLimits?.[plan]?.tokenLimit || 0,
+  costLimit: blockLimits?.[plan]?.costLimit || 0
+})
+
+// One block ceiling for all plans, persisted by earlier versions
+interface LegacyBlockLimits {
+  blockTokenLimit?: number
+  blockCostLimit?: number
+}
+
+const migrateLegacyBlockLimits = (settings: AppState['settings'] & LegacyBlockLimits): AppState['settings'] => {
+  const { blockTokenLimit, blockCostLimit, ...rest } = settings
+  if (blockTokenLimit === undefined && blockCostLimit === undefined) return settings
+
+  const plan = rest.plan || 'max5'
+  return {
+    ...rest,
+    blockLimits: {
+      [plan]: { tokenLimit: blockTokenLimit || 0, costLimit: blockCostLimit || 0 },
+      ...rest.blockLimits
+    }
+  }
+}
+
+// API value extracted vs subscription price for one billing period
+export interface PlanRoiPeriod {
+  period: string
+  label: string
+  start: string | null
+  end: string | null
+  apiValue: number
+  subscriptionPrice: number
+  valueRatio: number | null
+  netValue: number
+  isCurrent: boolean
+}
+
+export interface PlanRoi {
+  plan: PlanId
+  planName: string
+  isSubscription: boolean
+  subscriptionPrice: number
+  periods: PlanRoiPeriod[]
+  currentPeriod: PlanRoiPeriod | null
+  totalApiValue: number
+  totalSubscriptionCost: number
+  totalNetValue: number
+  valueRatio: number | null
+}
+
+// Spending budgets (see services/budget-service.cjs)
+export type BudgetPeriod = 'daily' | 'weekly' | 'billing'
+
+export interface BudgetDefinition {
+  id: string
+  scope: 'global' | 'project'
+  project: string | null
+  period: BudgetPeriod
+  amount: number // Display currency
+  enabled: boolean
+}
+
+// Global slice of the usage data all pages are calculated for (see services/usage-filter.cjs)
+export type UsageFilterPreset = 'all' | 'today' | '7d' | '30d' | '90d' | 'thisMonth' | 'lastMonth' | 'thisYear' | 'custom'
+
+export interface UsageFilter {
+  preset: UsageFilterPreset
+  from: string | null // YYYY-MM-DD, custom preset only
+  to: string | null
+  project: string | null
+  model: string | null
+  machine: string | null // 'local' or SSH host id
+}
+
+export interface UsageFilterOptions {
+  projects: string[]
+  models: string[]
+  machines: string[]
+}
+
+export const DEFAULT_USAGE_FILTER: UsageFilter = {
+  preset: 'all',
+  from: null,
+  to: null,
+  project: null,
+  model: null,
+  machine: null
+}
+
+export interface MachineUsage {
+  machine: string // 'local' or SSH host id (see getMachineLabel)
+  totalCost: number
+  totalTokens: number
+  sessions: number
+  projects: number
+  entries: number
+  lastActivity: string | null
+}
+
+// Remote machine ingested over SSH; its usage entries are tagged with the id
+export interface SshHostConfig {
+  id: string
+  label: string
+  host: string
+  port: number
+  username: string
+  privateKeyPath: string
+  useKeyAuth: boolean
+  remotePaths: string[] // Empty: standard Claude project folders
+  enabled: boolean
+  // Password and key passphrase live in the main process credential store
+  hasPassword: boolean
+  hasPassphrase: boolean
+}
+
+// Plain-text secrets persisted by earlier versions (moved to the credential store on startup)
+interface LegacySshSecrets {
+  password?: string
+  passphrase?: string
+}
+
+export const createSshHost = (): SshHostConfig => ({
+  id: `host-${Date.now()}`,
+  label: '',
+  host: '',
+  port: 22,
+  username: '',
+  privateKeyPath: '',
+  useKeyAuth: false,
+  remotePaths: [],
+  enabled: true,
+  hasPassword: false,
+  hasPassphrase: false
+})
+
+// Settings saved before multi-host support keep one host in the top-level fields
+export const getSshHosts = (sshConfig: AppState['settings']['sshConfig'] | undefined): SshHostConfig[] => {
+  if (!sshConfig) return []
+  if (Array.isArray(sshConfig.hosts)) return sshConfig.hosts
+  if (!sshConfig.host) return []
+  return [{
+    ...createSshHost(),
+    id: 'default',
+    label: sshConfig.host,
+    host: sshConfig.host,
+    port: sshConfig.port || 22,
+    username: sshConfig.username,
+    privateKeyPath: sshConfig.privateKeyPath,
+    useKeyAuth: sshConfig.useKeyAuth
+  }]
+}
+
+// Machine name to show for a usage source: the current label of the SSH host with that id
+// ('local' and hosts removed from the settings are returned unchanged)
+export const getMachineLabel = (machine: string, sshConfig: AppState['settings']['sshConfig'] | undefined): string => {
+  const host = getSshHosts(sshConfig).find(host => host.id === machine)
+  return host ? host.label || host.host : machine
+}
+
+export interface BudgetStatus {
+  budgetId: string
+  scope: 'global' | 'project'
+  project: string | null
+  period: BudgetPeriod
+  periodKey: string
+  amount: number
+  spent: number
+  percent: number
+  threshold: number // Highest crossed threshold (0, 50, 80 or 100)
+  enabled: boolean
+}
+
+export interface BudgetAlert extends BudgetStatus {
+  id: string
+  firedAt: string
+  currency: string
+}
+
+// Row-level usage entry export (see services/entry-export.cjs)
+export interface EntryExportOptions {
+  format: 'csv' | 'tsv'
+  filters: {
+    from?: string // YYYY-MM-DD, inclusive
+    to?: string // YYYY-MM-DD, inclusive
+    projects?: string[]
+    models?: string[]
+  }
+}
+
 interface CoreData {
   // Basic Financial
   totalCost: number
@@ -78,10 +324,11 @@ interface CoreData {
   modelsCount: number
   modelsList: string[]
   sessionId: string | null
-  block: string | null
-  blocks: any[]
+  block: UsageBlock | null
+  blocks: UsageBlock[]
   blocksCount: number
   totalBlocks: number
+  blockProjection: BlockProjection | null
   
   // Project Specific
   projectName: string | null
@@ -127,6 +374,8 @@ interface CoreData {
   sessionsData: any[]
   projectsData: any[]
   monthlyData: any[]
+  planRoi: PlanRoi | null
+  budgetStatus: BudgetStatus[]
   dailyData: any[]
   dailyFinancialData: any[]
   currentTokens: number
@@ -157,6 +406,13 @@ interface CoreData {
   modelBreakdown: any[]
   modelStats: any
   modelEfficiency: any[]
+  
+  // Usage per source machine ('local' or SSH host id)
+  machineBreakdown: MachineUsage[]
+  
+  // Filter the values above were calculated for (presets resolved to dates)
+  activeFilter: UsageFilter | null
+  filterOptions: UsageFilterOptions
 }
 
 interface AppState {
@@ -193,6 +449,11 @@ interface AppState {
   // Core data - ALL 75+ values stored in RAM here!
   coreData: CoreData
   
+  // Global filter bar - applied by CoreDataService to every page except Active
+  filter: UsageFilter
+  setFilter: (filter: Partial<UsageFilter>) => Promise<void>
+  resetFilter: () => Promise<void>
+  
   // Currency state - from currency-service
   currency: string
   exchangeRates: Record<string, CurrencyRate>
@@ -222,6 +483,9 @@ interface AppState {
     devToolsEnabled: boolean // Enable/disable dev tools
     autoUpdateNotifications: boolean // Enable/disable update popups
     billingCycleDay: number
+    plan: PlanId // Subscription plan for the value vs price comparison
+    blockLimits: Partial<Record<PlanId, BlockLimits>> // Ceilings per 5-hour block for each plan
+    budgets: BudgetDefinition[]
     claudePaths: {
       standardPaths: string[]
       customPaths: string[]
@@ -232,11 +496,16 @@ interface AppState {
       host: string
       port: number
       username: string
-      password: string
       privateKeyPath: string
       useKeyAuth: boolean
       connectionTimeout: number
       keepAliveInterval: number
+      hosts?: SshHostConfig[]
+    }
+    // Opt-in localhost REST API (services/api-server.cjs)
+    apiServer?: {
+      enabled: boolean
+      port: number
     }
   }
   updateSettings: (settings: Partial<AppState['settings']>) => void    // Error handling
@@ -244,6 +513,9 @@ interface AppState {
     lastRefresh: number
     lastCurrencyRefresh: number
     
+    // Budget alerts pushed by main.cjs (shown as banner until dismissed)
+    budgetAlerts: BudgetAlert[]
+    
     // Initialization guards
     isInitializing: boolean
     isInitialized: boolean
@@ -254,16 +526,24 @@ interface AppState {
   refreshCurrency: () => Promise<void>
   refreshDatabase: () => Promise<void>
   cleanupDatabase: () => Promise<void>
+  recalculateHistoricCosts: () => Promise<{ checked: number; updated: number }>
   changeCurrency: (newCurrency: string) => Promise<void>
   changeLanguage: (newLanguage: LanguageCode) => Promise<void>
   exportData: (dataType: string, format?: string, options?: any) => Promise<string>
+  exportEntries: (options: EntryExportOptions) => Promise<{ filePath: string; rows: number } | null>
   checkForUpdates: () => Promise<void>
   performUpdate: () => Promise<void>
   
   // SSH helpers
   updateSshConfig: (config: Partial<AppState['settings']['sshConfig']>) => void
   getSshConfig: () => AppState['settings']['sshConfig']
-  testSshConnection: () => Promise<{ success: boolean; message: string }>
+  syncSshConfig: () => Promise<void>
+  testSshConnection: (hostId?: string) => Promise<{ success: boolean; message: string }>
+  setSshHostSecrets: (hostId: string, secrets: { password?: string; passphrase?: string }) => Promise<{ success: boolean; error?: string }>
+  migrateSshSecrets: () => Promise<void>
+  updateApiServer: (config: Partial<NonNullable<AppState['settings']['apiServer']>>) => Promise<{ success: boolean; data?: ApiServerStatus; error?: string }>
+  syncApiServer: () => Promise<{ success: boolean; data?: ApiServerStatus; error?: string }>
+  refreshSshSecretStatus: () => Promise<void>
   
   // Tab data getters (computed from coreData)
   getOverviewData: () => any
@@ -278,6 +558,10 @@ interface AppState {
   
   setError: (error: string | null) => void
   clearError: () => void
+  
+  // Budget alerts
+  addBudgetAlert: (alert: BudgetAlert) => void
+  dismissBudgetAlert: (id: string) => void
 }
 
 // Create the centralized store - ALL data lives here!
@@ -321,19 +605,42 @@ export const useAppStore = create<AppState>()(
       started: null, duration: 0, timeLeft: 0, timeAgo: null, lastActivity: null, dateTime: null, sessionTimeLeft: 0,
       activeSession: null, sessionActive: false, activeDays: 0, entries: 0,
       status: 'idle', sessionStatus: 'idle',
-      models: [], modelsCount: 0, modelsList: [], sessionId: null, block: null, blocks: [], blocksCount: 0, totalBlocks: 0,
+      models: [], modelsCount: 0, modelsList: [], sessionId: null, block: null, blocks: [], blocksCount: 0, totalBlocks: 0, blockProjection: null,
       projectName: null, project: null, topRanking: 0, percentageOfTotal: 0, mostActiveProject: null, mostRecentActivity: null,
       mostProductiveSession: null, longestSession: null, mostExpensiveSession: null, sessionNumber: 0, recentCount: 0, conversations: 0, efficiency: 0,
       daysTracked: 0, timeSpan: null, period: null,
       monthsTracked: 0, totalMonths: 0, currentMonth: null, currentMonthCost: 0, currentPeriod: 0,
       monthlyAverage: 0, averageMonthlySpend: 0, projectedMonthly: 0, quarterlyProjection: 0, yearlyProjection: 0, projectedYearlySpend: 0,
       currentRunRate: 0, highestSpendingMonth: null, mostActiveMonth: null, growthTrend: 0, monthlyGrowth: 0,
-      sessionsData: [], projectsData: [], monthlyData: [], dailyData: [], dailyFinancialData: [], currentTokens: 0,
+      sessionsData: [], projectsData: [], monthlyData: [], planRoi: null, budgetStatus: [], dailyData: [], dailyFinancialData: [], currentTokens: 0,
       todayData: null, yesterdayData: null, lastSessionData: null, avgDailyCost: 0,
       activityData: [], dailyBreakdown: [], last7DaysTotal: 0,
       liveMetrics: null, activityWindows: [], peakActivity: 0, averageActivity: 0,
       gaps: [], gapStatistics: null, productivityPatterns: null,
-      modelBreakdown: [], modelStats: null, modelEfficiency: []
+      modelBreakdown: [], modelStats: null, modelEfficiency: [], machineBreakdown: [],
+      activeFilter: null, filterOptions: { projects: [], models: [], machines: [] }
+    },
+    
+    // Global filter bar
+    filter: DEFAULT_USAGE_FILTER,
+    setFilter: async (filter: Partial<UsageFilter>) => {
+      const nextFilter = { ...DEFAULT_USAGE_FILTER, ...get().filter, ...filter }
+      // Only the custom preset keeps its own dates
+      if (nextFilter.preset !== 'custom') {
+        nextFilter.from = null
+        nextFilter.to = null
+      }
+      
+      if (JSON.stringify(nextFilter) === JSON.stringify(get().filter)) {
+        return
+      }
+      
+      console.log('[FILTER] Store: Filter changed, refreshing data...', nextFilter)
+      set({ filter: nextFilter })
+      await get().refreshCoreData().catch(console.error)
+    },
+    resetFilter: async () => {
+      await get().setFilter(DEFAULT_USAGE_FILTER)
     },
     
     // Currency state - from currency-service
@@ -365,6 +672,9 @@ export const useAppStore = create<AppState>()(
       devToolsEnabled: false, // Default disabled for production
       autoUpdateNotifications: true, // Default enabled for updates
       billingCycleDay: 1, // Default to 1st of each month
+      plan: 'max5', // Claude Max 5x subscription
+      blockLimits: {}, // Auto-detect token ceiling, no cost ceiling for every plan
+      budgets: [], // No spending budgets by default
       claudePaths: {
         standardPaths: [],
         customPaths: [],
@@ -375,17 +685,22 @@ export const useAppStore = create<AppState>()(
         host: '',
         port: 22,
         username: '',
-        password: '',
         privateKeyPath: '',
         useKeyAuth: false,
         connectionTimeout: 10000,
-        keepAliveInterval: 30000
+        keepAliveInterval: 30000,
+        hosts: []
+      },
+      apiServer: {
+        enabled: false,
+        port: 3737
       }
     },
     
     error: null,
     lastRefresh: 0,
     lastCurrencyRefresh: 0,
+    budgetAlerts: [],
     
     // Initialization guards
     isInitializing: false,
@@ -419,6 +734,16 @@ export const useAppStore = create<AppState>()(
         // Load currency data
         await get().refreshCurrency()
         
+        // Settings persisted by earlier versions hold one block limit for all plans:
+        // keep it for the plan it was set with
+        set(state => ({ settings: migrateLegacyBlockLimits(state.settings) }))
+        
+        // Hand the SSH settings to the main process before the first data load
+        await get().migrateSshSecrets()
+        await get().refreshSshSecretStatus()
+        await get().syncSshConfig()
+        await get().syncApiServer()
+        
         // Load core data from backend
         await get().refreshCoreData()
         
@@ -450,7 +775,11 @@ export const useAppStore = create<AppState>()(
         // Get all data from core-data service via IPC with billing cycle
         const currentState = get()
         const result = await window.electronAPI.invoke('claude-projects-core-data', {
-          billingCycleDay: currentState.settings.billingCycleDay || 1
+          billingCycleDay: currentState.settings.billingCycleDay || 1,
+          plan: currentState.settings.plan || 'max5',
+          budgets: currentState.settings.budgets || [],
+          blockLimits: currentState.settings.blockLimits || {},
+          filter: currentState.filter || DEFAULT_USAGE_FILTER
         })
         
         if (result.success) {
@@ -639,6 +968,56 @@ export const useAppStore = create<AppState>()(
         throw error
       }
     },
+
+    // Reprice all stored entries with the price effective at their timestamp
+    recalculateHistoricCosts: async () => {
+      try {
+        set({ 
+          isLoadingDatabase: true, 
+          databaseProgress: { 
+            step: 'Recalculating historic costs...', 
+            progress: 30, 
+            message: 'Applying dated price snapshots to every entry',
+            timeRemaining: 10000
+          } 
+        })
+        
+        const result = await window.electronAPI.recalculateHistoricCosts()
+        
+        if (!result.success) {
+          throw new Error(result.error || 'Cost recalculation failed')
+        }
+        
+        set({ 
+          databaseProgress: { 
+            step: 'Reloading data...', 
+            progress: 90, 
+            message: `Repriced ${result.updated || 0} of ${result.checked || 0} entries`,
+            timeRemaining: 2000
+          } 
+        })
+        
+        await get().refreshCoreData()
+        
+        set({ 
+          isLoadingDatabase: false,
+          databaseProgress: null
+        })
+        
+        console.log(`[OK] Store: Repriced ${result.updated || 0} of ${result.checked || 0} entries`)
+        return { checked: result.checked || 0, updated: result.updated || 0 }
+        
+      } catch (error) {
+        const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+        console.error('[ERR] Store: Cost recalculation failed:', errorMessage)
+        set({ 
+          isLoadingDatabase: false, 
+          databaseProgress: null,
+          error: errorMessage 
+        })
+        throw error
+      }
+    },
     
     // Calculate tab-specific views from core data
     calculateTabViews: () => {
@@ -664,6 +1043,10 @@ export const useAppStore = create<AppState>()(
         lastActivity: coreData.lastActivity,
         models: coreData.models,
         activeDays: coreData.activeDays,
+        machineBreakdown: (coreData.machineBreakdown || []).map((machine: MachineUsage) => ({
+          ...machine,
+          totalCost: convertCost(machine.totalCost || 0)
+        })),
         // Activity chart data
         activityData: (coreData.activityData || []).map((day: any) => ({
           ...day,
@@ -689,10 +1072,15 @@ export const useAppStore = create<AppState>()(
         projectsData: coreData.projectsData.map((p: any) => ({
           ...p,
           totalCost: convertCost(p.totalCost || 0),
-          avgCostPerSession: convertCost(p.avgCostPerSession || 0)
+          avgCostPerSession: convertCost(p.avgCostPerSession || 0),
+          machines: (p.machines || []).map((machine: any) => ({
+            ...machine,
+            totalCost: convertCost(machine.totalCost || 0)
+          }))
         })),
         totalProjects: coreData.totalProjects,
         mostActiveProject: coreData.mostActiveProject,
+        machineCount: (coreData.machineBreakdown || []).length,
         currency: currency
       }
       
@@ -733,6 +1121,7 @@ export const useAppStore = create<AppState>()(
         monthlyGrowth: coreData.monthlyGrowth || coreData.growthTrend || 0,
         growthTrend: coreData.growthTrend || 0,
         totalCost: convertCost(coreData.totalCost || 0), // Total cost across all months
+        planRoi: coreData.planRoi || null,
         currency: currency
       }
       
@@ -787,6 +1176,22 @@ export const useAppStore = create<AppState>()(
         lastActivity: coreData.lastActivity,
         started: coreData.started, // Session start time
         currentTokens: coreData.currentTokens || 0, // Current session tokens for burn rate calculation
+        // Current 5-hour billing block + recent history
+        block: coreData.block ? {
+          ...coreData.block,
+          totalCost: convertCost(coreData.block.totalCost || 0)
+        } : null,
+        recentBlocks: (coreData.blocks || []).filter((b: UsageBlock) => !b.isGap).slice(0, 5).map((b: UsageBlock) => ({
+          ...b,
+          totalCost: convertCost(b.totalCost || 0)
+        })),
+        blocksCount: coreData.blocksCount || 0,
+        // Burn rate + time until the block ceiling is hit
+        blockProjection: coreData.blockProjection ? {
+          ...coreData.blockProjection,
+          projectedCost: convertCost(coreData.blockProjection.projectedCost || 0),
+          costPerHour: convertCost(coreData.blockProjection.costPerHour || 0)
+        } : null,
         currency: currency
       }
       
@@ -881,6 +1286,29 @@ export const useAppStore = create<AppState>()(
       }
     },
     
+    exportEntries: async (options: EntryExportOptions) => {
+      console.log(`[EXPORT] Store: Exporting usage entries as ${options.format}...`)
+      
+      try {
+        const result = await window.electronAPI.invoke('claude-projects-export-entries', options)
+        
+        if (result.success) {
+          console.log(`[OK] Store: Entry export completed (${result.data.rows} rows)`)
+          return result.data
+        } else if (result.canceled) {
+          return null
+        } else {
+          throw new Error(result.error || 'Export failed')
+        }
+        
+      } catch (error) {
+        const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+        console.error('[ERR] Store: Entry export error:', errorMessage)
+        set({ error: errorMessage })
+        throw error
+      }
+    },
+    
     // Tab data getters - Tabs read from these instead of making IPC calls!
     getOverviewData: () => {
       const state = get()
@@ -920,8 +1348,24 @@ export const useAppStore = create<AppState>()(
       set({ error: null })
     },
     
+    addBudgetAlert: (alert: BudgetAlert) => {
+      set(state => ({
+        // A higher threshold of the same budget period replaces the older banner
+        budgetAlerts: [
+          ...state.budgetAlerts.filter(a => !(a.budgetId === alert.budgetId && a.periodKey === alert.periodKey)),
+          alert
+        ]
+      }))
+    },
+    
+    dismissBudgetAlert: (id: string) => {
+      set(state => ({ budgetAlerts: state.budgetAlerts.filter(a => a.id !== id) }))
+    },
+    
     // Settings management (for compatibility)
     updateSettings: (newSettings: Partial<AppState['settings']>) => {
+      const previousSettings = get().settings
+      
       set(state => ({
         settings: {
           ...state.settings,
@@ -935,11 +1379,29 @@ export const useAppStore = create<AppState>()(
       }
       
       // Update billing cycle if changed - trigger recalculation
-      if (newSettings.billingCycleDay && newSettings.billingCycleDay !== get().settings.billingCycleDay) {
+      if (newSettings.billingCycleDay && newSettings.billingCycleDay !== previousSettings.billingCycleDay) {
         console.log(`[BILLING] Store: Billing cycle changed to day ${newSettings.billingCycleDay}, refreshing data...`)
         get().refreshCoreData().catch(console.error)
       }
       
+      // Update subscription plan if changed - trigger ROI recalculation
+      if (newSettings.plan && newSettings.plan !== previousSettings.plan) {
+        console.log(`[PLAN] Store: Plan changed to ${newSettings.plan}, refreshing data...`)
+        get().refreshCoreData().catch(console.error)
+      }
+      
+      // Update budgets if changed - main process re-evaluates them
+      if (newSettings.budgets && JSON.stringify(newSettings.budgets) !== JSON.stringify(previousSettings.budgets || [])) {
+        console.log(`[BUDGET] Store: ${newSettings.budgets.length} budgets configured, refreshing data...`)
+        get().refreshCoreData().catch(console.error)
+      }
+      
+      // Update block limits if changed - trigger recalculation of the projection
+      if (newSettings.blockLimits && JSON.stringify(newSettings.blockLimits) !== JSON.stringify(previousSettings.blockLimits || {})) {
+        console.log('[BLOCKS] Store: Block limits changed, refreshing data...')
+        get().refreshCoreData().catch(console.error)
+      }
+      
       // Update language if changed
       if (newSettings.language && newSettings.language !== get().settings.language) {
         console.log('[STORE] Language change detected in updateSettings, calling changeLanguage:', newSettings.language)
@@ -958,16 +1420,31 @@ export const useAppStore = create<AppState>()(
           }
         }
       }))
+      get().syncSshConfig()
     },
     
     getSshConfig: () => {
       return get().settings.sshConfig
     },
     
-    testSshConnection: async () => {
+    // Remote ingestion in the main process only sees the config sent here
+    syncSshConfig: async () => {
+      try {
+        const sshConfig = get().settings.sshConfig
+        const result = await window.electronAPI.invoke('ssh-set-config', { ...sshConfig, hosts: getSshHosts(sshConfig) })
+        if (!result.success) {
+          console.error('[ERR] Store: Failed to apply SSH config:', result.error)
+        }
+      } catch (error) {
+        const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+        console.error('[ERR] Store: Failed to apply SSH config:', errorMessage)
+      }
+    },
+    
+    testSshConnection: async (hostId?: string) => {
       try {
         const sshConfig = get().settings.sshConfig
-        const result = await window.electronAPI.invoke('ssh-test-connection', sshConfig)
+        const result = await window.electronAPI.invoke('ssh-test-connection', { ...sshConfig, hosts: getSshHosts(sshConfig) }, hostId)
         return result
       } catch (error) {
         const errorMessage = error instanceof Error ? error.message : 'Unknown error'
@@ -976,6 +1453,121 @@ export const useAppStore = create<AppState>()(
       }
     },
     
+    // Secrets go to the main process credential store; only has* flags are kept here
+    setSshHostSecrets: async (hostId: string, secrets: { password?: string; passphrase?: string }) => {
+      try {
+        const result = await window.electronAPI.invoke('ssh-set-credentials', hostId, secrets)
+        if (!result.success) {
+          return { success: false, error: result.error }
+        }
+        const sshConfig = get().settings.sshConfig
+        get().updateSshConfig({
+          hosts: getSshHosts(sshConfig).map(host => host.id === hostId ? { ...host, ...result.data } : host)
+        })
+        return { success: true }
+      } catch (error) {
+        const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+        console.error('[ERR] Store: Failed to store SSH secrets:', errorMessage)
+        return { success: false, error: errorMessage }
+      }
+    },
+    
+    updateApiServer: async (config: Partial<NonNullable<AppState['settings']['apiServer']>>) => {
+      set(state => ({
+        settings: {
+          ...state.settings,
+          apiServer: {
+            enabled: false,
+            port: 3737,
+            ...state.settings.apiServer,
+            ...config
+          }
+        }
+      }))
+      return get().syncApiServer()
+    },
+    
+    // Start/stop the local API server in the main process to match the settings
+    syncApiServer: async () => {
+      try {
+        const apiServer = get().settings.apiServer || { enabled: false, port: 3737 }
+        const result = await window.electronAPI.invoke('api-server-configure', apiServer)
+        if (!result.success) {
+          console.error('[ERR] Store: Failed to configure API server:', result.error)
+        }
+        return result
+      } catch (error) {
+        const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+        console.error('[ERR] Store: Failed to configure API server:', errorMessage)
+        return { success: false, error: errorMessage }
+      }
+    },
+    
+    // Settings persisted by earlier versions hold SSH secrets in plain text:
+    // move them into the credential store once and drop them from the persisted state
+    migrateSshSecrets: async () => {
+      const sshConfig = get().settings.sshConfig as AppState['settings']['sshConfig'] & LegacySshSecrets
+      const hosts: Array<SshHostConfig & LegacySshSecrets> = Array.isArray(sshConfig.hosts)
+        ? sshConfig.hosts
+        : getSshHosts(sshConfig).map(host => ({ ...host, password: sshConfig.password, passphrase: sshConfig.passphrase }))
+      
+      const hasPlaintext = !!(sshConfig.password || sshConfig.passphrase) ||
+        hosts.some(host => host.password !== undefined || host.passphrase !== undefined)
+      if (!hasPlaintext) return
+      
+      try {
+        const migratedHosts: SshHostConfig[] = []
+        for (const { password, passphrase, ...host } of hosts) {
+          const secrets = {
+            ...(password ? { password } : {}),
+            ...(passphrase ? { passphrase } : {})
+          }
+          let status = { hasPassword: !!host.hasPassword, hasPassphrase: !!host.hasPassphrase }
+          if (Object.keys(secrets).length > 0) {
+            const result = await window.electronAPI.invoke('ssh-set-credentials', host.id, secrets)
+            if (!result.success) throw new Error(result.error)
+            status = result.data
+          }
+          migratedHosts.push({ ...host, ...status })
+        }
+        
+        const { password, passphrase, ...config } = sshConfig
+        set(state => ({
+          settings: {
+            ...state.settings,
+            sshConfig: { ...config, hosts: migratedHosts }
+          }
+        }))
+        console.log(`[OK] Store: Moved SSH secrets of ${migratedHosts.length} host(s) to the credential store`)
+      } catch (error) {
+        // Keep the plain-text values so nothing is lost; the next start retries
+        const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+        console.error('[ERR] Store: Failed to migrate SSH secrets:', errorMessage)
+      }
+    },
+    
+    // has* flags follow the credential store (e.g. after it was deleted or restored)
+    refreshSshSecretStatus: async () => {
+      try {
+        const hosts = getSshHosts(get().settings.sshConfig)
+        if (hosts.length === 0) return
+        const result = await window.electronAPI.invoke('ssh-get-credential-status', hosts.map(host => host.id))
+        if (!result.success) return
+        set(state => ({
+          settings: {
+            ...state.settings,
+            sshConfig: {
+              ...state.settings.sshConfig,
+              hosts: hosts.map(host => ({ ...host, ...result.data[host.id] }))
+            }
+          }
+        }))
+      } catch (error) {
+        const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+        console.error('[ERR] Store: Failed to load SSH credential status:', errorMessage)
+      }
+    },
+    
     // Check for version updates
     checkForUpdates: async () => {
       try {
@@ -1045,7 +1637,8 @@ export const useAppStore = create<AppState>()(
         theme: state.theme,
         activeTab: state.activeTab,
         settings: state.settings,
-        currency: state.currency
+        currency: state.currency,
+        filter: state.filter
       }),
     }
   )
@@ -1283,6 +1876,12 @@ if (typeof window !== 'undefined' && window.electronAPI) {
     store.calculateTabViews()
   })
   
+  // Listen for budget thresholds crossed in the backend
+  window.electronAPI.on('budget-alert', (alert: BudgetAlert) => {
+    console.log(`[BUDGET] Store: Budget ${alert.budgetId} reached ${alert.threshold}%`)
+    useAppStore.getState().addBudgetAlert(alert)
+  })
+  
   // Only initialize in electron renderer
   setTimeout(() => {
     useAppStore.getState().initializeStore().catch(console.error)
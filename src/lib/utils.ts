@@ -83,6 +83,17 @@ export function formatNumber(num: number): string {
   return num.toLocaleString()
 }
 
+export function formatBytes(bytes: number): string {
+  if (!bytes || typeof bytes !== 'number' || isNaN(bytes) || !isFinite(bytes)) {
+    return '0 B'
+  }
+  
+  const units = ['B', 'KB', 'MB', 'GB', 'TB']
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1)
+  const value = bytes / Math.pow(1024, exponent)
+  return `${exponent === 0 ? value : value.toFixed(1)} ${units[exponent]}`
+}
+
 export function formatDate(
   date: string | Date, 
   timezone: string = 'auto',
@@ -4,7 +4,7 @@ import { DragonBadge } from '@/components/ui/badge'
 import { DragonProgress } from '@/components/ui/progress'
 import { DragonLoading } from '@/components/ui/loading'
 import { Button } from '@/components/ui/button'
-import { useActiveData } from '@/lib/store'
+import { useActiveData, UsageBlock, BlockProjection } from '@/lib/store'
 import { useTranslation } from '@/i18n'
 import { 
   Activity, 
@@ -16,7 +16,8 @@ import {
   Play,
   Pause,
   Target,
-  TrendingUp
+  TrendingUp,
+  AlertTriangle
 } from 'lucide-react'
 import { formatCurrency, formatNumber, getRelativeTime } from '@/lib/utils'
 
@@ -54,18 +55,31 @@ export default function ActiveSessionPage() {
     sessionId, 
     status, 
     lastActivity,
+    started,
+    block,
+    recentBlocks = [],
+    blockProjection,
     currency 
   } = activeData
 
   // Calculate additional metrics similar to CLI
   const sessionProgress = duration && timeLeft ? (duration / (duration + timeLeft)) * 100 : 0
-  const totalSessionTime = 300 // 5 hours = 300 minutes (fixed total)
-  const tokenBurnRate = duration > 0 ? Math.round((activeData.currentTokens || 0) / duration) : 0
-  const projectedTokens = tokenBurnRate > 0 ? Math.round(tokenBurnRate * totalSessionTime) : 0
+  
+  // Burn rate and end-of-block projection come from the block calculator
+  const projection: BlockProjection | null = blockProjection || null
+  const tokenBurnRate = projection?.tokensPerMinute || 0
+  const projectedTokens = projection?.projectedTokens || 0
+  const projectedCost = projection?.projectedCost || 0
+  
+  // Block ceiling state
+  const tokenLimit = projection?.tokenLimit || 0
+  const limitProgress = Math.min(100, projection?.tokenUsagePercent || 0)
+  const minutesUntilLimit = projection?.minutesUntilLimit ?? null
+  const limitWarning = projection ? projection.warningLevel !== 'ok' : false
+  const formatMinutes = (minutes: number) => `${Math.floor(minutes / 60)}h ${minutes % 60}m`
   
   // Calculate cost per token from current session
   const costPerToken = (activeData.currentTokens || 0) > 0 ? (currentCost || 0) / (activeData.currentTokens || 0) : 0
-  const projectedCost = costPerToken > 0 ? projectedTokens * costPerToken : 0
   
   // Calculate usage progress (token burn rate intensity)
   const highActivityThreshold = 150000 // tokens/min for high activity
@@ -126,7 +140,7 @@ export default function ActiveSessionPage() {
                 </div>
                 <DragonProgress value={sessionProgress} className="h-3 mb-2" />
                 <div className="flex justify-between text-sm text-white/80">
-                  <span>{t('pages.activeSession.progress.started')}: {lastActivity ? new Date(lastActivity).toLocaleTimeString() : t('pages.activeSession.progress.unknown')}</span>
+                  <span>{t('pages.activeSession.progress.started')}: {started ? new Date(started).toLocaleTimeString() : t('pages.activeSession.progress.unknown')}</span>
                   <span>{t('pages.activeSession.progress.remaining')}: {timeLeft ? `${Math.floor(timeLeft / 60)}h ${timeLeft % 60}m` : 'N/A'}</span>
                 </div>
               </div>
@@ -158,10 +172,36 @@ export default function ActiveSessionPage() {
                 </div>
                 <DragonProgress value={projectionProgress} className="h-3 mb-2" />
                 <div className="flex justify-between text-sm text-white/80">
-                  <span>{t('pages.activeSession.progress.status')}: {tokenBurnRate > 100 ? `[${t('pages.activeSession.progress.highBurn')}]` : `[${t('pages.activeSession.progress.onTrack')}]`}</span>
+                  <span className={limitWarning ? 'font-bold text-yellow-300' : ''}>{t('pages.activeSession.progress.status')}: {limitWarning ? `[${t('pages.activeSession.progress.highBurn')}]` : `[${t('pages.activeSession.progress.onTrack')}]`}</span>
                   <span>{t('pages.activeSession.progress.tokens')}: {formatNumber(projectedTokens)} / {t('pages.activeSession.progress.cost')}: {formatCurrency(projectedCost, currency)}</span>
                 </div>
               </div>
+
+              {/* Block Limit Bar */}
+              {projection && tokenLimit > 0 && (
+                <div>
+                  <div className="flex justify-between items-center mb-2">
+                    <h3 className="text-lg font-bold text-white flex items-center space-x-2">
+                      <AlertTriangle className="h-5 w-5" />
+                      <span>{t('pages.activeSession.limit.title')}</span>
+                    </h3>
+                    <span className="text-white/80 font-mono">{limitProgress.toFixed(1)}%</span>
+                  </div>
+                  <DragonProgress value={limitProgress} className="h-3 mb-2" />
+                  <div className="flex justify-between text-sm text-white/80">
+                    <span>
+                      {t('pages.activeSession.limit.ceiling')}: {formatNumber(tokenLimit)} tokens ({projection.tokenLimitSource === 'auto' ? t('pages.activeSession.limit.auto') : t('pages.activeSession.limit.custom')})
+                    </span>
+                    <span className={limitWarning ? 'font-bold text-yellow-300' : ''}>
+                      {projection.warningLevel === 'exceeded'
+                        ? `[${t('pages.activeSession.limit.exceeded')}]`
+                        : minutesUntilLimit !== null
+                          ? `${t('pages.activeSession.limit.timeUntilLimit')}: ${formatMinutes(minutesUntilLimit)}`
+                          : `[${t('pages.activeSession.limit.notReached')}]`}
+                    </span>
+                  </div>
+                </div>
+              )}
             </div>
           </CardContent>
         </DragonCard>
@@ -234,6 +274,29 @@ export default function ActiveSessionPage() {
                       <span className="text-sm">{getRelativeTime(lastActivity)}</span>
                     </div>
                   )}
+
+                  {block && (
+                    <div className="flex justify-between items-center">
+                      <span className="text-sm text-muted-foreground">{t('pages.activeSession.block.window')}</span>
+                      <span className="text-sm font-mono">
+                        {new Date(block.startTime).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} - {new Date(block.endTime).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                      </span>
+                    </div>
+                  )}
+
+                  {block && (
+                    <div className="flex justify-between items-center">
+                      <span className="text-sm text-muted-foreground">{t('pages.activeSession.block.entries')}</span>
+                      <span className="text-sm">{formatNumber(block.entryCount)}</span>
+                    </div>
+                  )}
+
+                  {block && block.models.length > 0 && (
+                    <div className="flex justify-between items-center">
+                      <span className="text-sm text-muted-foreground">{t('pages.activeSession.block.models')}</span>
+                      <span className="text-xs text-right">{block.models.join(', ')}</span>
+                    </div>
+                  )}
                 </div>
               </div>
             </CardContent>
@@ -278,6 +341,17 @@ export default function ActiveSessionPage() {
                       <span className="font-medium text-dragon-accent">{formatCurrency(projectedCost, currency)}</span>
                     </div>
                     
+                    {projection && (
+                      <div className="flex justify-between items-center">
+                        <span className="text-sm text-muted-foreground">{t('pages.activeSession.limit.timeUntilLimit')}</span>
+                        <span className={`font-medium ${limitWarning ? 'text-red-500' : 'text-green-500'}`}>
+                          {projection.warningLevel === 'exceeded'
+                            ? t('pages.activeSession.limit.exceeded')
+                            : minutesUntilLimit !== null ? formatMinutes(minutesUntilLimit) : t('pages.activeSession.limit.notReached')}
+                        </span>
+                      </div>
+                    )}
+                    
                     <div className="flex justify-between items-center">
                       <span className="text-sm text-muted-foreground">{t('pages.activeSession.performance.costVsCurrent')}</span>
                       <span className="font-medium">
@@ -317,6 +391,41 @@ export default function ActiveSessionPage() {
         </DragonCard>
       )}
 
+      {/* Recent 5-hour Billing Blocks */}
+      {recentBlocks.length > 0 && (
+        <DragonCard 
+          variant="default"
+          className="transition-all duration-300 hover:scale-110 hover:shadow-lg hover:shadow-red-500/20 dragon-flame-border relative z-10 hover:z-20"
+        >
+          <CardHeader>
+            <CardTitle className="flex items-center space-x-2">
+              <Target className="h-5 w-5 text-dragon-primary" />
+              <span>{t('pages.activeSession.block.recent')}</span>
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            <div className="space-y-2">
+              {recentBlocks.map((b: UsageBlock) => (
+                <div key={b.id} className="flex justify-between items-center p-2 rounded-lg bg-muted/20">
+                  <div className="flex items-center space-x-3">
+                    <DragonBadge variant={b.isActive ? "dragon" : "default"} className="text-xs">
+                      {t(`pages.activeSession.block.state.${b.state}`)}
+                    </DragonBadge>
+                    <span className="text-sm font-mono">
+                      {new Date(b.startTime).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
+                    </span>
+                  </div>
+                  <div className="flex items-center space-x-4 text-sm">
+                    <span className="text-muted-foreground">{formatNumber(b.totalTokens)} tokens</span>
+                    <span className="font-medium">{formatCurrency(b.totalCost, currency)}</span>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </CardContent>
+        </DragonCard>
+      )}
+
       {/* Real-time Updates Notice */}
       <DragonCard 
         variant="gradient"
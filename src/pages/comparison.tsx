@@ -0,0 +1,297 @@
+import { useState, useEffect } from 'react'
+import { DragonCard, CardHeader, CardTitle, CardContent } from '@/components/ui/card'
+import { DragonBadge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
+import { DragonLoading } from '@/components/ui/loading'
+import { useAppStore } from '@/lib/store'
+import { useTranslation } from '@/i18n'
+import { ArrowLeftRight, BarChart3, Cpu, FolderOpen } from 'lucide-react'
+import { formatCurrency, formatNumber } from '@/lib/utils'
+
+const MODES: ComparisonMode[] = ['billing', 'week', 'custom']
+
+const METRICS: ComparisonMetric[] = [
+  'totalCost', 'totalTokens', 'inputTokens', 'outputTokens', 'cacheCreationTokens',
+  'cacheReadTokens', 'sessions', 'projects', 'entries', 'activeDays'
+]
+
+const inputClassName = 'px-3 py-2 bg-background border border-border rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-dragon-primary'
+
+// UTC day N days before today, like the custom ranges in services/period-comparison.cjs
+const daysAgo = (days: number) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0]
+
+// Increases show in orange, decreases in green - more usage usually means more spend
+const deltaClassName = (delta: number) =>
+  delta > 0 ? 'text-orange-500' : delta < 0 ? 'text-green-500' : 'text-muted-foreground'
+
+const formatSigned = (value: number, format: (value: number) => string) =>
+  `${value > 0 ? '+' : value < 0 ? '−' : ''}${format(Math.abs(value))}`
+
+const formatPercent = (percent: number | null) =>
+  percent === null ? '—' : formatSigned(percent, value => `${value.toFixed(1)}%`)
+
+interface BreakdownTableProps {
+  title: string
+  icon: typeof Cpu
+  rows: ComparisonBreakdownRow[]
+  currency: string
+  labels: { name: string; periodA: string; periodB: string; change: string; share: string; empty: string }
+}
+
+// Cost per model / project in both periods with the change of cost and cost share
+function BreakdownTable({ title, icon: Icon, rows, currency, labels }: BreakdownTableProps) {
+  return (
+    <DragonCard variant="default">
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2">
+          <Icon className="h-5 w-5" />
+          <span>{title}</span>
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        {rows.length === 0 ? (
+          <p className="text-sm text-muted-foreground">{labels.empty}</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-muted-foreground border-b border-border">
+                  <th className="py-2 pr-4 font-medium">{labels.name}</th>
+                  <th className="py-2 pr-4 font-medium text-right">{labels.periodA}</th>
+                  <th className="py-2 pr-4 font-medium text-right">{labels.periodB}</th>
+                  <th className="py-2 pr-4 font-medium text-right">{labels.change}</th>
+                  <th className="py-2 font-medium text-right">{labels.share}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(row => (
+                  <tr key={row.key} className="border-b border-border/50 last:border-0">
+                    <td className="py-2 pr-4 font-medium truncate max-w-[260px]" title={row.key}>{row.key}</td>
+                    <td className="py-2 pr-4 text-right">
+                      {formatCurrency(row.a.cost, currency)}
+                      <span className="text-xs text-muted-foreground ml-1">({row.a.share.toFixed(0)}%)</span>
+                    </td>
+                    <td className="py-2 pr-4 text-right">
+                      {formatCurrency(row.b.cost, currency)}
+                      <span className="text-xs text-muted-foreground ml-1">({row.b.share.toFixed(0)}%)</span>
+                    </td>
+                    <td className={`py-2 pr-4 text-right ${deltaClassName(row.cost.delta)}`}>
+                      {formatSigned(row.cost.delta, value => formatCurrency(value, currency))}
+                    </td>
+                    <td className={`py-2 text-right ${deltaClassName(row.shareDelta)}`}>
+                      {formatSigned(row.shareDelta, value => `${value.toFixed(1)} pp`)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </CardContent>
+    </DragonCard>
+  )
+}
+
+export default function ComparisonPage() {
+  const { lastRefresh, currency } = useAppStore()
+  const { t } = useTranslation()
+  const [mode, setMode] = useState<ComparisonMode>('billing')
+  const [rangeA, setRangeA] = useState({ from: daysAgo(6), to: daysAgo(0) })
+  const [rangeB, setRangeB] = useState({ from: daysAgo(13), to: daysAgo(7) })
+  const [comparison, setComparison] = useState<PeriodComparison | null>(null)
+  const [error, setError] = useState<string | null>(null)
+  const [isLoading, setIsLoading] = useState(true)
+
+  const isCustomComplete = !!(rangeA.from && rangeA.to && rangeB.from && rangeB.to)
+
+  // Reload with the data (new usage, currency or billing cycle changes)
+  useEffect(() => {
+    if (mode === 'custom' && !isCustomComplete) return
+    let cancelled = false
+    const options: ComparisonOptions = mode === 'custom' ? { mode, a: rangeA, b: rangeB } : { mode }
+    window.electronAPI.getPeriodComparison(options)
+      .then((result: { success: boolean; data?: PeriodComparison; error?: string }) => {
+        if (cancelled) return
+        setComparison(result.success ? result.data || null : null)
+        setError(result.success ? null : result.error || null)
+      })
+      .catch((err: unknown) => {
+        if (!cancelled) setError(err instanceof Error ? err.message : String(err))
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false)
+      })
+    return () => { cancelled = true }
+  }, [mode, rangeA, rangeB, isCustomComplete, lastRefresh, currency])
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center min-h-[400px]">
+        <DragonLoading size="lg" text={t('pages.comparison.loading')} />
+      </div>
+    )
+  }
+
+  const displayCurrency = comparison?.currency || currency
+  const formatMetric = (metric: ComparisonMetric, value: number) =>
+    metric === 'totalCost' ? formatCurrency(value, displayCurrency) : formatNumber(value)
+
+  const breakdownLabels = {
+    periodA: t('pages.comparison.periodA'),
+    periodB: t('pages.comparison.periodB'),
+    change: t('pages.comparison.change'),
+    share: t('pages.comparison.shareChange'),
+    empty: t('pages.comparison.noUsage')
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Page Header */}
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h2 className="text-3xl font-bold tracking-tight">{t('pages.comparison.title')}</h2>
+          <p className="text-muted-foreground">{t('pages.comparison.subtitle')}</p>
+        </div>
+        <div className="flex items-center space-x-2">
+          {MODES.map(option => (
+            <Button
+              key={option}
+              variant={mode === option ? 'default' : 'outline'}
+              size="sm"
+              onClick={() => setMode(option)}
+            >
+              {t(`pages.comparison.modes.${option}`)}
+            </Button>
+          ))}
+        </div>
+      </div>
+
+      {/* Custom ranges */}
+      {mode === 'custom' && (
+        <div className="flex flex-wrap items-center gap-6 text-sm">
+          {([
+            [t('pages.comparison.periodA'), rangeA, setRangeA],
+            [t('pages.comparison.periodB'), rangeB, setRangeB]
+          ] as const).map(([label, range, setRange]) => (
+            <div key={label} className="flex items-center space-x-2">
+              <span className="font-medium">{label}</span>
+              <input
+                type="date"
+                value={range.from}
+                max={range.to || undefined}
+                onChange={(e) => setRange({ ...range, from: e.target.value })}
+                className={inputClassName}
+                title={t('app.table.from')}
+              />
+              <span className="text-muted-foreground">–</span>
+              <input
+                type="date"
+                value={range.to}
+                min={range.from || undefined}
+                onChange={(e) => setRange({ ...range, to: e.target.value })}
+                className={inputClassName}
+                title={t('app.table.to')}
+              />
+            </div>
+          ))}
+        </div>
+      )}
+
+      {!comparison ? (
+        <div className="text-center py-12">
+          <ArrowLeftRight className="h-12 w-12 mx-auto mb-4 text-muted-foreground opacity-50" />
+          <p className="text-muted-foreground">{t('pages.comparison.noData')}</p>
+          {error && <p className="text-xs text-muted-foreground mt-2">{error}</p>}
+        </div>
+      ) : (
+        <>
+          {/* Period summary cards */}
+          <div className="grid gap-4 md:grid-cols-2">
+            {([
+              ['periodA', comparison.periodA, 'a'],
+              ['periodB', comparison.periodB, 'b']
+            ] as const).map(([labelKey, period, side]) => (
+              <DragonCard key={labelKey} variant={side === 'a' ? 'flame' : 'default'}>
+                <CardContent className="p-6">
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <p className="text-sm text-muted-foreground">{t(`pages.comparison.${labelKey}`)}</p>
+                      <p className="text-2xl font-bold">
+                        {formatCurrency(comparison.metrics.totalCost[side], displayCurrency)}
+                      </p>
+                      <p className="text-xs text-muted-foreground">
+                        {formatNumber(comparison.metrics.totalTokens[side])} {t('pages.comparison.metrics.totalTokens')} • {comparison.metrics.sessions[side]} {t('pages.comparison.metrics.sessions')}
+                      </p>
+                    </div>
+                    <DragonBadge variant={side === 'a' ? 'flame' : 'outline'}>{period.label}</DragonBadge>
+                  </div>
+                </CardContent>
+              </DragonCard>
+            ))}
+          </div>
+
+          {/* Metric deltas */}
+          <DragonCard variant="default">
+            <CardHeader>
+              <CardTitle className="flex items-center space-x-2">
+                <BarChart3 className="h-5 w-5" />
+                <span>{t('pages.comparison.metricsTitle')}</span>
+              </CardTitle>
+            </CardHeader>
+            <CardContent>
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-muted-foreground border-b border-border">
+                      <th className="py-2 pr-4 font-medium">{t('pages.comparison.metric')}</th>
+                      <th className="py-2 pr-4 font-medium text-right">{comparison.periodA.label}</th>
+                      <th className="py-2 pr-4 font-medium text-right">{comparison.periodB.label}</th>
+                      <th className="py-2 pr-4 font-medium text-right">{t('pages.comparison.change')}</th>
+                      <th className="py-2 font-medium text-right">%</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {METRICS.map(metric => {
+                      const value = comparison.metrics[metric]
+                      return (
+                        <tr key={metric} className="border-b border-border/50 last:border-0">
+                          <td className="py-2 pr-4 font-medium">{t(`pages.comparison.metrics.${metric}`)}</td>
+                          <td className="py-2 pr-4 text-right">{formatMetric(metric, value.a)}</td>
+                          <td className="py-2 pr-4 text-right">{formatMetric(metric, value.b)}</td>
+                          <td className={`py-2 pr-4 text-right ${deltaClassName(value.delta)}`}>
+                            {formatSigned(value.delta, amount => formatMetric(metric, amount))}
+                          </td>
+                          <td className={`py-2 text-right ${deltaClassName(value.delta)}`}>
+                            {formatPercent(value.deltaPercent)}
+                          </td>
+                        </tr>
+                      )
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </CardContent>
+          </DragonCard>
+
+          {/* Model mix & projects */}
+          <div className="grid gap-4 lg:grid-cols-2">
+            <BreakdownTable
+              title={t('pages.comparison.modelMix')}
+              icon={Cpu}
+              rows={comparison.models}
+              currency={displayCurrency}
+              labels={{ ...breakdownLabels, name: t('pages.comparison.model') }}
+            />
+            <BreakdownTable
+              title={t('pages.comparison.projectsTitle')}
+              icon={FolderOpen}
+              rows={comparison.projects}
+              currency={displayCurrency}
+              labels={{ ...breakdownLabels, name: t('pages.comparison.project') }}
+            />
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
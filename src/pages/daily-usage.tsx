@@ -1,6 +1,7 @@
 import { DragonCard, CardContent } from '@/components/ui/card'
 import { DragonBadge } from '@/components/ui/badge'
 import { DragonLoading } from '@/components/ui/loading'
+import { UsageHeatmapCard } from '@/components/dashboard/usage-heatmap'
 import { useDailyData, useAppStore, useActiveData } from '@/lib/store'
 import { useTranslation } from '@/i18n'
 import { Clock, Sun, Moon, Zap } from 'lucide-react'
@@ -10,7 +11,8 @@ import { useTimeFormatting } from '@/lib/hooks'
 export default function DailyUsagePage() {
   // Simple store read - no calculations needed!
   const { data: dailyData, isLoading } = useDailyData()
-  const { currency: storeCurrency } = useAppStore()
+  const { currency: storeCurrency, coreData } = useAppStore()
+  const hasDateFilter = !!(coreData.activeFilter?.from || coreData.activeFilter?.to)
   const { data: activeData } = useActiveData()
   const { formatDate } = useTimeFormatting()
   const { t } = useTranslation()
@@ -183,7 +185,7 @@ export default function DailyUsagePage() {
                 <div className="flex items-center space-x-3 text-sm text-white/70">
                   <span>{totalSessions || 0} {t('pages.dailyUsage.summary.sessions')}</span>
                   <span>•</span>
-                  <span>{t('pages.dailyUsage.summary.last7Days')}</span>
+                  <span>{hasDateFilter ? t('app.filter.selectedRange') : t('pages.dailyUsage.summary.last7Days')}</span>
                 </div>
               </div>
             </CardContent>
@@ -232,6 +234,9 @@ export default function DailyUsagePage() {
         </div>
       </div>
 
+      {/* Weekday x hour heatmap - loaded on demand */}
+      <UsageHeatmapCard />
+
       {/* Daily Breakdown - Direct from store! */}
       <div className="space-y-4">
         <div className="flex items-center justify-between">
@@ -1,9 +1,9 @@
 import { DragonCard, CardContent } from '@/components/ui/card'
 import { DragonBadge } from '@/components/ui/badge'
 import { DragonLoading } from '@/components/ui/loading'
-import { useMonthlyData } from '@/lib/store'
+import { useMonthlyData, type PlanRoi } from '@/lib/store'
 import { useTranslation } from '@/i18n'
-import { Calendar, TrendingUp, BarChart3, Target } from 'lucide-react'
+import { Calendar, TrendingUp, BarChart3, Target, Gem } from 'lucide-react'
 import { formatCurrency, formatNumber } from '@/lib/utils'
 import { useTimeFormatting } from '@/lib/hooks'
 
@@ -47,6 +47,9 @@ export default function MonthlyUsagePage() {
     quarterlyProjection,
     currentRunRate
   } = monthlyData
+  const planRoi: PlanRoi | null = monthlyData.planRoi || null
+  const formatRatio = (ratio: number | null | undefined) =>
+    ratio !== null && ratio !== undefined ? `${ratio.toFixed(1)}x` : 'N/A'
 
   return (
     <div className="space-y-6">
@@ -244,6 +247,11 @@ export default function MonthlyUsagePage() {
                               : t('pages.monthlyUsage.breakdown.sameAsAvg')
                         }
                       </span>
+                      {planRoi?.isSubscription && (
+                        <span>
+                          {t('pages.monthlyUsage.planValue.ratio')}: {formatRatio(month.planValueRatio)}
+                        </span>
+                      )}
                     </div>
                   </div>
                 </CardContent>
@@ -408,6 +416,96 @@ export default function MonthlyUsagePage() {
           </DragonCard>
         </div>
       </div>
+
+      {/* Plan Value - subscription ROI from CoreDataService */}
+      {planRoi && (
+        <div className="space-y-4">
+          <h3 className="text-lg font-semibold">{t('pages.monthlyUsage.planValue.title')}</h3>
+          
+          {planRoi.isSubscription ? (
+            <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-4">
+              {/* Plan */}
+              <DragonCard 
+                variant="default"
+                className="transition-all duration-300 hover:scale-110 hover:shadow-lg hover:shadow-red-500/20 dragon-flame-border relative z-10 hover:z-20"
+              >
+                <CardContent className="p-4">
+                  <div className="space-y-2">
+                    <h4 className="font-semibold text-sm text-muted-foreground">{t('pages.monthlyUsage.planValue.plan')}</h4>
+                    <h3 className="text-xl font-bold">{planRoi.planName}</h3>
+                    <div className="flex items-center space-x-3 text-sm text-muted-foreground">
+                      <span>{formatCurrency(planRoi.subscriptionPrice, currency)} {t('pages.monthlyUsage.budget.perMonth')}</span>
+                    </div>
+                  </div>
+                </CardContent>
+              </DragonCard>
+
+              {/* Current Period Value */}
+              <DragonCard 
+                variant="gradient"
+                className="transition-all duration-300 hover:scale-110 hover:shadow-lg hover:shadow-red-500/20 dragon-flame-border relative z-10 hover:z-20"
+              >
+                <CardContent className="p-4">
+                  <div className="space-y-2">
+                    <h4 className="font-semibold text-sm text-dragon-secondary">{t('pages.monthlyUsage.planValue.currentPeriod')}</h4>
+                    <h3 className="text-xl font-bold">
+                      {formatCurrency(planRoi.currentPeriod?.apiValue || 0, currency)}
+                    </h3>
+                    <div className="flex items-center space-x-3 text-sm text-muted-foreground">
+                      <span>{formatRatio(planRoi.currentPeriod?.valueRatio ?? 0)} {t('pages.monthlyUsage.planValue.ofPlanPrice')}</span>
+                    </div>
+                  </div>
+                </CardContent>
+              </DragonCard>
+
+              {/* Total Value Extracted */}
+              <DragonCard 
+                variant="flame"
+                className="transition-all duration-300 hover:scale-110 hover:shadow-lg hover:shadow-red-500/20 dragon-flame-border relative z-10 hover:z-20"
+              >
+                <CardContent className="p-4">
+                  <div className="space-y-2">
+                    <h4 className="font-semibold text-sm text-white/80">{t('pages.monthlyUsage.planValue.totalValue')}</h4>
+                    <h3 className="text-xl font-bold text-white">
+                      {formatCurrency(planRoi.totalApiValue, currency)}
+                    </h3>
+                    <div className="flex items-center space-x-3 text-sm text-white/70">
+                      <span>{t('pages.monthlyUsage.planValue.paid')}: {formatCurrency(planRoi.totalSubscriptionCost, currency)}</span>
+                    </div>
+                  </div>
+                </CardContent>
+              </DragonCard>
+
+              {/* Net Value */}
+              <DragonCard 
+                variant="scales"
+                className="transition-all duration-300 hover:scale-110 hover:shadow-lg hover:shadow-red-500/20 dragon-flame-border relative z-10 hover:z-20"
+              >
+                <CardContent className="p-4">
+                  <div className="space-y-2">
+                    <h4 className="font-semibold text-sm text-dragon-primary">{t('pages.monthlyUsage.planValue.netValue')}</h4>
+                    <h3 className={`text-xl font-bold ${planRoi.totalNetValue >= 0 ? 'text-green-500' : 'text-red-500'}`}>
+                      {planRoi.totalNetValue >= 0 ? '+' : ''}{formatCurrency(planRoi.totalNetValue, currency)}
+                    </h3>
+                    <div className="flex items-center space-x-3 text-sm text-muted-foreground">
+                      <span>{formatRatio(planRoi.valueRatio)} {t('pages.monthlyUsage.planValue.overall')}</span>
+                    </div>
+                  </div>
+                </CardContent>
+              </DragonCard>
+            </div>
+          ) : (
+            <DragonCard variant="default">
+              <CardContent className="p-4">
+                <div className="flex items-center space-x-2 text-sm text-muted-foreground">
+                  <Gem className="h-4 w-4 text-dragon-accent" />
+                  <span>{t('pages.monthlyUsage.planValue.apiPlan')}</span>
+                </div>
+              </CardContent>
+            </DragonCard>
+          )}
+        </div>
+      )}
     </div>
   )
 }
\ No newline at end of file
@@ -2,7 +2,7 @@ import React from 'react'
 import { StatsCard, StatsGrid } from '@/components/dashboard/stats-card'
 import { DragonCard, CardHeader, CardTitle, CardContent } from '@/components/ui/card'
 import { DragonLoading } from '@/components/ui/loading'
-import { useOverviewData, useActiveData } from '@/lib/store'
+import { useOverviewData, useActiveData, useAppStore, getMachineLabel, type MachineUsage } from '@/lib/store'
 import { useTranslation } from '@/i18n'
 import { 
   DollarSign, 
@@ -11,7 +11,8 @@ import {
   Clock,
   Target,
   BarChart3,
-  Activity
+  Activity,
+  Server
 } from 'lucide-react'
 import { formatCurrency, formatNumber, getRelativeTime, formatTime, formatDate } from '@/lib/utils'
 import { useTimeFormatting } from '@/lib/hooks'
@@ -22,6 +23,9 @@ export default function OverviewPage() {
   // Simple store reads - no calculations needed!
   const { data: overviewData, isLoading: isLoadingOverview, refresh: refreshOverview } = useOverviewData()
   const { data: activeData, isLoading: isLoadingActive } = useActiveData()
+  const activeFilter = useAppStore(state => state.coreData.activeFilter)
+  const sshConfig = useAppStore(state => state.settings.sshConfig)
+  const hasDateFilter = !!(activeFilter?.from || activeFilter?.to)
   
   const { t } = useTranslation()
     
@@ -41,6 +45,9 @@ export default function OverviewPage() {
     )
   }
 
+  const machines: MachineUsage[] = overviewData.machineBreakdown || []
+  const machinesTotalCost = machines.reduce((sum, machine) => sum + machine.totalCost, 0)
+
   return (
     <div className="space-y-6">
       {/* Page Header */}
@@ -235,6 +242,47 @@ export default function OverviewPage() {
         </DragonCard>
       </div>
 
+      {/* Usage by Machine - only once SSH remote hosts contributed entries */}
+      {machines.some(machine => machine.machine !== 'local') && (
+        <DragonCard 
+          variant="gradient"
+          className="transition-all duration-300 hover:scale-110 hover:shadow-lg hover:shadow-red-500/20 dragon-flame-border relative z-10 hover:z-20"
+        >
+          <CardHeader className="pb-3">
+            <CardTitle className="flex items-center space-x-2">
+              <Server className="h-5 w-5 text-dragon-secondary" />
+              <span>{t('pages.overview.machines.title')}</span>
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="pt-0">
+            <div className="space-y-4">
+              {machines.map(machine => {
+                const share = machinesTotalCost > 0 ? (machine.totalCost / machinesTotalCost) * 100 : 0
+                return (
+                  <div key={machine.machine} className="space-y-1">
+                    <div className="flex justify-between items-center">
+                      <span className="font-medium">
+                        {machine.machine === 'local' ? t('pages.overview.machines.local') : getMachineLabel(machine.machine, sshConfig)}
+                      </span>
+                      <span className="font-bold">{formatCurrency(machine.totalCost, overviewData.currency)}</span>
+                    </div>
+                    <div className="h-2 rounded-full bg-white/10 overflow-hidden">
+                      <div className="h-full rounded-full bg-gradient-to-r from-dragon-primary to-dragon-secondary" style={{ width: `${share}%` }} />
+                    </div>
+                    <div className="flex justify-between text-xs text-muted-foreground">
+                      <span>
+                        {formatNumber(machine.totalTokens)} {t('pages.overview.stats.tokens')} • {machine.sessions} {t('pages.overview.machines.sessions')} • {machine.projects} {t('pages.overview.machines.projects')}
+                      </span>
+                      <span>{share.toFixed(1)}%</span>
+                    </div>
+                  </div>
+                )
+              })}
+            </div>
+          </CardContent>
+        </DragonCard>
+      )}
+
       {/* Activity Chart - Last 7 Days */}
       <DragonCard 
         variant="scales"
@@ -243,7 +291,7 @@ export default function OverviewPage() {
         <CardHeader>
           <CardTitle className="flex items-center space-x-2">
             <Activity className="h-5 w-5 text-dragon-primary" />
-            <span>{t('pages.overview.activity.title')}</span>
+            <span>{hasDateFilter ? t('pages.overview.activity.titleFiltered') : t('pages.overview.activity.title')}</span>
             {overviewData.last7DaysTotal > 0 && (
               <span className="text-sm text-muted-foreground ml-auto">
                 {t('pages.overview.activity.total')}: {formatCurrency(overviewData.last7DaysTotal, overviewData.currency)}
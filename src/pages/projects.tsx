@@ -1,15 +1,23 @@
 import { DragonCard, CardContent } from '@/components/ui/card'
 import { DragonBadge } from '@/components/ui/badge'
 import { DragonLoading } from '@/components/ui/loading'
-import { useProjectsData } from '@/lib/store'
+import { useProjectsData, useAppStore, getMachineLabel } from '@/lib/store'
 import { useTranslation } from '@/i18n'
-import { FolderOpen, DollarSign, Zap } from 'lucide-react'
+import { TableToolbar, TablePagination } from '@/components/dashboard/table-controls'
+import { FolderOpen, DollarSign, Zap, Server } from 'lucide-react'
 import { formatCurrency, formatNumber, getRelativeTime } from '@/lib/utils'
+import { useTableQuery } from '@/lib/hooks'
 
 export default function ProjectsPage() {
   // Simple store read - no calculations needed!
   const { data: projectsData, isLoading } = useProjectsData()
   const { t } = useTranslation()
+  const { lastRefresh, settings } = useAppStore()
+  const table = useTableQuery<ProjectRow>(
+    window.electronAPI.queryProjects,
+    { sortBy: 'cost', sortDir: 'desc', pageSize: 25 },
+    lastRefresh
+  )
 
   if (isLoading) {
     return (
@@ -32,7 +40,12 @@ export default function ProjectsPage() {
   }
 
   // All data comes pre-calculated from store.ts!
-  const { projectsData: projects, totalProjects, mostActiveProject, currency } = projectsData
+  const { projectsData: projects, totalProjects, mostActiveProject, currency, machineCount } = projectsData
+  // Top ranks and shares are against all projects, whatever the table sort or filter
+  const allProjectsCost = projects.reduce((sum: number, p: any) => sum + (p.totalCost || 0), 0)
+  const projectRanks = new Map<string, number>(projects.map((p: any, index: number) => [p.project, index]))
+  const sortOptions = ['cost', 'tokens', 'sessions', 'messages', 'lastActivity', 'project']
+    .map(value => ({ value, label: t(`pages.projects.sort.${value}`) }))
 
   return (
     <div className="space-y-6">
@@ -170,17 +183,41 @@ export default function ProjectsPage() {
         </div>
       </div>
 
-      {/* Projects List - Direct from store! */}
+      {/* Projects List - paginated, searched and sorted in SQLite */}
       <div className="space-y-4">
         <h3 className="text-lg font-semibold">{t('pages.projects.breakdown.title')}</h3>
         
-        <div className="grid gap-4">
-          {projects?.map((project: any, index: number) => {
-            const isTopProject = index < 3
+        <TableToolbar
+          query={table.query}
+          onQueryChange={table.setQuery}
+          search={table.search}
+          onSearchChange={table.setSearch}
+          searchPlaceholder={t('pages.projects.searchPlaceholder')}
+          sortOptions={sortOptions}
+        />
+        
+        {table.result && <TablePagination result={table.result} onQueryChange={table.setQuery} />}
+        
+        {table.error && <p className="text-sm text-red-500">{table.error}</p>}
+        
+        {!table.result && table.isLoading && (
+          <div className="flex justify-center py-8">
+            <DragonLoading text={t('pages.projects.loadingProjects')} />
+          </div>
+        )}
+        
+        {table.result && table.result.rows.length === 0 && (
+          <p className="text-center py-8 text-muted-foreground">{t('pages.projects.noMatches')}</p>
+        )}
+        
+        <div className={`grid gap-4 ${table.isLoading ? 'opacity-60' : ''}`}>
+          {table.result?.rows.map((project, index) => {
+            const rank = projectRanks.get(project.project) ?? -1
+            const isTopProject = rank >= 0 && rank < 3
             
             return (
               <DragonCard
-                key={project.project || project.name || index}
+                key={project.project || index}
                 variant={isTopProject ? 'scales' : 'default'}
                 className="transition-all duration-300 hover:scale-110 hover:shadow-lg hover:shadow-red-500/20 dragon-flame-border relative z-10 hover:z-20"
               >
@@ -192,7 +229,7 @@ export default function ProjectsPage() {
                       </div>
                       <div>
                         <h4 className="font-semibold text-lg">
-                          {project.project || project.name || `Project ${index + 1}`}
+                          {project.project || `Project ${index + 1}`}
                         </h4>
                         <p className="text-sm text-muted-foreground">
                           {project.lastActivity 
@@ -205,11 +242,11 @@ export default function ProjectsPage() {
                     <div className="flex items-center space-x-2">
                       {isTopProject && (
                         <DragonBadge variant="gold">
-                          {t('pages.projects.breakdown.top')} {index + 1}
+                          {t('pages.projects.breakdown.top')} {rank + 1}
                         </DragonBadge>
                       )}
                       <DragonBadge variant="dragon">
-                        {((project.totalCost || 0) / Math.max(1, projects.reduce((sum: number, p: any) => sum + (p.totalCost || 0), 0)) * 100).toFixed(1)}% {t('pages.projects.breakdown.ofTotal')}
+                        {((project.totalCost || 0) / Math.max(1, allProjectsCost) * 100).toFixed(1)}% {t('pages.projects.breakdown.ofTotal')}
                       </DragonBadge>
                     </div>
                   </div>
@@ -268,12 +305,27 @@ export default function ProjectsPage() {
                         )}
                       </span>
                     </div>
+                    {machineCount > 1 && project.machines && project.machines.length > 0 && (
+                      <div className="flex flex-wrap items-center gap-2 mt-3 text-xs text-muted-foreground">
+                        <Server className="h-3 w-3" />
+                        <span>{t('pages.projects.breakdown.machines')}:</span>
+                        {project.machines.map((machine: any) => (
+                          <DragonBadge key={machine.machine} variant="outline" className="text-xs">
+                            {machine.machine === 'local' ? t('pages.projects.breakdown.thisMachine') : getMachineLabel(machine.machine, settings.sshConfig)} • {formatCurrency(machine.totalCost, currency)}
+                          </DragonBadge>
+                        ))}
+                      </div>
+                    )}
                   </div>
                 </CardContent>
               </DragonCard>
             )
           })}
         </div>
+        
+        {table.result && table.result.rows.length > 0 && (
+          <TablePagination result={table.result} onQueryChange={table.setQuery} />
+        )}
       </div>
     </div>
   )
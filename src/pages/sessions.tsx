@@ -1,18 +1,34 @@
-import React from 'react'
+import React, { useState } from 'react'
 import { DragonCard, CardHeader, CardTitle, CardContent } from '@/components/ui/card'
 import { DragonBadge } from '@/components/ui/badge'
 import { DragonLoading } from '@/components/ui/loading'
-import { useSessionsData } from '@/lib/store'
+import { useSessionsData, useAppStore } from '@/lib/store'
 import { useTranslation } from '@/i18n'
-import { Zap, Clock, DollarSign, MessageSquare, Calendar } from 'lucide-react'
+import { SessionDetailView } from '@/components/dashboard/session-detail'
+import { TableToolbar, TablePagination } from '@/components/dashboard/table-controls'
+import { Zap, Clock, DollarSign, MessageSquare, Calendar, ChevronRight } from 'lucide-react'
 import { formatCurrency, formatNumber, formatDateTime, getRelativeTime } from '@/lib/utils'
-import { useTimeFormatting } from '@/lib/hooks'
+import { useTimeFormatting, useTableQuery } from '@/lib/hooks'
+
+// Sessions shorter than this are hidden, like the pre-computed session stats
+const MIN_SESSION_MINUTES = 10
 
 export default function SessionsPage() {
   // Simple store read - no calculations needed!
   const { data: sessionsData, isLoading, refresh } = useSessionsData()
   const { formatDateTime: formatDateTimeHook } = useTimeFormatting()
   const { t } = useTranslation()
+  const [selectedSession, setSelectedSession] = useState<string | null>(null)
+  const { lastRefresh } = useAppStore()
+  const table = useTableQuery<SessionRow>(
+    window.electronAPI.querySessions,
+    { sortBy: 'startTime', sortDir: 'desc', pageSize: 25, minDurationMinutes: MIN_SESSION_MINUTES },
+    lastRefresh
+  )
+
+  if (selectedSession) {
+    return <SessionDetailView sessionKey={selectedSession} onBack={() => setSelectedSession(null)} />
+  }
 
   if (isLoading) {
     return (
@@ -36,6 +52,10 @@ export default function SessionsPage() {
 
   // All data comes pre-calculated from store.ts!
   const { sessionsData: sessions, totalSessions, validSessions, currency } = sessionsData
+  // "Recent" stays the 5 newest sessions overall, whatever the table sort or filter
+  const recentSessionIds = new Set(sessions.slice(0, 5).map((s: any) => s.sessionId))
+  const sortOptions = ['startTime', 'endTime', 'cost', 'tokens', 'messages', 'duration', 'project']
+    .map(value => ({ value, label: t(`pages.sessions.sort.${value}`) }))
 
   return (
     <div className="space-y-6">
@@ -50,11 +70,11 @@ export default function SessionsPage() {
         <div className="flex items-center space-x-4 text-sm text-muted-foreground">
           <div className="flex items-center space-x-1">
             <Zap className="h-4 w-4" />
-            <span>{totalSessions} / 50 {t('pages.sessions.stats.total')}</span>
+            <span>{totalSessions} {t('pages.sessions.stats.total')}</span>
           </div>
           <div className="flex items-center space-x-1">
             <Clock className="h-4 w-4" />
-            <span>{validSessions} / 50 {t('pages.sessions.stats.valid')}</span>
+            <span>{validSessions} {t('pages.sessions.stats.valid')}</span>
           </div>
         </div>
       </div>
@@ -70,7 +90,7 @@ export default function SessionsPage() {
               <Zap className="h-5 w-5 text-dragon-primary" />
               <div>
                 <p className="text-sm text-muted-foreground">{t('pages.sessions.stats.totalSessions')}</p>
-                <p className="text-2xl font-bold">{totalSessions} / 50</p>
+                <p className="text-2xl font-bold">{totalSessions}</p>
               </div>
             </div>
           </CardContent>
@@ -85,7 +105,7 @@ export default function SessionsPage() {
               <Clock className="h-5 w-5 text-dragon-accent" />
               <div>
                 <p className="text-sm text-muted-foreground">{t('pages.sessions.stats.validSessions')}</p>
-                <p className="text-2xl font-bold">{validSessions} / 50</p>
+                <p className="text-2xl font-bold">{validSessions}</p>
               </div>
             </div>
           </CardContent>
@@ -157,19 +177,44 @@ export default function SessionsPage() {
         </CardContent>
       </DragonCard>
 
-      {/* Sessions List - Direct from store! */}
+      {/* Sessions List - paginated, searched and sorted in SQLite */}
       <div className="space-y-4">
         <h3 className="text-lg font-semibold">{t('pages.sessions.history.title')}</h3>
         
-        <div className="grid gap-4">
-          {sessions?.map((session: any, index: number) => {
-            const isRecentSession = index < 5
+        <TableToolbar
+          query={table.query}
+          onQueryChange={table.setQuery}
+          search={table.search}
+          onSearchChange={table.setSearch}
+          searchPlaceholder={t('pages.sessions.searchPlaceholder')}
+          sortOptions={sortOptions}
+        />
+        
+        {table.result && <TablePagination result={table.result} onQueryChange={table.setQuery} />}
+        
+        {table.error && <p className="text-sm text-red-500">{table.error}</p>}
+        
+        {!table.result && table.isLoading && (
+          <div className="flex justify-center py-8">
+            <DragonLoading text={t('pages.sessions.loadingSessions')} />
+          </div>
+        )}
+        
+        {table.result && table.result.rows.length === 0 && (
+          <p className="text-center py-8 text-muted-foreground">{t('pages.sessions.noMatches')}</p>
+        )}
+        
+        <div className={`grid gap-4 ${table.isLoading ? 'opacity-60' : ''}`}>
+          {table.result?.rows.map((session, index) => {
+            const isRecentSession = recentSessionIds.has(session.sessionId)
             
             return (
               <DragonCard
-                key={session.sessionId || session.id || index}
+                key={session.sessionId || index}
                 variant={isRecentSession ? 'scales' : 'default'}
-                className="transition-all duration-300 hover:scale-110 hover:shadow-lg hover:shadow-red-500/20 dragon-flame-border relative z-10 hover:z-20"
+                className="transition-all duration-300 hover:scale-110 hover:shadow-lg hover:shadow-red-500/20 dragon-flame-border relative z-10 hover:z-20 cursor-pointer"
+                onClick={() => session.sessionId && setSelectedSession(session.sessionId)}
+                title={t('pages.sessions.detail.viewDetails')}
               >
                 <CardContent className="p-6">
                   <div className="flex items-center justify-between mb-4">
@@ -179,12 +224,13 @@ export default function SessionsPage() {
                       </div>
                       <div>
                         <h4 className="font-semibold text-lg">
-                          {t('pages.sessions.history.session')} {session.sessionId || session.id || `#${index + 1}`}
+                          {t('pages.sessions.history.session')} {session.sessionId || `#${index + 1}`}
                         </h4>
                         <p className="text-sm text-muted-foreground">
                           {session.startTime 
                             ? `${t('pages.sessions.history.started')} ${getRelativeTime(session.startTime)}`
                             : t('pages.sessions.history.unknownStartTime')}
+                          {session.project && ` • ${session.project}`}
                         </p>
                       </div>
                     </div>
@@ -200,6 +246,7 @@ export default function SessionsPage() {
                           {t('pages.sessions.history.active')}
                         </DragonBadge>
                       )}
+                      <ChevronRight className="h-5 w-5 text-muted-foreground" />
                     </div>
                   </div>
 
@@ -265,6 +312,10 @@ export default function SessionsPage() {
             )
           })}
         </div>
+        
+        {table.result && table.result.rows.length > 0 && (
+          <TablePagination result={table.result} onQueryChange={table.setQuery} />
+        )}
       </div>
     </div>
   )
@@ -4,9 +4,9 @@ import { Button } from '@/components/ui/button'
 import { DragonBadge } from '@/components/ui/badge'
 import { ThemeToggle } from '@/components/ui/theme-toggle'
 import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription, DialogFooter } from '@/components/ui/dialog'
-import { useAppStore } from '@/lib/store'
+import { useAppStore, getSshHosts, createSshHost, getPlanBlockLimits, type PlanId, type BlockLimits, type BudgetDefinition, type BudgetPeriod, type EntryExportOptions, type SshHostConfig } from '@/lib/store'
 import { useTranslation } from '@/i18n'
-import { getAppVersion } from '@/lib/utils'
+import { getAppVersion, formatCurrency, formatBytes, getRelativeTime } from '@/lib/utils'
 import { 
   Settings as SettingsIcon, 
   Palette, 
@@ -28,9 +28,12 @@ import {
   Server,
   Key,
   User,
-  Network
+  Network,
+  Calculator,
+  Plug,
+  Copy
 } from 'lucide-react'
-import { downloadData } from '@/lib/utils'
+import { downloadData, copyToClipboard } from '@/lib/utils'
 import { SUPPORTED_CURRENCIES, currencyService } from '@/lib/currency-service'
 import { SUPPORTED_LANGUAGES } from '@/i18n/languages'
 
@@ -71,13 +74,18 @@ export default function SettingsPage() {
     refreshCoreData,
     refreshDatabase,
     cleanupDatabase,
+    recalculateHistoricCosts,
     isLoadingDatabase,
     databaseProgress,
     lastRefresh,
     currency,
     changeCurrency,
     exportData,
-    updateSshConfig
+    exportEntries,
+    updateSshConfig,
+    setSshHostSecrets,
+    updateApiServer,
+    coreData
   } = useAppStore()
   const { t } = useTranslation()
   
@@ -99,10 +107,46 @@ export default function SettingsPage() {
   // Live currency rate display
   const [currentRate, setCurrentRate] = useState<number | null>(null)
   
+  // Budget form
+  const [newBudget, setNewBudget] = useState<{
+    scope: 'global' | 'project'
+    project: string
+    period: BudgetPeriod
+    amount: string
+  }>({ scope: 'global', project: '', period: 'daily', amount: '' })
+  
   // Dialog states
   const [cleanupDialogOpen, setCleanupDialogOpen] = useState(false)
   const [refreshDialogOpen, setRefreshDialogOpen] = useState(false)
   
+  // Result of the last historic cost recalculation
+  const [recalculateResult, setRecalculateResult] = useState<{ checked: number; updated: number } | null>(null)
+  
+  // Models without an exact catalogue price
+  const [unpricedModels, setUnpricedModels] = useState<UnpricedModel[]>([])
+  
+  // Row-level entry export form and the result of the last export
+  const [entryExport, setEntryExport] = useState<{
+    format: 'csv' | 'tsv'
+    from: string
+    to: string
+    project: string
+    model: string
+  }>({ format: 'csv', from: '', to: '', project: '', model: '' })
+  const [entryExportResult, setEntryExportResult] = useState<{ filePath: string; rows: number } | null>(null)
+  
+  // SSH secrets being typed (sent to the credential store on blur, never read back)
+  const [sshSecretDrafts, setSshSecretDrafts] = useState<Record<string, string>>({})
+  
+  // Incremental SSH mirror state per remote host
+  const [sshSyncStatus, setSshSyncStatus] = useState<SshSyncStatus[]>([])
+  const [isSyncingSsh, setIsSyncingSsh] = useState(false)
+  
+  // Local API server status (token is only shown here)
+  const [apiServerStatus, setApiServerStatus] = useState<ApiServerStatus | null>(null)
+  const [apiPortDraft, setApiPortDraft] = useState(String(settings.apiServer?.port || 3737))
+  const [apiTokenCopied, setApiTokenCopied] = useState(false)
+  
   
   // Update current time every second
   useEffect(() => {
@@ -144,25 +188,59 @@ export default function SettingsPage() {
     
     loadPaths()
   }, [settings.claudePaths])
+  
+  // Load unpriced models report (refreshed with the data)
+  useEffect(() => {
+    window.electronAPI?.getUnpricedModels?.()
+      .then((result: { success: boolean; models?: UnpricedModel[] }) => setUnpricedModels(result.success ? result.models || [] : []))
+      .catch(() => setUnpricedModels([]))
+  }, [lastRefresh])
+
+  // Load SSH sync status (refreshed with the data)
+  useEffect(() => {
+    if (!settings.sshConfig?.enabled) return
+    window.electronAPI?.getSshSyncStatus?.()
+      .then((result: { success: boolean; data?: SshSyncStatus[] }) => setSshSyncStatus(result.success ? result.data || [] : []))
+      .catch(() => setSshSyncStatus([]))
+  }, [lastRefresh, settings.sshConfig?.enabled, settings.sshConfig?.hosts])
+
+  // Load local API server status
+  useEffect(() => {
+    window.electronAPI?.invoke('api-server-get-status')
+      .then((result: { success: boolean; data?: ApiServerStatus }) => setApiServerStatus(result.success ? result.data || null : null))
+      .catch(() => setApiServerStatus(null))
+  }, [])
+
+  const downloadText = (content: string, filename: string, type: string) => {
+    const blob = new Blob([content], { type })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = filename
+    document.body.appendChild(link)
+    link.click()
+    document.body.removeChild(link)
+    URL.revokeObjectURL(url)
+  }
 
-  const handleExportData = async (format: 'csv' | 'json') => {
+  const handleExportData = async (format: 'csv' | 'json' | 'html' | 'txt') => {
+    const date = new Date().toISOString().split('T')[0]
     try {
       if (format === 'csv') {
         // Export daily usage as CSV using new store method
         const csvData = await exportData('daily', 'csv')
-        const blob = new Blob([csvData], { type: 'text/csv' })
-        const url = URL.createObjectURL(blob)
-        const link = document.createElement('a')
-        link.href = url
-        link.download = `dragon-ui-daily-usage-${new Date().toISOString().split('T')[0]}.csv`
-        document.body.appendChild(link)
-        link.click()
-        document.body.removeChild(link)
-        URL.revokeObjectURL(url)
+        downloadText(csvData, `dragon-ui-daily-usage-${date}.csv`, 'text/csv')
+      } else if (format === 'html') {
+        // Self-contained report with charts, opens in any browser
+        const htmlData = await exportData('all', 'html')
+        downloadText(htmlData, `dragon-ui-report-${date}.html`, 'text/html')
+      } else if (format === 'txt') {
+        const textData = await exportData('all', 'txt')
+        downloadText(textData, `dragon-ui-report-${date}.txt`, 'text/plain')
       } else {
         // Export all data as JSON using new store method
         const jsonData = await exportData('all', 'json')
-        downloadData(JSON.parse(jsonData), `dragon-ui-export-${new Date().toISOString().split('T')[0]}.json`)
+        downloadData(JSON.parse(jsonData), `dragon-ui-export-${date}.json`)
       }
     } catch (error) {
       console.error('Export failed:', error)
@@ -170,6 +248,27 @@ export default function SettingsPage() {
     }
   }
 
+  const handleExportEntries = async () => {
+    const options: EntryExportOptions = {
+      format: entryExport.format,
+      filters: {
+        from: entryExport.from || undefined,
+        to: entryExport.to || undefined,
+        projects: entryExport.project ? [entryExport.project] : undefined,
+        models: entryExport.model ? [entryExport.model] : undefined
+      }
+    }
+    try {
+      const result = await exportEntries(options)
+      if (result) {
+        setEntryExportResult(result)
+      }
+    } catch (error) {
+      console.error('Entry export failed:', error)
+      alert(t('pages.settings.dataExport.exportFailed'))
+    }
+  }
+
   const handleClearCache = async () => {
     await refreshCoreData()
   }
@@ -182,6 +281,13 @@ export default function SettingsPage() {
     updateSettings({ refreshInterval: interval })
   }
 
+  // Block ceilings are kept per plan, so switching plans switches them
+  const plan: PlanId = settings.plan || 'max5'
+  const planBlockLimits = getPlanBlockLimits(settings.blockLimits, plan)
+  const updatePlanBlockLimits = (limits: Partial<BlockLimits>) => {
+    updateSettings({ blockLimits: { ...settings.blockLimits, [plan]: { ...planBlockLimits, ...limits } } })
+  }
+
   const toggleCompactMode = () => {
     updateSettings({ compactMode: !settings.compactMode })
   }
@@ -231,6 +337,35 @@ export default function SettingsPage() {
     }
   }
   
+  // Budget management functions
+  const budgets = settings.budgets || []
+  const budgetProjects: string[] = (coreData.projectsData || []).map((p: any) => p.project).filter(Boolean)
+  const exportModels: string[] = (coreData.modelBreakdown || []).map((m: any) => m.modelName).filter(Boolean)
+  
+  const handleAddBudget = () => {
+    const amount = parseFloat(newBudget.amount)
+    if (!amount || amount <= 0 || (newBudget.scope === 'project' && !newBudget.project)) return
+    
+    const budget: BudgetDefinition = {
+      id: `budget-${Date.now()}`,
+      scope: newBudget.scope,
+      project: newBudget.scope === 'project' ? newBudget.project : null,
+      period: newBudget.period,
+      amount,
+      enabled: true
+    }
+    updateSettings({ budgets: [...budgets, budget] })
+    setNewBudget({ ...newBudget, amount: '' })
+  }
+  
+  const handleRemoveBudget = (id: string) => {
+    updateSettings({ budgets: budgets.filter(b => b.id !== id) })
+  }
+  
+  const toggleBudget = (id: string) => {
+    updateSettings({ budgets: budgets.map(b => b.id === id ? { ...b, enabled: !b.enabled } : b) })
+  }
+  
   // Claude paths management functions
   const handleAddCustomPath = async () => {
     if (!newCustomPath.trim()) return
@@ -301,18 +436,104 @@ export default function SettingsPage() {
     updateSshConfig(updates)
   }
 
-  const testSshConnection = async () => {
+  const sshHosts = getSshHosts(settings.sshConfig)
+
+  const handleAddSshHost = () => {
+    updateSshSettings({ hosts: [...sshHosts, createSshHost()] })
+  }
+
+  const updateSshHost = (id: string, updates: Partial<SshHostConfig>) => {
+    updateSshSettings({ hosts: sshHosts.map(host => host.id === id ? { ...host, ...updates } : host) })
+  }
+
+  const handleRemoveSshHost = (id: string) => {
+    updateSshSettings({ hosts: sshHosts.filter(host => host.id !== id) })
+    setSshHostSecrets(id, { password: '', passphrase: '' })
+  }
+
+  const getSshSecretDraft = (id: string, secret: 'password' | 'passphrase') => sshSecretDrafts[`${id}:${secret}`] || ''
+
+  const setSshSecretDraft = (id: string, secret: 'password' | 'passphrase', value: string) => {
+    setSshSecretDrafts(drafts => ({ ...drafts, [`${id}:${secret}`]: value }))
+  }
+
+  const saveSshSecret = async (id: string, secret: 'password' | 'passphrase', value: string) => {
+    const result = await setSshHostSecrets(id, { [secret]: value })
+    if (!result.success) {
+      alert(`Failed to store SSH ${secret}!\n${result.error}`)
+      return
+    }
+    setSshSecretDraft(id, secret, '')
+  }
+
+  const handleSshSyncNow = async () => {
+    if (!window.electronAPI?.syncSshNow) return
+    setIsSyncingSsh(true)
+    try {
+      const result = await window.electronAPI.syncSshNow()
+      if (result.success) {
+        setSshSyncStatus(result.data || [])
+      } else {
+        alert(`SSH sync failed!\n${result.error}`)
+      }
+    } catch (error) {
+      console.error('SSH sync failed:', error)
+    } finally {
+      setIsSyncingSsh(false)
+    }
+  }
+
+  const applyApiServer = async (updates: { enabled?: boolean; port?: number }) => {
+    const result = await updateApiServer(updates)
+    if (result.data) {
+      setApiServerStatus(result.data)
+    }
+  }
+
+  const handleApiPortBlur = () => {
+    const port = parseInt(apiPortDraft)
+    if (!port || port < 1024 || port > 65535) {
+      setApiPortDraft(String(settings.apiServer?.port || 3737))
+      return
+    }
+    if (port !== settings.apiServer?.port) {
+      applyApiServer({ port })
+    }
+  }
+
+  const handleCopyApiToken = async () => {
+    if (!apiServerStatus?.token) return
+    try {
+      await copyToClipboard(apiServerStatus.token)
+      setApiTokenCopied(true)
+      setTimeout(() => setApiTokenCopied(false), 2000)
+    } catch (error) {
+      console.error('Failed to copy API token:', error)
+    }
+  }
+
+  const handleRegenerateApiToken = async () => {
+    if (!confirm(t('pages.settings.apiServer.token.regenerateConfirm'))) return
+    const result = await window.electronAPI.invoke('api-server-regenerate-token')
+    if (result.success) {
+      setApiServerStatus(result.data)
+    } else {
+      alert(`Failed to regenerate API token!\n${result.error}`)
+    }
+  }
+
+  const testSshConnection = async (hostId: string) => {
     try {
       if (!settings.sshConfig) {
         alert('SSH configuration not available')
         return
       }
       
-      console.log('Testing SSH connection:', settings.sshConfig)
+      console.log('Testing SSH connection:', hostId)
       
       // Use window API for SSH connection test
       if (window.electronAPI?.invoke) {
-        const result = await window.electronAPI.invoke('ssh-test-connection', settings.sshConfig)
+        const result = await window.electronAPI.invoke('ssh-test-connection', { ...settings.sshConfig, hosts: sshHosts }, hostId)
         
         if (result.success) {
           alert(`SSH connection test successful!\n${result.message}`)
@@ -518,7 +739,60 @@ export default function SettingsPage() {
               </select>
             </div>
           </div>
-          
+
+          <div className="flex items-center justify-between">
+            <div>
+              <h4 className="font-semibold">{t('pages.settings.billingCycle.plan.title')}</h4>
+              <p className="text-sm text-muted-foreground">
+                {t('pages.settings.billingCycle.plan.description')}
+              </p>
+            </div>
+            <select
+              className="bg-background border border-border rounded px-3 py-2 text-sm"
+              value={settings.plan || 'max5'}
+              onChange={(e) => updateSettings({ plan: e.target.value as PlanId })}
+            >
+              <option value="pro">{t('pages.settings.billingCycle.plan.options.pro')}</option>
+              <option value="max5">{t('pages.settings.billingCycle.plan.options.max5')}</option>
+              <option value="max20">{t('pages.settings.billingCycle.plan.options.max20')}</option>
+              <option value="api">{t('pages.settings.billingCycle.plan.options.api')}</option>
+            </select>
+          </div>
+
+          <div className="flex items-center justify-between">
+            <div>
+              <h4 className="font-semibold">{t('pages.settings.billingCycle.blockTokenLimit.title')} ({t(`pages.settings.billingCycle.plan.options.${plan}`)})</h4>
+              <p className="text-sm text-muted-foreground">
+                {t('pages.settings.billingCycle.blockTokenLimit.description')}
+              </p>
+            </div>
+            <input
+              type="number"
+              min="0"
+              step="100000"
+              value={planBlockLimits.tokenLimit}
+              onChange={(e) => updatePlanBlockLimits({ tokenLimit: Math.max(0, parseInt(e.target.value) || 0) })}
+              className="w-36 px-3 py-2 bg-background border border-border rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-dragon-primary"
+            />
+          </div>
+
+          <div className="flex items-center justify-between">
+            <div>
+              <h4 className="font-semibold">{t('pages.settings.billingCycle.blockCostLimit.title')} ({t(`pages.settings.billingCycle.plan.options.${plan}`)}, {currency})</h4>
+              <p className="text-sm text-muted-foreground">
+                {t('pages.settings.billingCycle.blockCostLimit.description')}
+              </p>
+            </div>
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={planBlockLimits.costLimit}
+              onChange={(e) => updatePlanBlockLimits({ costLimit: Math.max(0, parseFloat(e.target.value) || 0) })}
+              className="w-36 px-3 py-2 bg-background border border-border rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-dragon-primary"
+            />
+          </div>
+
           <div className="bg-muted/50 p-4 rounded-lg">
             <p className="text-sm text-muted-foreground">
               <strong>{t('pages.settings.billingCycle.currentBillingPeriod')}:</strong> {getCurrentBillingPeriod(settings.billingCycleDay || 1)}
@@ -530,6 +804,114 @@ export default function SettingsPage() {
         </CardContent>
       </DragonCard>
 
+      {/* Budget Alerts */}
+      <DragonCard 
+        variant="scales"
+        className="transition-all duration-300 hover:scale-110 hover:shadow-lg hover:shadow-red-500/20 dragon-flame-border relative z-10 hover:z-20"
+      >
+        <CardHeader>
+          <CardTitle className="flex items-center space-x-2">
+            <AlertTriangle className="h-5 w-5 text-dragon-primary" />
+            <span>{t('pages.settings.budgets.title')}</span>
+          </CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-6">
+          <p className="text-sm text-muted-foreground">
+            {t('pages.settings.budgets.description')}
+          </p>
+
+          {/* Add Budget */}
+          <div className="flex flex-wrap gap-2">
+            <select
+              className="bg-background border border-border rounded px-3 py-2 text-sm"
+              value={newBudget.period}
+              onChange={(e) => setNewBudget({ ...newBudget, period: e.target.value as BudgetPeriod })}
+            >
+              <option value="daily">{t('pages.settings.budgets.periods.daily')}</option>
+              <option value="weekly">{t('pages.settings.budgets.periods.weekly')}</option>
+              <option value="billing">{t('pages.settings.budgets.periods.billing')}</option>
+            </select>
+            <select
+              className="bg-background border border-border rounded px-3 py-2 text-sm"
+              value={newBudget.scope === 'global' ? '' : newBudget.project}
+              onChange={(e) => setNewBudget({ ...newBudget, scope: e.target.value ? 'project' : 'global', project: e.target.value })}
+            >
+              <option value="">{t('pages.settings.budgets.allProjects')}</option>
+              {budgetProjects.map(project => (
+                <option key={project} value={project}>{project}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={newBudget.amount}
+              onChange={(e) => setNewBudget({ ...newBudget, amount: e.target.value })}
+              placeholder={`${t('pages.settings.budgets.amount')} (${currency})`}
+              className="w-36 px-3 py-2 bg-background border border-border rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-dragon-primary"
+              onKeyDown={(e) => e.key === 'Enter' && handleAddBudget()}
+            />
+            <Button
+              variant="dragon"
+              size="sm"
+              onClick={handleAddBudget}
+              disabled={!(parseFloat(newBudget.amount) > 0)}
+            >
+              <Plus className="h-4 w-4" />
+            </Button>
+          </div>
+
+          {/* Existing Budgets */}
+          {budgets.length > 0 ? (
+            <div className="space-y-2">
+              {budgets.map(budget => {
+                const status = (coreData.budgetStatus || []).find(s => s.budgetId === budget.id)
+                const percent = status ? status.percent : 0
+                return (
+                  <div key={budget.id} className="flex items-center justify-between p-3 bg-muted/50 rounded-lg">
+                    <div className="space-y-1">
+                      <p className="text-sm font-medium">
+                        {t(`pages.settings.budgets.periods.${budget.period}`)} • {budget.scope === 'project' ? budget.project : t('pages.settings.budgets.allProjects')}
+                      </p>
+                      <p className="text-xs text-muted-foreground">
+                        {formatCurrency(status?.spent || 0, currency)} / {formatCurrency(budget.amount, currency)} ({percent.toFixed(0)}%)
+                      </p>
+                    </div>
+                    <div className="flex items-center space-x-2">
+                      <Button
+                        variant={budget.enabled ? 'dragon' : 'outline'}
+                        size="sm"
+                        onClick={() => toggleBudget(budget.id)}
+                      >
+                        {budget.enabled ? t('pages.settings.budgets.enabled') : t('pages.settings.budgets.disabled')}
+                      </Button>
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => handleRemoveBudget(budget.id)}
+                        className="text-red-500 hover:text-red-600 hover:border-red-500"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    </div>
+                  </div>
+                )
+              })}
+            </div>
+          ) : (
+            <div className="p-3 text-center text-muted-foreground bg-muted/20 rounded-lg">
+              <p className="text-sm">{t('pages.settings.budgets.noBudgets')}</p>
+            </div>
+          )}
+
+          <div className="bg-muted/50 p-4 rounded-lg">
+            <p className="text-xs text-muted-foreground">
+              {t('pages.settings.budgets.note')}
+            </p>
+          </div>
+        </CardContent>
+      </DragonCard>
+
       {/* Data & Refresh Settings */}
       <DragonCard 
         variant="scales"
@@ -934,72 +1316,264 @@ export default function SettingsPage() {
 
           {settings.sshConfig?.enabled && (
             <div className="space-y-4 pt-4 border-t border-white/20">
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                <div>
-                  <label className="block text-sm font-medium text-white mb-2">
-                    <Network className="h-4 w-4 inline mr-1" />
-                    {t('pages.settings.sshSupport.config.host')}
-                  </label>
-                  <input
-                    type="text"
-                    value={settings.sshConfig?.host || ''}
-                    onChange={(e) => updateSshSettings({ host: e.target.value })}
-                    placeholder={t('pages.settings.sshSupport.config.hostPlaceholder')}
-                    className="w-full px-3 py-2 bg-white/10 border border-white/20 rounded-md text-white placeholder:text-white/50 focus:outline-none focus:ring-2 focus:ring-white/30"
-                  />
-                </div>
-                <div>
-                  <label className="block text-sm font-medium text-white mb-2">
-                    <Server className="h-4 w-4 inline mr-1" />
-                    {t('pages.settings.sshSupport.config.port')}
-                  </label>
-                  <input
-                    type="number"
-                    value={settings.sshConfig?.port || 22}
-                    onChange={(e) => updateSshSettings({ port: parseInt(e.target.value) || 22 })}
-                    placeholder="22"
-                    className="w-full px-3 py-2 bg-white/10 border border-white/20 rounded-md text-white placeholder:text-white/50 focus:outline-none focus:ring-2 focus:ring-white/30"
-                  />
-                </div>
-                <div>
-                  <label className="block text-sm font-medium text-white mb-2">
-                    <User className="h-4 w-4 inline mr-1" />
-                    {t('pages.settings.sshSupport.config.username')}
-                  </label>
-                  <input
-                    type="text"
-                    value={settings.sshConfig?.username || ''}
-                    onChange={(e) => updateSshSettings({ username: e.target.value })}
-                    placeholder={t('pages.settings.sshSupport.config.usernamePlaceholder')}
-                    className="w-full px-3 py-2 bg-white/10 border border-white/20 rounded-md text-white placeholder:text-white/50 focus:outline-none focus:ring-2 focus:ring-white/30"
-                  />
+              {sshHosts.length === 0 && (
+                <p className="text-sm text-white/60">{t('pages.settings.sshSupport.hosts.empty')}</p>
+              )}
+
+              {sshHosts.map(host => (
+                <div key={host.id} className="space-y-4 p-4 bg-white/5 border border-white/10 rounded-md">
+                  <div className="flex items-center justify-between">
+                    <h4 className="font-semibold text-white flex items-center">
+                      <Server className="h-4 w-4 mr-2" />
+                      {host.label || host.host || t('pages.settings.sshSupport.hosts.newHost')}
+                    </h4>
+                    <div className="flex items-center space-x-2">
+                      <Button
+                        variant={host.enabled ? "dragon" : "outline"}
+                        size="sm"
+                        onClick={() => updateSshHost(host.id, { enabled: !host.enabled })}
+                      >
+                        {host.enabled ? t('pages.settings.sshSupport.enable.enabled') : t('pages.settings.sshSupport.enable.disabled')}
+                      </Button>
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => handleRemoveSshHost(host.id)}
+                        className="text-red-300 border-red-500/30 hover:bg-red-500/20"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    </div>
+                  </div>
+
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-white mb-2">
+                        <Server className="h-4 w-4 inline mr-1" />
+                        {t('pages.settings.sshSupport.hosts.label')}
+                      </label>
+                      <input
+                        type="text"
+                        value={host.label}
+                        onChange={(e) => updateSshHost(host.id, { label: e.target.value })}
+                        placeholder={host.host || t('pages.settings.sshSupport.hosts.labelPlaceholder')}
+                        className="w-full px-3 py-2 bg-white/10 border border-white/20 rounded-md text-white placeholder:text-white/50 focus:outline-none focus:ring-2 focus:ring-white/30"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-white mb-2">
+                        <Network className="h-4 w-4 inline mr-1" />
+                        {t('pages.settings.sshSupport.config.host')}
+                      </label>
+                      <input
+                        type="text"
+                        value={host.host}
+                        onChange={(e) => updateSshHost(host.id, { host: e.target.value })}
+                        placeholder={t('pages.settings.sshSupport.config.hostPlaceholder')}
+                        className="w-full px-3 py-2 bg-white/10 border border-white/20 rounded-md text-white placeholder:text-white/50 focus:outline-none focus:ring-2 focus:ring-white/30"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-white mb-2">
+                        <Server className="h-4 w-4 inline mr-1" />
+                        {t('pages.settings.sshSupport.config.port')}
+                      </label>
+                      <input
+                        type="number"
+                        value={host.port || 22}
+                        onChange={(e) => updateSshHost(host.id, { port: parseInt(e.target.value) || 22 })}
+                        placeholder="22"
+                        className="w-full px-3 py-2 bg-white/10 border border-white/20 rounded-md text-white placeholder:text-white/50 focus:outline-none focus:ring-2 focus:ring-white/30"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-white mb-2">
+                        <User className="h-4 w-4 inline mr-1" />
+                        {t('pages.settings.sshSupport.config.username')}
+                      </label>
+                      <input
+                        type="text"
+                        value={host.username}
+                        onChange={(e) => updateSshHost(host.id, { username: e.target.value })}
+                        placeholder={t('pages.settings.sshSupport.config.usernamePlaceholder')}
+                        className="w-full px-3 py-2 bg-white/10 border border-white/20 rounded-md text-white placeholder:text-white/50 focus:outline-none focus:ring-2 focus:ring-white/30"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-white mb-2">
+                        <Key className="h-4 w-4 inline mr-1" />
+                        {t('pages.settings.sshSupport.config.password')}
+                      </label>
+                      <div className="flex space-x-2">
+                        <input
+                          type="password"
+                          value={getSshSecretDraft(host.id, 'password')}
+                          onChange={(e) => setSshSecretDraft(host.id, 'password', e.target.value)}
+                          onBlur={(e) => e.target.value && saveSshSecret(host.id, 'password', e.target.value)}
+                          placeholder={host.hasPassword ? t('pages.settings.sshSupport.credentials.saved') : '••••••••'}
+                          autoComplete="new-password"
+                          className="w-full px-3 py-2 bg-white/10 border border-white/20 rounded-md text-white placeholder:text-white/50 focus:outline-none focus:ring-2 focus:ring-white/30"
+                        />
+                        {host.hasPassword && (
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            onClick={() => saveSshSecret(host.id, 'password', '')}
+                            title={t('pages.settings.sshSupport.credentials.clear')}
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </Button>
+                        )}
+                      </div>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-white mb-2">
+                        <FolderOpen className="h-4 w-4 inline mr-1" />
+                        {t('pages.settings.sshSupport.hosts.remotePaths')}
+                      </label>
+                      <textarea
+                        rows={2}
+                        value={host.remotePaths.join('\n')}
+                        onChange={(e) => updateSshHost(host.id, { remotePaths: e.target.value.split('\n') })}
+                        placeholder="~/.claude/projects"
+                        className="w-full px-3 py-2 bg-white/10 border border-white/20 rounded-md text-white placeholder:text-white/50 focus:outline-none focus:ring-2 focus:ring-white/30"
+                      />
+                    </div>
+                  </div>
+
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <h4 className="font-semibold text-white">{t('pages.settings.sshSupport.keyAuth.title')}</h4>
+                      <p className="text-sm text-white/80">
+                        {t('pages.settings.sshSupport.keyAuth.description')}
+                      </p>
+                    </div>
+                    <Button
+                      variant={host.useKeyAuth ? "dragon" : "outline"}
+                      size="sm"
+                      onClick={() => updateSshHost(host.id, { useKeyAuth: !host.useKeyAuth })}
+                    >
+                      {host.useKeyAuth ? t('pages.settings.sshSupport.enable.enabled') : t('pages.settings.sshSupport.enable.disabled')}
+                    </Button>
+                  </div>
+
+                  {host.useKeyAuth && (
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                      <div>
+                        <label className="block text-sm font-medium text-white mb-2">
+                          <Key className="h-4 w-4 inline mr-1" />
+                          {t('pages.settings.sshSupport.keyAuth.privateKeyPath')}
+                        </label>
+                        <input
+                          type="text"
+                          value={host.privateKeyPath}
+                          onChange={(e) => updateSshHost(host.id, { privateKeyPath: e.target.value })}
+                          placeholder="~/.ssh/id_ed25519"
+                          className="w-full px-3 py-2 bg-white/10 border border-white/20 rounded-md text-white placeholder:text-white/50 focus:outline-none focus:ring-2 focus:ring-white/30"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-white mb-2">
+                          <Key className="h-4 w-4 inline mr-1" />
+                          {t('pages.settings.sshSupport.keyAuth.passphrase')}
+                        </label>
+                        <div className="flex space-x-2">
+                          <input
+                            type="password"
+                            value={getSshSecretDraft(host.id, 'passphrase')}
+                            onChange={(e) => setSshSecretDraft(host.id, 'passphrase', e.target.value)}
+                            onBlur={(e) => e.target.value && saveSshSecret(host.id, 'passphrase', e.target.value)}
+                            placeholder={host.hasPassphrase ? t('pages.settings.sshSupport.credentials.saved') : '••••••••'}
+                            autoComplete="new-password"
+                            className="w-full px-3 py-2 bg-white/10 border border-white/20 rounded-md text-white placeholder:text-white/50 focus:outline-none focus:ring-2 focus:ring-white/30"
+                          />
+                          {host.hasPassphrase && (
+                            <Button
+                              variant="outline"
+                              size="sm"
+                              onClick={() => saveSshSecret(host.id, 'passphrase', '')}
+                              title={t('pages.settings.sshSupport.credentials.clear')}
+                            >
+                              <Trash2 className="h-4 w-4" />
+                            </Button>
+                          )}
+                        </div>
+                      </div>
+                    </div>
+                  )}
+
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => testSshConnection(host.id)}
+                    disabled={!host.host}
+                    className="bg-blue-500/20 border-blue-500/30 text-white hover:bg-blue-500/30"
+                  >
+                    <Network className="h-4 w-4 mr-2" />
+                    {t('pages.settings.sshSupport.actions.testConnection')}
+                  </Button>
                 </div>
-                <div>
-                  <label className="block text-sm font-medium text-white mb-2">
-                    <Key className="h-4 w-4 inline mr-1" />
-                    {t('pages.settings.sshSupport.config.password')}
-                  </label>
-                  <input
-                    type="password"
-                    value={settings.sshConfig?.password || ''}
-                    onChange={(e) => updateSshSettings({ password: e.target.value })}
-                    placeholder="••••••••"
-                    className="w-full px-3 py-2 bg-white/10 border border-white/20 rounded-md text-white placeholder:text-white/50 focus:outline-none focus:ring-2 focus:ring-white/30"
-                  />
+              ))}
+
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={handleAddSshHost}
+              >
+                <Plus className="h-4 w-4 mr-2" />
+                {t('pages.settings.sshSupport.hosts.add')}
+              </Button>
+
+              {/* Sync Status */}
+              {sshHosts.length > 0 && (
+                <div className="p-4 bg-white/5 border border-white/10 rounded-lg space-y-3">
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <h4 className="font-semibold text-white">{t('pages.settings.sshSupport.sync.title')}</h4>
+                      <p className="text-sm text-white/80">
+                        {t('pages.settings.sshSupport.sync.description')}
+                      </p>
+                    </div>
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={handleSshSyncNow}
+                      disabled={isSyncingSsh}
+                    >
+                      <RefreshCw className={`h-4 w-4 mr-2 ${isSyncingSsh ? 'animate-spin' : ''}`} />
+                      {isSyncingSsh ? t('pages.settings.sshSupport.sync.syncing') : t('pages.settings.sshSupport.sync.syncNow')}
+                    </Button>
+                  </div>
+
+                  {sshSyncStatus.map(status => (
+                    <div key={status.hostId} className="p-3 bg-white/5 border border-white/10 rounded-md space-y-1">
+                      <div className="flex items-center justify-between">
+                        <span className="font-medium text-white">{status.label}</span>
+                        <DragonBadge variant={status.state === 'error' ? 'flame' : status.state === 'ok' ? 'emerald' : 'scale'}>
+                          {t(`pages.settings.sshSupport.sync.states.${status.state}`)}
+                        </DragonBadge>
+                      </div>
+                      <p className="text-xs text-white/70">
+                        {t('pages.settings.sshSupport.sync.lastSynced')}: {status.lastSyncedAt ? getRelativeTime(status.lastSyncedAt) : t('pages.settings.sshSupport.sync.never')}
+                        {' • '}{status.filesTracked} {t('pages.settings.sshSupport.sync.files')}
+                        {' • '}{formatBytes(status.mirroredBytes)} {t('pages.settings.sshSupport.sync.mirrored')}
+                      </p>
+                      {status.lastRun && status.lastRun.finishedAt && (
+                        <p className="text-xs text-white/70">
+                          {t('pages.settings.sshSupport.sync.lastRun')}: {status.lastRun.filesUpdated}/{status.lastRun.filesChecked} {t('pages.settings.sshSupport.sync.filesUpdated')}
+                          {' • '}{formatBytes(status.lastRun.bytesTransferred)} {t('pages.settings.sshSupport.sync.transferred')}
+                          {' • '}{status.lastRun.newEntries} {t('pages.settings.sshSupport.sync.newEntries')}
+                        </p>
+                      )}
+                      {status.lastRun && (status.lastRun.error || status.lastRun.errors.length > 0) && (
+                        <p className="text-xs text-red-300">
+                          {status.lastRun.error || status.lastRun.errors.join('; ')}
+                        </p>
+                      )}
+                    </div>
+                  ))}
                 </div>
-              </div>
-              
-              <div className="flex space-x-3 pt-2">
-                <Button
-                  variant="outline"
-                  size="sm"
-                  onClick={testSshConnection}
-                  className="bg-blue-500/20 border-blue-500/30 text-white hover:bg-blue-500/30"
-                >
-                  <Network className="h-4 w-4 mr-2" />
-                  {t('pages.settings.sshSupport.actions.testConnection')}
-                </Button>
-              </div>
+              )}
               
               <div className="mt-4 p-3 bg-white/5 border border-white/10 rounded-md">
                 <p className="text-xs text-white/60">
@@ -1011,6 +1585,100 @@ export default function SettingsPage() {
         </CardContent>
       </DragonCard>
 
+      {/* Local API */}
+      <DragonCard 
+        variant="flame"
+        className="transition-all duration-300 hover:scale-110 hover:shadow-lg hover:shadow-red-500/20 dragon-flame-border relative z-10 hover:z-20"
+      >
+        <CardHeader>
+          <CardTitle className="flex items-center space-x-2">
+            <Plug className="h-5 w-5 text-white" />
+            <span>{t('pages.settings.apiServer.title')}</span>
+          </CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-6">
+          <div className="flex items-center justify-between">
+            <div>
+              <h4 className="font-semibold text-white">{t('pages.settings.apiServer.enable.title')}</h4>
+              <p className="text-sm text-white/80">
+                {t('pages.settings.apiServer.enable.description')}
+              </p>
+            </div>
+            <Button
+              variant={settings.apiServer?.enabled ? "dragon" : "outline"}
+              size="sm"
+              onClick={() => applyApiServer({ enabled: !settings.apiServer?.enabled })}
+            >
+              {settings.apiServer?.enabled ? t('pages.settings.apiServer.enable.enabled') : t('pages.settings.apiServer.enable.disabled')}
+            </Button>
+          </div>
+
+          <div className="flex items-center justify-between">
+            <div>
+              <h4 className="font-semibold text-white">{t('pages.settings.apiServer.port.title')}</h4>
+              <p className="text-sm text-white/80">
+                {t('pages.settings.apiServer.port.description')}
+              </p>
+            </div>
+            <input
+              type="number"
+              min="1024"
+              max="65535"
+              value={apiPortDraft}
+              onChange={(e) => setApiPortDraft(e.target.value)}
+              onBlur={handleApiPortBlur}
+              className="w-28 px-3 py-2 bg-background border border-border rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-dragon-primary"
+            />
+          </div>
+
+          {settings.apiServer?.enabled && apiServerStatus && (
+            <div className="space-y-4 pt-4 border-t border-white/20">
+              <div className="flex items-center justify-between">
+                <span className="text-sm text-white/80">
+                  {apiServerStatus.running ? apiServerStatus.url : apiServerStatus.error || t('pages.settings.apiServer.status.stopped')}
+                </span>
+                <DragonBadge variant={apiServerStatus.running ? 'emerald' : 'flame'}>
+                  {apiServerStatus.running ? t('pages.settings.apiServer.status.running') : t('pages.settings.apiServer.status.stopped')}
+                </DragonBadge>
+              </div>
+
+              <div className="space-y-2">
+                <h4 className="font-semibold text-white">{t('pages.settings.apiServer.token.title')}</h4>
+                <p className="text-sm text-white/80">
+                  {t('pages.settings.apiServer.token.description')}
+                </p>
+                <div className="flex items-center gap-2">
+                  <code className="flex-1 px-3 py-2 bg-black/30 border border-white/10 rounded-md text-xs text-white font-mono break-all">
+                    {apiServerStatus.token}
+                  </code>
+                  <Button variant="outline" size="sm" onClick={handleCopyApiToken}>
+                    <Copy className="h-4 w-4 mr-2" />
+                    {apiTokenCopied ? t('pages.settings.apiServer.token.copied') : t('pages.settings.apiServer.token.copy')}
+                  </Button>
+                  <Button variant="outline" size="sm" onClick={handleRegenerateApiToken}>
+                    <RefreshCw className="h-4 w-4 mr-2" />
+                    {t('pages.settings.apiServer.token.regenerate')}
+                  </Button>
+                </div>
+              </div>
+
+              {apiServerStatus.running && (
+                <div className="p-3 bg-white/5 border border-white/10 rounded-md space-y-1">
+                  <p className="text-xs text-white/60">{t('pages.settings.apiServer.example')}</p>
+                  <code className="block text-xs text-white font-mono break-all">
+                    curl -H "Authorization: Bearer {apiServerStatus.token}" {apiServerStatus.url}/overview
+                  </code>
+                  <p className="text-xs text-white/60 pt-2">{t('pages.settings.apiServer.metrics')}</p>
+                  <code className="block text-xs text-white font-mono break-all">
+                    http://127.0.0.1:{apiServerStatus.port}/metrics
+                  </code>
+                </div>
+              )}
+            </div>
+          )}
+        </CardContent>
+      </DragonCard>
+
 
       {/* Database Management */}
       <DragonCard 
@@ -1109,6 +1777,65 @@ export default function SettingsPage() {
                 {t('pages.settings.database.refresh.action', 'Refresh Database')}
               </Button>
             </div>
+            
+            <div>
+              <h4 className="font-semibold mb-2">{t('pages.settings.database.recalculate.title', 'Historic Costs')}</h4>
+              <p className="text-sm text-muted-foreground mb-3">
+                {t('pages.settings.database.recalculate.description', 'Reprice all entries with the model prices that were valid at the time')}
+              </p>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => recalculateHistoricCosts().then(setRecalculateResult).catch(() => setRecalculateResult(null))}
+                disabled={isLoadingDatabase}
+                className="w-full"
+              >
+                {isLoadingDatabase ? (
+                  <RefreshCw className="h-4 w-4 mr-2 animate-spin" />
+                ) : (
+                  <Calculator className="h-4 w-4 mr-2" />
+                )}
+                {t('pages.settings.database.recalculate.action', 'Recalculate Costs')}
+              </Button>
+              {recalculateResult && (
+                <p className="text-xs text-muted-foreground mt-2">
+                  {recalculateResult.updated} / {recalculateResult.checked} {t('pages.settings.database.recalculate.repriced', 'entries repriced')}
+                </p>
+              )}
+            </div>
+          </div>
+
+          {/* Unpriced Models */}
+          <div>
+            <h4 className="font-semibold mb-2">{t('pages.settings.database.unpriced.title', 'Unpriced Models')}</h4>
+            {unpricedModels.length === 0 ? (
+              <p className="text-sm text-muted-foreground">
+                {t('pages.settings.database.unpriced.none', 'All models in your usage data have an exact price')}
+              </p>
+            ) : (
+              <>
+                <p className="text-sm text-muted-foreground mb-3">
+                  {t('pages.settings.database.unpriced.description', 'These models have no exact price and are billed with the closest known model')}
+                </p>
+                <div className="space-y-2">
+                  {unpricedModels.map(model => (
+                    <div key={model.model} className="flex items-center justify-between p-2 bg-muted/30 rounded-lg text-sm">
+                      <div className="min-w-0">
+                        <p className="font-mono truncate">{model.model}</p>
+                        <p className="text-xs text-muted-foreground">
+                          {model.entries} {t('pages.settings.database.unpriced.entries', 'entries')} • {t('pages.settings.database.unpriced.pricedAs', 'priced as')} {model.resolvedAs}
+                        </p>
+                      </div>
+                      <DragonBadge variant="outline">
+                        {model.match === 'family'
+                          ? t('pages.settings.database.unpriced.familyMatch', 'Same family')
+                          : t('pages.settings.database.unpriced.defaultMatch', 'Default')}
+                      </DragonBadge>
+                    </div>
+                  ))}
+                </div>
+              </>
+            )}
           </div>
 
           {/* Warning */}
@@ -1160,7 +1887,87 @@ export default function SettingsPage() {
                 <Download className="h-4 w-4 mr-2" />
                 {t('pages.settings.dataExport.exportUsageData.exportJson')}
               </Button>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => handleExportData('html')}
+              >
+                <Download className="h-4 w-4 mr-2" />
+                {t('pages.settings.dataExport.exportUsageData.exportHtml')}
+              </Button>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => handleExportData('txt')}
+              >
+                <Download className="h-4 w-4 mr-2" />
+                {t('pages.settings.dataExport.exportUsageData.exportTxt')}
+              </Button>
+            </div>
+          </div>
+
+          <div>
+            <h4 className="font-semibold mb-2">{t('pages.settings.dataExport.exportEntries.title')}</h4>
+            <p className="text-sm text-muted-foreground mb-4">
+              {t('pages.settings.dataExport.exportEntries.description')}
+            </p>
+            <div className="flex flex-wrap gap-2">
+              <input
+                type="date"
+                value={entryExport.from}
+                onChange={(e) => setEntryExport({ ...entryExport, from: e.target.value })}
+                title={t('pages.settings.dataExport.exportEntries.from')}
+                className="px-3 py-2 bg-background border border-border rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-dragon-primary"
+              />
+              <input
+                type="date"
+                value={entryExport.to}
+                onChange={(e) => setEntryExport({ ...entryExport, to: e.target.value })}
+                title={t('pages.settings.dataExport.exportEntries.to')}
+                className="px-3 py-2 bg-background border border-border rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-dragon-primary"
+              />
+              <select
+                className="bg-background border border-border rounded px-3 py-2 text-sm"
+                value={entryExport.project}
+                onChange={(e) => setEntryExport({ ...entryExport, project: e.target.value })}
+              >
+                <option value="">{t('pages.settings.dataExport.exportEntries.allProjects')}</option>
+                {budgetProjects.map(project => (
+                  <option key={project} value={project}>{project}</option>
+                ))}
+              </select>
+              <select
+                className="bg-background border border-border rounded px-3 py-2 text-sm"
+                value={entryExport.model}
+                onChange={(e) => setEntryExport({ ...entryExport, model: e.target.value })}
+              >
+                <option value="">{t('pages.settings.dataExport.exportEntries.allModels')}</option>
+                {exportModels.map(model => (
+                  <option key={model} value={model}>{model}</option>
+                ))}
+              </select>
+              <select
+                className="bg-background border border-border rounded px-3 py-2 text-sm"
+                value={entryExport.format}
+                onChange={(e) => setEntryExport({ ...entryExport, format: e.target.value as 'csv' | 'tsv' })}
+              >
+                <option value="csv">CSV</option>
+                <option value="tsv">TSV</option>
+              </select>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={handleExportEntries}
+              >
+                <Download className="h-4 w-4 mr-2" />
+                {t('pages.settings.dataExport.exportEntries.action')}
+              </Button>
             </div>
+            {entryExportResult && (
+              <p className="text-xs text-muted-foreground mt-2">
+                {entryExportResult.rows} {t('pages.settings.dataExport.exportEntries.rowsExported', 'rows exported to')} {entryExportResult.filePath}
+              </p>
+            )}
           </div>
         </CardContent>
       </DragonCard>
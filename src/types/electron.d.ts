@@ -6,11 +6,27 @@ export interface SSHConfig {
   host: string;
   port: number;
   username: string;
-  password: string;
   privateKeyPath: string;
   useKeyAuth: boolean;
   connectionTimeout: number;
   keepAliveInterval: number;
+  hosts?: SSHHostConfig[];
+}
+
+// Remote machine ingested over SSH (entries are tagged with its id)
+export interface SSHHostConfig {
+  id: string;
+  label: string;
+  host: string;
+  port: number;
+  username: string;
+  privateKeyPath: string;
+  useKeyAuth: boolean;
+  remotePaths: string[];
+  enabled: boolean;
+  // Secrets stay in the main process credential store
+  hasPassword: boolean;
+  hasPassphrase: boolean;
 }
 
 export interface ElectronAPI {
@@ -39,9 +55,16 @@ export interface ElectronAPI {
   // SSH Support
   'ssh-set-config': (config: SSHConfig) => Promise<{ success: boolean; message?: string; error?: string }>;
   'ssh-get-config': () => Promise<{ success: boolean; data?: SSHConfig; error?: string }>;
-  'ssh-test-connection': (config: SSHConfig) => Promise<{ success: boolean; message: string; error?: string }>;
+  'ssh-test-connection': (config: SSHConfig, hostId?: string) => Promise<{ success: boolean; message: string; error?: string }>;
+  'ssh-set-credentials': (hostId: string, secrets: { password?: string; passphrase?: string }) => Promise<{ success: boolean; data?: { hasPassword: boolean; hasPassphrase: boolean }; error?: string }>;
+  'ssh-get-credential-status': (hostIds: string[]) => Promise<{ success: boolean; data?: Record<string, { hasPassword: boolean; hasPassphrase: boolean }>; error?: string }>;
   'ssh-execute-command': (config: SSHConfig, command: string) => Promise<{ success: boolean; output?: string; error?: string }>;
   
+  // Local API server
+  'api-server-configure': (config: { enabled: boolean; port: number }) => Promise<{ success: boolean; data?: ApiServerStatus; error?: string }>;
+  'api-server-get-status': () => Promise<{ success: boolean; data?: ApiServerStatus; error?: string }>;
+  'api-server-regenerate-token': () => Promise<{ success: boolean; data?: ApiServerStatus; error?: string }>;
+  
   // Direct IPC calls for modular services
   invokeClaudeProjectsStats: () => Promise<{ success: boolean; data: any; error?: string }>;
   invokeClaudeProjectsDaily: () => Promise<{ success: boolean; data: any; error?: string }>;
@@ -52,6 +75,19 @@ export interface ElectronAPI {
   invokeClaudeProjectsCurrentSession: () => Promise<{ success: boolean; data: any; error?: string }>;
   invokeClaudeProjectsLive: () => Promise<{ success: boolean; data: any; error?: string }>;
   invokeClaudeProjectsForceReload: () => Promise<{ success: boolean; message?: string; error?: string }>;
+  
+  // Session drill-down
+  getSessionDetail: (sessionKey: string) => Promise<{ success: boolean; data?: SessionDetail; error?: string }>;
+  
+  // Paginated Sessions / Projects tables
+  querySessions: (query: TableQuery) => Promise<{ success: boolean; data?: TablePage<SessionRow>; error?: string }>;
+  queryProjects: (query: TableQuery) => Promise<{ success: boolean; data?: TablePage<ProjectRow>; error?: string }>;
+  
+  // Period-over-period comparison
+  getPeriodComparison: (options: ComparisonOptions) => Promise<{ success: boolean; data?: PeriodComparison; error?: string }>;
+  
+  // Weekday x hour usage heatmap
+  getUsageHeatmap: (options: { timezone?: string }) => Promise<{ success: boolean; data?: UsageHeatmap; error?: string }>;
 }
 
 // Claude Max API types
@@ -6,17 +6,239 @@ interface SSHConfig {
   host: string;
   port: number;
   username: string;
-  password: string;
   privateKeyPath: string;
   useKeyAuth: boolean;
   connectionTimeout: number;
   keepAliveInterval: number;
+  hosts?: SSHHostConfig[];
+}
+
+// Remote machine ingested over SSH (entries are tagged with its id)
+interface SSHHostConfig {
+  id: string;
+  label: string;
+  host: string;
+  port: number;
+  username: string;
+  privateKeyPath: string;
+  useKeyAuth: boolean;
+  remotePaths: string[];
+  enabled: boolean;
+  // Secrets stay in the main process credential store
+  hasPassword: boolean;
+  hasPassphrase: boolean;
 }
 
 // Vite build-time constants
 declare const __APP_VERSION__: string;
 
 declare global {
+  // Model without an exact price in the pricing catalogue
+  interface UnpricedModel {
+    model: string;
+    entries: number;
+    tokens: number;
+    cost: number;
+    lastSeen: string;
+    resolvedAs: string;
+    match: 'family' | 'default';
+  }
+
+  // Incremental mirror state of an SSH remote host (services/remote-sync.cjs)
+  interface SshSyncStatus {
+    hostId: string;
+    label: string;
+    enabled: boolean;
+    state: 'idle' | 'syncing' | 'ok' | 'partial' | 'error';
+    filesTracked: number;
+    mirroredBytes: number;
+    lastSyncedAt: string | null;
+    lastRun: {
+      startedAt: string;
+      finishedAt: string | null;
+      durationMs: number | null;
+      filesChecked: number;
+      filesUpdated: number;
+      bytesTransferred: number;
+      newEntries: number;
+      errors: string[];
+      error: string | null;
+    } | null;
+  }
+
+  // Drill-down of one session row (services/session-detail.cjs), costs in the display currency
+  interface SessionDetail {
+    sessionKey: string;
+    sessionId: string;
+    fullSessionId: string | null;
+    segment: number | null;
+    project: string | null;
+    source: string;
+    currency: string;
+    startTime: string;
+    endTime: string;
+    durationMinutes: number;
+    activeMinutes: number;
+    entryCount: number;
+    totalCost: number;
+    totalTokens: number;
+    tokens: {
+      inputTokens: number;
+      outputTokens: number;
+      cacheCreationTokens: number;
+      cacheReadTokens: number;
+    };
+    cacheHitRatio: number;
+    models: Array<{ model: string; entries: number; tokens: number; cost: number }>;
+    modelSwitches: Array<{ timestamp: string; from: string; to: string }>;
+    idleGaps: Array<{ start: string; end: string; minutes: number }>;
+    idleGapMinutes: number;
+    workingDirectories: Array<{ cwd: string; entries: number }>;
+    timeline: Array<{
+      timestamp: string;
+      model: string;
+      inputTokens: number;
+      outputTokens: number;
+      cacheCreationTokens: number;
+      cacheReadTokens: number;
+      totalTokens: number;
+      cost: number;
+      cumulativeCost: number;
+      gapMinutes: number;
+      cwd: string | null;
+    }>;
+  }
+
+  // Options of the paginated Sessions / Projects tables (services/usage-query.cjs)
+  interface TableQuery {
+    search?: string;
+    from?: string | null; // YYYY-MM-DD, inclusive
+    to?: string | null; // YYYY-MM-DD, inclusive
+    sortBy?: string;
+    sortDir?: 'asc' | 'desc';
+    page?: number;
+    pageSize?: number;
+    minDurationMinutes?: number;
+  }
+
+  // One page of a table query, costs in the display currency
+  interface TablePage<Row> {
+    rows: Row[];
+    total: number;
+    totalCost: number;
+    totalTokens: number;
+    page: number;
+    pageCount: number;
+    pageSize: number;
+    sortBy: string;
+    sortDir: 'asc' | 'desc';
+    search: string;
+    from: string | null;
+    to: string | null;
+    currency: string;
+  }
+
+  interface SessionRow {
+    sessionId: string;
+    project: string | null;
+    source: string;
+    totalCost: number;
+    totalTokens: number;
+    conversations: number;
+    startTime: string;
+    endTime: string;
+    duration: number;
+    models: string[];
+    isActive: boolean;
+  }
+
+  interface ProjectRow {
+    project: string;
+    totalCost: number;
+    totalTokens: number;
+    sessions: number;
+    conversations: number;
+    firstActivity: string;
+    lastActivity: string;
+    models: string[];
+    machines: Array<{ machine: string; totalCost: number; totalTokens: number }>;
+    avgCostPerSession: number;
+  }
+
+  // Period-over-period comparison (services/period-comparison.cjs)
+  type ComparisonMode = 'billing' | 'week' | 'custom';
+
+  interface ComparisonOptions {
+    mode: ComparisonMode;
+    a?: { from: string; to: string }; // YYYY-MM-DD, custom mode only
+    b?: { from: string; to: string };
+  }
+
+  interface ComparisonPeriod {
+    key: string;
+    label: string;
+    start: string;
+    end: string; // Exclusive
+  }
+
+  // Value in period A and B; deltaPercent is relative to B (null when B is 0)
+  interface ComparisonDelta {
+    a: number;
+    b: number;
+    delta: number;
+    deltaPercent: number | null;
+  }
+
+  type ComparisonMetric = 'totalCost' | 'totalTokens' | 'inputTokens' | 'outputTokens' | 'cacheCreationTokens'
+    | 'cacheReadTokens' | 'sessions' | 'projects' | 'entries' | 'activeDays';
+
+  interface ComparisonBreakdownRow {
+    key: string;
+    a: { cost: number; tokens: number; entries: number; share: number };
+    b: { cost: number; tokens: number; entries: number; share: number };
+    cost: ComparisonDelta;
+    tokens: ComparisonDelta;
+    shareDelta: number; // Percentage points
+  }
+
+  interface PeriodComparison {
+    mode: ComparisonMode;
+    periodA: ComparisonPeriod;
+    periodB: ComparisonPeriod;
+    metrics: Record<ComparisonMetric, ComparisonDelta>;
+    models: ComparisonBreakdownRow[];
+    projects: ComparisonBreakdownRow[];
+    currency: string;
+  }
+
+  // Weekday x hour usage grid (services/usage-heatmap.cjs)
+  type HeatmapMetric = 'cost' | 'tokens' | 'entries';
+
+  interface HeatmapCell {
+    cost: number;
+    tokens: number;
+    entries: number;
+  }
+
+  interface UsageHeatmap {
+    timezone: string;
+    weekdays: string[]; // Monday first
+    cells: HeatmapCell[][]; // [weekday][hour]
+    max: HeatmapCell;
+    totals: HeatmapCell;
+    peak: { weekday: number; hour: number } | null;
+    currency: string;
+  }
+
+  // Local REST API server state (services/api-server.cjs)
+  interface ApiServerStatus {
+    running: boolean;
+    port: number | null;
+    url: string | null;
+    token: string;
+    error: string | null;
+  }
+
   interface Window {
     // Claude Projects API (Claude Code Max)
     claudeMaxAPI: {
@@ -79,6 +301,26 @@ declare global {
       getModelPricingStats: () => Promise<{ success: boolean; stats?: any; error?: string }>;
       forceUpdatePrices: () => Promise<{ success: boolean; updated?: boolean; error?: string }>;
       getModelPricing: (model: string) => Promise<{ success: boolean; pricing?: any; error?: string }>;
+      getPriceHistory: () => Promise<{ success: boolean; history?: Record<string, any[]>; error?: string }>;
+      getUnpricedModels: () => Promise<{ success: boolean; models?: UnpricedModel[]; error?: string }>;
+      recalculateHistoricCosts: () => Promise<{ success: boolean; checked?: number; updated?: number; previousTotal?: number; newTotal?: number; error?: string }>;
+      
+      // SSH remote sync
+      getSshSyncStatus: () => Promise<{ success: boolean; data?: SshSyncStatus[]; error?: string }>;
+      syncSshNow: () => Promise<{ success: boolean; data?: SshSyncStatus[]; error?: string }>;
+      
+      // Session drill-down
+      getSessionDetail: (sessionKey: string) => Promise<{ success: boolean; data?: SessionDetail; error?: string }>;
+      
+      // Paginated Sessions / Projects tables
+      querySessions: (query: TableQuery) => Promise<{ success: boolean; data?: TablePage<SessionRow>; error?: string }>;
+      queryProjects: (query: TableQuery) => Promise<{ success: boolean; data?: TablePage<ProjectRow>; error?: string }>;
+      
+      // Period-over-period comparison
+      getPeriodComparison: (options: ComparisonOptions) => Promise<{ success: boolean; data?: PeriodComparison; error?: string }>;
+      
+      // Weekday x hour usage heatmap
+      getUsageHeatmap: (options: { timezone?: string }) => Promise<{ success: boolean; data?: UsageHeatmap; error?: string }>;
       
       // App state events
       onAppMinimized: (callback: () => void) => void;
@@ -88,9 +330,16 @@ declare global {
       // SSH Support
       'ssh-set-config': (config: SSHConfig) => Promise<{ success: boolean; message?: string; error?: string }>;
       'ssh-get-config': () => Promise<{ success: boolean; data?: SSHConfig; error?: string }>;
-      'ssh-test-connection': (config: SSHConfig) => Promise<{ success: boolean; message: string; error?: string }>;
+      'ssh-test-connection': (config: SSHConfig, hostId?: string) => Promise<{ success: boolean; message: string; error?: string }>;
+      'ssh-set-credentials': (hostId: string, secrets: { password?: string; passphrase?: string }) => Promise<{ success: boolean; data?: { hasPassword: boolean; hasPassphrase: boolean }; error?: string }>;
+      'ssh-get-credential-status': (hostIds: string[]) => Promise<{ success: boolean; data?: Record<string, { hasPassword: boolean; hasPassphrase: boolean }>; error?: string }>;
       'ssh-execute-command': (config: SSHConfig, command: string) => Promise<{ success: boolean; output?: string; error?: string }>;
       
+      // Local API server
+      'api-server-configure': (config: { enabled: boolean; port: number }) => Promise<{ success: boolean; data?: ApiServerStatus; error?: string }>;
+      'api-server-get-status': () => Promise<{ success: boolean; data?: ApiServerStatus; error?: string }>;
+      'api-server-regenerate-token': () => Promise<{ success: boolean; data?: ApiServerStatus; error?: string }>;
+      
       // Legacy IPC calls (for compatibility)
       invokeClaudeProjectsStats: () => Promise<any>;
       invokeClaudeProjectsDaily: () => Promise<any>;
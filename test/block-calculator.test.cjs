@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { BlockCalculator, BLOCK_DURATION_MINUTES } = require('../services/block-calculator.cjs');
+
+const calculator = new BlockCalculator();
+const START = Date.parse('2025-06-01T08:00:00.000Z');
+const MINUTE = 60 * 1000;
+const BLOCK = BLOCK_DURATION_MINUTES * MINUTE;
+
+function entry(offsetMs, cost = 1, extra = {}) {
+  return {
+    timestamp: new Date(START + offsetMs).toISOString(),
+    cost,
+    input_tokens: 100,
+    output_tokens: 10,
+    model: 'claude-sonnet-4',
+    session_id: 's1',
+    ...extra
+  };
+}
+
+test('a block lasts exactly five hours from its first entry', () => {
+  const blocks = calculator.identifyBlocks([entry(0), entry(BLOCK - MINUTE), entry(BLOCK)], START + 10 * BLOCK);
+
+  assert.strictEqual(blocks.length, 2);
+  assert.strictEqual(blocks[0].startTime, '2025-06-01T08:00:00.000Z');
+  assert.strictEqual(blocks[0].endTime, '2025-06-01T13:00:00.000Z');
+  assert.strictEqual(blocks[0].entryCount, 2);
+  assert.strictEqual(blocks[0].durationMinutes, BLOCK_DURATION_MINUTES - 1);
+  // An entry right at the end starts the next block
+  assert.strictEqual(blocks[1].startTime, '2025-06-01T13:00:00.000Z');
+  assert.strictEqual(blocks[1].entryCount, 1);
+  assert.ok(blocks.every(block => block.state === 'expired'));
+});
+
+test('idle time longer than a block is recorded as a gap', () => {
+  const lastOfFirst = 30 * MINUTE;
+  const nextEntry = lastOfFirst + BLOCK + 2 * 60 * MINUTE;
+  const blocks = calculator.identifyBlocks([entry(0), entry(lastOfFirst), entry(nextEntry)], START + 10 * BLOCK);
+
+  assert.deepStrictEqual(blocks.map(block => block.state), ['expired', 'gap', 'expired']);
+  assert.strictEqual(blocks[1].startTime, new Date(START + lastOfFirst + BLOCK).toISOString());
+  assert.strictEqual(blocks[1].endTime, new Date(START + nextEntry).toISOString());
+  assert.strictEqual(blocks[1].durationMinutes, 120);
+  assert.strictEqual(blocks[2].startTime, new Date(START + nextEntry).toISOString());
+});
+
+test('entries are sorted and both row shapes are summed', () => {
+  const blocks = calculator.identifyBlocks([
+    entry(60 * MINUTE, 2, { model: '<synthetic>' }),
+    { timestamp: new Date(START).toISOString(), cost: 0.5, input_tokens: 1, sessionId: 's2', model: 'claude-opus-4' },
+    { timestamp: 'not a date', cost: 100 }
+  ], START + 10 * BLOCK);
+
+  assert.strictEqual(blocks.length, 1);
+  assert.strictEqual(blocks[0].startTime, new Date(START).toISOString());
+  assert.strictEqual(blocks[0].totalCost, 2.5);
+  assert.strictEqual(blocks[0].totalTokens, 111);
+  assert.deepStrictEqual(blocks[0].models, ['claude-opus-4']);
+  assert.deepStrictEqual(blocks[0].sessionIds.sort(), ['s1', 's2']);
+});
+
+test('the block running at now is active until its end', () => {
+  const blocks = calculator.identifyBlocks([entry(0), entry(60 * MINUTE)], START + 90 * MINUTE);
+  const active = calculator.findActiveBlock(blocks);
+
+  assert.strictEqual(active, blocks[0]);
+  assert.strictEqual(active.state, 'active');
+  assert.strictEqual(active.elapsedMinutes, 90);
+  assert.strictEqual(active.remainingMinutes, BLOCK_DURATION_MINUTES - 90);
+
+  const ended = calculator.identifyBlocks([entry(0)], START + BLOCK);
+  assert.strictEqual(calculator.findActiveBlock(ended), null);
+  assert.strictEqual(ended[0].remainingMinutes, 0);
+});
+
+test('no entries make no blocks', () => {
+  assert.deepStrictEqual(calculator.identifyBlocks([]), []);
+  assert.deepStrictEqual(calculator.identifyBlocks(null), []);
+  assert.strictEqual(calculator.findActiveBlock([]), null);
+});
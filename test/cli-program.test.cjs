@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createProgram } = require('../cli/program.cjs');
+
+// Parse arguments with the serve-metrics action replaced, so nothing is started
+async function parseServeMetrics(args) {
+  const program = createProgram({});
+  let parsed = null;
+  program.commands.find(command => command.name() === 'serve-metrics').action(options => {
+    parsed = options;
+  });
+  await program.parseAsync(['serve-metrics', ...args], { from: 'user' });
+  return { parsed, root: program.opts() };
+}
+
+test('serve-metrics --scan-interval 0 reaches the subcommand', async () => {
+  const { parsed, root } = await parseServeMetrics(['--scan-interval', '0']);
+  assert.strictEqual(parsed.scanInterval, '0');
+  // The dashboard refresh of the root program is not touched
+  assert.strictEqual(root.refresh, '30');
+});
+
+test('serve-metrics scans every 60 seconds by default', async () => {
+  const { parsed } = await parseServeMetrics(['--port', '9800']);
+  assert.strictEqual(parsed.scanInterval, '60');
+  assert.strictEqual(parsed.port, '9800');
+});
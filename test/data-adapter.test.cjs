@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const CLIDataAdapter = require('../cli/data-adapter.cjs');
+
+// Adapter whose JSONL scan takes `ms` and counts how often it ran
+function createAdapter(ms) {
+  const adapter = new CLIDataAdapter({});
+  adapter.scans = 0;
+  adapter.doForceRefreshData = async () => {
+    adapter.scans++;
+    await new Promise(resolve => setTimeout(resolve, ms));
+    adapter.scanned = true;
+  };
+  return adapter;
+}
+
+test('one-shot refreshes wait for the whole scan', async () => {
+  const adapter = createAdapter(50);
+  assert.strictEqual(await adapter.forceRefreshData(), true);
+  assert.strictEqual(adapter.scanned, true);
+});
+
+test('a refresh with a timeout returns early and the scan goes on', async () => {
+  const adapter = createAdapter(100);
+  assert.strictEqual(await adapter.forceRefreshData({ timeout: 10 }), false);
+  assert.strictEqual(adapter.scanned, undefined);
+
+  // A second refresh joins the running scan instead of starting another one
+  assert.strictEqual(await adapter.forceRefreshData(), true);
+  assert.strictEqual(adapter.scanned, true);
+  assert.strictEqual(adapter.scans, 1);
+});
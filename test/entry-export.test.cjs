@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { exportEntriesToFile } = require('../services/entry-export.cjs');
+
+function createRow(id) {
+  return {
+    id,
+    timestamp: `2025-06-01T10:00:0${id}.000Z`,
+    project: 'dragon',
+    session_id: 's1',
+    model: 'claude-sonnet-4',
+    input_tokens: 10,
+    output_tokens: 5,
+    cache_creation_input_tokens: 0,
+    cache_read_input_tokens: 0,
+    total_tokens: 15,
+    cost: 0.01
+  };
+}
+
+test('exports all pages into the file', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dragon-ui-export-'));
+  const filePath = path.join(dir, 'entries.csv');
+  const db = { getEntryExportPage: (filters, cursor) => (cursor ? [] : [createRow(1), createRow(2)]) };
+
+  try {
+    const result = await exportEntriesToFile(db, filePath, { format: 'csv' });
+    assert.deepStrictEqual(result, { filePath, rows: 2, format: 'csv' });
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8').trim().split('\n').length, 3);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('rejects when the target cannot be opened', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dragon-ui-export-'));
+  const db = { getEntryExportPage: () => [createRow(1)] };
+
+  try {
+    await assert.rejects(
+      exportEntriesToFile(db, path.join(dir, 'missing-dir', 'entries.csv'), { format: 'csv' }),
+      { code: 'ENOENT' }
+    );
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('removes the partial file when reading entries fails', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dragon-ui-export-'));
+  const filePath = path.join(dir, 'entries.tsv');
+  const db = {
+    getEntryExportPage: (filters, cursor) => {
+      // A full first page, so the export asks for the next one
+      if (cursor) throw new Error('database is locked');
+      return Array.from({ length: 5000 }, (_, index) => createRow(index + 1));
+    }
+  };
+
+  try {
+    await assert.rejects(exportEntriesToFile(db, filePath, { format: 'tsv' }), /database is locked/);
+    assert.strictEqual(fs.existsSync(filePath), false);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { isUsageEntry, getResumePoint, readNewUsageEntries } = require('../services/jsonl-ingest.cjs');
+
+function usageLine(id) {
+  return JSON.stringify({
+    type: 'assistant',
+    timestamp: '2025-06-01T10:00:00.000Z',
+    sessionId: 's1',
+    message: { id, model: 'claude-sonnet-4', usage: { input_tokens: 10, output_tokens: 5 } }
+  }) + '\n';
+}
+
+function withTempFile(fn) {
+  return async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dragon-ui-ingest-'));
+    try {
+      await fn(path.join(dir, 'session.jsonl'), dir);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+const ids = result => result.entries.map(entry => entry.message.id);
+
+test('isUsageEntry only accepts assistant messages with token counts', () => {
+  assert.strictEqual(isUsageEntry(JSON.parse(usageLine('m1'))), true);
+  assert.strictEqual(isUsageEntry({ type: 'user', timestamp: 'x', message: { usage: { input_tokens: 1, output_tokens: 1 } } }), false);
+  assert.strictEqual(isUsageEntry({ type: 'assistant', timestamp: 'x', message: { usage: { input_tokens: 1 } } }), false);
+  assert.strictEqual(isUsageEntry(null), false);
+});
+
+test('getResumePoint picks the byte offset to continue from', () => {
+  const state = { inode: '7', size: 100, offset: 100, mtime: 1000 };
+  assert.deepStrictEqual(getResumePoint({ ino: 7, size: 100, mtimeMs: 1000 }, null), { start: 0, reason: 'new' });
+  assert.strictEqual(getResumePoint({ ino: 7, size: 100, mtimeMs: 1000.4 }, state), null);
+  assert.deepStrictEqual(getResumePoint({ ino: 7, size: 150, mtimeMs: 2000 }, state), { start: 100, reason: 'appended' });
+  assert.deepStrictEqual(getResumePoint({ ino: 7, size: 40, mtimeMs: 2000 }, state), { start: 0, reason: 'truncated' });
+  assert.deepStrictEqual(getResumePoint({ ino: 8, size: 150, mtimeMs: 2000 }, state), { start: 0, reason: 'rotated' });
+});
+
+test('reads the whole file first, then only appended lines', withTempFile(async (file) => {
+  fs.writeFileSync(file, usageLine('m1') + '{"type":"user"}\n' + 'not json\n' + usageLine('m2'));
+
+  const first = await readNewUsageEntries(file, null);
+  assert.strictEqual(first.reason, 'new');
+  assert.deepStrictEqual(ids(first), ['m1', 'm2']);
+  assert.strictEqual(first.state.offset, fs.statSync(file).size);
+  assert.strictEqual(first.state.filePath, file);
+
+  const unchanged = await readNewUsageEntries(file, first.state);
+  assert.deepStrictEqual({ changed: unchanged.changed, entries: unchanged.entries }, { changed: false, entries: [] });
+
+  fs.appendFileSync(file, usageLine('m3'));
+  const appended = await readNewUsageEntries(file, first.state);
+  assert.strictEqual(appended.reason, 'appended');
+  assert.deepStrictEqual(ids(appended), ['m3']);
+  assert.strictEqual(appended.state.offset, fs.statSync(file).size);
+}));
+
+test('leaves an incomplete last line for the next read', withTempFile(async (file) => {
+  const complete = usageLine('m1');
+  const partial = usageLine('m2');
+  fs.writeFileSync(file, complete + partial.slice(0, 20));
+
+  const first = await readNewUsageEntries(file, null);
+  assert.deepStrictEqual(ids(first), ['m1']);
+  assert.strictEqual(first.state.offset, Buffer.byteLength(complete));
+
+  fs.appendFileSync(file, partial.slice(20));
+  const second = await readNewUsageEntries(file, first.state);
+  assert.deepStrictEqual(ids(second), ['m2']);
+  assert.strictEqual(second.state.offset, Buffer.byteLength(complete + partial));
+}));
+
+test('reads a truncated file again from the start', withTempFile(async (file) => {
+  fs.writeFileSync(file, usageLine('m1') + usageLine('m2'));
+  const first = await readNewUsageEntries(file, null);
+
+  fs.writeFileSync(file, usageLine('m3'));
+  const second = await readNewUsageEntries(file, first.state);
+  assert.strictEqual(second.reason, 'truncated');
+  assert.deepStrictEqual(ids(second), ['m3']);
+  assert.strictEqual(second.state.offset, fs.statSync(file).size);
+}));
+
+test('reads a rotated file again from the start', withTempFile(async (file, dir) => {
+  fs.writeFileSync(file, usageLine('m1'));
+  const first = await readNewUsageEntries(file, null);
+
+  // Keep the old file around so the new one cannot reuse its inode
+  fs.renameSync(file, path.join(dir, 'session.jsonl.1'));
+  fs.writeFileSync(file, usageLine('m2') + usageLine('m3'));
+  const second = await readNewUsageEntries(file, first.state);
+  assert.strictEqual(second.reason, 'rotated');
+  assert.deepStrictEqual(ids(second), ['m2', 'm3']);
+}));
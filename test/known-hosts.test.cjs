@@ -0,0 +1,117 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  formatHostName,
+  getFingerprint,
+  getKeyType,
+  parseKnownHosts,
+  matchesHostField,
+  checkHostKey,
+  addHostKey
+} = require('../services/known-hosts.cjs');
+
+// Public key blob like ssh2 hands to hostVerifier: string key type, then key data
+function createKey(type, seed) {
+  const typeBuffer = Buffer.from(type, 'ascii');
+  const data = crypto.createHash('sha256').update(seed).digest();
+  const blob = Buffer.alloc(8 + typeBuffer.length + data.length);
+  blob.writeUInt32BE(typeBuffer.length, 0);
+  typeBuffer.copy(blob, 4);
+  blob.writeUInt32BE(data.length, 4 + typeBuffer.length);
+  data.copy(blob, 8 + typeBuffer.length);
+  return blob;
+}
+
+function hashHost(name, salt = crypto.randomBytes(20)) {
+  const hash = crypto.createHmac('sha1', salt).update(name).digest('base64');
+  return `|1|${salt.toString('base64')}|${hash}`;
+}
+
+function withKnownHosts(lines, fn) {
+  return () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dragon-ui-known-hosts-'));
+    const knownHostsPath = path.join(dir, 'known_hosts');
+    try {
+      if (lines) fs.writeFileSync(knownHostsPath, lines.join('\n') + '\n');
+      fn(knownHostsPath);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+const ed25519 = createKey('ssh-ed25519', 'server');
+const otherEd25519 = createKey('ssh-ed25519', 'attacker');
+const rsa = createKey('ssh-rsa', 'server');
+const line = (hosts, key) => `${hosts} ${getKeyType(key)} ${key.toString('base64')}`;
+
+test('key helpers follow the OpenSSH formats', () => {
+  assert.strictEqual(getKeyType(ed25519), 'ssh-ed25519');
+  assert.strictEqual(getKeyType(Buffer.alloc(2)), null);
+  assert.match(getFingerprint(ed25519), /^SHA256:[A-Za-z0-9+/]{43}$/);
+  assert.strictEqual(formatHostName('box', 22), 'box');
+  assert.strictEqual(formatHostName('box', 2222), '[box]:2222');
+});
+
+test('parseKnownHosts keeps markers and skips comments', () => {
+  const entries = parseKnownHosts(['# comment', '', line('box', ed25519), `@revoked * ${getKeyType(rsa)} ${rsa.toString('base64')}`, 'broken'].join('\n'));
+  assert.deepStrictEqual(entries.map(entry => [entry.marker, entry.hosts, entry.keyType, entry.line]), [
+    [null, 'box', 'ssh-ed25519', 3],
+    ['@revoked', '*', 'ssh-rsa', 4]
+  ]);
+});
+
+test('matchesHostField handles hashed names, wildcards and negation', () => {
+  assert.strictEqual(matchesHostField(hashHost('box'), 'box'), true);
+  assert.strictEqual(matchesHostField(hashHost('[box]:2222'), 'box'), false);
+  assert.strictEqual(matchesHostField(hashHost('[box]:2222'), '[box]:2222'), true);
+  assert.strictEqual(matchesHostField('other,BOX', 'box'), true);
+  assert.strictEqual(matchesHostField('*.lan', 'box.lan'), true);
+  assert.strictEqual(matchesHostField('box?', 'box1'), true);
+  assert.strictEqual(matchesHostField('*.lan,!secret.lan', 'secret.lan'), false);
+  assert.strictEqual(matchesHostField('box.lan', 'boxxlan'), false);
+});
+
+test('a known key matches, also hashed and on another port', withKnownHosts([
+  line(hashHost('box'), ed25519),
+  line('[box]:2222', rsa)
+], (knownHostsPath) => {
+  assert.deepStrictEqual(checkHostKey(ed25519, { host: 'box', knownHostsPath }), { status: 'match', fingerprint: getFingerprint(ed25519), line: 1 });
+  assert.strictEqual(checkHostKey(rsa, { host: 'box', port: 2222, knownHostsPath }).status, 'match');
+  assert.strictEqual(checkHostKey(rsa, { host: 'box', knownHostsPath }).status, 'unknown');
+}));
+
+test('a different key of the same type is a mismatch', withKnownHosts([
+  line('other', otherEd25519),
+  line('box', ed25519)
+], (knownHostsPath) => {
+  assert.deepStrictEqual(checkHostKey(otherEd25519, { host: 'box', knownHostsPath }), {
+    status: 'mismatch', fingerprint: getFingerprint(otherEd25519), line: 2
+  });
+}));
+
+test('keys of other types do not make a host key mismatch', withKnownHosts([
+  line('box', rsa)
+], (knownHostsPath) => {
+  assert.strictEqual(checkHostKey(ed25519, { host: 'box', knownHostsPath }).status, 'unknown');
+}));
+
+test('revoked keys are rejected for every host', withKnownHosts([
+  line('box', ed25519),
+  `@revoked * ssh-ed25519 ${ed25519.toString('base64')}`
+], (knownHostsPath) => {
+  assert.deepStrictEqual(checkHostKey(ed25519, { host: 'box', knownHostsPath }), {
+    status: 'revoked', fingerprint: getFingerprint(ed25519), line: 2
+  });
+}));
+
+test('addHostKey creates known_hosts and the key matches afterwards', withKnownHosts(null, (knownHostsPath) => {
+  assert.strictEqual(checkHostKey(ed25519, { host: 'box', port: 2222, knownHostsPath }).status, 'unknown');
+  addHostKey(ed25519, { host: 'box', port: 2222, knownHostsPath });
+  assert.strictEqual(fs.readFileSync(knownHostsPath, 'utf8'), `[box]:2222 ssh-ed25519 ${ed25519.toString('base64')}\n`);
+  assert.strictEqual(checkHostKey(ed25519, { host: 'box', port: 2222, knownHostsPath }).status, 'match');
+}));
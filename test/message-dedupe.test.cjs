@@ -0,0 +1,103 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const initSqlJs = require('sql.js');
+const CLIDatabaseService = require('../cli/database-cli.cjs');
+const CLIDataAdapter = require('../cli/data-adapter.cjs');
+
+// better-sqlite3 is a native Electron module, so the partial unique index on
+// (message_id, request_id) is exercised through the sql.js database, which runs
+// the same migrations and inserts the same columns as DatabaseService.insertEntry
+async function withDatabase(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dragon-ui-dedupe-'));
+  const dbPath = path.join(dir, 'usage.db');
+  const SQL = await initSqlJs();
+  fs.writeFileSync(dbPath, Buffer.from(new SQL.Database().export()));
+
+  const db = new CLIDatabaseService();
+  db.dbPath = dbPath;
+  await db.init();
+  const adapter = new CLIDataAdapter({});
+  adapter.db = db;
+
+  try {
+    await fn({ dir, db, adapter });
+  } finally {
+    db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+function createLine(sessionId, index, ids = {}) {
+  return JSON.stringify({
+    type: 'assistant',
+    uuid: `${sessionId}-uuid-${index}`,
+    sessionId,
+    requestId: 'requestId' in ids ? ids.requestId : `req_${index}`,
+    timestamp: `2025-06-01T10:0${index}:00.000Z`,
+    cwd: '/home/dev/dragon',
+    message: {
+      id: 'messageId' in ids ? ids.messageId : `msg_${index}`,
+      model: 'claude-sonnet-4-20250514',
+      usage: { input_tokens: 100, output_tokens: 10, cache_creation_input_tokens: 0, cache_read_input_tokens: 0 }
+    }
+  });
+}
+
+function writeSession(dir, sessionId, lines) {
+  const file = path.join(dir, 'projects', '-home-dev-dragon', `${sessionId}.jsonl`);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, lines.join('\n') + '\n');
+  return file;
+}
+
+function countRows(db) {
+  return db.allRows('SELECT COUNT(*) as count FROM usage_entries', [])[0].count;
+}
+
+test('a resumed session copying earlier messages into a new file stores them once', async () => {
+  await withDatabase(async ({ dir, db, adapter }) => {
+    const original = 'a1b2c3d4-0000-4000-8000-000000000001';
+    const resumed = 'a1b2c3d4-0000-4000-8000-000000000002';
+
+    // The resumed file repeats messages 1-2 under a new session id, uuid and path, then continues
+    const first = writeSession(dir, original, [1, 2].map(index => createLine(original, index)));
+    const second = writeSession(dir, resumed, [1, 2, 3].map(index => createLine(resumed, index)));
+
+    assert.strictEqual(await adapter.processJsonlFileIncremental(first), 2);
+    assert.strictEqual(await adapter.processJsonlFileIncremental(second), 1);
+    assert.deepStrictEqual(
+      db.allRows('SELECT message_id, full_session_id FROM usage_entries ORDER BY timestamp', []),
+      [
+        { message_id: 'msg_1', full_session_id: original },
+        { message_id: 'msg_2', full_session_id: original },
+        { message_id: 'msg_3', full_session_id: resumed }
+      ]
+    );
+  });
+});
+
+test('only rows with the same message and request id are duplicates', async () => {
+  await withDatabase(async ({ dir, db, adapter }) => {
+    const first = 'b1b2c3d4-0000-4000-8000-000000000001';
+    const second = 'b1b2c3d4-0000-4000-8000-000000000002';
+
+    writeSession(dir, first, [
+      createLine(first, 1, { messageId: 'msg_x', requestId: 'req_a' }),
+      createLine(first, 2, { messageId: null, requestId: null })
+    ]);
+    writeSession(dir, second, [
+      // Same message id, other request: a separate API call
+      createLine(second, 1, { messageId: 'msg_x', requestId: 'req_b' }),
+      // No message id: nothing to deduplicate by
+      createLine(second, 2, { messageId: null, requestId: null })
+    ]);
+
+    for (const sessionId of [first, second]) {
+      await adapter.processJsonlFileIncremental(path.join(dir, 'projects', '-home-dev-dragon', `${sessionId}.jsonl`));
+    }
+    assert.strictEqual(countRows(db), 4);
+  });
+});
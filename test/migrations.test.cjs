@@ -0,0 +1,118 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const initSqlJs = require('sql.js');
+const CLIDatabaseService = require('../cli/database-cli.cjs');
+const CLIDataAdapter = require('../cli/data-adapter.cjs');
+const { LATEST_VERSION } = require('../services/migrations.cjs');
+
+// Schema version of the last release before migration 11 backfilled message/request ids
+const PRE_BACKFILL_VERSION = 10;
+const SESSION_ID = '3f2a9c4e-8b1d-4e6f-a7c2-5d9e0b1f4a63';
+
+function createLine(index, text = false) {
+  return JSON.stringify({
+    type: 'assistant',
+    uuid: `uuid-${index}`,
+    sessionId: SESSION_ID,
+    requestId: `req_${index}`,
+    timestamp: `2025-06-01T10:0${index}:00.000Z`,
+    cwd: '/home/dev/dragon',
+    message: {
+      id: `msg_${index}`,
+      model: 'claude-sonnet-4-20250514',
+      usage: { input_tokens: 100 * index, output_tokens: 10, cache_creation_input_tokens: 0, cache_read_input_tokens: 0 },
+      content: text ? [{ type: 'text', text: 'done' }] : []
+    }
+  });
+}
+
+async function openDatabase(dbPath) {
+  const db = new CLIDatabaseService();
+  db.dbPath = dbPath;
+  await db.init();
+  return db;
+}
+
+function countRows(db) {
+  return db.allRows('SELECT COUNT(*) as count FROM usage_entries', [])[0].count;
+}
+
+test('upgrading and then refreshing leaves the row count unchanged', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dragon-ui-migrations-'));
+  const dbPath = path.join(dir, 'usage.db');
+  const file = path.join(dir, 'projects', '-home-dev-dragon', `${SESSION_ID}.jsonl`);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, [1, 2, 3].map(index => createLine(index)).join('\n') + '\n');
+
+  try {
+    const SQL = await initSqlJs();
+    fs.writeFileSync(dbPath, Buffer.from(new SQL.Database().export()));
+
+    // A database imported before message/request ids were stored: same rows, no ids,
+    // no ingest ledger, and the schema version of the previous release
+    const legacy = await openDatabase(dbPath);
+    const adapter = new CLIDataAdapter({});
+    adapter.db = legacy;
+    assert.strictEqual(await adapter.processJsonlFileIncremental(file), 3);
+    legacy.db.run('UPDATE usage_entries SET message_id = NULL, request_id = NULL');
+    legacy.db.run('DELETE FROM ingest_ledger');
+    legacy.db.run(`PRAGMA user_version = ${PRE_BACKFILL_VERSION}`);
+    legacy.saveToFile();
+    legacy.close();
+
+    const upgraded = await openDatabase(dbPath);
+    assert.deepStrictEqual(
+      upgraded.allRows('SELECT message_id, request_id FROM usage_entries ORDER BY timestamp', []),
+      [1, 2, 3].map(index => ({ message_id: `msg_${index}`, request_id: `req_${index}` }))
+    );
+
+    // The migrated schema is stored at once (next to a backup of the old file), so the
+    // next start does not read every JSONL file again
+    const stored = new (await initSqlJs()).Database(fs.readFileSync(dbPath));
+    assert.strictEqual(stored.exec('PRAGMA user_version')[0].values[0][0], LATEST_VERSION);
+    stored.close();
+    assert.ok(fs.readdirSync(dir).some(name => name.startsWith(`usage.db.pre-migration-v${PRE_BACKFILL_VERSION}-`)));
+
+    // The whole file is read again from byte 0 (no ledger state) - nothing may be added
+    const refresh = new CLIDataAdapter({});
+    refresh.db = upgraded;
+    assert.strictEqual(await refresh.processJsonlFileIncremental(file), 0);
+    assert.strictEqual(countRows(upgraded), 3);
+
+    // A new line after the upgrade is still picked up
+    fs.appendFileSync(file, createLine(4, true) + '\n');
+    assert.strictEqual(await refresh.processJsonlFileIncremental(file), 1);
+    assert.strictEqual(countRows(upgraded), 4);
+    upgraded.close();
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('rows whose JSONL file is gone keep NULL ids', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dragon-ui-migrations-'));
+  const dbPath = path.join(dir, 'usage.db');
+
+  try {
+    const SQL = await initSqlJs();
+    fs.writeFileSync(dbPath, Buffer.from(new SQL.Database().export()));
+
+    const legacy = await openDatabase(dbPath);
+    legacy.db.run(`
+      INSERT INTO usage_entries (timestamp, session_id, model, project, input_tokens, output_tokens, total_tokens, cost, file_path, uuid)
+      VALUES ('2025-06-01T10:00:00.000Z', 's1', 'claude-sonnet-4', 'dragon', 1, 1, 2, 0.1, ?, 'uuid-1')
+    `, [path.join(dir, 'deleted.jsonl')]);
+    legacy.db.run(`PRAGMA user_version = ${PRE_BACKFILL_VERSION}`);
+    legacy.saveToFile();
+    legacy.close();
+
+    const upgraded = await openDatabase(dbPath);
+    assert.deepStrictEqual(upgraded.allRows('SELECT message_id FROM usage_entries', []), [{ message_id: null }]);
+    upgraded.close();
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { getPlanBlockLimits } = require('../services/plan-profiles.cjs');
+const CoreDataService = require('../services/core-data.cjs');
+
+const BLOCK_LIMITS = {
+  pro: { tokenLimit: 2000000, costLimit: 10 },
+  max20: { tokenLimit: 40000000 }
+};
+
+test('getPlanBlockLimits returns the ceilings of the given plan', () => {
+  assert.deepStrictEqual(getPlanBlockLimits(BLOCK_LIMITS, 'pro'), { tokenLimit: 2000000, costLimit: 10 });
+  assert.deepStrictEqual(getPlanBlockLimits(BLOCK_LIMITS, 'max20'), { tokenLimit: 40000000, costLimit: 0 });
+});
+
+test('getPlanBlockLimits falls back to auto/off for plans without limits', () => {
+  assert.deepStrictEqual(getPlanBlockLimits(BLOCK_LIMITS, 'api'), { tokenLimit: 0, costLimit: 0 });
+  assert.deepStrictEqual(getPlanBlockLimits(undefined, 'pro'), { tokenLimit: 0, costLimit: 0 });
+});
+
+test('switching plans switches the block limits in use', () => {
+  const service = new CoreDataService(null, null);
+  assert.strictEqual(service.updatePlan('pro'), true);
+  assert.strictEqual(service.updateBlockLimits(BLOCK_LIMITS), true);
+  assert.deepStrictEqual(service.blockLimits, BLOCK_LIMITS.pro);
+
+  assert.strictEqual(service.updatePlan('max20'), true);
+  assert.deepStrictEqual(service.blockLimits, { tokenLimit: 40000000, costLimit: 0 });
+
+  // Same limits sent again: nothing to recalculate
+  assert.strictEqual(service.updateBlockLimits(BLOCK_LIMITS), false);
+});
@@ -0,0 +1,109 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RemoteSyncService, getTransferStart } = require('../services/remote-sync.cjs');
+
+const FILE = { path: '/home/dev/.claude/projects/p/s.jsonl', size: 300, mtime: 1700000100 };
+
+function syncState(overrides = {}) {
+  return { remoteSize: 200, remoteMtime: 1700000000, offset: 200, ...overrides };
+}
+
+test('getTransferStart fetches files without a mirror from 0', () => {
+  assert.deepStrictEqual(getTransferStart(FILE, null, null), { start: 0, reason: 'new' });
+});
+
+test('getTransferStart fetches files that shrank below the mirror from 0', () => {
+  assert.deepStrictEqual(getTransferStart({ ...FILE, size: 150 }, syncState(), 200), { start: 0, reason: 'truncated' });
+});
+
+test('getTransferStart appends after a complete mirror', () => {
+  assert.deepStrictEqual(getTransferStart(FILE, syncState(), 200), { start: 200, reason: 'appended' });
+});
+
+test('getTransferStart resumes after a mirror the state does not cover', () => {
+  // Transfer broke off after 120 bytes were written, before the state was saved
+  assert.deepStrictEqual(getTransferStart(FILE, syncState(), 120), { start: 120, reason: 'resumed' });
+  assert.deepStrictEqual(getTransferStart(FILE, null, 120), { start: 120, reason: 'resumed' });
+});
+
+test('getTransferStart skips unchanged files', () => {
+  assert.strictEqual(getTransferStart(FILE, syncState({ remoteSize: 300, remoteMtime: FILE.mtime, offset: 300 }), 300), null);
+});
+
+test('getTransferStart fetches files modified at the same size from 0', () => {
+  assert.deepStrictEqual(
+    getTransferStart(FILE, syncState({ remoteSize: 300, offset: 300 }), 300),
+    { start: 0, reason: 'rewritten' }
+  );
+});
+
+test('getTransferStart does not refetch a mirror whose transfer broke off at the end', () => {
+  // A failed transfer saves mtime 0, even if all bytes had arrived
+  assert.deepStrictEqual(
+    getTransferStart(FILE, syncState({ remoteSize: 300, remoteMtime: 0, offset: 300 }), 300),
+    { start: 300, reason: 'appended' }
+  );
+});
+
+// Remote host backed by a local file, with the SshService calls RemoteSyncService uses
+function createSync(remoteFile) {
+  const states = new Map();
+  const db = {
+    getRemoteSyncState: (hostId, remotePath) => states.get(remotePath) || null,
+    saveRemoteSyncState: (state) => states.set(state.remotePath, state)
+  };
+  const sshService = {
+    async readRemoteBytes(remotePath, start, length) {
+      return { success: true, data: fs.readFileSync(remoteFile).subarray(start, start + length) };
+    },
+    async appendRemoteBytes(remotePath, localPath, offset) {
+      const data = fs.readFileSync(remoteFile).subarray(offset);
+      fs.mkdirSync(path.dirname(localPath), { recursive: true });
+      fs.writeFileSync(localPath, data, { flag: offset > 0 ? 'a' : 'w' });
+      return { success: true, bytesTransferred: data.length };
+    }
+  };
+  return new RemoteSyncService(db, sshService);
+}
+
+async function mirror(sync, remoteFile, localPath, mtime) {
+  const file = { path: remoteFile, size: fs.statSync(remoteFile).size, mtime };
+  return sync.mirrorFile({ id: 'host-1' }, file, localPath, 'host-1');
+}
+
+test('mirrorFile only transfers appended bytes', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dragon-ui-remote-sync-'));
+  const remoteFile = path.join(dir, 'remote.jsonl');
+  const localPath = path.join(dir, 'mirror', 'remote.jsonl');
+  try {
+    const sync = createSync(remoteFile);
+    fs.writeFileSync(remoteFile, '{"uuid":"a"}\n');
+    assert.strictEqual(await mirror(sync, remoteFile, localPath, 1), 13);
+
+    fs.appendFileSync(remoteFile, '{"uuid":"b"}\n');
+    assert.strictEqual(await mirror(sync, remoteFile, localPath, 2), 13);
+    assert.strictEqual(fs.readFileSync(localPath, 'utf8'), '{"uuid":"a"}\n{"uuid":"b"}\n');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('mirrorFile fetches a file rewritten at a larger size from 0', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dragon-ui-remote-sync-'));
+  const remoteFile = path.join(dir, 'remote.jsonl');
+  const localPath = path.join(dir, 'mirror', 'remote.jsonl');
+  try {
+    const sync = createSync(remoteFile);
+    fs.writeFileSync(remoteFile, '{"uuid":"a"}\n');
+    await mirror(sync, remoteFile, localPath, 1);
+
+    fs.writeFileSync(remoteFile, '{"uuid":"x"}\n{"uuid":"y"}\n');
+    assert.strictEqual(await mirror(sync, remoteFile, localPath, 2), 26);
+    assert.strictEqual(fs.readFileSync(localPath, 'utf8'), '{"uuid":"x"}\n{"uuid":"y"}\n');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});